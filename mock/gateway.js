@@ -0,0 +1,321 @@
+// Mock OpenClaw gateway — offline development and automated tests
+// Speaks just enough of the protocol for server/openclaw.js: the
+// connect.challenge event, connect / chat.send / chat.abort / chat.history /
+// health requests, streamed chat.chunk / chat.audio / chat.done events and
+// node.invoke.request for the device's own commands, plus messages the agent
+// sends unprompted (gateway.push) from runs the device never started. Over HTTP
+// it serves /health, a generated WAV from /v1/audio/speech and /audio/<id>.wav
+// (agent audio by url), and a whisper-server style
+// /inference so the whole pipeline can run with STT_BACKEND=whisper-server.
+//
+// Scenarios:
+//   normal     — reply streams a few words at a time
+//   slow       — half a second to transcribe, 3s before the first chunk,
+//                then slow chunks
+//   error      — chat.send fails
+//   disconnect — socket drops mid-stream
+//   approval   — asks for exec approval (exec.approval.requested) first and
+//                answers according to the exec.approval.resolve decision
+//   audio      — also sends the agent's voice as chat.audio (base64, then url)
+//   bad-audio  — chat.audio that isn't audio, so TTS has to step in
+//   timer      — invokes timer.set on the device (5 minutes, "pasta") and
+//                answers according to its node.invoke.result
+//
+//   npm run mock-gateway -- --port 18789 --scenario slow
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import { fileURLToPath } from 'url';
+import { toS16, wavHeader } from '../server/pcm.js';
+
+const SCENARIOS = ['normal', 'slow', 'error', 'disconnect', 'approval', 'audio', 'bad-audio', 'timer'];
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Short tone, roughly as long as the text would take to say (capped)
+function toneWav(text) {
+  const rate = 16000;
+  const seconds = Math.min(2, 0.2 + text.length * 0.01);
+  const samples = new Float32Array(Math.round(rate * seconds));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = 0.2 * Math.sin(2 * Math.PI * 440 * i / rate);
+  }
+  const pcm = toS16(samples);
+  return Buffer.concat([wavHeader(pcm.length, { rate, bits: 16 }), pcm]);
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+// Resolves to the gateway once it's listening. Tweak scenario, transcript,
+// language (what /inference "detects" when asked for auto, whisper-style
+// full name) or reply on the returned object between requests; `received`
+// logs every request method (and approval decisions) for assertions,
+// `requests` the languages asked of /inference, the voices of
+// /v1/audio/speech, the params of chat.send and the node.invoke.result
+// answers; `commands` what the device advertised; `sessions` holds the
+// chat.history of every sessionKey (seed it to test syncing). push(text,
+// { priority, sessionKey }) streams an unprompted message to every device,
+// emit(event, payload) sends it any event. With silent set it takes
+// requests but answers none, like a hung gateway.
+export function createMockGateway({
+  port = 18789,
+  scenario = 'normal',
+  transcript = 'What is the weather like today?',
+  reply = null,
+  language = 'english',
+} = {}) {
+  const gateway = {
+    port,
+    scenario,
+    transcript,
+    reply,
+    language,
+    silent: false,
+    received: [],
+    requests: { stt: [], tts: [], chat: [], invoke: [] },
+    commands: [],
+    sessions: new Map(), // sessionKey → [{ role, content, timestamp }]
+    close,
+  };
+
+  const server = http.createServer(async (req, res) => {
+    if (req.url === '/health') {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ status: 'ok', mock: true }));
+      return;
+    }
+    if (req.method === 'POST' && req.url === '/v1/audio/speech') {
+      const body = JSON.parse((await readBody(req)).toString() || '{}');
+      gateway.received.push('tts');
+      gateway.requests.tts.push(body.voice);
+      res.setHeader('Content-Type', 'audio/wav');
+      res.end(toneWav(body.input || ''));
+      return;
+    }
+    if (req.url.startsWith('/audio/')) {
+      gateway.received.push('audio');
+      res.setHeader('Content-Type', 'audio/wav');
+      res.end(toneWav('agent audio'));
+      return;
+    }
+    if (req.method === 'POST' && req.url === '/inference') {
+      const form = (await readBody(req)).toString('latin1');
+      const asked = form.match(/name="language"\r\n\r\n([\w-]+)/)?.[1] || 'auto';
+      gateway.received.push('stt');
+      gateway.requests.stt.push(asked);
+      if (gateway.scenario === 'slow') await sleep(500);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        text: gateway.transcript,
+        language: asked === 'auto' ? gateway.language : asked,
+      }));
+      return;
+    }
+    res.statusCode = 404;
+    res.end();
+  });
+
+  const wss = new WebSocketServer({ server });
+
+  function record(sessionKey, role, text) {
+    const key = sessionKey || 'main';
+    if (!gateway.sessions.has(key)) gateway.sessions.set(key, []);
+    gateway.sessions.get(key).push({ role, content: [{ type: 'text', text }], timestamp: Date.now() });
+  }
+
+  wss.on('connection', (ws) => {
+    const runs = new Map(); // runId → { aborted }
+    const approvals = new Map(); // approval id → resolve(decision)
+    const invokes = new Map(); // invoke id → resolve(result)
+    let authed = false;
+
+    const emit = (event, payload) => {
+      if (ws.readyState === 1) ws.send(JSON.stringify({ type: 'event', event, payload }));
+    };
+    const respond = (id, ok, payload) => {
+      if (ws.readyState !== 1) return;
+      ws.send(JSON.stringify(ok
+        ? { type: 'res', id, ok: true, payload }
+        : { type: 'res', id, ok: false, error: { message: payload } }));
+    };
+
+    async function stream(runId, text, sessionKey) {
+      const run = runs.get(runId);
+      const words = text.split(' ');
+      const slow = gateway.scenario === 'slow';
+      if (slow) await sleep(3000);
+
+      for (let i = 0; i < words.length; i += 3) {
+        if (run.aborted) return;
+        if (gateway.scenario === 'disconnect' && i >= 6) {
+          ws.terminate();
+          return;
+        }
+        const chunk = words.slice(i, i + 3).join(' ') + (i + 3 < words.length ? ' ' : '');
+        emit('chat.chunk', { runId, text: chunk });
+        // Agent voice arrives alongside the text, before any sentence is complete
+        if (i === 0 && gateway.scenario === 'audio') {
+          emit('chat.audio', { runId, base64: toneWav(text).toString('base64') });
+        } else if (i === 0 && gateway.scenario === 'bad-audio') {
+          emit('chat.audio', { runId, base64: Buffer.from('not audio at all').toString('base64') });
+        }
+        await sleep(slow ? 400 : 30);
+      }
+      if (run.aborted) return;
+      record(sessionKey, 'assistant', text);
+      if (gateway.scenario === 'audio') emit('chat.audio', { runId, url: `/audio/${runId}.wav` });
+      emit('chat.done', { runId });
+      runs.delete(runId);
+    }
+
+    async function handleChat(id, params) {
+      if (gateway.scenario === 'error') {
+        respond(id, false, 'Mock gateway error');
+        return;
+      }
+      const runId = params.idempotencyKey || `run-${Date.now()}`;
+      runs.set(runId, { aborted: false });
+      record(params.sessionKey, 'user', params.text);
+      respond(id, true, { runId, status: 'started' });
+
+      let text = gateway.reply
+        || `This is the mock gateway. You said: ${params.text}. Everything is working as expected.`;
+
+      if (gateway.scenario === 'approval') {
+        const approvalId = `approval-${Date.now()}`;
+        const decision = await new Promise((resolve) => {
+          approvals.set(approvalId, resolve);
+          emit('exec.approval.requested', {
+            id: approvalId,
+            runId,
+            request: { command: 'rm -rf /tmp/mock-cache', cwd: '/home/pi' },
+            expiresAtMs: Date.now() + 60000,
+          });
+        });
+        text = decision === 'deny'
+          ? 'Okay, I did not run the command.'
+          : 'Done. I cleared the mock cache.';
+      }
+
+      if (gateway.scenario === 'timer') {
+        const invokeId = `invoke-${Date.now()}`;
+        const result = await new Promise((resolve) => {
+          invokes.set(invokeId, resolve);
+          emit('node.invoke.request', { id: invokeId, command: 'timer.set', params: { seconds: 300, label: 'pasta' } });
+        });
+        text = result.ok ? 'Pasta timer set for 5 minutes.' : `I could not set the timer: ${result.error?.message}`;
+      }
+
+      await stream(runId, text, params.sessionKey);
+    }
+
+    emit('connect.challenge', { nonce: Math.random().toString(36).slice(2) });
+
+    ws.on('message', (raw) => {
+      let msg;
+      try { msg = JSON.parse(raw.toString()); } catch { return; }
+      if (msg.type !== 'req') return;
+      gateway.received.push(msg.method);
+      if (gateway.silent) return;
+
+      if (msg.method === 'connect') {
+        authed = true;
+        gateway.commands = msg.params?.commands || [];
+        respond(msg.id, true, { protocol: 3, mock: true });
+        return;
+      }
+      if (!authed) {
+        respond(msg.id, false, 'Not connected');
+        return;
+      }
+
+      switch (msg.method) {
+        case 'health':
+          respond(msg.id, true, { ok: true });
+          break;
+        case 'chat.send':
+          gateway.requests.chat.push(msg.params || {});
+          handleChat(msg.id, msg.params || {});
+          break;
+        case 'chat.history': {
+          const messages = gateway.sessions.get(msg.params?.sessionKey || 'main') || [];
+          respond(msg.id, true, { messages: messages.slice(-(msg.params?.limit || 200)) });
+          break;
+        }
+        case 'chat.abort': {
+          const run = runs.get(msg.params?.runId);
+          if (run) run.aborted = true;
+          respond(msg.id, true, { aborted: !!run });
+          break;
+        }
+        case 'exec.approval.resolve': {
+          const resolve = approvals.get(msg.params?.id);
+          approvals.delete(msg.params?.id);
+          gateway.received.push(`decision:${msg.params?.decision}`);
+          resolve?.(msg.params?.decision);
+          respond(msg.id, !!resolve, resolve ? { ok: true } : 'Unknown approval');
+          break;
+        }
+        case 'node.invoke.result': {
+          const resolve = invokes.get(msg.params?.id);
+          invokes.delete(msg.params?.id);
+          gateway.requests.invoke.push(msg.params);
+          resolve?.(msg.params);
+          respond(msg.id, !!resolve, resolve ? { ok: true } : 'Unknown invoke');
+          break;
+        }
+        default:
+          respond(msg.id, false, `Unknown method: ${msg.method}`);
+      }
+    });
+  });
+
+  // Same chunk / done events as a reply, on a run of the gateway's own
+  gateway.push = (text, { priority, sessionKey = 'cron' } = {}) => {
+    const runId = `push-${Date.now()}`;
+    const words = text.split(' ');
+    for (const ws of wss.clients) {
+      const emit = (event, payload) => ws.send(JSON.stringify({ type: 'event', event, payload }));
+      for (let i = 0; i < words.length; i += 3) {
+        emit('chat.chunk', { runId, sessionKey, text: words.slice(i, i + 3).join(' ') + (i + 3 < words.length ? ' ' : '') });
+      }
+      emit('chat.done', { runId, sessionKey, ...(priority ? { priority } : {}) });
+    }
+  };
+
+  gateway.emit = (event, payload) => {
+    for (const ws of wss.clients) ws.send(JSON.stringify({ type: 'event', event, payload }));
+  };
+
+  function close() {
+    for (const ws of wss.clients) ws.terminate();
+    wss.close();
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      gateway.port = server.address().port;
+      resolve(gateway);
+    });
+  });
+}
+
+// CLI: node mock/gateway.js [--port 18789] [--scenario normal]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const arg = (name, fallback) => {
+    const i = process.argv.indexOf(`--${name}`);
+    return i > 0 ? process.argv[i + 1] : fallback;
+  };
+  const scenario = arg('scenario', 'normal');
+  if (!SCENARIOS.includes(scenario)) {
+    console.error(`Unknown scenario "${scenario}". One of: ${SCENARIOS.join(', ')}`);
+    process.exit(1);
+  }
+  const gateway = await createMockGateway({ port: parseInt(arg('port', '18789'), 10), scenario });
+  console.log(`🧪 Mock OpenClaw gateway on ws://127.0.0.1:${gateway.port} (scenario: ${scenario})`);
+}
@@ -0,0 +1,33 @@
+// Run the STT preprocessing on a WAV file and print before/after levels
+//   node scripts/preprocess-wav.js recording.wav [cleaned.wav]
+// Same path as a turn: resampled to 16 kHz, then preprocess.js with the
+// preprocess.* settings (env or config file, e.g. PREPROCESS_NOISE=spectral).
+// Works on any Linux box — feed it clips from GET /api/audio/test/clip.
+import { readFile, writeFile } from 'fs/promises';
+import { readWav, resample, toWav } from '../server/pcm.js';
+import { preprocess, preprocessOptions } from '../server/preprocess.js';
+import { STT_RATE } from '../server/audio.js';
+
+const [input, output] = process.argv.slice(2);
+if (!input) {
+  console.error('Usage: node scripts/preprocess-wav.js <in.wav> [out.wav]');
+  process.exit(1);
+}
+
+const wav = readWav(await readFile(input));
+if (!wav) {
+  console.error(`${input}: not a 16- or 32-bit PCM WAV`);
+  process.exit(1);
+}
+
+const options = preprocessOptions();
+const { samples, stats } = preprocess(resample(wav.samples, wav.rate, STT_RATE), STT_RATE, options);
+console.log(`${input}: ${(wav.samples.length / wav.rate).toFixed(2)}s at ${wav.rate} Hz`);
+console.log('Settings:', options);
+console.log(`Steps: ${stats.steps.join(', ') || 'none'} (${stats.ms}ms), gain ${stats.gainDb} dB`);
+console.table({ before: stats.before, after: stats.after });
+
+if (output) {
+  await writeFile(output, toWav(samples, STT_RATE));
+  console.log(`Wrote ${output}`);
+}
@@ -37,6 +37,12 @@ ok "ALSA utils installed"
 # ── Sox (dev/test recording helper) ──
 sudo apt-get install -y sox libsox-fmt-all 2>/dev/null || true
 
+# ── ffmpeg (plays mp3/opus from gateway TTS and agent audio) ──
+sudo apt-get install -y ffmpeg 2>/dev/null || true
+
+# ── gpiod (gpiomon reads the Pirate Audio buttons) ──
+sudo apt-get install -y gpiod 2>/dev/null || true
+
 # ── espeak-ng (TTS fallback if gateway TTS unavailable) ──
 sudo apt-get install -y espeak-ng 2>/dev/null || true
 
@@ -62,6 +68,27 @@ else
   fi
 fi
 
+# ── Piper (local neural TTS when gateway TTS is down) ──
+PIPER_DIR="$HOME/piper"
+PIPER_VOICE_FILE="$PIPER_DIR/voices/en_US-lessac-medium.onnx"
+if [ -x "$PIPER_DIR/piper" ]; then
+  ok "Piper already installed"
+else
+  info "Installing Piper..."
+  if curl -fsSL https://github.com/rhasspy/piper/releases/download/2023.11.14-2/piper_linux_aarch64.tar.gz | tar -xz -C "$HOME"; then
+    ok "Piper installed"
+  else
+    err "Piper download failed — local TTS will fall back to espeak-ng"
+  fi
+fi
+if [ -x "$PIPER_DIR/piper" ] && [ ! -f "$PIPER_VOICE_FILE" ]; then
+  info "Downloading Piper voice (en_US lessac, ~60MB)..."
+  mkdir -p "$PIPER_DIR/voices"
+  VOICE_URL="https://huggingface.co/rhasspy/piper-voices/resolve/v1.0.0/en/en_US/lessac/medium/en_US-lessac-medium.onnx"
+  curl -fsSL -o "$PIPER_VOICE_FILE" "$VOICE_URL" && \
+    curl -fsSL -o "$PIPER_VOICE_FILE.json" "$VOICE_URL.json" && \
+    ok "Piper voice downloaded" || err "Piper voice download failed"
+fi
 
 # ── ALSA config ──
 SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
@@ -121,18 +148,78 @@ ENV_FILE="$PROJECT_DIR/.env"
 if [ ! -f "$ENV_FILE" ]; then
   cat > "$ENV_FILE" << ENVEOF
 # OpenClaw Pi Assistant config
+# Changes made on the settings screen are saved to ~/.openclaw-pi-assistant/config.json
+# and take precedence over this file.
 PORT=3001
+
+# Speech-to-text: whisper-server keeps the model loaded (whisper-cli reloads per utterance)
+STT_BACKEND=whisper-server
+WHISPER_SERVER_PATH=$HOME/whisper.cpp/build/bin/whisper-server
 WHISPER_PATH=$HOME/whisper.cpp/build/bin/whisper-cli
 WHISPER_MODEL=$HOME/whisper.cpp/models/ggml-base.en.bin
+WHISPER_LANGUAGE=en
+# Several languages at home? Use a multilingual model (ggml-base.bin) and:
+# WHISPER_LANGUAGE=auto
+# WHISPER_LANGUAGES=en,es,de
 
 # OpenClaw Gateway (Mac Mini or other host)
 OPENCLAW_HOST=192.168.1.XXX
 OPENCLAW_PORT=18789
 OPENCLAW_GATEWAY_TOKEN=
 
+# Text-to-speech: providers tried in order
+TTS_PROVIDERS=openclaw,piper,espeak
+OPENCLAW_TTS_VOICE=alloy
+PIPER_PATH=$HOME/piper/piper
+PIPER_VOICE=$HOME/piper/voices/en_US-lessac-medium.onnx
+# PIPER_VOICES=es:$HOME/piper/voices/es_ES-davefx-medium.onnx,de:$HOME/piper/voices/de_DE-thorsten-medium.onnx
+TTS_SPEED=1.0
+
 # Audio devices (check with: arecord -l / aplay -l)
 MIC_DEVICE=plughw:0,0
 SPEAKER_DEVICE=plughw:0,0
+# Software input gain in dB — set it from the calibration screen
+MIC_GAIN_DB=0
+
+# End-of-speech detection — tune per unit if it cuts off early or never stops
+VAD_THRESHOLD_DB=-50
+VAD_SILENCE_MS=1200
+VAD_MAX_MS=15000
+
+# Recording cleanup before STT — DC offset, rumble, level; noise: off | gate | spectral
+PREPROCESS_HIGHPASS_HZ=80
+PREPROCESS_TARGET_DB=-20
+PREPROCESS_NOISE=off
+
+# Local commands (time, volume, repeat...) — custom ones in INTENTS_FILE
+# INTENTS_FILE=$HOME/.openclaw-pi-assistant/intents.json
+
+# Speaker volume (mixer of SPEAKER_DEVICE's card) — level is remembered
+MIXER_CONTROL=PCM
+VOLUME_STEP=10
+VOLUME_MIN=0
+VOLUME_MAX=100
+VOLUME_DUCK_PERCENT=30
+
+# Pirate Audio buttons (A talk, B stop, X/Y volume, hold Y mute) — older
+# boards have Y on line 20, which the mic uses here
+BUTTONS_SOURCE=gpio
+BUTTONS_PINS=a:5,b:6,x:16,y:24
+
+# Timers, alarms and reminders ring on the Pi, gateway or not
+TIMER_SNOOZE_MINUTES=9
+TIMER_RING_MINUTES=10
+
+# Announcements (POST /api/announce, unprompted agent messages) — quiet
+# hours show them without speaking; urgent ones speak anyway
+ANNOUNCE_QUIET_HOURS=22:00-07:00
+ANNOUNCE_CHIME=true
+ANNOUNCE_DEDUP_SECONDS=300
+
+# Conversation history retention
+HISTORY_MAX_MESSAGES=200
+HISTORY_MAX_CONVERSATIONS=20
+HISTORY_MAX_AGE_DAYS=30
 
 # Device ID (for OpenClaw node identification)
 DEVICE_ID=pi-assistant
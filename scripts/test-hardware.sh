@@ -123,6 +123,8 @@ else
 fi
 
 # ── 7. I2S AUDIO OUTPUT (PCM5102A DAC) ──
+# Once the server runs, the calibration screen (⚙️ → 🎚) does this and
+# section 8 per device, with levels — these stay for bring-up.
 header "7. I2S Audio Output (PCM5102A DAC)"
 
 if grep -q "hifiberry-dac\|pcm5102\|i2s" /boot/firmware/config.txt 2>/dev/null; then
@@ -0,0 +1,78 @@
+// Agent audio — the agent's own voice from chat.audio / agent.audio events
+// Payloads carry either a url (absolute, or relative to the gateway) or
+// base64 data. The clip is written to a temp file named after its real
+// format (sniffed from the bytes; the payload's format/mimeType is a hint).
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { getConfig } from './config.js';
+import { tempDir, removeTemp } from './temp.js';
+
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+const MIME_FORMATS = {
+  'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/wave': 'wav',
+  'audio/mpeg': 'mp3', 'audio/mp3': 'mp3',
+  'audio/ogg': 'opus', 'audio/opus': 'opus',
+};
+
+// Magic bytes → wav | mp3 | opus, or null if unrecognized
+export function detectFormat(buf) {
+  if (buf.length < 12) return null;
+  if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+  if (buf.toString('ascii', 0, 4) === 'OggS') return 'opus';
+  if (buf.toString('ascii', 0, 3) === 'ID3') return 'mp3';
+  if (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0) return 'mp3'; // MPEG frame sync
+  return null;
+}
+
+function hintedFormat(payload) {
+  const hint = (payload.format || payload.mimeType || payload.contentType || '').toLowerCase();
+  return MIME_FORMATS[hint.split(';')[0]] || (['wav', 'mp3', 'opus'].includes(hint) ? hint : null);
+}
+
+async function download(url, signal) {
+  const gateway = `http://${getConfig('gateway.host')}:${getConfig('gateway.port')}`;
+  const token = getConfig('gateway.token');
+  const target = new URL(url, gateway);
+  const headers = {};
+  // Only hand our token to the gateway itself
+  if (token && target.origin === new URL(gateway).origin) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const timeout = AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS);
+  const res = await fetch(target, {
+    headers,
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return {
+    data: Buffer.from(await res.arrayBuffer()),
+    mimeType: res.headers.get('content-type'),
+  };
+}
+
+// → { path, format }. Rejects if the clip can't be fetched or isn't audio
+// we know how to play.
+export async function loadAgentAudio(payload, { signal } = {}) {
+  let data;
+  let mimeType = null;
+  if (payload.base64) {
+    data = Buffer.from(payload.base64, 'base64');
+  } else {
+    ({ data, mimeType } = await download(payload.url, signal));
+  }
+  signal?.throwIfAborted();
+
+  const format = detectFormat(data) || hintedFormat(payload) || hintedFormat({ mimeType: mimeType || '' });
+  if (!format) throw new Error('Unrecognized audio format');
+
+  const dir = await tempDir('oc-tts-');
+  const path = join(dir, `agent.${format}`);
+  try {
+    await writeFile(path, data);
+  } catch (err) {
+    await removeTemp(dir);
+    throw err;
+  }
+  return { path, format };
+}
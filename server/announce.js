@@ -0,0 +1,271 @@
+// Announcements — other systems making the Pi speak up
+// Home automation posts them (POST /api/announce), the gateway invokes the
+// announce command, and text the agent sends unprompted (a run we didn't
+// start — see openclaw.js 'message') arrives here too when announce.gateway
+// is on. They queue by priority, then age, and are read out between turns
+// — a chime first (announce.chime) — through the player index.js hands to
+// startAnnouncements(); only an urgent one cuts into a turn, or into a less
+// urgent announcement (which goes back in the queue).
+//
+// During announce.quietHours anything short of urgent is shown, not spoken.
+// The same text (or key) again within announce.dedupSeconds is dropped; one
+// still queued after its ttlSeconds is shown instead of spoken. Screens show
+// them as cards for announce.keepMinutes or until dismissed.
+//
+// An announcement is { id, text, title, priority, source, key, language,
+// createdAt, expiresAt, state: queued | speaking | spoken | shown }.
+//
+// announcementEvents 'change' — listAnnouncements() after anything changed
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { getConfig } from './config.js';
+import { currentLanguage, normalizeLanguage } from './i18n.js';
+import { gatewayEvents, registerCommand } from './openclaw.js';
+import { counter } from './metrics.js';
+
+export const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const MAX_TEXT = 500;
+const MAX_TITLE = 60;
+const MAX_QUEUED = 20;
+const DEFAULT_TTL_S = 600;
+const MAX_TTL_S = 86400;
+const RETRY_MS = 1000;   // a turn is on — look again this often
+const SWEEP_MS = 60000;
+
+// status: 400 bad request, 404 no such announcement, 429 queue full
+export class AnnounceError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AnnounceError';
+    this.status = status;
+  }
+}
+
+export const announcementEvents = new EventEmitter();
+
+const outcomes = counter('openclaw_pi_announcements_total', 'Announcements by source and outcome');
+
+const announcements = new Map(); // id → announcement, oldest first
+const recent = new Map();        // dedup key → last seen (ms)
+let player = null;  // { busy(), play(announcement), interrupt() }
+let current = null; // the one being read out
+let preempted = null;
+let pumping = false;
+let retryTimer = null;
+let clock = Date.now; // → ms; tests set their own (setAnnounceClock)
+
+const rank = (a) => PRIORITIES.indexOf(a.priority);
+const dedupKey = ({ key, text }) => key || text.toLowerCase().replace(/\W+/g, ' ').trim();
+
+// "22:00-07:00" → is date inside it? Wraps past midnight; '' is never
+export function inQuietHours(spec, date = new Date(clock())) {
+  const m = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(spec || '');
+  if (!m) return false;
+  const [from, to] = [[m[1], m[2]], [m[3], m[4]]].map(([h, min]) => Number(h) * 60 + Number(min));
+  const now = date.getHours() * 60 + date.getMinutes();
+  return from <= to ? now >= from && now < to : now >= from || now < to;
+}
+
+function changed() {
+  announcementEvents.emit('change', listAnnouncements());
+}
+
+function settle(announcement, state, outcome = state) {
+  announcement.state = state;
+  outcomes.inc({ source: announcement.source, outcome });
+}
+
+// Newest first, as the screens stack them
+export function listAnnouncements() {
+  return [...announcements.values()].reverse().map((a) => ({ ...a }));
+}
+
+export function queuedAnnouncements() {
+  return [...announcements.values()].filter((a) => a.state === 'queued');
+}
+
+function nextQueued() {
+  return queuedAnnouncements().sort((a, b) => rank(b) - rank(a) || a.createdAt - b.createdAt)[0] || null;
+}
+
+// Out of time in the queue → shown only; cards past announce.keepMinutes go
+function sweep(now = clock()) {
+  let dirty = false;
+  const keepMs = getConfig('announce.keepMinutes') * 60000;
+  for (const a of announcements.values()) {
+    if (a.state === 'queued' && now >= a.expiresAt) {
+      settle(a, 'shown', 'expired');
+      dirty = true;
+    } else if (a.state !== 'queued' && a.state !== 'speaking' && now - a.createdAt >= keepMs) {
+      announcements.delete(a.id);
+      dirty = true;
+    }
+  }
+  const dedupMs = getConfig('announce.dedupSeconds') * 1000;
+  for (const [key, seen] of recent) if (now - seen >= dedupMs) recent.delete(key);
+  return dirty;
+}
+
+// { text, title?, priority?, key?, ttlSeconds?, language?, source? }
+// → { announcement, duplicate }
+export function announce(fields = {}) {
+  const text = typeof fields.text === 'string' ? fields.text.trim() : '';
+  if (!text) throw new AnnounceError(400, 'text is required');
+  if (text.length > MAX_TEXT) throw new AnnounceError(400, `text is over ${MAX_TEXT} characters`);
+  const priority = fields.priority ?? 'normal';
+  if (!PRIORITIES.includes(priority)) throw new AnnounceError(400, `priority must be one of ${PRIORITIES.join(', ')}`);
+  const ttl = Number(fields.ttlSeconds ?? DEFAULT_TTL_S);
+  if (!Number.isFinite(ttl) || ttl < 1 || ttl > MAX_TTL_S) {
+    throw new AnnounceError(400, `ttlSeconds must be between 1 and ${MAX_TTL_S}`);
+  }
+  const title = typeof fields.title === 'string' ? fields.title.trim().slice(0, MAX_TITLE) || null : null;
+  const key = typeof fields.key === 'string' ? fields.key.trim() || null : null;
+
+  sweep();
+  const dedup = dedupKey({ key, text });
+  if (recent.has(dedup)) {
+    outcomes.inc({ source: fields.source || 'api', outcome: 'duplicate' });
+    const earlier = [...announcements.values()].reverse().find((a) => dedupKey(a) === dedup);
+    return { announcement: earlier ? { ...earlier } : null, duplicate: true };
+  }
+  if (queuedAnnouncements().length >= MAX_QUEUED) throw new AnnounceError(429, 'Too many announcements queued');
+
+  const now = clock();
+  if (getConfig('announce.dedupSeconds')) recent.set(dedup, now);
+  const announcement = {
+    id: crypto.randomUUID(),
+    text,
+    title,
+    priority,
+    source: fields.source || 'api',
+    key,
+    language: normalizeLanguage(fields.language) || currentLanguage(),
+    createdAt: now,
+    expiresAt: now + ttl * 1000,
+    state: 'queued',
+  };
+  announcements.set(announcement.id, announcement);
+  console.log(`Announcement (${priority}, ${announcement.source}):`, text);
+
+  if (priority !== 'urgent' && inQuietHours(getConfig('announce.quietHours'))) {
+    settle(announcement, 'shown', 'quiet');
+  } else if (priority === 'urgent' && current && current.priority !== 'urgent') {
+    preempted = current;
+    player?.interrupt();
+  }
+  changed();
+  pump();
+  return { announcement: { ...announcement }, duplicate: false };
+}
+
+// Off the screens (and out of the queue); the one being read out stops
+export function dismissAnnouncement(id) {
+  const announcement = announcements.get(id);
+  if (!announcement) throw new AnnounceError(404, 'No such announcement');
+  announcements.delete(id);
+  if (announcement.state === 'queued') outcomes.inc({ source: announcement.source, outcome: 'dismissed' });
+  if (announcement === current) player?.interrupt();
+  changed();
+}
+
+// Read out what's queued, best first, until the queue is empty or a turn is
+// on. One at a time; whoever calls while it runs is picked up by the loop.
+async function pump() {
+  if (pumping || !player) return;
+  pumping = true;
+  clearTimeout(retryTimer);
+  try {
+    for (;;) {
+      if (sweep()) changed();
+      const next = nextQueued();
+      if (!next) break;
+      if (next.priority !== 'urgent' && inQuietHours(getConfig('announce.quietHours'))) {
+        settle(next, 'shown', 'quiet');
+        changed();
+        continue;
+      }
+      if (player.busy()) {
+        if (next.priority !== 'urgent') {
+          retryTimer = setTimeout(pump, RETRY_MS);
+          retryTimer.unref();
+          break;
+        }
+        await player.interrupt();
+      }
+
+      current = next;
+      next.state = 'speaking';
+      changed();
+      let started = false;
+      let failed = false;
+      try {
+        started = await player.play({ ...next, chime: getConfig('announce.chime') });
+      } catch (err) {
+        // Couldn't be read out — it stays on the screens
+        console.error('Announcement failed:', err.message);
+        failed = true;
+      } finally {
+        current = null;
+      }
+      if (!announcements.has(next.id)) continue; // dismissed while speaking
+      if (failed) {
+        settle(next, 'shown', 'failed');
+      } else if (preempted === next || !started) {
+        next.state = 'queued';
+      } else {
+        settle(next, 'spoken');
+      }
+      preempted = null;
+      changed();
+      if (!started && !failed) {
+        retryTimer = setTimeout(pump, RETRY_MS);
+        retryTimer.unref();
+        break;
+      }
+    }
+  } catch (err) {
+    console.error('Announcements:', err.message);
+  } finally {
+    pumping = false;
+  }
+}
+
+// index.js: busy() — a turn is on; play(announcement) → false if it couldn't
+// start; interrupt() — end the turn or announcement in progress
+export function startAnnouncements(announcer) {
+  player = announcer;
+  pump();
+}
+
+// For tests: quiet hours, expiry and dedup by fn's time instead of the real one
+export function setAnnounceClock(fn = Date.now) {
+  clock = fn;
+}
+
+export function announcementsStatus() {
+  return {
+    queued: queuedAnnouncements().length,
+    speaking: current?.id ?? null,
+    quiet: inQuietHours(getConfig('announce.quietHours')),
+  };
+}
+
+// Cards time out even when nothing new comes in
+setInterval(() => {
+  if (sweep()) changed();
+}, SWEEP_MS).unref();
+
+// Unprompted agent messages: spoken like any other announcement
+gatewayEvents.on('message', ({ text, priority }) => {
+  if (!getConfig('announce.gateway')) return;
+  try {
+    announce({ text: text.slice(0, MAX_TEXT), priority: PRIORITIES.includes(priority) ? priority : 'normal', source: 'gateway' });
+  } catch (err) {
+    console.warn('Gateway message not announced:', err.message);
+  }
+});
+
+registerCommand('announce', (params) => {
+  const { announcement, duplicate } = announce({ ...params, source: 'gateway' });
+  return { id: announcement?.id ?? null, state: announcement?.state ?? null, duplicate };
+});
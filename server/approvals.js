@@ -0,0 +1,119 @@
+// Approvals — gateway exec/tool approval requests answered on the device
+// Each request becomes a prompt (shown as the confirm dialog and, unless
+// approval.voice is off, read aloud with a spoken yes/no answer). Whichever
+// answer comes first wins; no answer before the timeout is a deny.
+//
+// 'prompt'   — { id, text, expiresAtMs }
+// 'resolved' — { id, approved, via: screen | voice | timeout | gateway }
+import { EventEmitter } from 'events';
+import { gatewayEvents, sendApprovalDecision } from './openclaw.js';
+import { synthesize } from './tts.js';
+import { playAudio } from './audio.js';
+import { removeTemp } from './temp.js';
+import { listenOnce } from './pipeline.js';
+import { speaker } from './locks.js';
+import { getConfig } from './config.js';
+import { currentLanguage, t } from './i18n.js';
+const VOICE_ATTEMPTS = 2;
+
+// English, Spanish and German; letter lookarounds since \b doesn't know "sí"
+const YES = /(?<!\p{L})(yes|yeah|yep|sure|ok|okay|allow|approve|approved|go ahead|do it|sí|si|vale|claro|adelante|de acuerdo|hazlo|ja|jawohl|genau|klar|mach das|erlauben)(?!\p{L})/iu;
+const NO = /(?<!\p{L})(no|nope|deny|denied|don'?t|do not|stop|cancel|cancela|cancelar|nein|nicht|nö|stopp|abbrechen)(?!\p{L})/iu;
+
+export const approvals = new EventEmitter();
+
+const pending = new Map(); // id → { id, kind, text, expiresAtMs, timer, controller }
+
+// Parse a spoken answer → true / false / null (unclear). "No" wins a tie.
+export function parseAnswer(text) {
+  if (NO.test(text)) return false;
+  if (YES.test(text)) return true;
+  return null;
+}
+
+export function pendingApprovals() {
+  return [...pending.values()].map(({ id, text, expiresAtMs }) => ({ id, text, expiresAtMs }));
+}
+
+function close(id) {
+  const prompt = pending.get(id);
+  if (!prompt) return null;
+  pending.delete(id);
+  clearTimeout(prompt.timer);
+  prompt.controller.abort();
+  return prompt;
+}
+
+export async function resolveApproval(id, approved, via = 'screen') {
+  const prompt = close(id);
+  if (!prompt) return false;
+  console.log(`Approval ${id} ${approved ? 'allowed' : 'denied'} (${via})`);
+  approvals.emit('resolved', { id, approved, via });
+  try {
+    await sendApprovalDecision(prompt.kind, id, approved ? 'allow-once' : 'deny');
+  } catch (err) {
+    console.error('Approval decision not delivered:', err.message);
+  }
+  return true;
+}
+
+async function askByVoice(prompt) {
+  const { signal } = prompt.controller;
+  const language = currentLanguage();
+  let question = `${prompt.text} ${t('sayYesOrNo', language)}`;
+  try {
+    for (let i = 0; i < VOICE_ATTEMPTS; i++) {
+      const audio = await synthesize(question, { signal, language });
+      if (audio) {
+        // Wait for a turn that's speaking to finish rather than talk over it
+        const release = await speaker.acquire('approval', { signal }).catch(async (err) => {
+          await removeTemp(audio.path); // never played
+          throw err;
+        });
+        try {
+          await playAudio(audio.path, { signal });
+        } finally {
+          release();
+        }
+      }
+      const heard = await listenOnce({ signal, owner: 'approval' });
+      if (signal.aborted) return;
+      const answer = parseAnswer(heard);
+      if (answer !== null) {
+        resolveApproval(prompt.id, answer, 'voice');
+        return;
+      }
+      question = t('sayYesOrNoAgain', language);
+    }
+  } catch (err) {
+    if (!signal.aborted) console.error('Voice approval error:', err.message);
+  }
+  // Still open — the screen (or the timeout) decides
+}
+
+export function requestApproval({ id, kind, text, expiresAtMs }) {
+  if (pending.has(id)) return;
+  const limit = getConfig('approval.timeoutMs');
+  const timeoutMs = expiresAtMs ? Math.max(0, Math.min(limit, expiresAtMs - Date.now())) : limit;
+
+  const prompt = {
+    id,
+    kind,
+    text,
+    expiresAtMs: Date.now() + timeoutMs,
+    controller: new AbortController(),
+    timer: setTimeout(() => resolveApproval(id, false, 'timeout'), timeoutMs),
+  };
+  pending.set(id, prompt);
+  console.log('Approval requested:', text);
+  approvals.emit('prompt', { id, text, expiresAtMs: prompt.expiresAtMs });
+
+  if (getConfig('approval.voice')) askByVoice(prompt);
+}
+
+gatewayEvents.on('approval', requestApproval);
+
+// Answered by another operator — just take the prompt down
+gatewayEvents.on('approval_resolved', ({ id }) => {
+  if (close(id)) approvals.emit('resolved', { id, approved: null, via: 'gateway' });
+});
@@ -1,98 +1,181 @@
 // Audio — ALSA record/play helpers (with macOS fallback)
 // Hardware: SPH0645 I2S MEMS mic + Pirate Audio DAC/amp
 import { spawn } from 'child_process';
-import { mkdtemp, unlink } from 'fs/promises';
-import { tmpdir } from 'os';
-import { join } from 'path';
+import { createDecoder, createScaler, resample } from './pcm.js';
+import { getConfig } from './config.js';
+import { fileEnvelope, LEVEL_INTERVAL_MS } from './levels.js';
+import { removeTemp } from './temp.js';
+import { countError } from './metrics.js';
 
 const IS_PI = process.platform === 'linux' && process.arch === 'arm64';
 
-// SPH0645 records at 48kHz natively (S32_LE, mono)
-// We record at 48k then whisper handles resampling to 16k
+// SPH0645 records at 48kHz natively (S32_LE, mono); recordings are
+// resampled to STT_RATE in-process before transcription
 const MIC_RATE = 48000;
 const MIC_FORMAT = 'S32_LE';
 const MIC_CHANNELS = 1;
-const MIC_DEVICE = process.env.MIC_DEVICE || 'plughw:0,0';
 
-// Pirate Audio DAC output
-const SPEAKER_DEVICE = process.env.SPEAKER_DEVICE || 'plughw:0,0';
+// Devices and the player override (audio.* in config.js) are read on each
+// use, so a settings change applies to the next recording or clip.
+// audio.player (e.g. "mpv --really-quiet", or "true" to discard audio in
+// headless tests) gets the file path as its last argument.
 
-export async function startRecording() {
-  const dir = await mkdtemp(join(tmpdir(), 'oc-audio-'));
-  const wavPath = join(dir, 'recording.wav');
+// What whisper wants: 16 kHz mono
+export const STT_RATE = 16000;
 
+// Raw PCM format produced by startCapture()
+export const CAPTURE_FORMAT = IS_PI
+  ? { rate: MIC_RATE, bits: 32 }
+  : { rate: 16000, bits: 16 };
+
+// Continuous capture — raw PCM to stdout, handed to onData in chunks.
+// Backs always-listening mode, startRecording() and the calibration clip.
+// audio.inputGain (dB, read per chunk) is applied here, so everything
+// downstream hears the same level. device / gainDb override the settings.
+export function startCapture(onData, { device, gainDb } = {}) {
   let proc;
   if (IS_PI) {
-    // ALSA: record from SPH0645 I2S mic
     proc = spawn('arecord', [
-      '-D', MIC_DEVICE,
+      '-D', device || getConfig('audio.micDevice'),
       '-f', MIC_FORMAT,
       '-r', String(MIC_RATE),
       '-c', String(MIC_CHANNELS),
-      '-t', 'wav',
-      wavPath
-    ], { stdio: 'ignore' });
+      '-t', 'raw',
+      '-q',
+    ], { stdio: ['ignore', 'pipe', 'ignore'] });
   } else {
-    // macOS dev: use sox (brew install sox)
     proc = spawn('sox', [
-      '-d',           // default input
-      '-r', '16000',  // 16k is fine for dev
+      '-q', '-d',
+      '-r', '16000',
       '-c', '1',
       '-b', '16',
-      wavPath
-    ], { stdio: 'ignore' });
+      '-e', 'signed-integer',
+      '-t', 'raw', '-',
+    ], { stdio: ['ignore', 'pipe', 'ignore'] });
   }
 
+  const scale = createScaler(CAPTURE_FORMAT.bits);
+  proc.stdout.on('data', (chunk) => {
+    const gain = gainDb ?? getConfig('audio.inputGain');
+    const out = scale(chunk, gain ? 10 ** (gain / 20) : 1);
+    if (out.length) onData(out);
+  });
   proc.on('error', (err) => {
-    console.error('Record process error:', err.message);
+    console.error('Capture process error:', err.message);
   });
 
-  return { proc, wavPath, dir };
+  return {
+    proc,
+    stop() {
+      return new Promise((resolve) => {
+        if (proc.exitCode !== null || proc.signalCode) return resolve();
+        const timeout = setTimeout(() => {
+          try { proc.kill('SIGKILL'); } catch {}
+          resolve();
+        }, 1000);
+        proc.once('close', () => {
+          clearTimeout(timeout);
+          resolve();
+        });
+        proc.kill('SIGINT');
+      });
+    },
+  };
 }
 
-export async function stopRecording(handle) {
-  return new Promise((resolve, reject) => {
-    if (!handle || !handle.proc) return reject(new Error('No recording'));
+// Record a turn: decoded samples stay in memory (handed to onSamples as
+// they arrive, for VAD) — nothing touches the disk
+export async function startRecording(onSamples) {
+  const samples = [];
+  const decodeChunk = createDecoder(CAPTURE_FORMAT.bits);
 
-    const timeout = setTimeout(() => {
-      try { handle.proc.kill('SIGKILL'); } catch {}
-    }, 1500);
+  const capture = startCapture((chunk) => {
+    const decoded = decodeChunk(chunk);
+    samples.push(decoded);
+    if (onSamples) onSamples(decoded);
+  });
 
-    handle.proc.on('close', () => {
-      clearTimeout(timeout);
-      resolve(handle.wavPath);
-    });
-    handle.proc.on('error', (err) => {
-      clearTimeout(timeout);
-      reject(err);
-    });
+  return { capture, samples, rate: CAPTURE_FORMAT.rate };
+}
 
-    // SIGINT tells arecord to finalize the WAV header
-    if (handle.proc.pid) {
-      handle.proc.kill('SIGINT');
-    }
-  });
+// → the recording as STT_RATE mono samples
+export async function stopRecording(handle) {
+  if (!handle || !handle.capture) throw new Error('No recording');
+  await handle.capture.stop();
+
+  const all = new Float32Array(handle.samples.reduce((n, s) => n + s.length, 0));
+  let offset = 0;
+  for (const s of handle.samples) {
+    all.set(s, offset);
+    offset += s.length;
+  }
+  handle.samples = [];
+  return resample(all, handle.rate, STT_RATE);
 }
 
-export async function playAudio(wavPath) {
+// Plays to completion, or until signal aborts (barge-in) — then the player
+// is killed and the promise resolves early. device overrides audio.speakerDevice.
+// onLevel gets the clip's level frames in step with playback. The clip (and
+// its oc-* temp directory) is removed afterwards, however playback ends.
+export async function playAudio(wavPath, { signal, device, onLevel } = {}) {
+  if (signal?.aborted) {
+    await removeTemp(wavPath);
+    return;
+  }
+  // Worked out alongside playback rather than delaying it
+  const envelope = onLevel ? fileEnvelope(wavPath) : null;
+
   return new Promise((resolve) => {
     let proc;
-    if (IS_PI) {
+    const player = getConfig('audio.player');
+    const speakerDevice = device || getConfig('audio.speakerDevice');
+    if (player) {
+      const [cmd, ...args] = player.split(/\s+/);
+      proc = spawn(cmd, [...args, wavPath], { stdio: 'ignore' });
+    } else if (IS_PI && wavPath.endsWith('.wav')) {
       // Play through Pirate Audio DAC/amp
-      proc = spawn('aplay', ['-D', SPEAKER_DEVICE, wavPath], { stdio: 'ignore' });
+      proc = spawn('aplay', ['-D', speakerDevice, wavPath], { stdio: 'ignore' });
+    } else if (IS_PI) {
+      // mp3 / opus (gateway TTS, agent audio) — aplay only does PCM
+      proc = spawn('ffmpeg', ['-loglevel', 'error', '-i', wavPath, '-f', 'alsa', speakerDevice], { stdio: 'ignore' });
     } else {
       // macOS
       proc = spawn('afplay', [wavPath], { stdio: 'ignore' });
     }
 
+    let meter = null;
+    let frames = null;
+    if (envelope) {
+      const started = Date.now();
+      envelope.then((f) => { frames = f; });
+      meter = setInterval(() => {
+        const frame = frames?.[Math.floor((Date.now() - started) / LEVEL_INTERVAL_MS)];
+        if (frame) onLevel(frame);
+      }, LEVEL_INTERVAL_MS);
+    }
+    const stopMeter = () => {
+      if (!meter) return;
+      clearInterval(meter);
+      meter = null;
+      onLevel({ level: 0, peak: 0 });
+    };
+
+    const onAbort = () => {
+      try { proc.kill('SIGTERM'); } catch {}
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     proc.on('close', () => {
-      // Clean up temp file
-      unlink(wavPath).catch(() => {});
-      resolve();
+      stopMeter();
+      signal?.removeEventListener('abort', onAbort);
+      removeTemp(wavPath).then(resolve);
     });
     proc.on('error', (err) => {
+      stopMeter();
+      signal?.removeEventListener('abort', onAbort);
       console.error('Playback error:', err.message);
-      resolve(); // Don't block pipeline
+      countError('playback');
+      removeTemp(wavPath).then(resolve); // Don't block pipeline
     });
   });
 }
@@ -0,0 +1,201 @@
+// Buttons — the Pirate Audio's four buttons (or any GPIO buttons)
+// Each press maps to an action through buttons.actions; index.js runs them
+// through the same handlers as the screen's taps. A button with a
+// "<name>-long" action fires that once held for buttons.longPressMs, and its
+// short action on release; without one, the short action fires on press.
+//
+// Sources (buttons.source):
+//   gpio      — gpiomon (libgpiod) on buttons.chip, one line per button
+//               (buttons.pins), pulled up: pressed pulls the line low.
+//               Edges closer together than buttons.debounceMs are contact
+//               bounce — a button counts once it has settled.
+//   simulated — no hardware; pressButton() (POST /api/buttons/:name) stands
+//               in for a finger
+//
+// buttonEvents 'action' — { action, button, long }
+import { execFile, spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { promisify } from 'util';
+import { getConfig, watchConfig } from './config.js';
+import { counter } from './metrics.js';
+
+const execFileAsync = promisify(execFile);
+const RETRY_MS = 5000;
+const MAX_HOLD_MS = 10000;
+
+export class ButtonError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ButtonError';
+    this.status = status;
+  }
+}
+
+export const buttonEvents = new EventEmitter();
+
+const presses = counter('openclaw_pi_button_presses_total', 'Button presses by button and action');
+
+let source = null;
+let buttons = new Map(); // name → { raw, down, settle, long, longFired }
+let lastError = null;
+let sync = Promise.resolve();
+
+// "5 0" → { line: 5, pressed: true } (%o %e — falling edge, to ground)
+export function parseGpiomon(text) {
+  const m = /^(\d+)\s+(\d)/.exec(text.trim());
+  return m ? { line: Number(m[1]), pressed: m[2] !== '1' } : null;
+}
+
+// libgpiod 2 takes the chip as an option rather than the first argument
+async function gpiomonArgs(chip, lines) {
+  let version;
+  try {
+    ({ stdout: version } = await execFileAsync('gpiomon', ['--version'], { timeout: 3000 }));
+  } catch (err) {
+    throw new Error(err.code === 'ENOENT' ? 'gpiomon not found (apt install gpiod)' : `gpiomon failed: ${err.message}`);
+  }
+  const major = Number(/v(\d+)/.exec(version)?.[1] || 1);
+  const common = ['--bias=pull-up', '--format=%o %e'];
+  return major >= 2 ? ['--chip', chip, ...common, ...lines] : [...common, chip, ...lines];
+}
+
+const sources = {
+  async gpio(onEdge) {
+    const pins = getConfig('buttons.pins');
+    const byLine = new Map(Object.entries(pins).map(([name, line]) => [Number(line), name]));
+    const args = await gpiomonArgs(getConfig('buttons.chip'), Object.values(pins));
+    let proc = null;
+    let retry = null;
+    let closed = false;
+
+    const run = () => {
+      proc = spawn('gpiomon', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      let lineBuf = '';
+      let stderr = '';
+      proc.stdout.on('data', (data) => {
+        lineBuf += data.toString();
+        let nl;
+        while ((nl = lineBuf.indexOf('\n')) >= 0) {
+          const edge = parseGpiomon(lineBuf.slice(0, nl));
+          lineBuf = lineBuf.slice(nl + 1);
+          if (edge && byLine.has(edge.line)) onEdge(byLine.get(edge.line), edge.pressed);
+        }
+      });
+      proc.stderr.on('data', (data) => { stderr += data; });
+      proc.on('error', (err) => { lastError = `gpiomon failed: ${err.message}`; });
+      // A line claimed by something else, a chip that went away — keep trying
+      proc.on('exit', (code) => {
+        if (closed) return;
+        lastError = `gpiomon exited (${code}): ${stderr.trim().split('\n').pop() || 'no output'}`;
+        console.warn('Buttons:', lastError);
+        retry = setTimeout(run, RETRY_MS);
+        retry.unref();
+      });
+      lastError = null;
+    };
+    run();
+
+    return {
+      close() {
+        closed = true;
+        clearTimeout(retry);
+        proc.kill();
+      },
+    };
+  },
+
+  simulated() {
+    return { close() {} };
+  },
+};
+
+function fire(name, long) {
+  const action = getConfig('buttons.actions')[long ? `${name}-long` : name];
+  if (!action || action === 'none') return;
+  presses.inc({ button: name, action });
+  console.log(`Button ${name}${long ? ' (held)' : ''}: ${action}`);
+  buttonEvents.emit('action', { action, button: name, long });
+}
+
+function settled(name, button) {
+  if (button.raw === button.down) return;
+  button.down = button.raw;
+  const hasLong = !!getConfig('buttons.actions')[`${name}-long`];
+  if (button.down) {
+    if (!hasLong) return fire(name, false);
+    button.longFired = false;
+    button.long = setTimeout(() => {
+      button.longFired = true;
+      fire(name, true);
+    }, getConfig('buttons.longPressMs'));
+  } else {
+    clearTimeout(button.long);
+    if (hasLong && !button.longFired) fire(name, false);
+  }
+}
+
+// Every edge restarts the settle wait; only the state it settles on counts
+function onEdge(name, pressed) {
+  const button = buttons.get(name);
+  if (!button) return;
+  button.raw = pressed;
+  clearTimeout(button.settle);
+  const debounceMs = getConfig('buttons.debounceMs');
+  if (!debounceMs) return settled(name, button);
+  button.settle = setTimeout(() => settled(name, button), debounceMs);
+}
+
+function stop() {
+  source?.close();
+  source = null;
+  for (const button of buttons.values()) {
+    clearTimeout(button.settle);
+    clearTimeout(button.long);
+  }
+}
+
+function restart() {
+  sync = sync.then(async () => {
+    stop();
+    lastError = null;
+    buttons = new Map(Object.keys(getConfig('buttons.pins')).map((name) => [name, { raw: false, down: false }]));
+    const kind = getConfig('buttons.source');
+    if (kind === 'off') return;
+    source = await sources[kind](onEdge);
+    console.log(`Buttons: ${kind} (${[...buttons.keys()].join(', ')})`);
+  }).catch((err) => {
+    lastError = err.message;
+    console.error('Buttons error:', err.message);
+  });
+  return sync;
+}
+
+export function startButtons() {
+  return restart();
+}
+
+export function buttonsStatus() {
+  const pins = getConfig('buttons.pins');
+  return {
+    source: getConfig('buttons.source'),
+    buttons: [...buttons].map(([name, { down }]) => ({ name, line: Number(pins[name]), down })),
+    error: lastError,
+  };
+}
+
+// Simulated source only: press and hold for holdMs → resolves once released
+export async function pressButton(name, holdMs = 100) {
+  if (getConfig('buttons.source') !== 'simulated') throw new ButtonError(409, 'Buttons are not simulated');
+  if (!buttons.has(name)) throw new ButtonError(404, `No button "${name}"`);
+  const hold = Number(holdMs);
+  if (!Number.isFinite(hold) || hold < 0 || hold > MAX_HOLD_MS) {
+    throw new ButtonError(400, `holdMs must be between 0 and ${MAX_HOLD_MS}`);
+  }
+  const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+  onEdge(name, true);
+  await wait(getConfig('buttons.debounceMs') + hold);
+  onEdge(name, false);
+  await wait(getConfig('buttons.debounceMs'));
+}
+
+watchConfig(['buttons.source', 'buttons.chip', 'buttons.pins'], () => restart());
@@ -0,0 +1,196 @@
+// Calibration — pick the mic and speaker and set input gain from the device
+// Lists ALSA capture/playback devices, records a short test clip through
+// the normal capture path (so audio.inputGain applies) and reports its
+// levels, and plays a tone or the clip back. Stands in for sections 7 and 8
+// of scripts/test-hardware.sh.
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { startCapture, playAudio, CAPTURE_FORMAT } from './audio.js';
+import { decode, wavHeader, toWav, peak, rms, mean, dbfs } from './pcm.js';
+import { pauseWake, resumeWake } from './wakeword.js';
+import { mic, speaker } from './locks.js';
+import { getConfig } from './config.js';
+import { withTempDir } from './temp.js';
+
+const execFileAsync = promisify(execFile);
+
+const MAX_CLIP_SECONDS = 10;
+const TONE_RATE = 48000;
+const TARGET_PEAK_DB = -6; // speech peaks here leave headroom without going quiet
+
+// status: 400 bad request, 404 nothing to play, 409 mic/speaker busy
+export class CalibrationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'CalibrationError';
+    this.status = status;
+  }
+}
+
+const DEVICE_NAME = /^[\w:,.=-]+$/; // plughw:1,0, default, mic, hw:CARD=sndrpi,DEV=0
+
+function checkDevice(device) {
+  if (device !== undefined && device !== null && !(typeof device === 'string' && DEVICE_NAME.test(device))) {
+    throw new CalibrationError(400, 'Not a valid ALSA device name');
+  }
+}
+
+let lastClip = null; // { wav, stats, recordedAt }
+
+// `arecord -l` / `aplay -l` output → [{ id, card, device, name, description }]
+// "card 0: sndrpihifiberry [snd_rpi_hifiberry_dac], device 0: HifiBerry DAC HiFi pcm5102a-hifi-0 [...]"
+export function parseAlsaList(text) {
+  const devices = [];
+  const re = /^card (\d+): (\S+) \[([^\]]*)\], device (\d+): ([^[\n]*?)\s*(?:\[([^\]]*)\])?$/gm;
+  for (const m of text.matchAll(re)) {
+    const [, card, cardId, cardName, device, name, description] = m;
+    devices.push({
+      id: `plughw:${card},${device}`,
+      card: Number(card),
+      device: Number(device),
+      name: `${cardName || cardId}: ${name}`.trim(),
+      description: description || name,
+    });
+  }
+  return devices;
+}
+
+async function alsaDevices(cmd) {
+  try {
+    const { stdout } = await execFileAsync(cmd, ['-l'], { timeout: 5000 });
+    return parseAlsaList(stdout);
+  } catch {
+    return null; // not installed (dev machine) or ALSA trouble
+  }
+}
+
+// → { capture, playback, current: { mic, speaker }, inputGain }. 'default'
+// is always offered — it's whatever /etc/asound.conf says.
+export async function listDevices() {
+  const [capture, playback] = await Promise.all([alsaDevices('arecord'), alsaDevices('aplay')]);
+  const withDefault = (list) => [{ id: 'default', name: 'ALSA default', description: '/etc/asound.conf' }, ...(list || [])];
+  return {
+    available: capture !== null,
+    capture: withDefault(capture),
+    playback: withDefault(playback),
+    current: { mic: getConfig('audio.micDevice'), speaker: getConfig('audio.speakerDevice') },
+    inputGain: getConfig('audio.inputGain'),
+  };
+}
+
+// Levels of a test clip recorded at gainDb, plus what (if anything) looks
+// wrong with it
+export function clipStats(samples, rate, gainDb = 0) {
+  const dc = mean(samples);
+  let clipped = 0;
+  for (let i = 0; i < samples.length; i++) if (Math.abs(samples[i]) >= 0.999) clipped++;
+
+  const stats = {
+    seconds: Math.round((samples.length / rate) * 100) / 100,
+    peakDb: Math.round(dbfs(peak(samples)) * 10) / 10,
+    rmsDb: Math.round(dbfs(rms(samples)) * 10) / 10,
+    dcOffset: Math.round(dc * 10000) / 10000,
+    clippedPercent: samples.length ? Math.round((clipped / samples.length) * 10000) / 100 : 0,
+  };
+
+  const warnings = [];
+  if (!samples.length) warnings.push('no-audio');
+  else if (stats.peakDb < -60) warnings.push('silent');
+  else if (stats.peakDb < -30) warnings.push('quiet');
+  if (stats.clippedPercent > 0.1) warnings.push('clipping');
+  if (Math.abs(dc) > 0.01) warnings.push('dc-offset');
+  stats.warnings = warnings;
+
+  // Gain change that brings the loudest moment to TARGET_PEAK_DB, within the
+  // range audio.inputGain allows. Meaningless when nothing came through.
+  if (samples.length && stats.peakDb > -60) {
+    const suggested = Math.round(gainDb + TARGET_PEAK_DB - stats.peakDb);
+    stats.suggestedGainDb = Math.max(-20, Math.min(30, suggested));
+  }
+  return stats;
+}
+
+// Record seconds of audio from device at gainDb (defaults: audio.micDevice,
+// audio.inputGain) → stats. The clip is kept for playTestClip().
+export async function recordTestClip({ device, seconds = 3, gainDb = getConfig('audio.inputGain') } = {}) {
+  if (!(seconds > 0 && seconds <= MAX_CLIP_SECONDS)) {
+    throw new CalibrationError(400, `seconds must be between 0 and ${MAX_CLIP_SECONDS}`);
+  }
+  if (!(gainDb >= -20 && gainDb <= 30)) throw new CalibrationError(400, 'gainDb must be between -20 and 30');
+  checkDevice(device);
+  const release = mic.tryAcquire('calibration');
+  if (!release) throw new CalibrationError(409, 'Mic busy');
+
+  await pauseWake();
+  const chunks = [];
+  try {
+    await new Promise((resolve) => {
+      const capture = startCapture((chunk) => chunks.push(chunk), { device, gainDb });
+      const timer = setTimeout(() => capture.stop().then(resolve), seconds * 1000);
+      capture.proc.on('close', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  } finally {
+    release();
+    resumeWake();
+  }
+
+  const pcm = Buffer.concat(chunks);
+  const samples = decode(pcm, CAPTURE_FORMAT.bits);
+  const stats = clipStats(samples, CAPTURE_FORMAT.rate, gainDb);
+  stats.device = device || getConfig('audio.micDevice');
+  stats.gainDb = gainDb;
+  lastClip = {
+    wav: Buffer.concat([wavHeader(pcm.length, CAPTURE_FORMAT), pcm]),
+    stats,
+    recordedAt: Date.now(),
+  };
+  console.log('Calibration clip:', stats);
+  return stats;
+}
+
+export function testClip() {
+  return lastClip;
+}
+
+async function playBuffer(wav, device) {
+  checkDevice(device);
+  const release = speaker.tryAcquire('calibration');
+  if (!release) throw new CalibrationError(409, 'Speaker busy');
+  try {
+    await withTempDir('oc-audio-', async (dir) => {
+      const path = join(dir, 'test.wav');
+      await writeFile(path, wav);
+      await playAudio(path, { device });
+    });
+  } finally {
+    release();
+  }
+}
+
+export function toneWav(frequency = 440, seconds = 1) {
+  const n = Math.round(TONE_RATE * seconds);
+  const samples = new Float32Array(n);
+  const fade = Math.min(n / 2, TONE_RATE * 0.02); // no clicks at either end
+  for (let i = 0; i < n; i++) {
+    const env = Math.min(1, i / fade, (n - i) / fade);
+    samples[i] = 0.5 * env * Math.sin((2 * Math.PI * frequency * i) / TONE_RATE);
+  }
+  return toWav(samples, TONE_RATE);
+}
+
+export async function playTestTone({ device, frequency = 440, seconds = 1 } = {}) {
+  if (!(frequency >= 50 && frequency <= 8000) || !(seconds > 0 && seconds <= 5)) {
+    throw new CalibrationError(400, 'frequency must be 50–8000 Hz and seconds 0–5');
+  }
+  await playBuffer(toneWav(frequency, seconds), device);
+}
+
+export async function playTestClip({ device } = {}) {
+  if (!lastClip) throw new CalibrationError(404, 'Record a test clip first');
+  await playBuffer(lastClip.wav, device);
+}
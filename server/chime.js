@@ -0,0 +1,45 @@
+// Chimes — short synthesized bells played before something speaks up on
+// its own: a timer ringing, an announcement. Generated, not shipped as
+// files, and written to a temp WAV per play (playAudio() removes it).
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { playAudio } from './audio.js';
+import { tempDir, removeTemp } from './temp.js';
+import { toWav } from './pcm.js';
+
+const RATE = 24000;
+
+// [frequency, start (s)] per note
+const NOTES = {
+  timer: [[880, 0], [1319, 0.18]],   // A5 then E6
+  notice: [[1319, 0], [988, 0.15]],  // E6 down to B5
+};
+
+// Bell-like notes: a quick attack, then a decay
+function chimeSamples(notes) {
+  const n = Math.round(RATE * 0.9);
+  const samples = new Float32Array(n);
+  for (const [frequency, start] of notes) {
+    for (let i = Math.round(start * RATE); i < n; i++) {
+      const s = i / RATE - start;
+      samples[i] += 0.3 * Math.min(1, s * 200) * Math.exp(-s * 5) * Math.sin(2 * Math.PI * frequency * s);
+    }
+  }
+  return samples;
+}
+
+const CHIMES = Object.fromEntries(Object.entries(NOTES).map(([name, notes]) => [name, chimeSamples(notes)]));
+
+// Doesn't take the speaker lock — callers hold it around the chime and
+// whatever they say after it
+export async function playChime(name, { signal, gain = 1 } = {}) {
+  const dir = await tempDir('oc-audio-');
+  const path = join(dir, 'chime.wav');
+  try {
+    await writeFile(path, toWav(CHIMES[name].map((s) => s * gain), RATE));
+  } catch (err) {
+    await removeTemp(path);
+    throw err;
+  }
+  await playAudio(path, { signal });
+}
@@ -0,0 +1,361 @@
+// Config — one schema for every setting, with defaults and validation
+// Values come from (lowest first) the schema default, the environment /
+// .env, then CONFIG_FILE, which is what PUT /api/config writes. Settings
+// marked `restart` are read once at startup; everything else is read at
+// use time or reloaded by the module that owns it (see watchConfig).
+import { EventEmitter } from 'events';
+import { readFileSync } from 'fs';
+import { mkdir, rename, writeFile } from 'fs/promises';
+import { homedir } from 'os';
+import { dirname, join } from 'path';
+
+const CONFIG_FILE = process.env.CONFIG_FILE || join(homedir(), '.openclaw-pi-assistant', 'config.json');
+
+const TTS_PROVIDER_NAMES = ['openclaw', 'piper', 'say', 'espeak'];
+const BUTTON_ACTIONS = ['talk', 'stop', 'volume_up', 'volume_down', 'mute', 'none'];
+
+// type: string | int | number | bool | enum | list | map
+// (map: "es:nova,de:onyx" or an object — per-language values, or per
+// whatever `keys` names; a string or map `pattern` checks each value)
+// label/group feed the settings screen; secret values are never sent back out.
+// envOnly: commands and binaries the server runs, and where it writes files —
+// set in the environment / .env only, never through the API (which has no
+// auth) or config.json
+const SCHEMA = {
+  'server.port': { env: 'PORT', type: 'int', default: 3001, min: 1, max: 65535, restart: true, group: 'Server', label: 'HTTP port' },
+  'device.id': { env: 'DEVICE_ID', type: 'string', default: null, restart: true, group: 'Server', label: 'Device ID' },
+
+  'gateway.host': { env: 'OPENCLAW_HOST', type: 'string', default: '127.0.0.1', required: true, group: 'Gateway', label: 'Host' },
+  'gateway.port': { env: 'OPENCLAW_PORT', type: 'int', default: 18789, min: 1, max: 65535, group: 'Gateway', label: 'Port' },
+  'gateway.token': { env: 'OPENCLAW_GATEWAY_TOKEN', type: 'string', default: '', secret: true, group: 'Gateway', label: 'Token' },
+
+  'audio.micDevice': { env: 'MIC_DEVICE', type: 'string', default: 'plughw:0,0', required: true, group: 'Audio', label: 'Microphone' },
+  'audio.speakerDevice': { env: 'SPEAKER_DEVICE', type: 'string', default: 'plughw:0,0', required: true, group: 'Audio', label: 'Speaker' },
+  'audio.inputGain': { env: 'MIC_GAIN_DB', type: 'number', default: 0, min: -20, max: 30, group: 'Audio', label: 'Input gain (dB)' },
+  'audio.player': { env: 'AUDIO_PLAYER', type: 'string', default: null, envOnly: true, group: 'Audio', label: 'Player command' },
+
+  'audio.mixerCard': { env: 'MIXER_CARD', type: 'string', default: null, group: 'Volume', label: "Mixer card (blank: the speaker's)" },
+  'audio.mixerControl': { env: 'MIXER_CONTROL', type: 'string', default: 'PCM', group: 'Volume', label: 'Volume control' },
+  'audio.volumeStep': { env: 'VOLUME_STEP', type: 'int', default: 10, min: 1, max: 50, group: 'Volume', label: 'Louder / quieter step (%)' },
+  'volume.min': { env: 'VOLUME_MIN', type: 'int', default: 0, min: 0, max: 100, group: 'Volume', label: 'Lowest level (%)' },
+  'volume.max': { env: 'VOLUME_MAX', type: 'int', default: 100, min: 0, max: 100, group: 'Volume', label: 'Highest level (%)' },
+  'volume.limits': { env: 'VOLUME_LIMITS', type: 'map', keys: 'card', pattern: /^\d{1,3}-\d{1,3}$/, default: {}, group: 'Volume', label: 'Limits per card (card:min-max)' },
+  'volume.duckPercent': { env: 'VOLUME_DUCK_PERCENT', type: 'int', default: 30, min: 0, max: 100, group: 'Volume', label: 'Background sounds during a turn (%)' },
+  'volume.file': { env: 'VOLUME_FILE', type: 'string', default: join(homedir(), '.openclaw-pi-assistant', 'volume.json'), restart: true, envOnly: true, group: 'Volume', label: 'Saved to' },
+
+  'stt.backend': { env: 'STT_BACKEND', type: 'enum', values: ['whisper-server', 'whisper-cli', 'whisper-python'], default: 'whisper-cli', group: 'Speech recognition', label: 'Backend' },
+  'stt.model': { env: 'WHISPER_MODEL', type: 'string', default: null, group: 'Speech recognition', label: 'Whisper model' },
+  'stt.language': { env: 'WHISPER_LANGUAGE', type: 'string', default: 'en', pattern: /^(auto|[a-z]{2,3})$/, group: 'Speech recognition', label: 'Language' },
+  'stt.languages': { env: 'WHISPER_LANGUAGES', type: 'list', default: [], pattern: /^[a-z]{2,3}$/, group: 'Speech recognition', label: 'Languages spoken here (auto)' },
+  'stt.whisperPath': { env: 'WHISPER_PATH', type: 'string', default: null, envOnly: true, group: 'Speech recognition', label: 'whisper binary' },
+  'stt.serverPath': { env: 'WHISPER_SERVER_PATH', type: 'string', default: null, envOnly: true, group: 'Speech recognition', label: 'whisper-server binary' },
+  'stt.serverUrl': { env: 'WHISPER_SERVER_URL', type: 'string', default: null, pattern: /^https?:\/\//, group: 'Speech recognition', label: 'External whisper-server URL' },
+  'stt.serverPort': { env: 'WHISPER_SERVER_PORT', type: 'int', default: 8178, min: 1, max: 65535, group: 'Speech recognition', label: 'whisper-server port' },
+  'stt.threads': { env: 'WHISPER_THREADS', type: 'int', default: null, min: 1, max: 16, group: 'Speech recognition', label: 'Threads' },
+
+  'tts.providers': { env: 'TTS_PROVIDERS', type: 'list', values: TTS_PROVIDER_NAMES, default: TTS_PROVIDER_NAMES, group: 'Voice', label: 'Providers (in order)' },
+  'tts.openclawVoice': { env: 'OPENCLAW_TTS_VOICE', type: 'string', default: 'alloy', group: 'Voice', label: 'Gateway voice' },
+  'tts.piperPath': { env: 'PIPER_PATH', type: 'string', default: null, envOnly: true, group: 'Voice', label: 'Piper binary' },
+  'tts.piperVoice': { env: 'PIPER_VOICE', type: 'string', default: null, group: 'Voice', label: 'Piper voice (.onnx)' },
+  'tts.sayVoice': { env: 'SAY_VOICE', type: 'string', default: null, group: 'Voice', label: 'say voice' },
+  'tts.espeakVoice': { env: 'ESPEAK_VOICE', type: 'string', default: null, group: 'Voice', label: 'espeak voice' },
+  'tts.openclawVoices': { env: 'OPENCLAW_TTS_VOICES', type: 'map', default: {}, group: 'Voice', label: 'Gateway voice per language' },
+  'tts.piperVoices': { env: 'PIPER_VOICES', type: 'map', default: {}, group: 'Voice', label: 'Piper voice per language' },
+  'tts.sayVoices': { env: 'SAY_VOICES', type: 'map', default: {}, group: 'Voice', label: 'say voice per language' },
+  'tts.espeakVoices': { env: 'ESPEAK_VOICES', type: 'map', default: {}, group: 'Voice', label: 'espeak voice per language' },
+  'tts.speed': { env: 'TTS_SPEED', type: 'number', default: 1, min: 0.5, max: 2, group: 'Voice', label: 'Speed' },
+  'tts.pitch': { env: 'TTS_PITCH', type: 'number', default: 1, min: 0.5, max: 2, group: 'Voice', label: 'Pitch' },
+
+  'preprocess.enabled': { env: 'PREPROCESS', type: 'bool', default: true, group: 'Audio cleanup', label: 'Clean up recordings' },
+  'preprocess.highpassHz': { env: 'PREPROCESS_HIGHPASS_HZ', type: 'number', default: 80, min: 0, max: 400, group: 'Audio cleanup', label: 'High-pass (Hz, 0 = off)' },
+  'preprocess.normalize': { env: 'PREPROCESS_NORMALIZE', type: 'bool', default: true, group: 'Audio cleanup', label: 'Normalize level' },
+  'preprocess.targetDb': { env: 'PREPROCESS_TARGET_DB', type: 'number', default: -20, min: -40, max: -6, group: 'Audio cleanup', label: 'Speech level (dBFS)' },
+  'preprocess.maxGainDb': { env: 'PREPROCESS_MAX_GAIN_DB', type: 'number', default: 30, min: 0, max: 60, group: 'Audio cleanup', label: 'Max boost (dB)' },
+  'preprocess.noise': { env: 'PREPROCESS_NOISE', type: 'enum', values: ['off', 'gate', 'spectral'], default: 'off', group: 'Audio cleanup', label: 'Noise reduction' },
+  'preprocess.gateDb': { env: 'PREPROCESS_GATE_DB', type: 'number', default: 6, min: 0, max: 30, group: 'Audio cleanup', label: 'Gate above noise (dB)' },
+
+  'vad.enabled': { env: 'VAD', type: 'bool', default: true, group: 'End of speech', label: 'Auto-stop' },
+  'vad.thresholdDb': { env: 'VAD_THRESHOLD_DB', type: 'number', default: -50, min: -90, max: 0, group: 'End of speech', label: 'Threshold (dBFS)' },
+  'vad.snrDb': { env: 'VAD_SNR_DB', type: 'number', default: 10, min: 0, max: 40, group: 'End of speech', label: 'Above noise (dB)' },
+  'vad.silenceMs': { env: 'VAD_SILENCE_MS', type: 'int', default: 1200, min: 200, max: 10000, group: 'End of speech', label: 'Trailing silence (ms)' },
+  'vad.minSpeechMs': { env: 'VAD_MIN_SPEECH_MS', type: 'int', default: 200, min: 0, max: 5000, group: 'End of speech', label: 'Min speech (ms)' },
+  'vad.noSpeechMs': { env: 'VAD_NO_SPEECH_MS', type: 'int', default: 6000, min: 1000, max: 60000, group: 'End of speech', label: 'Give up after (ms)' },
+  'vad.maxMs': { env: 'VAD_MAX_MS', type: 'int', default: 15000, min: 1000, max: 120000, group: 'End of speech', label: 'Max utterance (ms)' },
+
+  'wake.engine': { env: 'WAKEWORD_ENGINE', type: 'enum', values: ['command', 'energy'], default: 'command', group: 'Wake word', label: 'Engine' },
+  'wake.command': { env: 'WAKEWORD_CMD', type: 'string', default: '', envOnly: true, group: 'Wake word', label: 'Spotter command' },
+  'wake.threshold': { env: 'WAKEWORD_THRESHOLD', type: 'number', default: 0.2, min: 0, max: 1, group: 'Wake word', label: 'Energy threshold' },
+
+  'intents.enabled': { env: 'INTENTS', type: 'bool', default: true, group: 'Local commands', label: 'Handle locally' },
+  'intents.file': { env: 'INTENTS_FILE', type: 'string', default: join(homedir(), '.openclaw-pi-assistant', 'intents.json'), envOnly: true, group: 'Local commands', label: 'Custom intents file' },
+
+  'buttons.source': { env: 'BUTTONS_SOURCE', type: 'enum', values: ['off', 'gpio', 'simulated'], default: 'off', group: 'Buttons', label: 'Input' },
+  'buttons.chip': { env: 'BUTTONS_CHIP', type: 'string', default: 'gpiochip0', pattern: /^[\w/-]+$/, group: 'Buttons', label: 'GPIO chip' },
+  'buttons.pins': { env: 'BUTTONS_PINS', type: 'map', keys: 'button', pattern: /^\d{1,3}$/, default: { a: '5', b: '6', x: '16', y: '24' }, group: 'Buttons', label: 'GPIO line per button' },
+  'buttons.actions': { env: 'BUTTONS_ACTIONS', type: 'map', keys: 'press', pattern: new RegExp(`^(${BUTTON_ACTIONS.join('|')})$`), default: { a: 'talk', b: 'stop', x: 'volume_up', y: 'volume_down', 'y-long': 'mute' }, group: 'Buttons', label: 'Action per press (y-long: held)' },
+  'buttons.debounceMs': { env: 'BUTTONS_DEBOUNCE_MS', type: 'int', default: 30, min: 0, max: 500, group: 'Buttons', label: 'Debounce (ms)' },
+  'buttons.longPressMs': { env: 'BUTTONS_LONG_PRESS_MS', type: 'int', default: 800, min: 200, max: 5000, group: 'Buttons', label: 'Long press (ms)' },
+
+  'timers.file': { env: 'TIMERS_FILE', type: 'string', default: join(homedir(), '.openclaw-pi-assistant', 'timers.json'), restart: true, envOnly: true, group: 'Timers', label: 'Saved to' },
+  'timers.snoozeMinutes': { env: 'TIMER_SNOOZE_MINUTES', type: 'int', default: 9, min: 1, max: 60, group: 'Timers', label: 'Snooze (minutes)' },
+  'timers.ringMinutes': { env: 'TIMER_RING_MINUTES', type: 'int', default: 10, min: 1, max: 60, group: 'Timers', label: 'Stop ringing after (minutes)' },
+
+  'announce.quietHours': { env: 'ANNOUNCE_QUIET_HOURS', type: 'string', default: '', pattern: /^(\d{1,2}:\d{2}-\d{1,2}:\d{2})?$/, group: 'Announcements', label: 'Quiet hours (22:00-07:00, shown not spoken)' },
+  'announce.chime': { env: 'ANNOUNCE_CHIME', type: 'bool', default: true, group: 'Announcements', label: 'Chime first' },
+  'announce.dedupSeconds': { env: 'ANNOUNCE_DEDUP_SECONDS', type: 'int', default: 300, min: 0, max: 86400, group: 'Announcements', label: 'Ignore repeats for (s)' },
+  'announce.keepMinutes': { env: 'ANNOUNCE_KEEP_MINUTES', type: 'int', default: 30, min: 1, max: 1440, group: 'Announcements', label: 'Cards stay on screen (min)' },
+  'announce.gateway': { env: 'ANNOUNCE_GATEWAY', type: 'bool', default: true, group: 'Announcements', label: 'Read out unprompted agent messages' },
+
+  'approval.timeoutMs': { env: 'APPROVAL_TIMEOUT_MS', type: 'int', default: 30000, min: 1000, max: 600000, group: 'Approvals', label: 'Timeout (ms)' },
+  'approval.voice': { env: 'APPROVAL_VOICE', type: 'bool', default: true, group: 'Approvals', label: 'Ask by voice' },
+
+  'history.dir': { env: 'HISTORY_DIR', type: 'string', default: join(homedir(), '.openclaw-pi-assistant', 'history'), restart: true, envOnly: true, group: 'History', label: 'Directory' },
+  'history.maxMessages': { env: 'HISTORY_MAX_MESSAGES', type: 'int', default: 200, min: 1, max: 10000, group: 'History', label: 'Messages per conversation' },
+  'history.maxConversations': { env: 'HISTORY_MAX_CONVERSATIONS', type: 'int', default: 20, min: 1, max: 1000, group: 'History', label: 'Conversations kept' },
+  'history.maxAgeDays': { env: 'HISTORY_MAX_AGE_DAYS', type: 'number', default: 30, min: 0, max: 3650, group: 'History', label: 'Delete after (days, 0 = never)' },
+};
+
+export class ConfigError extends Error {
+  // errors: [{ key, message }]
+  constructor(errors) {
+    super(errors.map((e) => `${e.key}: ${e.message}`).join('; '));
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// 'change' — [keys] after an update has been applied and saved
+export const configEvents = new EventEmitter();
+configEvents.setMaxListeners(50);
+
+// What a map's keys may be
+const MAP_KEYS = {
+  language: { pattern: /^[a-z]{2,3}$/, what: 'a language code' },
+  card: { pattern: /^[\w-]+$/, what: 'a sound card number or name' },
+  button: { pattern: /^[a-z0-9]+$/, what: 'a button name' },
+  press: { pattern: /^[a-z0-9]+(-long)?$/, what: 'a button name, or name-long' },
+};
+
+// Coerce a raw value (string from env, or JSON from the API) → value, or throw
+function coerce(key, raw) {
+  const spec = SCHEMA[key];
+  if (raw === null || raw === undefined || raw === '') {
+    if (spec.required) throw new Error('is required');
+    return spec.type === 'list' ? [] : spec.type === 'map' ? {} : spec.type === 'string' && spec.default === '' ? '' : null;
+  }
+
+  switch (spec.type) {
+    case 'string': {
+      if (typeof raw !== 'string') throw new Error('must be a string');
+      const value = raw.trim();
+      if (spec.pattern && !spec.pattern.test(value)) throw new Error(`"${value}" is not valid`);
+      return value;
+    }
+    case 'int':
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(value)) throw new Error('must be a number');
+      if (spec.type === 'int' && !Number.isInteger(value)) throw new Error('must be a whole number');
+      if (spec.min !== undefined && value < spec.min) throw new Error(`must be at least ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) throw new Error(`must be at most ${spec.max}`);
+      return value;
+    }
+    case 'bool':
+      if (typeof raw === 'boolean') return raw;
+      if (/^(1|true|on|yes)$/i.test(String(raw))) return true;
+      if (/^(0|false|off|no)$/i.test(String(raw))) return false;
+      throw new Error('must be true or false');
+    case 'enum':
+      if (!spec.values.includes(raw)) throw new Error(`must be one of ${spec.values.join(', ')}`);
+      return raw;
+    case 'list': {
+      const items = Array.isArray(raw) ? raw : String(raw).split(',');
+      const value = items.map((s) => String(s).trim()).filter(Boolean);
+      const unknown = value.filter((v) => (spec.values ? !spec.values.includes(v) : !spec.pattern.test(v)));
+      if (unknown.length) throw new Error(`${spec.values ? 'unknown' : 'not valid'}: ${unknown.join(', ')}`);
+      return value;
+    }
+    case 'map': {
+      const keys = MAP_KEYS[spec.keys || 'language'];
+      const entries = typeof raw === 'object' && !Array.isArray(raw)
+        ? Object.entries(raw)
+        : String(raw).split(',').filter((s) => s.trim()).map((s) => {
+          const i = s.indexOf(':');
+          if (i < 0) throw new Error(`"${s.trim()}" should be ${spec.keys || 'language'}:value`);
+          return [s.slice(0, i), s.slice(i + 1)];
+        });
+      const value = {};
+      for (const [key, v] of entries) {
+        const k = String(key).trim().toLowerCase();
+        if (!keys.pattern.test(k)) throw new Error(`"${key}" is not ${keys.what}`);
+        if (typeof v !== 'string' || !v.trim()) throw new Error(`no value for ${k}`);
+        if (spec.pattern && !spec.pattern.test(v.trim())) throw new Error(`"${v.trim()}" is not valid for ${k}`);
+        value[k] = v.trim();
+      }
+      return value;
+    }
+  }
+  throw new Error(`unknown type ${spec.type}`);
+}
+
+function readSaved() {
+  try {
+    return JSON.parse(readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Ignoring ${CONFIG_FILE}:`, err.message);
+    return {};
+  }
+}
+
+const base = {};      // defaults + environment
+const saved = {};     // overrides from CONFIG_FILE
+const values = {};
+const bootValues = {};
+
+for (const [key, spec] of Object.entries(SCHEMA)) {
+  base[key] = spec.default;
+  const env = process.env[spec.env];
+  if (env === undefined) continue;
+  try {
+    base[key] = coerce(key, env);
+  } catch (err) {
+    console.error(`Ignoring ${spec.env}: ${err.message}`);
+  }
+}
+
+for (const [key, raw] of Object.entries(readSaved())) {
+  if (!SCHEMA[key]) continue;
+  if (SCHEMA[key].envOnly) {
+    console.error(`Ignoring saved ${key}: set it in the environment`);
+    continue;
+  }
+  try {
+    saved[key] = coerce(key, raw);
+  } catch (err) {
+    console.error(`Ignoring saved ${key}: ${err.message}`);
+  }
+}
+
+for (const key of Object.keys(SCHEMA)) {
+  values[key] = key in saved ? saved[key] : base[key];
+  bootValues[key] = values[key];
+}
+
+export function getConfig(key) {
+  if (!(key in SCHEMA)) throw new Error(`Unknown setting: ${key}`);
+  return values[key];
+}
+
+// Run fn(changedKeys) whenever any of keys changes
+export function watchConfig(keys, fn) {
+  configEvents.on('change', (changed) => {
+    const hit = changed.filter((k) => keys.includes(k));
+    if (hit.length) fn(hit);
+  });
+}
+
+// Settings that differ from what the process started with and only take
+// effect on restart
+export function pendingRestart() {
+  return Object.keys(SCHEMA).filter((k) => SCHEMA[k].restart
+    && JSON.stringify(values[k]) !== JSON.stringify(bootValues[k]));
+}
+
+// Values for the API — secrets come back as a flag, never the value
+export function configSnapshot() {
+  const out = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    out[key] = spec.secret ? { set: !!values[key] } : values[key];
+  }
+  return out;
+}
+
+export function configSchema() {
+  return Object.entries(SCHEMA).map(([key, spec]) => ({
+    key,
+    env: spec.env,
+    type: spec.type,
+    default: spec.secret ? null : spec.default,
+    values: spec.values,
+    min: spec.min,
+    max: spec.max,
+    required: !!spec.required,
+    secret: !!spec.secret,
+    restart: !!spec.restart,
+    envOnly: !!spec.envOnly,
+    group: spec.group,
+    label: spec.label,
+  }));
+}
+
+let updates = Promise.resolve();
+
+async function save(data) {
+  await mkdir(dirname(CONFIG_FILE), { recursive: true });
+  await writeFile(`${CONFIG_FILE}.tmp`, JSON.stringify(data, null, 2), { mode: 0o600 }); // holds the token
+  await rename(`${CONFIG_FILE}.tmp`, CONFIG_FILE);
+}
+
+// patch: { key: value }. null drops the saved override (back to env/default).
+// All-or-nothing: any invalid value rejects the whole patch with ConfigError.
+// Updates apply one at a time, and only once saved — a failed write leaves
+// the running config as it was. → { changed, live, restart } (lists of keys)
+export async function updateConfig(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new ConfigError([{ key: '*', message: 'expected an object of settings' }]);
+  }
+
+  const errors = [];
+  const next = {};
+  for (const [key, raw] of Object.entries(patch)) {
+    if (!SCHEMA[key]) {
+      errors.push({ key, message: 'unknown setting' });
+      continue;
+    }
+    if (SCHEMA[key].envOnly) {
+      errors.push({ key, message: 'can only be set in the environment' });
+      continue;
+    }
+    if (raw === null) {
+      next[key] = { reset: true };
+      continue;
+    }
+    try {
+      next[key] = { value: coerce(key, raw) };
+    } catch (err) {
+      errors.push({ key, message: err.message });
+    }
+  }
+  if (errors.length) throw new ConfigError(errors);
+
+  const update = updates.then(() => apply(next));
+  updates = update.catch(() => {});
+  return update;
+}
+
+async function apply(next) {
+  const nextSaved = { ...saved };
+  const changes = {};
+  for (const [key, { value, reset }] of Object.entries(next)) {
+    if (reset) delete nextSaved[key];
+    else nextSaved[key] = value;
+    const now = reset ? base[key] : value;
+    if (JSON.stringify(now) !== JSON.stringify(values[key])) changes[key] = now;
+  }
+
+  await save(nextSaved);
+  for (const key of Object.keys(saved)) delete saved[key];
+  Object.assign(saved, nextSaved);
+  Object.assign(values, changes);
+
+  const changed = Object.keys(changes);
+  if (changed.length) {
+    console.log('Config changed:', changed.join(', '));
+    configEvents.emit('change', changed);
+  }
+  return {
+    changed,
+    live: changed.filter((k) => !SCHEMA[k].restart),
+    restart: changed.filter((k) => SCHEMA[k].restart),
+  };
+}
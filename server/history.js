@@ -0,0 +1,166 @@
+// History — conversations persisted to disk and synced with the gateway
+// One conversation is current; each has its own gateway sessionKey, so
+// "new conversation" also gives the agent a fresh context. Conversations are
+// JSON files in history.dir, trimmed by the retention settings on load and
+// on every write. When the gateway is reachable its chat.history for the
+// current session wins over the local copy.
+//
+// historyEvents:
+// 'conversation' — current conversation replaced (new, or synced from the gateway)
+// 'message'      — { conversationId, message } appended or updated
+import { EventEmitter } from 'events';
+import { readdir, readFile, unlink } from 'fs/promises';
+import { join } from 'path';
+import crypto from 'crypto';
+import { fetchHistory, isConnected } from './openclaw.js';
+import { getConfig } from './config.js';
+import { createFileWriter } from './util.js';
+
+// Where is fixed at startup; the retention limits apply from the next write
+const HISTORY_DIR = getConfig('history.dir');
+
+export const historyEvents = new EventEmitter();
+
+let current = null;
+const summaries = new Map(); // id → { id, startedAt, updatedAt, preview, count }
+const write = createFileWriter('History');
+
+function newId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function createConversation() {
+  const id = newId();
+  return { id, sessionKey: `pi-assistant:${id}`, startedAt: Date.now(), updatedAt: Date.now(), messages: [] };
+}
+
+function summarize(conv) {
+  const first = conv.messages.find((m) => m.role === 'user');
+  return {
+    id: conv.id,
+    startedAt: conv.startedAt,
+    updatedAt: conv.updatedAt,
+    preview: first ? first.content.slice(0, 80) : '',
+    count: conv.messages.length,
+  };
+}
+
+function expired(updatedAt) {
+  const days = getConfig('history.maxAgeDays');
+  return days > 0 && Date.now() - updatedAt > days * 86400000;
+}
+
+function save(conv) {
+  conv.updatedAt = Date.now();
+  const max = getConfig('history.maxMessages');
+  if (conv.messages.length > max) conv.messages = conv.messages.slice(-max);
+  summaries.set(conv.id, summarize(conv));
+  return write(join(HISTORY_DIR, `${conv.id}.json`), JSON.stringify(conv), prune);
+}
+
+// Drop conversations past the age limit, then the oldest past the count limit
+async function prune() {
+  const byAge = [...summaries.values()].sort((a, b) => b.updatedAt - a.updatedAt);
+  const doomed = byAge.filter((s, i) => s.id !== current?.id
+    && (expired(s.updatedAt) || i >= getConfig('history.maxConversations')));
+  for (const { id } of doomed) {
+    summaries.delete(id);
+    await unlink(join(HISTORY_DIR, `${id}.json`)).catch(() => {});
+  }
+}
+
+async function readConversation(id) {
+  try {
+    return JSON.parse(await readFile(join(HISTORY_DIR, `${id}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Read what's on disk; the most recent conversation becomes current
+export async function loadHistory() {
+  let files = [];
+  try {
+    files = (await readdir(HISTORY_DIR)).filter((f) => f.endsWith('.json'));
+  } catch { /* first run */ }
+
+  for (const file of files) {
+    const conv = await readConversation(file.slice(0, -5));
+    if (conv?.id && Array.isArray(conv.messages)) summaries.set(conv.id, summarize(conv));
+  }
+
+  const latest = [...summaries.values()].sort((a, b) => b.updatedAt - a.updatedAt)[0];
+  current = latest && !expired(latest.updatedAt) ? await readConversation(latest.id) : null;
+  if (!current) current = createConversation();
+  await prune();
+  console.log(`History: ${summaries.size} conversation(s), current has ${current.messages.length} message(s)`);
+}
+
+export function currentConversation() {
+  if (!current) current = createConversation();
+  return current;
+}
+
+export function listConversations() {
+  return [...summaries.values()].sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function getConversation(id) {
+  if (id === current?.id) return current;
+  return summaries.has(id) ? readConversation(id) : null;
+}
+
+// Returns the stored message; change it and call updateMessage() to persist
+export function addMessage(role, content, extra = {}) {
+  const conv = currentConversation();
+  const message = { role, content, ts: Date.now(), ...extra };
+  conv.messages.push(message);
+  save(conv);
+  historyEvents.emit('message', { conversationId: conv.id, message });
+  return message;
+}
+
+export function updateMessage(message) {
+  const conv = currentConversation();
+  if (!conv.messages.includes(message)) return;
+  save(conv);
+  historyEvents.emit('message', { conversationId: conv.id, message });
+}
+
+export async function newConversation() {
+  const prev = currentConversation();
+  // An empty conversation isn't worth keeping around
+  if (!prev.messages.length) return prev;
+  current = createConversation();
+  await save(current);
+  historyEvents.emit('conversation', current);
+  return current;
+}
+
+function sameMessages(a, b) {
+  return a.length === b.length && a.every((m, i) => m.role === b[i].role && m.content === b[i].content);
+}
+
+// Pull the gateway's view of the current session. Offline, or a gateway
+// without chat.history, leaves the local copy alone.
+export async function syncHistory() {
+  if (!isConnected()) return false;
+  const conv = currentConversation();
+  let messages;
+  try {
+    messages = await fetchHistory(conv.sessionKey, getConfig('history.maxMessages'));
+  } catch (err) {
+    console.warn('chat.history unavailable:', err.message);
+    return false;
+  }
+  if (!messages.length || sameMessages(messages, conv.messages)) return false;
+
+  // Keep local flags (interrupted) on messages the gateway also has
+  conv.messages = messages.map((m, i) => {
+    const local = conv.messages[i];
+    return local && local.role === m.role && local.content === m.content ? local : m;
+  });
+  await save(conv);
+  historyEvents.emit('conversation', conv);
+  return true;
+}
@@ -0,0 +1,159 @@
+// i18n — languages we speak, and the few phrases the server says itself
+// Languages are ISO 639-1 codes throughout ('en', 'es', 'de'); whisper's
+// full names ("german") are normalized on the way in. The language of the
+// last turn is remembered so prompts outside a turn (approvals) match it.
+import { EventEmitter } from 'events';
+import { getConfig, watchConfig } from './config.js';
+
+const WHISPER_NAMES = {
+  english: 'en', spanish: 'es', german: 'de', french: 'fr', italian: 'it',
+  portuguese: 'pt', dutch: 'nl', polish: 'pl', swedish: 'sv', danish: 'da',
+  norwegian: 'no', finnish: 'fi', catalan: 'ca', russian: 'ru', ukrainian: 'uk',
+  turkish: 'tr', greek: 'el', czech: 'cs', japanese: 'ja', chinese: 'zh', korean: 'ko',
+};
+
+const LOCALES = { en: 'en-US', es: 'es-ES', de: 'de-DE', fr: 'fr-FR', it: 'it-IT', pt: 'pt-PT', nl: 'nl-NL' };
+
+const PHRASES = {
+  en: {
+    newConversation: 'Okay, starting a new conversation.',
+    sayYesOrNo: 'Say yes or no.',
+    sayYesOrNoAgain: 'Sorry, please say yes or no.',
+    time: "It's {time}.",
+    date: 'Today is {date}.',
+    volume: 'Volume {level} percent.',
+    volumeUnavailable: "I can't change the volume on this device.",
+    unmuted: 'Sound is back on.',
+    nothingToRepeat: "I haven't said anything yet.",
+    statusGatewayUp: "I'm connected to the gateway.",
+    statusGatewayDown: "I can't reach the gateway, so only local commands work.",
+    statusSttReady: 'Speech recognition is ready.',
+    statusSttDown: 'Speech recognition is still loading.',
+    statusVoice: 'Speaking with {provider}.',
+    intentFailed: "Sorry, that didn't work.",
+    timerSet: 'Timer set for {duration}.',
+    alarmSet: 'Alarm set for {time}.',
+    reminderIn: "Okay, I'll remind you in {duration}.",
+    reminderAt: "Okay, I'll remind you at {time}.",
+    timerNotUnderstood: "Sorry, I didn't catch how long.",
+    alarmNotUnderstood: "Sorry, I didn't catch the time.",
+    timerLeft: '{duration} left.',
+    noTimers: 'There are no timers set.',
+    timerCancelled: 'Okay, cancelled.',
+    timerDone: 'Your timer is done.',
+    timerDoneLabel: 'The {label} timer is done.',
+    reminder: 'Reminder: {label}.',
+    snoozed: 'Snoozing for {minutes} minutes.',
+  },
+  es: {
+    newConversation: 'Vale, empezamos una conversación nueva.',
+    sayYesOrNo: 'Di sí o no.',
+    sayYesOrNoAgain: 'Perdona, di sí o no, por favor.',
+    time: 'Son las {time}.',
+    date: 'Hoy es {date}.',
+    volume: 'Volumen al {level} por ciento.',
+    volumeUnavailable: 'No puedo cambiar el volumen en este dispositivo.',
+    unmuted: 'El sonido vuelve a estar activado.',
+    nothingToRepeat: 'Todavía no he dicho nada.',
+    statusGatewayUp: 'Estoy conectado al gateway.',
+    statusGatewayDown: 'No llego al gateway; solo funcionan los comandos locales.',
+    statusSttReady: 'El reconocimiento de voz está listo.',
+    statusSttDown: 'El reconocimiento de voz todavía se está cargando.',
+    statusVoice: 'Hablo con {provider}.',
+    intentFailed: 'Lo siento, no ha funcionado.',
+    timerSet: 'Temporizador de {duration} en marcha.',
+    alarmSet: 'Alarma puesta a las {time}.',
+    reminderIn: 'Vale, te lo recuerdo en {duration}.',
+    reminderAt: 'Vale, te lo recuerdo a las {time}.',
+    timerNotUnderstood: 'Perdona, no he entendido cuánto tiempo.',
+    alarmNotUnderstood: 'Perdona, no he entendido la hora.',
+    timerLeft: 'Quedan {duration}.',
+    noTimers: 'No hay ningún temporizador.',
+    timerCancelled: 'Vale, cancelado.',
+    timerDone: 'Se acabó el temporizador.',
+    timerDoneLabel: 'Se acabó el temporizador de {label}.',
+    reminder: 'Recordatorio: {label}.',
+    snoozed: 'Pospuesto {minutes} minutos.',
+  },
+  de: {
+    newConversation: 'Okay, wir beginnen ein neues Gespräch.',
+    sayYesOrNo: 'Sag ja oder nein.',
+    sayYesOrNoAgain: 'Entschuldigung, bitte sag ja oder nein.',
+    time: 'Es ist {time}.',
+    date: 'Heute ist {date}.',
+    volume: 'Lautstärke {level} Prozent.',
+    volumeUnavailable: 'Die Lautstärke kann ich auf diesem Gerät nicht ändern.',
+    unmuted: 'Der Ton ist wieder an.',
+    nothingToRepeat: 'Ich habe noch nichts gesagt.',
+    statusGatewayUp: 'Ich bin mit dem Gateway verbunden.',
+    statusGatewayDown: 'Das Gateway ist nicht erreichbar, nur lokale Befehle funktionieren.',
+    statusSttReady: 'Die Spracherkennung ist bereit.',
+    statusSttDown: 'Die Spracherkennung lädt noch.',
+    statusVoice: 'Ich spreche mit {provider}.',
+    intentFailed: 'Das hat leider nicht geklappt.',
+    timerSet: 'Timer für {duration} läuft.',
+    alarmSet: 'Wecker gestellt auf {time}.',
+    reminderIn: 'Okay, ich erinnere dich in {duration}.',
+    reminderAt: 'Okay, ich erinnere dich um {time}.',
+    timerNotUnderstood: 'Entschuldigung, wie lange genau?',
+    alarmNotUnderstood: 'Entschuldigung, um wie viel Uhr?',
+    timerLeft: 'Noch {duration}.',
+    noTimers: 'Es ist kein Timer gestellt.',
+    timerCancelled: 'Okay, gelöscht.',
+    timerDone: 'Dein Timer ist abgelaufen.',
+    timerDoneLabel: 'Der Timer für {label} ist abgelaufen.',
+    reminder: 'Erinnerung: {label}.',
+    snoozed: 'Ich melde mich in {minutes} Minuten wieder.',
+  },
+};
+
+// 'change' — language of the conversation switched
+export const languageEvents = new EventEmitter();
+
+let current = null;
+
+// New language settings start over from the configured default
+watchConfig(['stt.language', 'stt.languages'], () => {
+  current = null;
+  languageEvents.emit('change', currentLanguage());
+});
+
+// 'German' / 'de' / 'de-DE' → 'de'; null if we can't tell
+export function normalizeLanguage(lang) {
+  if (!lang) return null;
+  const l = String(lang).trim().toLowerCase();
+  if (WHISPER_NAMES[l]) return WHISPER_NAMES[l];
+  const code = l.split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(code) && code !== 'auto' ? code : null;
+}
+
+// The configured language when fixed; with auto, the first allowed one
+export function defaultLanguage() {
+  const fixed = getConfig('stt.language');
+  if (fixed !== 'auto') return fixed;
+  return getConfig('stt.languages')[0] || 'en';
+}
+
+export function currentLanguage() {
+  return current || defaultLanguage();
+}
+
+export function setLanguage(lang) {
+  const next = normalizeLanguage(lang);
+  if (!next || next === currentLanguage()) {
+    if (next) current = next;
+    return;
+  }
+  current = next;
+  languageEvents.emit('change', current);
+}
+
+export function localeFor(lang) {
+  return LOCALES[lang] || (lang ? `${lang}-${lang.toUpperCase()}` : 'en-US');
+}
+
+// vars fill {placeholders}: t('volume', 'de', { level: 40 })
+export function t(key, lang = currentLanguage(), vars = {}) {
+  const phrase = (PHRASES[lang] || PHRASES.en)[key] || PHRASES.en[key];
+  return phrase.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? vars[k] : m));
+}
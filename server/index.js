@@ -4,48 +4,175 @@ import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { startRecording, stopRecording, playAudio } from './audio.js';
-import { transcribe } from './stt.js';
-import { synthesize } from './tts.js';
-import { chat } from './openclaw.js';
+import { tmpdir } from 'os';
+import { startStt, stopStt, sttStatus } from './stt.js';
+import { ttsEvents, ttsVoice, ttsStatus, ttsHealth } from './tts.js';
+import { connect, gatewayEvents, gatewayStatus } from './openclaw.js';
+import { wake, wakeStatus, setWakeEnabled, setWakeMuted } from './wakeword.js';
+import {
+  send, handleStartRecording, handleStopRecording, handleStopSpeaking, cancelRecording, handleText,
+  handleAnnouncement, sessionBusy,
+} from './pipeline.js';
+import { lockStatus } from './locks.js';
+import { sweepTemp } from './temp.js';
+import { gauge, renderMetrics } from './metrics.js';
+import { diskUsage } from './util.js';
+import { currentLanguage, languageEvents } from './i18n.js';
+import {
+  listDevices, recordTestClip, testClip, playTestTone, playTestClip, CalibrationError,
+} from './calibration.js';
+import { approvals, pendingApprovals, resolveApproval } from './approvals.js';
+import {
+  historyEvents, loadHistory, syncHistory, currentConversation, listConversations,
+  getConversation, newConversation,
+} from './history.js';
+import {
+  timerEvents, loadTimers, listTimers, ringingTimers, addTimer, cancelTimer, dismissTimer, snoozeTimer, TimerError,
+} from './timers.js';
+import {
+  volumeEvents, volumeStatus, loadVolume, setVolume, changeVolume, setMuted, VolumeError,
+} from './volume.js';
+import {
+  announcementEvents, announce, dismissAnnouncement, listAnnouncements, announcementsStatus, startAnnouncements,
+  AnnounceError,
+} from './announce.js';
+import {
+  buttonEvents, buttonsStatus, startButtons, pressButton, ButtonError,
+} from './buttons.js';
+import {
+  configEvents, getConfig, configSnapshot, configSchema, updateConfig, pendingRestart, ConfigError,
+} from './config.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const PORT = process.env.PORT || 3001;
+const PORT = getConfig('server.port');
+const DISK_DEGRADED_PERCENT = 90; // history and temp clips need room to write
 
 const app = express();
+app.use(express.json());
 app.use(express.static(join(__dirname, '..', 'web')));
 
+// Phone remote control — open http://<pi>:3001/remote
+app.get('/remote', (req, res) => {
+  res.sendFile(join(__dirname, '..', 'web', 'remote.html'));
+});
+
 const server = createServer(app);
 const wss = new WebSocketServer({ server });
 
-// Conversation history (per-connection for now)
-const sessions = new Map();
+// One device, one session: every client sees (and can drive) the same turn.
+// The mic and speaker are guarded by the locks in locks.js.
+const session = { recording: null, starting: false, busy: false, turn: null, driver: null };
+
+// Connected clients: ws → { id, kind: kiosk | remote, address, userAgent, connectedAt }
+const clients = new Map();
+let nextClientId = 1;
+
+// What the pipeline writes to — every connected client
+const everyone = {
+  readyState: 1,
+  send(raw) {
+    for (const ws of wss.clients) if (ws.readyState === 1) ws.send(raw);
+  },
+};
 
-wss.on('connection', (ws) => {
-  console.log('Client connected');
-  const session = { recording: null, history: [], busy: false };
-  sessions.set(ws, session);
+gauge('openclaw_pi_clients', 'Connected screens and remotes', { collect: () => clients.size });
+
+function describeClients() {
+  return [...clients.values()];
+}
+
+function isLoopback(address) {
+  return !address || address === '::1' || address.startsWith('127.') || address === '::ffff:127.0.0.1';
+}
+
+wss.on('connection', (ws, req) => {
+  const address = req.socket.remoteAddress;
+  const client = {
+    id: `c${nextClientId++}`,
+    // The kiosk runs on the Pi itself; anything else is a phone/laptop
+    kind: isLoopback(address) ? 'kiosk' : 'remote',
+    address,
+    userAgent: req.headers['user-agent'] || null,
+    connectedAt: Date.now(),
+  };
+  clients.set(ws, client);
+  console.log(`Client ${client.id} connected (${client.kind}, ${address})`);
+
+  send(ws, { type: 'hello', client: client.id });
+  send(ws, { type: 'state', state: currentState() });
+  send(ws, { type: 'wake', ...wakeStatus() });
+  send(ws, { type: 'voice', ...ttsVoice() });
+  send(ws, { type: 'language', language: currentLanguage() });
+  send(ws, { type: 'gateway', state: gatewayStatus().state });
+  for (const prompt of pendingApprovals()) send(ws, { type: 'confirm', ...prompt });
+  send(ws, { type: 'history', conversation: currentConversation() });
+  send(ws, timersMessage());
+  send(ws, { type: 'volume', ...volumeStatus() });
+  send(ws, { type: 'announcements', announcements: listAnnouncements() });
+  // A change on the gateway side comes back as a 'conversation' event
+  syncHistory();
+  broadcastClients();
 
   ws.on('message', async (raw) => {
     let msg;
     try { msg = JSON.parse(raw); } catch { return; }
 
     switch (msg.type) {
+      case 'hello':
+        // Pages say what they are; the address is only a guess
+        if (msg.kind === 'kiosk' || msg.kind === 'remote') client.kind = msg.kind;
+        broadcastClients();
+        break;
       case 'start_recording':
-        await handleStartRecording(ws, session);
+        await handleStartRecording(everyone, session, client.id);
         break;
       case 'stop_recording':
-        await handleStopRecording(ws, session);
+        await handleStopRecording(everyone, session);
         break;
       case 'stop_speaking':
-        // TODO: kill aplay process
-        send(ws, { type: 'state', state: 'idle' });
+        await handleStopSpeaking(everyone, session, msg.listen, client.id);
+        break;
+      case 'send_text':
+        if (typeof msg.text !== 'string' || !msg.text.trim()) break;
+        if (!await handleText(everyone, session, msg.text, { driver: client.id, spoken: msg.speak !== false })) {
+          send(ws, { type: 'toast', text: 'Busy' });
+        }
         break;
       case 'confirm_response':
-        // Handle confirmation from UI
-        if (session.pendingConfirm) {
-          session.pendingConfirm(msg.confirmed);
-          session.pendingConfirm = null;
+        await resolveApproval(msg.id, !!msg.confirmed, 'screen');
+        break;
+      case 'new_conversation':
+        await newConversation();
+        break;
+      case 'set_wake':
+        await handleSetWake(ws, msg.enabled);
+        break;
+      case 'set_wake_muted':
+        await setWakeMuted(msg.muted);
+        break;
+      case 'set_volume':
+        volumeAction(ws, () => setVolume(msg.level));
+        break;
+      case 'set_volume_muted':
+        volumeAction(ws, () => setMuted(!!msg.muted));
+        break;
+      case 'timer_set':
+        timerAction(ws, () => addTimer({ ...pick(msg, TIMER_FIELDS), source: 'screen' }));
+        break;
+      case 'timer_cancel':
+        timerAction(ws, () => cancelTimer(msg.id));
+        break;
+      case 'timer_dismiss':
+        timerAction(ws, () => dismissTimer(msg.id));
+        break;
+      case 'timer_snooze':
+        timerAction(ws, () => snoozeTimer(msg.id, msg.minutes));
+        break;
+      case 'announcement_dismiss':
+        try {
+          dismissAnnouncement(msg.id);
+        } catch (err) {
+          if (!(err instanceof AnnounceError)) throw err;
         }
         break;
       default:
@@ -53,90 +180,428 @@ wss.on('connection', (ws) => {
     }
   });
 
+  // A turn and hands-free mode outlive the page — a reload or a closed
+  // remote leaves them running, the Pi answers headless
   ws.on('close', () => {
-    sessions.delete(ws);
-    console.log('Client disconnected');
+    clients.delete(ws);
+    console.log(`Client ${client.id} disconnected`);
+    broadcastClients();
   });
 });
 
-function send(ws, data) {
-  if (ws.readyState === 1) ws.send(JSON.stringify(data));
+function broadcast(data) {
+  for (const ws of wss.clients) send(ws, data);
+}
+
+function broadcastClients() {
+  broadcast({ type: 'clients', clients: describeClients(), driver: session.driver });
 }
 
-async function handleStartRecording(ws, session) {
-  if (session.busy) return;
+// Clients count down from dueAt; `now` lets them allow for their own clock
+function timersMessage(timers = listTimers()) {
+  return { type: 'timers', timers, now: Date.now() };
+}
+
+const TIMER_FIELDS = ['kind', 'seconds', 'at', 'label', 'repeat'];
+const pick = (obj, keys) => Object.fromEntries(keys.filter((k) => obj?.[k] !== undefined).map((k) => [k, obj[k]]));
+
+// A bad request from a screen comes back as a toast
+function timerAction(ws, fn) {
   try {
-    session.recording = await startRecording();
-    send(ws, { type: 'state', state: 'listening' });
-    console.log('Recording started');
+    fn();
   } catch (err) {
-    console.error('Record start error:', err);
-    send(ws, { type: 'error', text: 'Mic error' });
+    if (!(err instanceof TimerError)) throw err;
+    send(ws, { type: 'toast', text: err.message });
   }
 }
 
-async function handleStopRecording(ws, session) {
-  if (!session.recording) return;
-  session.busy = true;
-
+// The new level reaches everyone through volumeEvents; only failures are
+// answered here
+async function volumeAction(ws, fn) {
   try {
-    // Stop recording → get WAV path
-    send(ws, { type: 'state', state: 'thinking' });
-    const wavPath = await stopRecording(session.recording);
-    session.recording = null;
-    console.log('Recording saved:', wavPath);
-
-    // Transcribe
-    const transcript = await transcribe(wavPath);
-    if (!transcript || !transcript.trim()) {
-      send(ws, { type: 'error', text: 'Could not hear you' });
-      session.busy = false;
-      return;
+    await fn();
+  } catch (err) {
+    if (!(err instanceof VolumeError)) throw err;
+    send(ws, { type: 'toast', text: err.status === 400 ? err.message : 'Volume unavailable' });
+  }
+}
+
+// A button does what the matching tap would: talk starts a turn, ends the
+// recording or interrupts the answer to talk again; stop silences whatever
+// is going on — a ringing timer first
+async function runButton(action) {
+  switch (action) {
+    case 'talk':
+      if (session.recording) return handleStopRecording(everyone, session);
+      if (session.busy) return handleStopSpeaking(everyone, session, true, 'button');
+      return handleStartRecording(everyone, session, 'button');
+    case 'stop':
+      if (ringingTimers().length) return dismissTimer();
+      if (session.recording) {
+        await cancelRecording(session);
+        return broadcast({ type: 'state', state: 'idle' });
+      }
+      return handleStopSpeaking(everyone, session, false);
+    case 'volume_up':
+      return volumeAction(everyone, () => changeVolume(getConfig('audio.volumeStep')));
+    case 'volume_down':
+      return volumeAction(everyone, () => changeVolume(-getConfig('audio.volumeStep')));
+    case 'mute':
+      return volumeAction(everyone, () => setMuted(!volumeStatus().muted));
+  }
+}
+
+// Best guess at the state for a client joining mid-turn
+function currentState() {
+  if (session.recording) return 'listening';
+  if (session.busy) return 'thinking';
+  return 'idle';
+}
+
+wake.on('change', (status) => broadcast({ type: 'wake', ...status }));
+ttsEvents.on('voice', (voice) => broadcast({ type: 'voice', ...voice }));
+languageEvents.on('change', (language) => broadcast({ type: 'language', language }));
+gatewayEvents.on('state', (status) => broadcast({ type: 'gateway', ...status }));
+historyEvents.on('conversation', (conversation) => broadcast({ type: 'history', conversation }));
+historyEvents.on('message', (update) => broadcast({ type: 'history_message', ...update }));
+gatewayEvents.on('state', ({ state }) => {
+  if (state === 'connected') syncHistory();
+});
+configEvents.on('change', (changed) => broadcast({ type: 'config', changed, pendingRestart: pendingRestart() }));
+approvals.on('prompt', (prompt) => broadcast({ type: 'confirm', ...prompt }));
+volumeEvents.on('change', (status) => broadcast({ type: 'volume', ...status }));
+timerEvents.on('change', (timers) => broadcast(timersMessage(timers)));
+announcementEvents.on('change', (announcements) => broadcast({ type: 'announcements', announcements }));
+approvals.on('resolved', (result) => broadcast({ type: 'confirm_resolved', ...result }));
+
+// Announcements are read out when no turn is on; an urgent one ends the
+// turn (or recording) first
+startAnnouncements({
+  busy: () => sessionBusy(session),
+  play: (announcement) => handleAnnouncement(everyone, session, announcement),
+  async interrupt() {
+    if (session.recording) {
+      await cancelRecording(session);
+      broadcast({ type: 'state', state: 'idle' });
+    }
+    if (session.turn) {
+      session.turn.controller.abort();
+      await session.turn.done;
     }
-    console.log('Transcript:', transcript);
-    send(ws, { type: 'transcript', text: transcript });
+  },
+});
 
-    // Chat with OpenClaw gateway
-    session.history.push({ role: 'user', content: transcript });
+buttonEvents.on('action', ({ action }) => {
+  runButton(action).catch((err) => console.error('Button error:', err));
+});
 
-    send(ws, { type: 'response_start' });
-    let fullResponse = '';
+// A turn needs no screen — headless, it's heard and answered on the Pi alone
+wake.on('detected', (keyword) => {
+  if (sessionBusy(session)) {
+    console.log('Wake word ignored: a turn is on');
+    return;
+  }
+  broadcast({ type: 'wake_detected', keyword });
+  handleStartRecording(everyone, session, 'wake');
+});
+
+async function handleSetWake(ws, enabled) {
+  try {
+    await setWakeEnabled(enabled);
+  } catch (err) {
+    console.error('Wake word error:', err.message);
+    send(ws, { type: 'error', text: 'Wake word unavailable' });
+  }
+}
+
+// Wake word — lets the server side (scripts, home automation) mute it too
+app.get('/api/wake', (req, res) => {
+  res.json(wakeStatus());
+});
 
-    await chat(transcript, session.history, (chunk) => {
-      fullResponse += chunk;
-      send(ws, { type: 'response_chunk', text: chunk });
-    });
+app.post('/api/wake', async (req, res) => {
+  if (typeof req.body?.muted !== 'boolean') {
+    return res.status(400).json({ error: 'Expected { muted: boolean }' });
+  }
+  await setWakeMuted(req.body.muted);
+  res.json(wakeStatus());
+});
 
-    send(ws, { type: 'response_done', text: fullResponse });
-    session.history.push({ role: 'assistant', content: fullResponse });
+// Buttons — which are held right now; with the simulated source, press one
+app.get('/api/buttons', (req, res) => {
+  res.json(buttonsStatus());
+});
 
-    // Trim history
-    if (session.history.length > 20) {
-      session.history = session.history.slice(-20);
+app.post('/api/buttons/:name', async (req, res) => {
+  try {
+    await pressButton(req.params.name, req.body?.holdMs);
+    res.json(buttonsStatus());
+  } catch (err) {
+    if (err instanceof ButtonError) return res.status(err.status).json({ error: err.message });
+    console.error('Button error:', err);
+    res.status(500).json({ error: 'Button press failed' });
+  }
+});
+
+// Typed chat for other programs: the answer streams back as server-sent
+// events — the same messages the screens get (state, transcript,
+// response_chunk, response_done, audio_done, error), minus level frames.
+// Hanging up early cancels the turn.
+app.post('/api/chat', async (req, res) => {
+  const { text, speak = false } = req.body || {};
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'Expected { text, speak?: boolean }' });
+  }
+  if (sessionBusy(session)) {
+    return res.status(409).json({ error: 'Busy' });
+  }
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  const stream = {
+    readyState: 1,
+    send(raw) {
+      everyone.send(raw);
+      const { type, ...data } = JSON.parse(raw);
+      if (type !== 'level' && !res.writableEnded) res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+  };
+  const done = handleText(stream, session, text, { driver: 'api', spoken: !!speak });
+  const { turn } = session;
+  res.on('close', () => {
+    if (session.turn === turn && !res.writableEnded) turn.controller.abort();
+  });
+  await done;
+  res.end();
+});
+
+// Announcements — home automation and scripts make the Pi speak up
+function announceRoute(fn) {
+  return (req, res) => {
+    try {
+      const result = fn(req);
+      res.status(result.status || 200).json(result.body);
+    } catch (err) {
+      if (err instanceof AnnounceError) return res.status(err.status).json({ error: err.message });
+      console.error('Announce error:', err);
+      res.status(500).json({ error: 'Announcement failed' });
     }
+  };
+}
 
-    // TTS → play
-    console.log('Synthesizing:', fullResponse.slice(0, 60) + '...');
-    const audioPath = await synthesize(fullResponse);
-    if (audioPath) {
-      send(ws, { type: 'state', state: 'speaking' });
-      await playAudio(audioPath);
+const ANNOUNCE_FIELDS = ['text', 'title', 'priority', 'key', 'ttlSeconds', 'language'];
+
+app.get('/api/announce', announceRoute(() => ({
+  body: { announcements: listAnnouncements(), ...announcementsStatus() },
+})));
+
+app.post('/api/announce', announceRoute((req) => {
+  const result = announce({ ...pick(req.body, ANNOUNCE_FIELDS), source: 'api' });
+  return { status: result.duplicate ? 200 : 202, body: result };
+}));
+
+app.delete('/api/announce/:id', announceRoute((req) => {
+  dismissAnnouncement(req.params.id);
+  return { body: { ok: true } };
+}));
+
+// Conversation history
+app.get('/api/history', (req, res) => {
+  res.json({ current: currentConversation().id, conversations: listConversations() });
+});
+
+app.post('/api/history/new', async (req, res) => {
+  res.json(await newConversation());
+});
+
+app.get('/api/history/:id', async (req, res) => {
+  const id = req.params.id === 'current' ? currentConversation().id : req.params.id;
+  const conversation = await getConversation(id);
+  if (!conversation) return res.status(404).json({ error: 'No such conversation' });
+  res.json(conversation);
+});
+
+// Settings — GET returns values (secrets only as { set }), the schema the
+// settings screen is built from, and what still needs a restart
+app.get('/api/config', (req, res) => {
+  res.json({ values: configSnapshot(), schema: configSchema(), pendingRestart: pendingRestart() });
+});
+
+app.put('/api/config', async (req, res) => {
+  try {
+    const result = await updateConfig(req.body);
+    res.json({ ...result, values: configSnapshot(), pendingRestart: pendingRestart() });
+  } catch (err) {
+    if (err instanceof ConfigError) return res.status(400).json({ error: err.message, errors: err.errors });
+    console.error('Config save failed:', err);
+    res.status(500).json({ error: 'Could not save settings' });
+  }
+});
+
+// Audio calibration — devices, a test clip's levels, tone / clip playback.
+// The chosen devices and gain are saved through PUT /api/config.
+function calibration(fn) {
+  return async (req, res) => {
+    try {
+      res.json(await fn(req.body || {}));
+    } catch (err) {
+      if (err instanceof CalibrationError) return res.status(err.status).json({ error: err.message });
+      console.error('Calibration error:', err);
+      res.status(500).json({ error: 'Audio test failed' });
     }
-    send(ws, { type: 'audio_done' });
+  };
+}
+
+app.get('/api/audio/devices', calibration(() => listDevices()));
+
+app.post('/api/audio/test/record', calibration(({ device, seconds, gainDb }) => recordTestClip({ device, seconds, gainDb })));
+
+app.post('/api/audio/test/tone', calibration(async ({ device, frequency, seconds }) => {
+  await playTestTone({ device, frequency, seconds });
+  return { ok: true };
+}));
 
+app.post('/api/audio/test/playback', calibration(async ({ device }) => {
+  await playTestClip({ device });
+  return { ok: true };
+}));
+
+app.get('/api/audio/test/clip', (req, res) => {
+  const clip = testClip();
+  if (!clip) return res.status(404).json({ error: 'Record a test clip first' });
+  res.type('audio/wav').send(clip.wav);
+});
+
+// Speaker volume — POST { level } (0–100, kept within the card's limits),
+// { delta } (up / down by that much) and/or { muted }
+app.get('/api/volume', (req, res) => {
+  res.json(volumeStatus());
+});
+
+app.post('/api/volume', async (req, res) => {
+  const { level, delta, muted } = req.body || {};
+  if (level === undefined && delta === undefined && typeof muted !== 'boolean') {
+    return res.status(400).json({ error: 'Expected { level }, { delta } or { muted: boolean }' });
+  }
+  try {
+    if (level !== undefined) await setVolume(level);
+    else if (delta !== undefined) await changeVolume(delta);
+    if (typeof muted === 'boolean') await setMuted(muted);
+    res.json(volumeStatus());
   } catch (err) {
-    console.error('Pipeline error:', err);
-    send(ws, { type: 'error', text: err.message || 'Something went wrong' });
-  } finally {
-    session.busy = false;
+    if (err instanceof VolumeError) return res.status(err.status).json({ error: err.message });
+    console.error('Volume error:', err);
+    res.status(500).json({ error: 'Volume change failed' });
   }
+});
+
+// Timers, alarms and reminders — the same store as voice and the gateway.
+// POST /api/timers { kind?, seconds | at, label?, repeat? }; dismiss and
+// snooze take { id? } (default: everything ringing) and snooze { minutes? }.
+function timerRoute(fn) {
+  return (req, res) => {
+    try {
+      res.json(fn(req));
+    } catch (err) {
+      if (err instanceof TimerError) return res.status(err.status).json({ error: err.message });
+      console.error('Timer error:', err);
+      res.status(500).json({ error: 'Timer request failed' });
+    }
+  };
 }
 
-// Health endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', connections: wss.clients.size });
+app.get('/api/timers', timerRoute(() => ({ timers: listTimers() })));
+
+app.post('/api/timers', timerRoute((req) => addTimer({ ...pick(req.body, TIMER_FIELDS), source: 'api' })));
+
+app.delete('/api/timers/:id', timerRoute((req) => {
+  cancelTimer(req.params.id);
+  return { ok: true };
+}));
+
+app.post('/api/timers/dismiss', timerRoute((req) => ({ dismissed: dismissTimer(req.body?.id) })));
+
+app.post('/api/timers/snooze', timerRoute((req) => ({ snoozed: snoozeTimer(req.body?.id, req.body?.minutes) })));
+
+// TTS providers, settings and the voice currently in use
+app.get('/api/tts', (req, res) => {
+  res.json(ttsStatus());
+});
+
+// Prometheus scrape: turn stage timings, turns and errors, gateway state
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Health endpoint — 'degraded' (still 200) names what's wrong: gateway
+// unreachable, STT or TTS not ready, a disk nearly full. Also who's
+// connected and who's driving the turn.
+app.get('/health', async (req, res) => {
+  const gateway = gatewayStatus();
+  const stt = sttStatus();
+  const tts = await ttsHealth();
+  const disk = (await Promise.all([getConfig('history.dir'), tmpdir()].map(diskUsage))).filter(Boolean);
+  const degraded = [];
+  if (gateway.state !== 'connected') degraded.push('gateway');
+  if (!stt.ready) degraded.push('stt');
+  if (!tts.ready) degraded.push('tts');
+  if (disk.some((d) => d.usedPercent >= DISK_DEGRADED_PERCENT)) degraded.push('disk');
+  if (buttonsStatus().error) degraded.push('buttons');
+
+  res.json({
+    status: degraded.length ? 'degraded' : 'ok',
+    degraded,
+    gateway: {
+      reachable: gateway.state === 'connected',
+      state: gateway.state,
+      url: gateway.url,
+      lastSeenAt: gateway.lastSeenAt,
+      reconnects: gateway.reconnects,
+      error: gateway.lastError,
+    },
+    stt,
+    tts,
+    disk,
+    connections: clients.size,
+    clients: describeClients(),
+    turn: {
+      driver: session.driver,
+      state: currentState(),
+    },
+    locks: lockStatus(),
+    volume: volumeStatus(),
+    buttons: buttonsStatus(),
+    announcements: announcementsStatus(),
+    timers: {
+      pending: listTimers().length - ringingTimers().length,
+      ringing: ringingTimers().length,
+    },
+    language: currentLanguage(),
+  });
 });
 
+await loadHistory();
+await loadTimers();
+await loadVolume();
+await startButtons();
+
+// Clips and recordings a previous run died holding
+const swept = await sweepTemp();
+if (swept) console.log(`Removed ${swept} stale temp dir${swept === 1 ? '' : 's'}`);
+
 server.listen(PORT, '0.0.0.0', () => {
   console.log(`🐾 OpenClaw Pi Assistant on http://0.0.0.0:${PORT}`);
 });
+
+// Connect to the gateway now so the UI shows its state; the client
+// keeps reconnecting with backoff from here on
+connect().catch((err) => console.error('Gateway connect error:', err.message));
+
+// Load the STT model up front rather than on the first utterance
+startStt().catch((err) => console.error('STT startup error:', err.message));
+
+// Take child processes (whisper-server) down with us
+for (const sig of ['SIGINT', 'SIGTERM']) {
+  process.on(sig, async () => {
+    await stopStt();
+    process.exit(0);
+  });
+}
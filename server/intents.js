@@ -0,0 +1,495 @@
+// Intents — short commands answered on the Pi without asking the gateway
+// Each intent is a list of phrase templates, matched against the whole
+// (normalized) transcript:
+//   what time is it [now]          [...] is optional (whole words only)
+//   (turn it|turn the volume) up   (a|b) is one of
+//   volume [to] {level:number}     {slot} captures words, {slot:number} digits,
+//   in {when:duration}             {slot:duration} / {slot:time} a spoken
+//                                  duration / clock time (spoken-time.js)
+// Matching ignores case, accents and punctuation, and a "please" / "por
+// favor" / "bitte" around the phrase. Unmatched transcripts go to the gateway.
+//
+// Custom intents come from intents.file, a JSON array, re-read when it changes:
+//   { "name": "lights_on", "patterns": ["[turn on the] lights"],
+//     "command": ["/usr/local/bin/lights", "on"], "say": "Lights on." }
+// command runs without a shell, {slot}s substituted (stdout is spoken when
+// there's no say); url gets a POST of { intent, slots, text, language } and
+// its reply (text, or JSON with say) is spoken; say can be { en, es, de }.
+// { "intent": "time", "patterns": [...] } adds phrases to a built-in.
+import { execFile } from 'child_process';
+import { stat, readFile } from 'fs/promises';
+import { promisify } from 'util';
+import { getConfig } from './config.js';
+import { localeFor, t } from './i18n.js';
+import { changeVolume, setMuted, setVolume, VolumeError } from './volume.js';
+import { currentConversation, newConversation } from './history.js';
+import { isConnected } from './openclaw.js';
+import { sttStatus } from './stt.js';
+import { ttsVoice } from './tts.js';
+import {
+  addTimer, cancelTimer, dismissTimer, snoozeTimer, listTimers, ringingTimers,
+} from './timers.js';
+import {
+  parseDuration, parseClock, nextClockTime, sayDuration, DURATION_PATTERN, CLOCK_PATTERN,
+} from './spoken-time.js';
+
+const execFileAsync = promisify(execFile);
+
+const COMMAND_TIMEOUT_MS = 10000;
+
+const BEFORE = '(?: (?:please|can you|could you|por favor|puedes|bitte|kannst du))?';
+const AFTER = '(?: (?:please|por favor|bitte))?';
+
+const SLOT_TYPES = { number: '\\d+', duration: DURATION_PATTERN, time: CLOCK_PATTERN };
+
+// "¿Qué hora es?" → "que hora es"
+export function normalize(text) {
+  return String(text).toLowerCase().normalize('NFD').replace(/\p{M}/gu, '')
+    .replace(/[’‘`´]/g, "'")
+    .replace(/[^\p{L}\p{N}'\s]+/gu, ' ')
+    .replace(/(^|\s)'+|'+(?=\s|$)/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Template → RegExp over ' ' + normalize(text): every word carries its
+// leading space, so optional parts can't leave a double gap
+export function compilePattern(template) {
+  let i = 0;
+
+  function sequence(stops) {
+    let out = '';
+    while (i < template.length && !stops.includes(template[i])) {
+      const c = template[i];
+      if (/\s/.test(c)) {
+        i++;
+      } else if (c === '[' || c === '(') {
+        i++;
+        const alts = alternatives(c === '[' ? ']' : ')');
+        out += c === '[' ? `(?:${alts})?` : `(?:${alts})`;
+      } else if (c === '{') {
+        const end = template.indexOf('}', i);
+        const [name, type] = template.slice(i + 1, end).split(':');
+        if (end < 0 || !/^[a-z_]\w*$/i.test(name)) throw new Error(`bad slot in "${template}"`);
+        if (type && !SLOT_TYPES[type]) throw new Error(`unknown slot type "${type}" in "${template}"`);
+        out += ` (?<${name}>${type ? SLOT_TYPES[type] : '.+?'})`;
+        i = end + 1;
+      } else {
+        const word = /^[^\s[\](){}|]+/.exec(template.slice(i));
+        if (!word) throw new Error(`unexpected "${c}" in "${template}"`);
+        const normalized = normalize(word[0]);
+        if (normalized) out += ` ${normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+        i += word[0].length;
+      }
+    }
+    return out;
+  }
+
+  function alternatives(close) {
+    const alts = [sequence(['|', close])];
+    while (template[i] === '|') {
+      i++;
+      alts.push(sequence(['|', close]));
+    }
+    if (template[i] !== close) throw new Error(`missing "${close}" in "${template}"`);
+    if (alts.includes('')) throw new Error(`empty choice in "${template}"`);
+    i++;
+    return alts.join('|');
+  }
+
+  const body = sequence([]);
+  if (!body) throw new Error('empty pattern');
+  return new RegExp(`^${BEFORE}${body}${AFTER}$`);
+}
+
+// ── Built-ins ──
+
+let lastAnswer = null;
+
+// The pipeline reports every answer it speaks, for "repeat that"
+export function rememberAnswer(text) {
+  if (text && text.trim()) lastAnswer = text;
+}
+
+function previousAnswer() {
+  if (lastAnswer) return lastAnswer;
+  const reply = currentConversation().messages.findLast((m) => m.role === 'assistant' && m.content);
+  return reply?.content || null;
+}
+
+async function volume(language, change) {
+  try {
+    const { level } = await change();
+    return { say: t('volume', language, { level }) };
+  } catch (err) {
+    if (!(err instanceof VolumeError)) throw err;
+    console.warn('Volume:', err.message);
+    return { say: t('volumeUnavailable', language) };
+  }
+}
+
+const KIND_WORDS = {
+  timer: /\b(timers?|temporizador(es)?)\b/,
+  alarm: /\b(alarms?|alarmas?|wecker)\b/,
+  reminder: /\b(reminders?|recordatorios?|erinnerung(en)?)\b/,
+};
+const EVERY_ONE = /\b(all|timers|alarms|reminders|todos|todas|temporizadores|alarmas|recordatorios|alle|erinnerungen)\b/;
+const DAILY = /\b(every day|daily|every morning|todos los dias|cada dia|jeden tag|taglich)\b/;
+
+const clockText = (at, language) => new Date(at).toLocaleTimeString(localeFor(language), { hour: 'numeric', minute: '2-digit' });
+
+const BUILTINS = {
+  time: {
+    patterns: [
+      'what time is it [now]', "what's the time [now]", 'what is the time [now]', '[tell me] the time',
+      'que hora es', '(dime|dame) la hora',
+      'wie spat ist es', 'wie viel uhr ist es', 'wieviel uhr ist es', 'sag mir die uhrzeit',
+    ],
+    run: ({ language }) => ({
+      say: t('time', language, {
+        time: new Date().toLocaleTimeString(localeFor(language), { hour: 'numeric', minute: '2-digit' }),
+      }),
+    }),
+  },
+  date: {
+    patterns: [
+      'what (day|date) is it [today]', "what's the date [today]", 'what is the date [today]',
+      "what's today's date", "what is today's date", 'what day is today',
+      'que (dia|fecha) es hoy', 'a que fecha estamos', 'que dia es',
+      'welcher tag ist heute', 'welches datum ist heute', 'der wievielte ist heute',
+    ],
+    run: ({ language }) => ({
+      say: t('date', language, {
+        date: new Date().toLocaleDateString(localeFor(language), { weekday: 'long', month: 'long', day: 'numeric' }),
+      }),
+    }),
+  },
+  volume_up: {
+    patterns: [
+      'louder', '(turn it|turn the volume|volume) up', 'turn up the volume', '(increase|raise) the volume',
+      'sube el volumen', 'mas alto', 'subelo',
+      'lauter', 'mach [es] lauter', 'lautstarke (hoch|erhohen)', 'dreh lauter',
+    ],
+    run: ({ language }) => volume(language, () => changeVolume(getConfig('audio.volumeStep'))),
+  },
+  volume_down: {
+    patterns: [
+      'quieter', '(turn it|turn the volume|volume) down', 'turn down the volume', '(decrease|lower) the volume',
+      'baja el volumen', 'mas bajo', 'bajalo',
+      'leiser', 'mach [es] leiser', 'lautstarke (runter|verringern)', 'dreh leiser',
+    ],
+    run: ({ language }) => volume(language, () => changeVolume(-getConfig('audio.volumeStep'))),
+  },
+  volume_set: {
+    patterns: [
+      '[set] [the] volume [to] {level:number} [percent]',
+      '(pon|ajusta) el volumen (a|al) {level:number} [por ciento]', 'volumen (a|al) {level:number} [por ciento]',
+      '[stell] [die] lautstarke auf {level:number} [prozent]',
+    ],
+    run: ({ language, slots }) => volume(language, () => setVolume(Number(slots.level))),
+  },
+  mute: {
+    patterns: [
+      'mute [the sound|the speaker|yourself]', 'sound off',
+      'silencia [el sonido|el altavoz]', 'quita el sonido',
+      'stumm [schalten]', 'ton aus', 'schalte den ton aus',
+    ],
+    // Nothing to say — we've just been muted
+    run: async () => {
+      await setMuted(true).catch((err) => {
+        if (!(err instanceof VolumeError)) throw err;
+        console.warn('Volume:', err.message);
+      });
+      return {};
+    },
+  },
+  unmute: {
+    patterns: [
+      'unmute [the sound|the speaker|yourself]', 'sound on', 'turn the sound [back] on',
+      'activa el sonido', 'quita el silencio',
+      'ton an', 'schalte den ton [wieder] an', 'stummschaltung aufheben',
+    ],
+    run: async ({ language }) => {
+      try {
+        await setMuted(false);
+        return { say: t('unmuted', language) };
+      } catch (err) {
+        if (!(err instanceof VolumeError)) throw err;
+        console.warn('Volume:', err.message);
+        return { say: t('volumeUnavailable', language) };
+      }
+    },
+  },
+  cancel: {
+    patterns: [
+      'cancel', 'never mind', 'nevermind', 'forget it', 'stop', 'nothing',
+      'cancela', 'cancelar', 'olvidalo', 'dejalo', 'nada',
+      'abbrechen', 'vergiss es', 'egal', 'nichts', 'stopp',
+    ],
+    // "Stop" while something rings silences it
+    run: () => {
+      if (ringingTimers().length) dismissTimer();
+      return {};
+    },
+  },
+  repeat: {
+    patterns: [
+      'repeat [that|the last answer]', 'say that again', 'what did you say', 'come again',
+      'repite', 'repitelo', 'que has dicho', 'que dijiste', 'puedes repetir[lo]',
+      '(wiederhole|wiederholen) [das]', 'was hast du gesagt', 'sag das [noch mal|nochmal]',
+    ],
+    run: ({ language }) => ({ say: previousAnswer() || t('nothingToRepeat', language) }),
+  },
+  status: {
+    patterns: [
+      'status [report]', "(what's|what is) your status", 'are you (online|connected)', 'system status',
+      'estado', 'informe de estado', 'estas (conectado|en linea)',
+      'statusbericht', 'bist du (online|verbunden)', 'systemstatus',
+    ],
+    run: ({ language }) => {
+      const { provider } = ttsVoice();
+      const parts = [
+        t(isConnected() ? 'statusGatewayUp' : 'statusGatewayDown', language),
+        t(sttStatus().ready ? 'statusSttReady' : 'statusSttDown', language),
+      ];
+      if (provider) parts.push(t('statusVoice', language, { provider }));
+      return { say: parts.join(' ') };
+    },
+  },
+  timer_set: {
+    patterns: [
+      '[set|start] [a|an] timer (for|of) {duration:duration}', '[set|start] [a|an] {duration:duration} timer',
+      '[set|start] [a|an|the] {label} timer (for|of) {duration:duration}',
+      '(pon|ponme|inicia) un temporizador (de|para|por) {duration:duration}', 'temporizador (de|para) {duration:duration}',
+      '[stell|stelle|starte] [einen|den] timer (auf|fur|von|uber) {duration:duration}', 'timer (auf|fur) {duration:duration}',
+    ],
+    run: ({ language, slots }) => {
+      const ms = parseDuration(slots.duration);
+      if (!ms) return { say: t('timerNotUnderstood', language) };
+      addTimer({ kind: 'timer', seconds: ms / 1000, label: slots.label, language, source: 'voice' });
+      return { say: t('timerSet', language, { duration: sayDuration(ms, language) }) };
+    },
+  },
+  alarm_set: {
+    patterns: [
+      '[set] [an|the|my] alarm (for|at) {time:time} [every day|daily|every morning]',
+      'wake me [up] at {time:time} [every day|every morning]',
+      '(pon|ponme) [una|la] alarma (a|para) [las] {time:time} [todos los dias|cada dia]',
+      'despiertame a [las] {time:time} [todos los dias|cada dia]',
+      '[stell|stelle] [einen|den|meinen] wecker (auf|fur|um) {time:time} [jeden tag|taglich]',
+      'weck mich [jeden tag|taglich] um {time:time} [jeden tag|taglich]',
+    ],
+    run: ({ language, slots, text }) => {
+      const clock = parseClock(slots.time);
+      if (!clock) return { say: t('alarmNotUnderstood', language) };
+      const repeat = DAILY.test(normalize(text)) ? 'daily' : null;
+      const timer = addTimer({ kind: 'alarm', at: nextClockTime(clock), repeat, language, source: 'voice' });
+      return { say: t('alarmSet', language, { time: clockText(timer.dueAt, language) }) };
+    },
+  },
+  reminder_set: {
+    patterns: [
+      'remind me (to|about) {label} in {duration:duration}', 'remind me in {duration:duration} (to|about) {label}',
+      'remind me (to|about) {label} at {time:time}', 'remind me at {time:time} (to|about) {label}',
+      'recuerdame [que|de] {label} en {duration:duration}', 'recuerdame en {duration:duration} (que|de) {label}',
+      'recuerdame [que|de] {label} a las {time:time}', 'recuerdame a las {time:time} (que|de) {label}',
+      'erinnere mich in {duration:duration} (an|daran) {label}', 'erinnere mich (an|daran) {label} in {duration:duration}',
+      'erinnere mich um {time:time} (an|daran) {label}', 'erinnere mich (an|daran) {label} um {time:time}',
+    ],
+    run: ({ language, slots }) => {
+      if (slots.duration) {
+        const ms = parseDuration(slots.duration);
+        if (!ms) return { say: t('timerNotUnderstood', language) };
+        addTimer({ kind: 'reminder', seconds: ms / 1000, label: slots.label, language, source: 'voice' });
+        return { say: t('reminderIn', language, { duration: sayDuration(ms, language) }) };
+      }
+      const clock = parseClock(slots.time);
+      if (!clock) return { say: t('alarmNotUnderstood', language) };
+      const timer = addTimer({ kind: 'reminder', at: nextClockTime(clock), label: slots.label, language, source: 'voice' });
+      return { say: t('reminderAt', language, { time: clockText(timer.dueAt, language) }) };
+    },
+  },
+  // Silences whatever is ringing; otherwise cancels the next one of that
+  // kind ("cancel the alarm"), or all of them ("cancel all timers")
+  timer_cancel: {
+    patterns: [
+      '(cancel|stop|delete|clear|turn off|dismiss) [the|my|all|all the|all my] (timer|timers|alarm|alarms|reminder|reminders)',
+      '(cancela|quita|borra|para|apaga) [el|la|los|las|mi|mis|todos los|todas las] (temporizador|temporizadores|alarma|alarmas|recordatorio|recordatorios)',
+      '[den|die|meinen|alle] (timer|wecker|erinnerung|erinnerungen) (abbrechen|loschen|stoppen|aus|ausschalten)',
+      '(losch|losche|stopp|stoppe) [den|die|meinen|alle] (timer|wecker|erinnerung|erinnerungen)',
+    ],
+    run: ({ language, text }) => {
+      if (ringingTimers().length) {
+        dismissTimer();
+        return {};
+      }
+      const words = normalize(text);
+      const kind = Object.keys(KIND_WORDS).find((k) => KIND_WORDS[k].test(words));
+      const pending = listTimers().filter((timer) => timer.kind === kind);
+      if (!pending.length) return { say: t('noTimers', language) };
+      for (const timer of EVERY_ONE.test(words) ? pending : pending.slice(0, 1)) cancelTimer(timer.id);
+      return { say: t('timerCancelled', language) };
+    },
+  },
+  timer_left: {
+    patterns: [
+      'how (much time|long) is left [on the timer]', "how much time's left", 'how long [is] left',
+      'cuanto [tiempo] (falta|queda) [del temporizador|para la alarma]',
+      'wie lange (noch|lauft der timer noch|dauert der timer noch)', 'wie viel zeit (ist|bleibt) noch',
+    ],
+    run: ({ language }) => {
+      const next = listTimers().find((timer) => !timer.ringing);
+      if (!next) return { say: t('noTimers', language) };
+      return { say: t('timerLeft', language, { duration: sayDuration(next.remainingMs, language) }) };
+    },
+  },
+  snooze: {
+    patterns: [
+      'snooze [it|the alarm|the timer]',
+      '(pospon|posponer|pospone|aplaza) [la alarma|el temporizador]',
+      'schlummern', 'spater wecken',
+    ],
+    run: ({ language }) => {
+      if (!ringingTimers().length) return {};
+      const minutes = getConfig('timers.snoozeMinutes');
+      snoozeTimer(undefined, minutes);
+      return { say: t('snoozed', language, { minutes }) };
+    },
+  },
+  // Also handled with intents switched off — it's how you leave a conversation
+  new_conversation: {
+    always: true,
+    patterns: [
+      "[let's|please] [start] [a] new (conversation|chat)", 'start (over|fresh)', 'forget (this|the|our) conversation',
+      '[empecemos|empieza|empezar|inicia] [una] (nueva conversacion|conversacion nueva|nuevo chat)',
+      '(empezar|empecemos) de (nuevo|cero)',
+      '[lass uns|bitte] [ein|eine|einen] (neues gesprach|neue unterhaltung|neue chat|neuen chat) [beginnen|starten|anfangen]',
+      '[lass uns] von vorne anfangen', 'fang von vorne an',
+    ],
+    run: async ({ language }) => {
+      await newConversation();
+      return { say: t('newConversation', language) };
+    },
+  },
+};
+
+const builtins = Object.entries(BUILTINS).map(([name, { patterns, run, always }]) => ({
+  name, run, always: !!always, patterns: patterns.map(compilePattern),
+}));
+
+// ── Custom intents (intents.file) ──
+
+let custom = { path: null, mtimeMs: 0, intents: [], extra: new Map() };
+
+function pick(say, language) {
+  if (typeof say === 'string') return say;
+  return say[language] || say.en || Object.values(say)[0];
+}
+
+const fill = (template, slots) => template.replace(/\{(\w+)\}/g, (m, k) => slots[k] ?? m);
+
+function customRunner(entry) {
+  return async ({ language, slots, text, signal }) => {
+    let output = '';
+    if (entry.command) {
+      const [cmd, ...args] = entry.command.map((arg) => fill(String(arg), slots));
+      output = (await execFileAsync(cmd, args, { timeout: COMMAND_TIMEOUT_MS, signal })).stdout.trim();
+    }
+    if (entry.url) {
+      const res = await fetch(entry.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ intent: entry.name, slots, text, language }),
+        signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(COMMAND_TIMEOUT_MS)]) : AbortSignal.timeout(COMMAND_TIMEOUT_MS),
+      });
+      if (!res.ok) throw new Error(`${entry.url} → HTTP ${res.status}`);
+      const body = await res.text();
+      try {
+        output = JSON.parse(body).say || '';
+      } catch {
+        output = body.trim();
+      }
+    }
+    return { say: entry.say ? fill(pick(entry.say, language), slots) : output };
+  };
+}
+
+function loadEntry(entry, intents, extra) {
+  if (!entry || !Array.isArray(entry.patterns) || !entry.patterns.length) throw new Error('needs patterns');
+  const patterns = entry.patterns.map(compilePattern);
+  if (entry.intent) {
+    if (!BUILTINS[entry.intent]) throw new Error(`no built-in intent "${entry.intent}"`);
+    extra.set(entry.intent, [...(extra.get(entry.intent) || []), ...patterns]);
+    return;
+  }
+  if (!entry.name) throw new Error('needs a name');
+  if (!entry.say && !entry.command && !entry.url) throw new Error('needs say, command or url');
+  if (entry.command && (!Array.isArray(entry.command) || !entry.command.length)) throw new Error('command must be an array');
+  if (entry.say && typeof entry.say !== 'string' && typeof entry.say !== 'object') throw new Error('say must be text or { language: text }');
+  intents.push({ name: entry.name, patterns, run: customRunner(entry) });
+}
+
+// Re-read when the path or the file's mtime changes; a missing file is no intents
+async function customIntents() {
+  const path = getConfig('intents.file');
+  const mtimeMs = await stat(path).then((s) => s.mtimeMs, () => 0);
+  if (path === custom.path && mtimeMs === custom.mtimeMs) return custom;
+
+  const intents = [];
+  const extra = new Map();
+  if (mtimeMs) {
+    try {
+      const entries = JSON.parse(await readFile(path, 'utf8'));
+      if (!Array.isArray(entries)) throw new Error('expected an array of intents');
+      entries.forEach((entry, i) => {
+        try {
+          loadEntry(entry, intents, extra);
+        } catch (err) {
+          console.warn(`Intents: skipping ${entry?.name || entry?.intent || `#${i}`} in ${path}: ${err.message}`);
+        }
+      });
+      console.log(`Intents: ${intents.length} custom, ${[...extra.values()].flat().length} extra phrase(s) from ${path}`);
+    } catch (err) {
+      console.warn(`Intents: can't read ${path}: ${err.message}`);
+    }
+  }
+  custom = { path, mtimeMs, intents, extra };
+  return custom;
+}
+
+// text → { intent, slots, run } for the first intent that matches, or null.
+// Custom intents are tried first so they can take over a built-in phrase.
+export async function matchIntent(text) {
+  const normalized = ` ${normalize(text)}`;
+  if (normalized === ' ') return null;
+  const enabled = getConfig('intents.enabled');
+  const { intents, extra } = await customIntents();
+  const candidates = [
+    ...(enabled ? intents : []),
+    ...builtins.filter((b) => enabled || b.always)
+      .map((b) => ({ ...b, patterns: [...b.patterns, ...(extra.get(b.name) || [])] })),
+  ];
+  for (const { name, patterns, run } of candidates) {
+    for (const re of patterns) {
+      const m = re.exec(normalized);
+      if (m) return { intent: name, slots: { ...m.groups }, run };
+    }
+  }
+  return null;
+}
+
+// → { intent, say } when handled locally (say may be empty: nothing to
+// speak), null to pass the transcript on to the gateway. A failing custom
+// intent is still handled — with an apology rather than a gateway round trip.
+export async function handleIntent(text, { language, signal } = {}) {
+  const match = await matchIntent(text);
+  if (!match) return null;
+  try {
+    const { say } = await match.run({ language, slots: match.slots, text, signal });
+    return { intent: match.intent, say: say || '' };
+  } catch (err) {
+    signal?.throwIfAborted();
+    console.error(`Intent ${match.intent} failed:`, err.message);
+    return { intent: match.intent, say: t('intentFailed', language) };
+  }
+}
@@ -0,0 +1,81 @@
+// Levels — short-interval loudness frames for the orb's level ring
+// Mic frames come from the samples a recording already decodes; speaker
+// frames from the clip's envelope, paced to playback. WAVs are read
+// directly, mp3/opus decoded by ffmpeg; without it there are no frames and
+// the UI falls back to its CSS animation. Levels are 0–1 on a -60…0 dBFS
+// scale.
+import { execFile } from 'child_process';
+import { readFile } from 'fs/promises';
+import { decode, parseWav, rms, peak, dbfs } from './pcm.js';
+
+export const LEVEL_INTERVAL_MS = 50;
+const FLOOR_DB = -60;
+const ENVELOPE_RATE = 8000; // plenty for loudness
+
+function toLevel(amplitude) {
+  const db = dbfs(amplitude);
+  return Math.max(0, Math.min(1, (db - FLOOR_DB) / -FLOOR_DB));
+}
+
+function frame(samples) {
+  return { level: Math.round(toLevel(rms(samples)) * 100) / 100, peak: Math.round(toLevel(peak(samples)) * 100) / 100 };
+}
+
+// feed(samples) as they arrive; onLevel({ level, peak }) once per interval
+// of audio (sample time, not wall clock)
+export function createLevelMeter(rate, onLevel, intervalMs = LEVEL_INTERVAL_MS) {
+  const size = Math.round((rate * intervalMs) / 1000);
+  let pending = new Float32Array(0);
+  return {
+    feed(samples) {
+      const all = new Float32Array(pending.length + samples.length);
+      all.set(pending);
+      all.set(samples, pending.length);
+      let i = 0;
+      for (; i + size <= all.length; i += size) onLevel(frame(all.subarray(i, i + size)));
+      pending = all.slice(i);
+    },
+  };
+}
+
+// Integer PCM WAV → one frame per interval, or null if it isn't one
+export function wavEnvelope(buf, intervalMs = LEVEL_INTERVAL_MS) {
+  const wav = parseWav(buf);
+  if (!wav || wav.format !== 1 || (wav.bits !== 16 && wav.bits !== 32)) return null;
+  const samples = decode(wav.data, wav.bits);
+  const step = Math.max(1, Math.round((wav.rate * wav.channels * intervalMs) / 1000));
+  const frames = [];
+  for (let i = 0; i < samples.length; i += step) frames.push(frame(samples.subarray(i, i + step)));
+  return frames;
+}
+
+function decodeWithFfmpeg(path) {
+  return new Promise((resolve) => {
+    execFile('ffmpeg', [
+      '-loglevel', 'error', '-i', path,
+      '-f', 's16le', '-ac', '1', '-ar', String(ENVELOPE_RATE), '-',
+    ], { encoding: 'buffer', maxBuffer: 16 * 1024 * 1024, timeout: 5000 }, (err, stdout) => {
+      resolve(err ? null : stdout);
+    });
+  });
+}
+
+// → frames, or null if the clip can't be read or decoded
+export async function fileEnvelope(path) {
+  let buf;
+  try {
+    buf = await readFile(path);
+  } catch {
+    return null;
+  }
+  const frames = wavEnvelope(buf);
+  if (frames) return frames;
+
+  const pcm = await decodeWithFfmpeg(path);
+  if (!pcm?.length) return null;
+  const samples = decode(pcm, 16);
+  const step = Math.round((ENVELOPE_RATE * LEVEL_INTERVAL_MS) / 1000);
+  const out = [];
+  for (let i = 0; i < samples.length; i += step) out.push(frame(samples.subarray(i, i + step)));
+  return out;
+}
@@ -0,0 +1,67 @@
+// Locks — one mic and one speaker, however many clients are connected
+// acquire() waits its turn (FIFO); tryAcquire() is for taps, which should
+// fail fast rather than queue. Both hand back an idempotent release().
+// The always-listening wake capture isn't a holder: it steps aside via
+// pauseWake()/resumeWake() instead.
+
+function createLock(name) {
+  let holder = null;      // { owner, since }
+  const waiting = [];     // { owner, grant }
+
+  function grant(owner) {
+    holder = { owner, since: Date.now() };
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      holder = null;
+      const next = waiting.shift();
+      if (next) next.grant();
+    };
+  }
+
+  return {
+    name,
+
+    tryAcquire(owner) {
+      return holder ? null : grant(owner);
+    },
+
+    // Rejects with signal's reason if aborted while waiting
+    acquire(owner, { signal } = {}) {
+      signal?.throwIfAborted();
+      if (!holder) return Promise.resolve(grant(owner));
+      return new Promise((resolve, reject) => {
+        const entry = {
+          owner,
+          grant: () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(grant(owner));
+          },
+        };
+        const onAbort = () => {
+          const i = waiting.indexOf(entry);
+          if (i >= 0) waiting.splice(i, 1);
+          reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        waiting.push(entry);
+      });
+    },
+
+    status() {
+      return {
+        holder: holder?.owner ?? null,
+        since: holder?.since ?? null,
+        waiting: waiting.map((w) => w.owner),
+      };
+    },
+  };
+}
+
+export const mic = createLock('mic');
+export const speaker = createLock('speaker');
+
+export function lockStatus() {
+  return { mic: mic.status(), speaker: speaker.status() };
+}
@@ -0,0 +1,109 @@
+// Metrics — counters, gauges and histograms, rendered in the Prometheus text
+// format for GET /metrics (no client library). Modules declare their own:
+//   const turns = counter('openclaw_pi_turns_total', 'Voice turns by outcome');
+//   turns.inc({ outcome: 'ok' });
+// A collect() callback reads a value at scrape time instead (gateway state,
+// reconnect count), so nothing has to be kept in sync.
+
+const registry = new Map(); // name → metric
+
+// Seconds, from a snappy STT run to a long answer read aloud
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 15, 30, 60];
+
+const key = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+function escape(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escape(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function define(name, type, help, extra) {
+  const metric = { name, type, help, series: new Map(), ...extra };
+  registry.set(name, metric);
+  return metric;
+}
+
+function series(metric, labels, init) {
+  const k = key(labels);
+  if (!metric.series.has(k)) metric.series.set(k, { labels, ...init() });
+  return metric.series.get(k);
+}
+
+// collect() → a number, or [{ labels, value }]
+export function counter(name, help, { collect } = {}) {
+  const metric = define(name, 'counter', help, { collect });
+  return {
+    inc(labels = {}, by = 1) {
+      series(metric, labels, () => ({ value: 0 })).value += by;
+    },
+    value(labels = {}) {
+      return metric.series.get(key(labels))?.value || 0;
+    },
+  };
+}
+
+export function gauge(name, help, { collect } = {}) {
+  const metric = define(name, 'gauge', help, { collect });
+  return {
+    set(labels, value) {
+      series(metric, labels, () => ({ value: 0 })).value = value;
+    },
+  };
+}
+
+export function histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+  const metric = define(name, 'histogram', help, { buckets });
+  return {
+    observe(labels, value) {
+      const s = series(metric, labels, () => ({ counts: new Array(buckets.length).fill(0), sum: 0, count: 0 }));
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+    count(labels = {}) {
+      return metric.series.get(key(labels))?.count || 0;
+    },
+  };
+}
+
+function collected(metric) {
+  const value = metric.collect();
+  return Array.isArray(value) ? value : [{ labels: {}, value }];
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    if (metric.type === 'histogram') {
+      for (const { labels, counts, sum, count } of metric.series.values()) {
+        metric.buckets.forEach((le, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+      }
+      continue;
+    }
+    const values = metric.collect ? collected(metric) : metric.series.values();
+    for (const { labels, value } of values) lines.push(`${metric.name}${formatLabels(labels)} ${Number(value)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Errors by where they happened: mic, stt, gateway, tts, playback. A failed
+// turn as a whole is openclaw_pi_turns_total{outcome="error"}
+const errors = counter('openclaw_pi_errors_total', 'Errors by type');
+
+export function countError(type) {
+  errors.inc({ type });
+}
+
+export function errorCount(type) {
+  return errors.value({ type });
+}
@@ -1,93 +1,230 @@
 // OpenClaw Gateway Client — WebSocket protocol
 // Pi connects as operator, uses chat.send/chat.history
-// This gives the agent full context (memory, tools, skills)
+// This gives the agent full context (memory, tools, skills) — the gateway
+// keeps the conversation per sessionKey, so we never send history along.
+//
+// Each chat() is a run with its own id (sent as idempotencyKey); streamed
+// events are routed to it by runId (or sessionKey), so overlapping turns
+// can't see each other's text. Connection state is published on
+// gatewayEvents; text from runs we didn't start goes out as 'message', other
+// events that belong to no run as 'event'. Modules
+// can register commands the gateway may invoke here (node.invoke.request).
 import WebSocket from 'ws';
 import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { getConfig, watchConfig } from './config.js';
+import { defaultLanguage, localeFor } from './i18n.js';
+import { counter, gauge, countError } from './metrics.js';
 
-const OPENCLAW_HOST = process.env.OPENCLAW_HOST || '127.0.0.1';
-const OPENCLAW_PORT = process.env.OPENCLAW_PORT || '18789';
-const OPENCLAW_TOKEN = process.env.OPENCLAW_GATEWAY_TOKEN || '';
-const WS_URL = `ws://${OPENCLAW_HOST}:${OPENCLAW_PORT}`;
+// gateway.host / gateway.port / gateway.token — a change reconnects
+function wsUrl() {
+  return `ws://${getConfig('gateway.host')}:${getConfig('gateway.port')}`;
+}
+
+const CONNECT_TIMEOUT_MS = 10000;
+const REQUEST_TIMEOUT_MS = 60000;
+const RESPONSE_TIMEOUT_MS = 45000;
+
+// Backoff and heartbeat — tests shorten them (setGatewayTiming)
+const timing = {
+  reconnectBaseMs: 1000,
+  reconnectMaxMs: 30000,
+  heartbeatMs: 15000,        // probe if the socket has been quiet this long
+  heartbeatTimeoutMs: 5000,
+};
+
+// 'state'    — { state: connecting | connected | disconnected, retryInMs? }
+// 'approval' — { id, kind, runId, text, expiresAtMs } tool/exec approval request
+// 'approval_resolved' — { id } answered elsewhere (another operator)
+// 'message'  — { text, runId, sessionKey, priority } the agent said unprompted
+//              (a chat/agent run we didn't start: reminders, alerts, cron jobs)
+// 'event'    — other gateway events not tied to one of our runs
+export const gatewayEvents = new EventEmitter();
 
 let ws = null;
-let connected = false;
+let state = 'disconnected';
+let connectPromise = null;
+let reconnectTimer = null;
+let heartbeatTimer = null;
+let attempt = 0;
+let reconnects = 0;
+let lastSeen = 0;
+let lastError = null;
 let reqId = 0;
-const pending = new Map(); // id → { resolve, reject, onChunk }
-const deviceId = process.env.DEVICE_ID || `pi-assistant-${crypto.randomBytes(4).toString('hex')}`;
+const pending = new Map(); // id → { resolve, reject, timer }
+const runs = new Map();    // runId → run handler
+const endedRuns = new Set(); // our runs' ids once finished — late events aren't news
+const unprompted = new Map(); // runId → { text, timer } streaming in from a run we didn't start
+const commands = new Map(); // command name → async (params) → result
+const deviceId = getConfig('device.id') || `pi-assistant-${crypto.randomBytes(4).toString('hex')}`;
 
 function nextId() { return String(++reqId); }
 
+gauge('openclaw_pi_gateway_connected', 'Gateway connection is up (1) or not (0)', {
+  collect: () => (state === 'connected' ? 1 : 0),
+});
+gauge('openclaw_pi_gateway_state', 'Gateway connection state (1 for the current one)', {
+  collect: () => [{ labels: { state }, value: 1 }],
+});
+counter('openclaw_pi_gateway_reconnects_total', 'Gateway reconnect attempts', { collect: () => reconnects });
+
+function setState(next, extra = {}) {
+  state = next;
+  gatewayEvents.emit('state', { state, ...extra });
+}
+
 function send(data) {
-  if (ws?.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify(data));
-  }
+  if (ws?.readyState !== WebSocket.OPEN) return false;
+  ws.send(JSON.stringify(data));
+  return true;
 }
 
-function wsRequest(method, params = {}) {
+function wsRequest(method, params = {}, timeoutMs = REQUEST_TIMEOUT_MS) {
   return new Promise((resolve, reject) => {
     const id = nextId();
-    pending.set(id, { resolve, reject });
-    send({ type: 'req', id, method, params });
-    setTimeout(() => {
+    if (!send({ type: 'req', id, method, params })) {
+      reject(new Error('Gateway not connected'));
+      return;
+    }
+    const timer = setTimeout(() => {
       if (pending.has(id)) {
         pending.delete(id);
         reject(new Error(`Timeout: ${method}`));
       }
-    }, 60000);
+    }, timeoutMs);
+    pending.set(id, { resolve, reject, timer });
+  });
+}
+
+// Socket is gone — nothing in flight can complete
+function failAll(err) {
+  for (const { reject, timer } of pending.values()) {
+    clearTimeout(timer);
+    reject(err);
+  }
+  pending.clear();
+  for (const run of new Set(runs.values())) run.onError(err);
+}
+
+function scheduleReconnect() {
+  if (reconnectTimer) return;
+  // Exponential backoff with jitter, so a fleet doesn't reconnect in lockstep
+  const ceiling = Math.min(timing.reconnectMaxMs, timing.reconnectBaseMs * 2 ** attempt);
+  const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  attempt++;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    reconnects++;
+    connect().catch(() => {});
+  }, delay);
+  setState('disconnected', { retryInMs: delay });
+}
+
+function startHeartbeat(sock) {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = setInterval(async () => {
+    if (Date.now() - lastSeen < timing.heartbeatMs) return;
+    const probeAt = Date.now();
+    try {
+      await wsRequest('health', {}, timing.heartbeatTimeoutMs);
+    } catch {
+      // An error *reply* still proves the gateway is alive
+      if (lastSeen >= probeAt) return;
+      console.warn('Gateway heartbeat missed — reconnecting');
+      sock.terminate();
+    }
+  }, timing.heartbeatMs);
+}
+
+function sendConnect(nonce, resolve, reject) {
+  const id = nextId();
+  send({
+    type: 'req',
+    id,
+    method: 'connect',
+    params: {
+      minProtocol: 3,
+      maxProtocol: 3,
+      client: {
+        id: 'pi-assistant',
+        version: '0.1.0',
+        platform: 'linux',
+        mode: 'operator',
+      },
+      role: 'operator',
+      scopes: ['operator.read', 'operator.write'],
+      caps: [],
+      commands: [...commands.keys()],
+      permissions: {},
+      auth: { token: getConfig('gateway.token') },
+      locale: localeFor(defaultLanguage()),
+      userAgent: 'openclaw-pi-assistant/0.1.0',
+      device: {
+        id: deviceId,
+        nonce,
+      },
+    },
   });
+  const timer = setTimeout(() => {
+    pending.delete(id);
+    reject(new Error('Timeout: connect'));
+  }, CONNECT_TIMEOUT_MS);
+  pending.set(id, { resolve, reject, timer });
 }
 
+// Connects now (cutting any backoff short); resolves once the gateway has
+// accepted the connect request. Failures schedule a retry with backoff.
 export function connect() {
-  return new Promise((resolve, reject) => {
-    ws = new WebSocket(WS_URL);
-    let challengeNonce = null;
+  if (state === 'connected') return Promise.resolve();
+  if (connectPromise) return connectPromise;
+
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
 
-    ws.on('message', (raw) => {
+  connectPromise = new Promise((resolve, reject) => {
+    const sock = new WebSocket(wsUrl());
+    ws = sock;
+    let settled = false;
+    setState('connecting');
+
+    const settle = (err) => {
+      if (settled) return;
+      settled = true;
+      connectPromise = null;
+      if (err) reject(err);
+      else resolve();
+    };
+
+    const connectTimer = setTimeout(() => {
+      lastError = 'Connect timeout';
+      sock.terminate();
+    }, CONNECT_TIMEOUT_MS);
+
+    sock.on('message', (raw) => {
+      lastSeen = Date.now();
       let msg;
       try { msg = JSON.parse(raw.toString()); } catch { return; }
 
-      // Challenge from gateway
+      // Challenge from gateway — answer with connect as operator
       if (msg.type === 'event' && msg.event === 'connect.challenge') {
-        challengeNonce = msg.payload?.nonce;
-        // Send connect as operator
-        const id = nextId();
-        send({
-          type: 'req',
-          id,
-          method: 'connect',
-          params: {
-            minProtocol: 3,
-            maxProtocol: 3,
-            client: {
-              id: 'pi-assistant',
-              version: '0.1.0',
-              platform: 'linux',
-              mode: 'operator',
-            },
-            role: 'operator',
-            scopes: ['operator.read', 'operator.write'],
-            caps: [],
-            commands: [],
-            permissions: {},
-            auth: { token: OPENCLAW_TOKEN },
-            locale: 'en-US',
-            userAgent: 'openclaw-pi-assistant/0.1.0',
-            device: {
-              id: deviceId,
-              nonce: challengeNonce,
-            },
-          },
-        });
-        pending.set(id, {
-          resolve: () => { connected = true; resolve(); },
-          reject,
+        sendConnect(msg.payload?.nonce, () => {
+          clearTimeout(connectTimer);
+          attempt = 0;
+          lastError = null;
+          setState('connected');
+          startHeartbeat(sock);
+          settle();
+        }, (err) => {
+          lastError = err.message;
+          sock.close();
         });
         return;
       }
 
       // Response to a request
       if (msg.type === 'res' && msg.id && pending.has(msg.id)) {
-        const { resolve: res, reject: rej } = pending.get(msg.id);
+        const { resolve: res, reject: rej, timer } = pending.get(msg.id);
+        clearTimeout(timer);
         pending.delete(msg.id);
         if (msg.ok) res(msg.payload);
         else rej(new Error(msg.error?.message || 'Gateway error'));
@@ -100,87 +237,289 @@ export function connect() {
       }
     });
 
-    ws.on('error', (err) => {
-      console.error('Gateway WS error:', err.message);
-      connected = false;
-      reject(err);
+    sock.on('error', (err) => {
+      // Same error on every retry is just noise
+      if (err.message !== lastError) console.error('Gateway WS error:', err.message);
+      lastError = err.message;
     });
 
-    ws.on('close', () => {
-      console.log('Gateway WS closed');
-      connected = false;
-      // Auto reconnect after 3s
-      setTimeout(() => connect().catch(() => {}), 3000);
+    sock.on('close', () => {
+      if (state === 'connected') console.log('Gateway WS closed');
+      clearTimeout(connectTimer);
+      clearInterval(heartbeatTimer);
+      if (ws === sock) ws = null;
+      failAll(new Error('Gateway disconnected'));
+      settle(new Error(lastError || 'Gateway closed'));
+      scheduleReconnect();
     });
   });
+
+  return connectPromise;
 }
 
-// Chat response handler — set by chat() calls
-let activeResponseHandler = null;
+// New address or token: drop the socket; the close handler reconnects
+watchConfig(['gateway.host', 'gateway.port', 'gateway.token'], () => {
+  attempt = 0;
+  lastError = null;
+  if (ws) ws.terminate();
+  else connect().catch(() => {});
+});
+
+function findRun(payload) {
+  if (payload.runId && runs.has(payload.runId)) return runs.get(payload.runId);
+  if (payload.sessionKey) {
+    for (const run of runs.values()) {
+      if (run.sessionKey === payload.sessionKey) return run;
+    }
+  }
+  // Gateways that don't tag events at all — only safe with a single run
+  if (!payload.runId && !payload.sessionKey && runs.size === 1) {
+    return runs.values().next().value;
+  }
+  return null;
+}
+
+// exec.approval.requested / tool.approval.requested → one shape for the UI
+function toApproval(event, payload) {
+  const kind = event.split('.')[0];
+  const req = payload.request || payload;
+  const text = payload.prompt || (kind === 'exec'
+    ? `Run the command ${req.command}?`
+    : `Allow ${req.tool || req.name || 'this tool'} to run?`);
+  return { id: payload.id, kind, runId: payload.runId || null, text, expiresAtMs: payload.expiresAtMs || null };
+}
 
 function handleEvent(msg) {
-  if (!activeResponseHandler) return;
-  const { onChunk, onDone, onAudio } = activeResponseHandler;
+  const payload = msg.payload || {};
+
+  // Approvals can come from any run (or none) — always surface them
+  switch (msg.event) {
+    case 'exec.approval.requested':
+    case 'tool.approval.requested':
+      if (payload.id) gatewayEvents.emit('approval', toApproval(msg.event, payload));
+      return;
+    case 'exec.approval.resolved':
+    case 'tool.approval.resolved':
+      if (payload.id) gatewayEvents.emit('approval_resolved', { id: payload.id });
+      return;
+    case 'node.invoke.request':
+      if (payload.id) invoke(payload);
+      return;
+  }
+
+  const run = findRun(payload);
+  if (!run) {
+    // Only a run we know has ended is one of ours — untagged text is news
+    if (!endedRuns.has(payload.runId)) unpromptedEvent(msg);
+    return;
+  }
 
   switch (msg.event) {
     case 'chat.chunk':
     case 'agent.chunk':
-      if (msg.payload?.text) onChunk(msg.payload.text);
+      if (payload.text) run.onChunk(payload.text);
       break;
     case 'chat.done':
     case 'agent.done':
-      onDone(msg.payload?.text || '');
+      run.onDone(payload.text || '');
       break;
     case 'chat.audio':
     case 'agent.audio':
       // TTS audio from the agent
-      if (msg.payload?.url || msg.payload?.base64) {
-        onAudio(msg.payload);
+      if (payload.url || payload.base64) {
+        run.onAudio(payload);
       }
       break;
+    default:
+      gatewayEvents.emit('event', msg);
+  }
+}
+
+// A run we didn't start: collect its text and pass it on as a 'message' once
+// done (or if done never comes)
+function unpromptedEvent(msg) {
+  const payload = msg.payload || {};
+  const key = payload.runId || payload.sessionKey || '';
+  const finish = (text) => {
+    const entry = unprompted.get(key);
+    clearTimeout(entry?.timer);
+    unprompted.delete(key);
+    const full = (text || entry?.text || '').trim();
+    if (full) {
+      gatewayEvents.emit('message', {
+        text: full, runId: payload.runId || null, sessionKey: payload.sessionKey || null, priority: payload.priority || null,
+      });
+    }
+  };
+  switch (msg.event) {
+    case 'chat.chunk':
+    case 'agent.chunk': {
+      if (!payload.text) return;
+      if (!unprompted.has(key)) {
+        const timer = setTimeout(() => finish(), RESPONSE_TIMEOUT_MS);
+        timer.unref();
+        unprompted.set(key, { text: '', timer });
+      }
+      unprompted.get(key).text += payload.text;
+      return;
+    }
+    case 'chat.done':
+    case 'agent.done':
+      finish(payload.text);
+      return;
+    default:
+      gatewayEvents.emit('event', msg);
+  }
+}
+
+// Handlers run at module load, before connect(), so they're in the connect
+// request's command list. A handler throwing answers the gateway with an error.
+export function registerCommand(name, handler) {
+  commands.set(name, handler);
+}
+
+async function invoke({ id, command, params }) {
+  let result;
+  try {
+    const handler = commands.get(command);
+    if (!handler) throw new Error(`Unknown command: ${command}`);
+    result = { ok: true, payload: await handler(params || {}) };
+  } catch (err) {
+    result = { ok: false, error: { message: err.message } };
   }
+  wsRequest('node.invoke.result', { id, ...result })
+    .catch((err) => console.warn(`Could not answer ${command}:`, err.message));
 }
 
-export async function chat(message, history, onChunk) {
-  if (!connected) {
+// signal cancels the turn: we stop waiting, ask the gateway to abort the
+// run, and reject with the signal's reason. onAudio gets the run's
+// chat.audio / agent.audio payloads ({ url | base64, format?, mimeType? }).
+// language is the one the user spoke, so the agent can answer in it.
+export async function chat(message, onChunk, { signal, sessionKey, language, onAudio } = {}) {
+  signal?.throwIfAborted();
+  if (state !== 'connected') {
     try { await connect(); } catch (err) {
+      countError('gateway');
       throw new Error(`Cannot connect to OpenClaw: ${err.message}`);
     }
   }
 
   return new Promise((resolve, reject) => {
+    const runId = crypto.randomUUID();
+    const ids = [runId];
     let fullResponse = '';
+    let timer = null;
+    let finished = false;
 
-    activeResponseHandler = {
+    const finish = () => {
+      finished = true;
+      for (const id of ids) {
+        runs.delete(id);
+        endedRuns.add(id);
+      }
+      // Only the last few matter — late events trail a run by seconds
+      for (const id of endedRuns) {
+        if (endedRuns.size <= 100) break;
+        endedRuns.delete(id);
+      }
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    const onAbort = () => {
+      if (finished) return;
+      finish();
+      // Best effort — older gateways don't know chat.abort
+      wsRequest('chat.abort', { runId: ids[ids.length - 1] }).catch(() => {});
+      reject(signal.reason);
+    };
+
+    const run = {
+      sessionKey,
       onChunk: (text) => {
         fullResponse += text;
         onChunk(text);
       },
       onDone: (text) => {
         if (text && !fullResponse) fullResponse = text;
-        activeResponseHandler = null;
+        finish();
         resolve(fullResponse);
       },
-      onAudio: (payload) => {
-        // Will be handled by the caller if needed
+      onAudio: (payload) => onAudio?.(payload),
+      onError: (err) => {
+        finish();
+        countError('gateway');
+        reject(err);
       },
     };
+    runs.set(runId, run);
+    signal?.addEventListener('abort', onAbort, { once: true });
 
-    // Send via chat.send
-    wsRequest('chat.send', { text: message }).catch((err) => {
-      activeResponseHandler = null;
-      reject(err);
+    // Send via chat.send; the gateway may assign its own run id
+    const params = { text: message, idempotencyKey: runId };
+    if (sessionKey) params.sessionKey = sessionKey;
+    if (language) params.language = language;
+    wsRequest('chat.send', params).then((payload) => {
+      if (finished || !payload?.runId || payload.runId === runId) return;
+      ids.push(payload.runId);
+      runs.set(payload.runId, run);
+    }).catch((err) => {
+      if (!finished) run.onError(err);
     });
 
     // Timeout
-    setTimeout(() => {
-      if (activeResponseHandler) {
-        activeResponseHandler = null;
-        if (fullResponse) resolve(fullResponse);
-        else reject(new Error('Response timeout'));
-      }
-    }, 45000);
+    timer = setTimeout(() => {
+      if (finished) return;
+      finish();
+      if (fullResponse) return resolve(fullResponse);
+      countError('gateway');
+      reject(new Error('Response timeout'));
+    }, RESPONSE_TIMEOUT_MS);
   });
 }
 
-export function isConnected() { return connected; }
+// Text parts of a chat.history message, whatever shape the gateway uses
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map((part) => (typeof part === 'string' ? part : part?.text || '')).join('');
+  }
+  return '';
+}
+
+// → [{ role, content, ts }] for a session, oldest first (user/assistant only)
+export async function fetchHistory(sessionKey, limit = 200) {
+  const payload = await wsRequest('chat.history', { sessionKey, limit });
+  const messages = Array.isArray(payload) ? payload : payload?.messages || [];
+  return messages
+    .filter((m) => m.role === 'user' || m.role === 'assistant')
+    .map((m) => ({
+      role: m.role,
+      content: messageText(m.content ?? m.text).trim(),
+      ts: m.timestamp || m.ts || null,
+    }))
+    .filter((m) => m.content);
+}
+
+// decision: 'allow-once' | 'deny'
+export function sendApprovalDecision(kind, id, decision) {
+  return wsRequest(`${kind}.approval.resolve`, { id, decision });
+}
+
+export function isConnected() { return state === 'connected'; }
+
+// For tests: shorter backoff / heartbeat; takes effect from the next connect
+export function setGatewayTiming(overrides) {
+  Object.assign(timing, overrides);
+}
+
+export function gatewayStatus() {
+  return {
+    state,
+    url: wsUrl(),
+    reconnects,
+    lastSeenAt: lastSeen || null,
+    activeRuns: new Set(runs.values()).size,
+    lastError,
+  };
+}
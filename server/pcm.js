@@ -0,0 +1,237 @@
+// PCM helpers — decode raw capture frames, resample, and measure levels
+// Capture is S32_LE (SPH0645 on Pi) or S16_LE (sox on dev machines)
+
+// Raw little-endian PCM → Float32Array in [-1, 1]
+export function decode(buf, bits) {
+  const bytes = bits / 8;
+  const n = Math.floor(buf.length / bytes);
+  const out = new Float32Array(n);
+  if (bits === 32) {
+    for (let i = 0; i < n; i++) out[i] = buf.readInt32LE(i * 4) / 2147483648;
+  } else {
+    for (let i = 0; i < n; i++) out[i] = buf.readInt16LE(i * 2) / 32768;
+  }
+  return out;
+}
+
+// Stateful decode for streamed chunks, which needn't end on a sample boundary
+export function createDecoder(bits) {
+  const bytes = bits / 8;
+  let leftover = Buffer.alloc(0);
+  return (chunk) => {
+    const buf = leftover.length ? Buffer.concat([leftover, chunk]) : chunk;
+    const usable = buf.length - (buf.length % bytes);
+    leftover = buf.subarray(usable);
+    return decode(buf.subarray(0, usable), bits);
+  };
+}
+
+// Stateful gain on raw streamed PCM (same format in and out, clipped at
+// full scale); factor 1 passes chunks straight through
+export function createScaler(bits) {
+  const bytes = bits / 8;
+  const max = bits === 32 ? 2147483647 : 32767;
+  const min = -max - 1;
+  let leftover = Buffer.alloc(0);
+  return (chunk, factor) => {
+    if (factor === 1 && !leftover.length) return chunk;
+    const buf = leftover.length ? Buffer.concat([leftover, chunk]) : chunk;
+    const usable = buf.length - (buf.length % bytes);
+    leftover = Buffer.from(buf.subarray(usable));
+    const out = Buffer.alloc(usable);
+    for (let i = 0; i < usable; i += bytes) {
+      const v = bits === 32 ? buf.readInt32LE(i) : buf.readInt16LE(i);
+      const scaled = Math.max(min, Math.min(max, Math.round(v * factor)));
+      if (bits === 32) out.writeInt32LE(scaled, i);
+      else out.writeInt16LE(scaled, i);
+    }
+    return out;
+  };
+}
+
+// 44-byte RIFF header for integer PCM
+export function wavHeader(dataLength, { rate, bits, channels = 1 }) {
+  const h = Buffer.alloc(44);
+  const blockAlign = channels * bits / 8;
+  h.write('RIFF', 0);
+  h.writeUInt32LE(36 + dataLength, 4);
+  h.write('WAVE', 8);
+  h.write('fmt ', 12);
+  h.writeUInt32LE(16, 16);
+  h.writeUInt16LE(1, 20);
+  h.writeUInt16LE(channels, 22);
+  h.writeUInt32LE(rate, 24);
+  h.writeUInt32LE(rate * blockAlign, 28);
+  h.writeUInt16LE(blockAlign, 32);
+  h.writeUInt16LE(bits, 34);
+  h.write('data', 36);
+  h.writeUInt32LE(dataLength, 40);
+  return h;
+}
+
+// Float32Array → S16_LE buffer
+export function toS16(samples) {
+  const out = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    out.writeInt16LE(Math.round(s * 32767), i * 2);
+  }
+  return out;
+}
+
+// WAV bytes → { format, channels, rate, bits, data } (data: the PCM bytes),
+// or null if it isn't a RIFF/WAVE file with a data chunk
+export function parseWav(buf) {
+  if (buf.length < 44 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') return null;
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString('ascii', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      fmt = {
+        format: buf.readUInt16LE(body),
+        channels: buf.readUInt16LE(body + 2),
+        rate: buf.readUInt32LE(body + 4),
+        bits: buf.readUInt16LE(body + 14),
+      };
+    } else if (id === 'data' && fmt) {
+      // Streamed WAVs (piper, espeak, arecord to stdout) leave the size at 0 or max
+      const end = size && body + size <= buf.length ? body + size : buf.length;
+      return { ...fmt, data: buf.subarray(body, end) };
+    }
+    offset = body + size + (size % 2);
+  }
+  return null;
+}
+
+// 16/32-bit integer PCM WAV → { samples, rate }, channels averaged to mono;
+// null for anything else
+export function readWav(buf) {
+  const wav = parseWav(buf);
+  if (!wav || wav.format !== 1 || (wav.bits !== 16 && wav.bits !== 32)) return null;
+  const frames = decode(wav.data, wav.bits);
+  if (wav.channels === 1) return { samples: frames, rate: wav.rate };
+  const samples = new Float32Array(Math.floor(frames.length / wav.channels));
+  for (let i = 0; i < samples.length; i++) {
+    let sum = 0;
+    for (let c = 0; c < wav.channels; c++) sum += frames[i * wav.channels + c];
+    samples[i] = sum / wav.channels;
+  }
+  return { samples, rate: wav.rate };
+}
+
+// Float32Array → 16-bit mono WAV
+export function toWav(samples, rate) {
+  const pcm = toS16(samples);
+  return Buffer.concat([wavHeader(pcm.length, { rate, bits: 16 }), pcm]);
+}
+
+const SINC_ZEROS = 8; // per side — plenty for speech, cheap enough for a Pi
+const MAX_PHASES = 1024; // more output offsets than this → weights per sample
+
+const kernels = new Map(); // 'from:to' → kernel (see kernelFor)
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+// Windowed sinc (cutoff just below the lower Nyquist) for fromRate → toRate.
+// Output sample i sits at input position i·p/q; its fractional part is one of
+// q phases, so the weights repeat — row(r) gives { offset, weights } for phase
+// r (taps start at floor(i·p/q) + offset), tabled once when q is small.
+function kernelFor(fromRate, toRate) {
+  const key = `${fromRate}:${toRate}`;
+  if (kernels.has(key)) return kernels.get(key);
+  const d = gcd(fromRate, toRate);
+  const p = fromRate / d;
+  const q = toRate / d;
+  const cutoff = 0.45 * Math.min(1, q / p); // cycles per input sample
+  const half = Math.ceil(SINC_ZEROS / (2 * cutoff));
+
+  function build(r) {
+    const frac = r / q;
+    const offset = Math.ceil(frac - half);
+    const weights = new Float32Array(2 * half + 1);
+    for (let k = 0; k < weights.length; k++) {
+      const x = offset + k - frac;
+      if (Math.abs(x) > half) continue;
+      const sinc = x === 0 ? 1 : Math.sin(2 * Math.PI * cutoff * x) / (2 * Math.PI * cutoff * x);
+      weights[k] = sinc * (0.5 + 0.5 * Math.cos((Math.PI * x) / half)); // Hann window
+    }
+    return { offset, weights };
+  }
+
+  const rows = q <= MAX_PHASES ? Array.from({ length: q }, (_, r) => build(r)) : null;
+  const kernel = { p, q, row: rows ? (r) => rows[r] : build };
+  kernels.set(key, kernel);
+  return kernel;
+}
+
+// Band-limited resample of a whole clip, e.g. a 48k recording → 16k for
+// whisper. Any ratio; common ones (48k, 44.1k → 16k) use a precomputed table.
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+  const { p, q, row } = kernelFor(fromRate, toRate);
+  const out = new Float32Array(Math.floor((samples.length * q) / p));
+  for (let i = 0; i < out.length; i++) {
+    const n = Math.floor((i * p) / q);
+    const { offset, weights } = row(i * p - n * q);
+    const base = n + offset;
+    const first = Math.max(0, -base);
+    const last = Math.min(weights.length, samples.length - base);
+    let sum = 0;
+    let total = 0;
+    for (let k = first; k < last; k++) {
+      sum += samples[base + k] * weights[k];
+      total += weights[k];
+    }
+    out[i] = total ? sum / total : 0;
+  }
+  return out;
+}
+
+// Cheap integer-ratio downsample (box filter), e.g. 48k → 16k. Good enough
+// for wake word frames; recordings for STT go through resample().
+export function downsample(samples, fromRate, toRate) {
+  const ratio = Math.round(fromRate / toRate);
+  if (ratio <= 1) return samples;
+  const out = new Float32Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < out.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < ratio; j++) sum += samples[i * ratio + j];
+    out[i] = sum / ratio;
+  }
+  return out;
+}
+
+export function rms(samples) {
+  if (!samples.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / samples.length);
+}
+
+export function peak(samples) {
+  let max = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const a = Math.abs(samples[i]);
+    if (a > max) max = a;
+  }
+  return max;
+}
+
+// Mean sample value — a mic with a DC offset sits away from zero
+export function mean(samples) {
+  if (!samples.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i];
+  return sum / samples.length;
+}
+
+// Linear amplitude → dBFS (floored so silence doesn't give -Infinity)
+export function dbfs(level) {
+  return level > 0 ? Math.max(-120, 20 * Math.log10(level)) : -120;
+}
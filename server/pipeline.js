@@ -0,0 +1,426 @@
+// Voice pipeline — one turn: record → STT → gateway → streamed TTS → playback
+// (or typed text → gateway → screens, and the speaker if asked)
+// Handlers take an output socket and the device session; index.js passes a
+// socket that broadcasts to every client, tests pass a fake one (see
+// test/e2e.test.js). Recording holds the mic lock, playback the speaker lock;
+// background sounds are ducked from the start of recording to the turn's end.
+import { startRecording, stopRecording, CAPTURE_FORMAT, STT_RATE } from './audio.js';
+import { transcribe } from './stt.js';
+import { preprocess } from './preprocess.js';
+import { createSpeechQueue } from './speech.js';
+import { chat } from './openclaw.js';
+import { createVad } from './vad.js';
+import { createLevelMeter } from './levels.js';
+import { pauseWake, resumeWake } from './wakeword.js';
+import { addMessage, updateMessage, currentConversation } from './history.js';
+import { handleIntent, rememberAnswer } from './intents.js';
+import { mic, speaker } from './locks.js';
+import { playChime } from './chime.js';
+import { duck } from './volume.js';
+import { currentLanguage, setLanguage } from './i18n.js';
+import { counter, histogram, countError } from './metrics.js';
+
+// Per-turn timings on /metrics. 'recording' is the utterance's length;
+// 'first_audio' runs from the end of recording to the first sound back.
+const turnStages = histogram('openclaw_pi_turn_stage_seconds', 'Voice turn time by stage');
+const turns = counter('openclaw_pi_turns_total', 'Voice turns by outcome');
+const intents = counter('openclaw_pi_intents_total', 'Transcripts handled locally, by intent');
+
+// Clean the recording up for STT (preprocess.js) and log what that did
+function prepare(samples) {
+  const { samples: clean, stats } = preprocess(samples, STT_RATE);
+  if (stats.steps.length) {
+    const { before: b, after: a } = stats;
+    const gain = `${stats.gainDb >= 0 ? '+' : ''}${stats.gainDb} dB`;
+    console.log(`Preprocess [${stats.steps.join(', ')}] ${gain} in ${stats.ms}ms — `
+      + `speech ${b.speechDb} → ${a.speechDb} dBFS, noise ${b.noiseDb} → ${a.noiseDb} dBFS, `
+      + `peak ${b.peakDb} → ${a.peakDb} dBFS, DC ${b.dcOffset} → ${a.dcOffset}`);
+  }
+  return clean;
+}
+
+export function send(ws, data) {
+  if (ws.readyState === 1) ws.send(JSON.stringify(data));
+}
+
+// A turn, a recording, or a recording still starting up (the mic is taken
+// before the capture is) — nothing else may start
+export function sessionBusy(session) {
+  return session.busy || !!session.recording || !!session.starting;
+}
+
+// driver — who started the turn (client id, 'wake', ...), shown in /health
+export async function handleStartRecording(ws, session, driver = null) {
+  if (sessionBusy(session)) return;
+  // Taps don't queue for the mic — someone else has it, say so
+  const releaseMic = mic.tryAcquire(driver || 'turn');
+  if (!releaseMic) {
+    send(ws, { type: 'error', text: 'Mic busy' });
+    return;
+  }
+  session.driver = driver;
+  session.starting = true;
+  const unduck = duck('turn');
+  try {
+    // Always-listening capture holds the mic — release it for the turn
+    await pauseWake();
+
+    // VAD ends the turn on trailing silence or max length; a tap still works.
+    // Level frames show everyone the mic is actually hearing something.
+    const vad = createVad(CAPTURE_FORMAT.rate);
+    const meter = createLevelMeter(CAPTURE_FORMAT.rate, (level) => {
+      if (session.recording === recording) send(ws, { type: 'level', source: 'mic', ...level });
+    });
+    const recording = await startRecording((samples) => {
+      meter.feed(samples);
+      const reason = vad.feed(samples);
+      if (reason && session.recording === recording) {
+        console.log('VAD stop:', reason);
+        handleStopRecording(ws, session);
+      }
+    });
+    recording.vad = vad;
+    recording.releaseMic = releaseMic;
+    recording.unduck = unduck;
+    session.recording = recording;
+    send(ws, { type: 'state', state: 'listening', driver });
+    console.log(`Recording started${driver ? ` (${driver})` : ''}`);
+  } catch (err) {
+    console.error('Record start error:', err);
+    countError('mic');
+    send(ws, { type: 'error', text: 'Mic error' });
+    session.driver = null;
+    releaseMic();
+    unduck();
+    resumeWake();
+  } finally {
+    session.starting = false;
+  }
+}
+
+// Drop a recording without running a turn (nobody left to answer)
+export async function cancelRecording(session) {
+  const recording = session.recording;
+  if (!recording) return;
+  session.recording = null;
+  session.driver = null;
+  try {
+    await stopRecording(recording);
+  } finally {
+    recording.releaseMic?.();
+    recording.unduck?.();
+    resumeWake();
+  }
+}
+
+export async function handleStopRecording(ws, session) {
+  if (!session.recording) return;
+  // Claim the recording synchronously — VAD and a tap can race here
+  const recording = session.recording;
+  session.recording = null;
+
+  await runTurn(ws, session, { unduck: recording.unduck }, async (turn) => {
+    const { signal, mark, since } = turn;
+
+    // Stop recording → 16 kHz samples, in memory
+    send(ws, { type: 'state', state: 'thinking' });
+    let samples;
+    try {
+      samples = await stopRecording(recording);
+    } finally {
+      recording.releaseMic?.();
+    }
+    mark('recording', samples.length / STT_RATE);
+    console.log(`Recording: ${(samples.length / STT_RATE).toFixed(1)}s`, recording.vad.stats());
+
+    // Nothing but noise — don't waste a whisper run on it
+    if (!recording.vad.hasSpeech()) {
+      turn.outcome = 'no_speech';
+      send(ws, { type: 'error', text: 'Could not hear you' });
+      return;
+    }
+
+    // Transcribe
+    const sttStart = Date.now();
+    const { text: transcript, language: detected } = await transcribe(prepare(samples), { signal });
+    mark('stt', since(sttStart));
+    signal.throwIfAborted();
+    if (!transcript || !transcript.trim()) {
+      turn.outcome = 'empty';
+      send(ws, { type: 'error', text: 'Could not hear you' });
+      return;
+    }
+    // The reply is spoken (and the screens switch) in the language we heard
+    setLanguage(detected);
+    const language = currentLanguage();
+    console.log(`Transcript (${language}):`, transcript);
+    send(ws, { type: 'transcript', text: transcript, language });
+
+    await answer(ws, turn, transcript, { language, spoken: true });
+  });
+}
+
+// Typed instead of said (send_text, POST /api/chat): the same turn from the
+// transcript on, in the current language. spoken: false keeps the answer on
+// the screens. → false straight away when there's no text or a turn is
+// already on; true once the turn is over.
+export async function handleText(ws, session, text, { driver = null, spoken = true } = {}) {
+  const typed = String(text ?? '').trim();
+  if (!typed || sessionBusy(session)) return false;
+  session.driver = driver;
+  const unduck = duck('turn');
+  await runTurn(ws, session, { unduck }, async (turn) => {
+    // The speaker and any wake word capture are the turn's, as after a recording
+    await pauseWake();
+    const language = currentLanguage();
+    console.log(`Typed (${language}${driver ? `, ${driver}` : ''}):`, typed);
+    send(ws, { type: 'transcript', text: typed, language, typed: true });
+    await answer(ws, turn, typed, { language, spoken });
+  });
+  return true;
+}
+
+// The session is the turn's until body() settles. Stages are timed on the
+// turn ({ signal, mark, since, started, outcome, response, reply, speech });
+// an interrupted answer is kept, flagged, in history.
+async function runTurn(ws, session, { unduck }, body) {
+  session.busy = true;
+
+  // Everything downstream (chat, TTS, playback) hangs off this signal
+  const controller = new AbortController();
+  const { signal } = controller;
+  let finishTurn;
+  session.turn = { controller, done: new Promise((r) => { finishTurn = r; }) };
+
+  const timings = {}; // stage → seconds, logged when the turn ends
+  const turn = {
+    signal,
+    started: Date.now(),
+    outcome: 'ok',
+    response: '',
+    reply: null, // history entry, once the response is complete
+    speech: null,
+    mark(stage, seconds) {
+      timings[stage] = Math.round(seconds * 1000) / 1000;
+      turnStages.observe({ stage }, seconds);
+    },
+    since: (start) => (Date.now() - start) / 1000,
+  };
+
+  try {
+    await body(turn);
+  } catch (err) {
+    if (signal.aborted) {
+      // Barge-in: keep what we got, flagged so it isn't mistaken for a full answer
+      turn.outcome = 'interrupted';
+      console.log('Turn interrupted');
+      if (turn.reply) {
+        turn.reply.interrupted = true;
+        updateMessage(turn.reply);
+      } else if (turn.response) {
+        addMessage('assistant', turn.response, { interrupted: true });
+      }
+    } else {
+      turn.outcome = 'error';
+      turn.speech?.cancel();
+      console.error('Pipeline error:', err);
+      send(ws, { type: 'error', text: err.message || 'Something went wrong' });
+    }
+  } finally {
+    const { speech, outcome } = turn;
+    if (speech?.timings.ttsMs) turn.mark('tts', speech.timings.ttsMs / 1000);
+    if (speech?.timings.clips) turn.mark('playback', speech.timings.playbackMs / 1000);
+    turns.inc({ outcome });
+    console.log(`Turn ${outcome}:`, Object.entries(timings).map(([stage, s]) => `${stage} ${s}s`).join(', '));
+    session.busy = false;
+    session.turn = null;
+    session.driver = null;
+    unduck?.();
+    finishTurn();
+    resumeWake();
+  }
+}
+
+// Transcript in hand → a local intent or the gateway → screens, history and,
+// when spoken, the speaker
+async function answer(ws, turn, transcript, { language, spoken }) {
+  const { signal, mark, since } = turn;
+
+  // Sentences are synthesized and played as they stream in
+  const speak = () => createSpeechQueue({
+    signal,
+    language,
+    onStart: () => {
+      mark('first_audio', since(turn.started));
+      send(ws, { type: 'state', state: 'speaking' });
+    },
+    onLevel: (level) => send(ws, { type: 'level', source: 'speaker', ...level }),
+  });
+
+  // The answer's read out (audio_done), or shown and that's it
+  const finish = async () => {
+    if (!turn.speech) {
+      send(ws, { type: 'state', state: 'idle' });
+      return;
+    }
+    await turn.speech.done;
+    signal.throwIfAborted();
+    send(ws, { type: 'audio_done' });
+  };
+
+  // Time, volume, "new conversation"... answered here (intents.js); local
+  // exchanges stay out of the conversation history
+  const local = await handleIntent(transcript, { language, signal });
+  signal.throwIfAborted();
+  if (local) {
+    turn.outcome = 'local';
+    intents.inc({ intent: local.intent });
+    console.log(`Intent ${local.intent}:`, local.say || '(nothing to say)');
+    if (!local.say) {
+      send(ws, { type: 'state', state: 'idle' });
+      return;
+    }
+    send(ws, { type: 'response_start', local: true });
+    send(ws, { type: 'response_chunk', text: local.say });
+    send(ws, { type: 'response_done', text: local.say, local: true });
+    rememberAnswer(local.say);
+    if (spoken) {
+      turn.speech = speak();
+      turn.speech.push(local.say);
+      await turn.speech.end();
+    }
+    await finish();
+    return;
+  }
+
+  // Chat with OpenClaw gateway
+  const { sessionKey } = currentConversation();
+  addMessage('user', transcript);
+
+  send(ws, { type: 'response_start' });
+  if (spoken) turn.speech = speak();
+
+  const chatStart = Date.now();
+  const text = await chat(transcript, (chunk) => {
+    if (!turn.response) mark('gateway_first_chunk', since(chatStart));
+    turn.response += chunk;
+    send(ws, { type: 'response_chunk', text: chunk });
+    turn.speech?.push(chunk);
+  }, {
+    signal,
+    sessionKey,
+    language,
+    // The agent's own voice, when it sends one, replaces local TTS
+    onAudio: (payload) => turn.speech?.pushAudio(payload),
+  });
+
+  mark('gateway', since(chatStart));
+
+  // Gateway sent the answer only in chat.done — speak it in one go
+  if (!turn.response && text) {
+    turn.response = text;
+    turn.speech?.push(text);
+  }
+
+  send(ws, { type: 'response_done', text: turn.response });
+  turn.reply = addMessage('assistant', turn.response);
+  rememberAnswer(turn.response);
+
+  // Waits for the agent's clips to load — the screens needn't
+  await turn.speech?.end();
+  await finish();
+}
+
+// Read out an announcement between turns (announce.js decides when). It
+// holds the session like a turn, so a tap or the stop button cuts it short
+// and nobody starts talking over it — but it's no turn: nothing goes into
+// history or the turn metrics. → false if a turn is on, without waiting;
+// throws if it couldn't be read out (no voice, playback failed).
+export async function handleAnnouncement(ws, session, { text, language, chime = true }) {
+  if (sessionBusy(session)) return false;
+  session.busy = true;
+  session.driver = 'announce';
+  const controller = new AbortController();
+  const { signal } = controller;
+  let finishTurn;
+  session.turn = { controller, done: new Promise((r) => { finishTurn = r; }) };
+  try {
+    if (chime) {
+      const release = await speaker.acquire('announce', { signal });
+      try {
+        send(ws, { type: 'state', state: 'speaking' });
+        await playChime('notice', { signal });
+      } finally {
+        release();
+      }
+    }
+    const speech = createSpeechQueue({
+      signal,
+      language,
+      onStart: () => send(ws, { type: 'state', state: 'speaking' }),
+      onLevel: (level) => send(ws, { type: 'level', source: 'speaker', ...level }),
+    });
+    speech.push(text);
+    await speech.end();
+    await speech.done;
+    // TTS failures are reported by tts.js and leave nothing to play
+    if (!speech.timings.clips && !signal.aborted) throw new Error('No voice to read it out');
+  } catch (err) {
+    if (!signal.aborted) throw err;
+  } finally {
+    session.busy = false;
+    session.turn = null;
+    session.driver = null;
+    send(ws, { type: 'state', state: 'idle' });
+    finishTurn();
+  }
+  return true;
+}
+
+// Record one short utterance outside a turn (e.g. a yes/no answer) and
+// transcribe it. Resolves to '' when nothing was said, the mic failed, or
+// signal aborted first.
+export async function listenOnce({ signal, maxMs = 6000, owner = 'listen' } = {}) {
+  let releaseMic;
+  try {
+    releaseMic = await mic.acquire(owner, { signal });
+  } catch {
+    return ''; // aborted while someone else had the mic
+  }
+  await pauseWake();
+  const unduck = duck(owner);
+  try {
+    const vad = createVad(CAPTURE_FORMAT.rate);
+    let recording;
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, maxMs);
+      const done = () => { clearTimeout(timer); resolve(); };
+      signal?.addEventListener('abort', done, { once: true });
+      startRecording((samples) => {
+        if (vad.feed(samples)) done();
+      }).then((r) => {
+        recording = r;
+        r.capture.proc.on('close', done); // mic unavailable
+      }, reject);
+    });
+    if (!recording) return '';
+    const samples = await stopRecording(recording);
+    if (signal?.aborted || !vad.hasSpeech()) return '';
+    return (await transcribe(prepare(samples), { signal })).text || '';
+  } finally {
+    releaseMic();
+    unduck();
+    resumeWake();
+  }
+}
+
+// Cancel the turn in flight (STT, gateway, TTS, playback). With listen set,
+// go straight back to recording — tap-to-interrupt-and-talk.
+export async function handleStopSpeaking(ws, session, listen, driver = null) {
+  if (session.turn) {
+    session.turn.controller.abort();
+    await session.turn.done;
+  }
+  if (listen) await handleStartRecording(ws, session, driver);
+  else send(ws, { type: 'state', state: 'idle' });
+}
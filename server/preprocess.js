@@ -0,0 +1,268 @@
+// Preprocess — clean a recording up before it goes to STT
+// The SPH0645 sits well off zero (a large DC offset), puts only 18
+// significant bits in its 32-bit frames and picks up rumble; quiet speakers
+// end up too faint for whisper. Each turn runs, in order and as set in
+// preprocess.*:
+//   dc        — subtract the clip's mean
+//   highpass  — 2nd-order Butterworth at highpassHz (rumble, drift)
+//   gate      — attenuate frames that are only the noise floor
+//   spectral  — spectral subtraction against the quietest frames' spectrum
+//   normalize — bring speech to targetDb (at most maxGainDb, peaks below -1 dBFS)
+// Works on whole clips (samples at any rate); pure functions, so it runs the
+// same on a WAV fixture as on the Pi — see scripts/preprocess-wav.js.
+import { rms, peak, mean, dbfs } from './pcm.js';
+import { getConfig } from './config.js';
+
+const FRAME_MS = 20;
+const CEILING_DB = -1;         // normalization never pushes peaks past this
+const GATE_FLOOR_DB = -30;     // what the gate takes noise-only frames down by
+const SPECTRAL_OVERSUB = 2;    // subtract this many noise spectra...
+const SPECTRAL_FLOOR = 0.1;    // ...but keep at least this much of each bin
+const QUIET_FRACTION = 0.2;    // frames that make up the noise profile
+
+// Settings as of this turn
+export function preprocessOptions() {
+  return {
+    enabled: getConfig('preprocess.enabled'),
+    highpassHz: getConfig('preprocess.highpassHz'),
+    normalize: getConfig('preprocess.normalize'),
+    targetDb: getConfig('preprocess.targetDb'),
+    maxGainDb: getConfig('preprocess.maxGainDb'),
+    noise: getConfig('preprocess.noise'),
+    gateDb: getConfig('preprocess.gateDb'),
+  };
+}
+
+const round = (x) => Math.round(x * 10) / 10;
+
+// RMS of each FRAME_MS frame, mean removed
+function frameLevels(samples, rate) {
+  const size = Math.max(1, Math.round((rate * FRAME_MS) / 1000));
+  const offset = mean(samples);
+  const levels = [];
+  for (let i = 0; i + size <= samples.length; i += size) {
+    let sum = 0;
+    for (let j = i; j < i + size; j++) sum += (samples[j] - offset) ** 2;
+    levels.push(Math.sqrt(sum / size));
+  }
+  return { size, levels };
+}
+
+function percentile(values, p) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+// Speech vs noise: the noise floor is the 10th percentile frame; speech is
+// the power average of frames at least 10 dB above it (everything, if none are)
+function speechAndNoise(samples, rate) {
+  const { levels } = frameLevels(samples, rate);
+  const noise = percentile(levels, 0.1);
+  const loud = levels.filter((l) => l >= noise * 10 ** (10 / 20));
+  const speech = loud.length ? Math.sqrt(loud.reduce((s, l) => s + l * l, 0) / loud.length) : rms(samples);
+  return { speech, noise };
+}
+
+// → { peakDb, rmsDb, speechDb, noiseDb, dcOffset } — logged before and after
+export function levelStats(samples, rate) {
+  const { speech, noise } = speechAndNoise(samples, rate);
+  return {
+    peakDb: round(dbfs(peak(samples))),
+    rmsDb: round(dbfs(rms(samples))),
+    speechDb: round(dbfs(speech)),
+    noiseDb: round(dbfs(noise)),
+    dcOffset: Math.round(mean(samples) * 10000) / 10000,
+  };
+}
+
+export function removeDc(samples) {
+  const offset = mean(samples);
+  return samples.map((s) => s - offset);
+}
+
+// RBJ cookbook high-pass biquad, Q = 1/√2
+export function highpass(samples, rate, cutoffHz) {
+  const w = (2 * Math.PI * cutoffHz) / rate;
+  const alpha = Math.sin(w) / (2 * Math.SQRT1_2);
+  const cos = Math.cos(w);
+  const a0 = 1 + alpha;
+  const b0 = (1 + cos) / 2 / a0;
+  const b1 = -(1 + cos) / a0;
+  const b2 = b0;
+  const a1 = (-2 * cos) / a0;
+  const a2 = (1 - alpha) / a0;
+  const out = new Float32Array(samples.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    out[i] = y;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+  }
+  return out;
+}
+
+// Frames within marginDb of the noise floor are turned down by
+// GATE_FLOOR_DB. A frame stays open if a neighbour is speech (no clipped word
+// edges); gains are interpolated between frame centres (no clicks).
+export function noiseGate(samples, rate, marginDb) {
+  const { size, levels } = frameLevels(samples, rate);
+  if (levels.length < 3) return samples;
+  const threshold = percentile(levels, 0.1) * 10 ** (marginDb / 20);
+  const closed = 10 ** (GATE_FLOOR_DB / 20);
+  const open = levels.map((l) => l > threshold);
+  const gains = levels.map((_, i) => (open[i - 2] || open[i - 1] || open[i] || open[i + 1] || open[i + 2] ? 1 : closed));
+
+  const out = new Float32Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const pos = Math.min(gains.length - 1, Math.max(0, (i - size / 2) / size));
+    const k = Math.floor(pos);
+    const next = gains[Math.min(gains.length - 1, k + 1)];
+    out[i] = samples[i] * (gains[k] + (next - gains[k]) * (pos - k));
+  }
+  return out;
+}
+
+// In-place radix-2 FFT (re, im: Float64Array of a power-of-two length)
+function fft(re, im, inverse = false) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / len;
+    const wr = Math.cos(angle);
+    const wi = Math.sin(angle);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        [cr, ci] = [cr * wr - ci * wi, cr * wi + ci * wr];
+      }
+    }
+  }
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+// Spectral subtraction: ~32ms Hann frames at 50% overlap (which sum back to
+// unity), noise spectrum averaged over the quietest QUIET_FRACTION of them
+export function spectralDenoise(samples, rate) {
+  const n = 2 ** Math.round(Math.log2(rate * 0.032));
+  const hop = n / 2;
+  const bins = n / 2 + 1;
+  if (samples.length < n * 2) return samples;
+  const window = new Float64Array(n).map((_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / n));
+  // Half a frame of padding each end so the first and last samples get full weight
+  const padded = new Float32Array(samples.length + n);
+  padded.set(samples, hop);
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  const spectrum = (start) => {
+    for (let i = 0; i < n; i++) {
+      re[i] = padded[start + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+  };
+
+  // Noise profile from frames that are all signal (not padding)
+  const frames = [];
+  for (let start = hop; start + n <= padded.length - hop; start += hop) {
+    spectrum(start);
+    const mags = new Float32Array(bins);
+    let energy = 0;
+    for (let k = 0; k < bins; k++) {
+      mags[k] = Math.hypot(re[k], im[k]);
+      energy += mags[k] * mags[k];
+    }
+    frames.push({ mags, energy });
+  }
+  const quiet = [...frames].sort((a, b) => a.energy - b.energy)
+    .slice(0, Math.max(1, Math.floor(frames.length * QUIET_FRACTION)));
+  const noise = new Float32Array(bins);
+  for (const { mags } of quiet) for (let k = 0; k < bins; k++) noise[k] += mags[k] / quiet.length;
+
+  const out = new Float32Array(padded.length);
+  for (let start = 0; start + n <= padded.length; start += hop) {
+    spectrum(start);
+    for (let k = 0; k < bins; k++) {
+      const mag = Math.hypot(re[k], im[k]);
+      const gain = mag > 0 ? Math.max(SPECTRAL_FLOOR, 1 - (SPECTRAL_OVERSUB * noise[k]) / mag) : 0;
+      re[k] *= gain;
+      im[k] *= gain;
+      if (k > 0 && k < n / 2) {
+        re[n - k] *= gain;
+        im[n - k] *= gain;
+      }
+    }
+    fft(re, im, true);
+    for (let i = 0; i < n; i++) out[start + i] += re[i];
+  }
+  return out.subarray(hop, hop + samples.length);
+}
+
+// Gain (dB) that brings speech to targetDb, capped at maxGainDb and by the
+// peak ceiling. 0 for silence — there's nothing to bring up.
+function normalizeGain(samples, rate, targetDb, maxGainDb) {
+  const { speech } = speechAndNoise(samples, rate);
+  const speechDb = dbfs(speech);
+  if (speechDb <= -90) return 0;
+  const headroom = CEILING_DB - dbfs(peak(samples));
+  return Math.min(targetDb - speechDb, maxGainDb, headroom);
+}
+
+// samples at rate → { samples, stats: { steps, gainDb, before, after, ms } }.
+// With preprocess.enabled off the clip comes back untouched.
+export function preprocess(samples, rate, options = preprocessOptions()) {
+  const started = Date.now();
+  const before = levelStats(samples, rate);
+  if (!options.enabled || !samples.length) {
+    return { samples, stats: { steps: [], gainDb: 0, before, after: before, ms: 0 } };
+  }
+
+  const steps = ['dc'];
+  let out = removeDc(samples);
+  if (options.highpassHz > 0) {
+    out = highpass(out, rate, options.highpassHz);
+    steps.push(`highpass ${options.highpassHz} Hz`);
+  }
+  if (options.noise === 'gate') {
+    out = noiseGate(out, rate, options.gateDb);
+    steps.push('gate');
+  } else if (options.noise === 'spectral') {
+    out = spectralDenoise(out, rate);
+    steps.push('spectral');
+  }
+  let gainDb = 0;
+  if (options.normalize) {
+    gainDb = normalizeGain(out, rate, options.targetDb, options.maxGainDb);
+    const factor = 10 ** (gainDb / 20);
+    if (gainDb) out = out.map((s) => s * factor);
+    steps.push('normalize');
+  }
+
+  return {
+    samples: out,
+    stats: { steps, gainDb: round(gainDb), before, after: levelStats(out, rate), ms: Date.now() - started },
+  };
+}
@@ -0,0 +1,214 @@
+// Speech queue — sentence-streamed TTS
+// Response chunks are split into sentences as they arrive; each sentence is
+// synthesized (one at a time, running ahead of playback) and played back to
+// back, so speech starts while the rest of the answer is still generating.
+//
+// If the agent sends its own audio (pushAudio), that is what gets played:
+// local TTS stops, sentences not yet playing are dropped, and the text is
+// only synthesized at the end if every agent clip failed to load.
+import { synthesize } from './tts.js';
+import { playAudio } from './audio.js';
+import { loadAgentAudio } from './agent-audio.js';
+import { speaker } from './locks.js';
+import { removeTemp } from './temp.js';
+
+const MIN_SENTENCE = 20;  // glue short fragments ("Sure.") onto the next one
+const MAX_SENTENCE = 300; // force a break in long unpunctuated runs
+
+// Sentence end: terminal punctuation (plus closing quotes/brackets) followed by
+// whitespace, or a line break. Skips common abbreviations.
+const BOUNDARY = /([.!?…]+["')\]]*)(\s+)|\n+/g;
+const ABBREV = /\b(?:Mr|Mrs|Ms|Dr|St|vs|etc|e\.g|i\.e|approx)\.$/i;
+// "No. 5" is a number, "The answer is No." an ending — wait to see which
+const NUMBER_ABBREV = /\bNo\.$/i;
+
+// Pull complete sentences off the front of buf; returns { sentences, rest }
+export function splitSentences(buf) {
+  const sentences = [];
+  let start = 0;
+  let m;
+  BOUNDARY.lastIndex = 0;
+  while ((m = BOUNDARY.exec(buf))) {
+    const end = m.index + (m[1] ? m[1].length : 0);
+    const sentence = buf.slice(start, end).trim();
+    if (m[1] && ABBREV.test(sentence)) continue;
+    if (m[1] && NUMBER_ABBREV.test(sentence) && !/^\D/.test(buf.slice(m.index + m[0].length))) continue;
+    if (sentence.length < MIN_SENTENCE && m[1]) continue;
+    if (sentence) sentences.push(sentence);
+    start = m.index + m[0].length;
+  }
+
+  let rest = buf.slice(start);
+  while (rest.length > MAX_SENTENCE) {
+    const cut = Math.max(rest.lastIndexOf(', ', MAX_SENTENCE), rest.lastIndexOf(' ', MAX_SENTENCE));
+    const at = cut > 0 ? cut + 1 : MAX_SENTENCE;
+    sentences.push(rest.slice(0, at).trim());
+    rest = rest.slice(at);
+  }
+  return { sentences, rest };
+}
+
+// Markdown the agent likes to emit reads badly aloud
+function cleanForSpeech(text) {
+  return text
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*(?:#+|[-*•]|\d+\.)\s+/gm, '')
+    .replace(/[*_~]+/g, '')
+    .trim();
+}
+
+// push(chunk) as text streams in, pushAudio(payload) for agent audio events,
+// end() when the response is complete, then await done. Aborting signal
+// (barge-in) or cancel() stops synthesis and playback; onStart fires when the
+// first clip begins playing, onLevel with playback level frames. The speaker
+// lock is held from then until done. timings adds up the time spent getting
+// audio (TTS, agent clips) and playing it.
+export function createSpeechQueue({ signal, onStart, onLevel, language } = {}) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) controller.abort(signal.reason);
+  else signal?.addEventListener('abort', onAbort, { once: true });
+  const own = controller.signal;
+
+  const queue = []; // synthesis results / agent clips (promises), in order
+  let buffer = '';
+  let text = '';          // whole response, for the TTS fallback
+  let agentAudio = null;  // agent clip promises, once the agent speaks for itself
+  let closed = false;     // end() called — no more input
+  let ended = false;      // nothing more will be queued
+  let started = false;
+  let synthChain = Promise.resolve();
+  let wakeup = null;
+  const timings = { ttsMs: 0, playbackMs: 0, clips: 0 };
+
+  const timed = (field, promise) => {
+    const started = Date.now();
+    return promise.finally(() => { timings[field] += Date.now() - started; });
+  };
+
+  function notify() {
+    if (wakeup) { wakeup(); wakeup = null; }
+  }
+
+  // Once aborted nothing more gets queued; the loop just drains and cleans up
+  own.addEventListener('abort', () => {
+    closed = true;
+    ended = true;
+    notify();
+  }, { once: true });
+
+  function enqueue(sentence) {
+    const text = cleanForSpeech(sentence);
+    if (!text) return;
+    const audio = synthChain.then(() => {
+      if (agentAudio) return null; // the agent's voice took over
+      if (own.aborted) return null;
+      return timed('ttsMs', synthesize(text, { signal: own, language }));
+    }).catch(() => null); // aborted — provider failures are reported by tts.js
+    synthChain = audio;
+    queue.push(audio);
+    notify();
+  }
+
+  let releaseSpeaker = null;
+
+  async function run() {
+    try {
+      await play();
+    } finally {
+      releaseSpeaker?.();
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async function play() {
+    while (queue.length || !ended) {
+      if (!queue.length) {
+        await new Promise((r) => { wakeup = r; });
+        continue;
+      }
+      const audio = await queue.shift();
+      if (!audio) continue;
+      const { path } = audio;
+      if (own.aborted || (agentAudio && !audio.agent)) {
+        removeTemp(path);
+        continue;
+      }
+      if (!started) {
+        try {
+          releaseSpeaker = await speaker.acquire('speech', { signal: own });
+        } catch {
+          removeTemp(path);
+          continue; // aborted while waiting
+        }
+        started = true;
+        onStart?.();
+      }
+      timings.clips++;
+      await timed('playbackMs', playAudio(path, { signal: own, onLevel }));
+    }
+  }
+
+  const done = run();
+
+  function enqueueAgentAudio(payload) {
+    const clip = timed('ttsMs', loadAgentAudio(payload, { signal: own }))
+      .then((loaded) => ({ ...loaded, agent: true }))
+      .catch((err) => {
+        if (!own.aborted) console.error('Agent audio failed:', err.message);
+        return null;
+      });
+    agentAudio.push(clip);
+    queue.push(clip);
+    notify();
+  }
+
+  function speak(chunk) {
+    buffer += chunk;
+    const { sentences, rest } = splitSentences(buffer);
+    buffer = rest;
+    sentences.forEach(enqueue);
+  }
+
+  function finish() {
+    if (buffer.trim()) enqueue(buffer);
+    buffer = '';
+    ended = true;
+    notify();
+  }
+
+  return {
+    push(chunk) {
+      if (closed) return;
+      text += chunk;
+      if (!agentAudio) speak(chunk);
+    },
+    pushAudio(payload) {
+      if (closed) return;
+      if (!agentAudio) {
+        agentAudio = [];
+        buffer = '';
+      }
+      enqueueAgentAudio(payload);
+    },
+    async end() {
+      if (closed) return;
+      closed = true;
+      if (agentAudio) {
+        const clips = await Promise.all(agentAudio);
+        if (!clips.some(Boolean) && !own.aborted) {
+          agentAudio = null;
+          speak(text);
+        }
+      }
+      finish();
+    },
+    cancel() {
+      controller.abort();
+    },
+    done,
+    timings,
+  };
+}
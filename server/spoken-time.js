@@ -0,0 +1,142 @@
+// Spoken time — durations and clock times as whisper writes them, in
+// English, Spanish and German, on intents.js-normalized text (lowercase, no
+// accents or punctuation: "7:30 a.m." arrives as "7 30 a m")
+//   "5 minutes", "an hour and a half", "media hora", "1 stunde 20 minuten"
+//   "7", "7 30 am", "seven o'clock", "19 uhr", "las 8 de la tarde"
+// The *_PATTERN sources only admit these words, so a {duration} or {time}
+// slot can't swallow the rest of a sentence.
+
+const NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, ninety: 90,
+  un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10,
+  once: 11, doce: 12, quince: 15, veinte: 20, treinta: 30, cuarenta: 40, cincuenta: 50, sesenta: 60, noventa: 90,
+  ein: 1, eine: 1, einer: 1, einen: 1, zwei: 2, drei: 3, vier: 4, funf: 5, sechs: 6, sieben: 7, acht: 8, neun: 9,
+  zehn: 10, elf: 11, zwolf: 12, funfzehn: 15, zwanzig: 20, dreissig: 30, dreißig: 30, vierzig: 40, funfzig: 50,
+  sechzig: 60, neunzig: 90,
+};
+
+const UNITS = {
+  second: 1000, seconds: 1000, sec: 1000, secs: 1000, segundo: 1000, segundos: 1000, sekunde: 1000, sekunden: 1000,
+  minute: 60000, minutes: 60000, min: 60000, mins: 60000, minuto: 60000, minutos: 60000, minuten: 60000,
+  hour: 3600000, hours: 3600000, hora: 3600000, horas: 3600000, stunde: 3600000, stunden: 3600000,
+};
+
+const AND = ['and', 'y', 'und'];
+const ARTICLES = ['a', 'an', 'un', 'una', 'ein', 'eine', 'einer', 'einen'];
+const HALF = ['half', 'media', 'medio', 'halbe', 'halben', 'einhalb', 'halb'];
+
+const MORNING = ['am', 'a m', 'in the morning', 'de la manana', 'morgens', 'fruh'];
+const EVENING = ['pm', 'p m', 'in the afternoon', 'in the evening', 'at night', 'tonight',
+  'de la tarde', 'de la noche', 'nachmittags', 'abends', 'nachts'];
+const FILLER = ["o'clock", 'oclock', 'uhr', 'horas', 'las', 'la', 'en punto'];
+
+// Longest first, so "in the evening" wins over "in"
+const words = (list) => [...list].sort((a, b) => b.length - a.length).join('|');
+const sequence = (first, rest) => `(?:${first})(?: (?:${rest}))*`;
+
+const DURATION_WORDS = `\\d+|${words([...Object.keys(NUMBERS), ...Object.keys(UNITS), ...AND, ...HALF])}`;
+export const DURATION_PATTERN = sequence(DURATION_WORDS, DURATION_WORDS);
+
+export const CLOCK_PATTERN = sequence(
+  `\\d{1,4}(?:am|pm)?|${words([...Object.keys(NUMBERS), ...FILLER])}`,
+  `\\d{1,2}(?:am|pm)?|${words([...Object.keys(NUMBERS), ...FILLER, ...MORNING, ...EVENING, ...AND, ...HALF, 'quarter', 'cuarto'])}`,
+);
+
+const number = (w) => (/^\d+$/.test(w) ? Number(w) : NUMBERS[w]);
+
+// "1 hour and 30 minutes" → 5400000; null if it isn't a duration
+export function parseDuration(text) {
+  const tokens = String(text).trim().split(/\s+/);
+  let total = 0;
+  let n = null;
+  let lastUnit = null;
+  for (let i = 0; i < tokens.length; i++) {
+    const w = tokens[i];
+    if (ARTICLES.includes(w) && HALF.includes(tokens[i + 1])) {
+      // "a half hour", "eine halbe Stunde" — the article isn't a count
+    } else if (number(w) !== undefined) {
+      n = (n ?? 0) + number(w); // "twenty five"
+    } else if (UNITS[w]) {
+      total += (n ?? 1) * UNITS[w];
+      lastUnit = UNITS[w];
+      n = null;
+    } else if (HALF.includes(w)) {
+      // "half an hour", "media hora", "eine halbe stunde" — or a trailing
+      // "and a half" / "y media" / "einhalb" on the unit before
+      const unit = UNITS[tokens[i + 1]] || UNITS[tokens[i + 2]];
+      if (lastUnit && !unit) {
+        total += lastUnit / 2;
+      } else if (unit) {
+        total += ((n ?? 0) + 0.5) * unit;
+        n = null;
+        i += UNITS[tokens[i + 1]] ? 1 : 2;
+        lastUnit = unit;
+      } else {
+        return null;
+      }
+    } else if (!AND.includes(w)) {
+      return null;
+    }
+  }
+  if (n !== null) return null; // a number with no unit
+  return total > 0 ? Math.round(total) : null;
+}
+
+// "7 30 pm" → { hours: 19, minutes: 30 }; null if it isn't a clock time.
+// Without am/pm a bare hour is taken as given (24-hour).
+export function parseClock(text) {
+  let rest = ` ${String(text).trim()} `;
+  let meridiem = null;
+  for (const w of MORNING) if (rest.includes(` ${w} `)) { meridiem = 'am'; rest = rest.replace(` ${w} `, ' '); }
+  for (const w of EVENING) if (rest.includes(` ${w} `)) { meridiem = 'pm'; rest = rest.replace(` ${w} `, ' '); }
+  rest = rest.replace(/(\d)(am|pm) /, (m, d, mer) => { meridiem = mer; return `${d} `; });
+  for (const w of FILLER) rest = rest.replaceAll(` ${w} `, ' ');
+
+  const tokens = rest.trim().split(/\s+/).filter((w) => !AND.includes(w));
+  let hours;
+  let minutes = 0;
+  if (tokens.length === 1 && /^\d{3,4}$/.test(tokens[0])) {
+    // "730", "1930"
+    hours = Math.floor(Number(tokens[0]) / 100);
+    minutes = Number(tokens[0]) % 100;
+  } else {
+    hours = number(tokens[0]);
+    const tail = tokens.slice(1);
+    if (tail.length === 1 && HALF.includes(tail[0])) minutes = 30;        // "7 y media"
+    else if (tail.length === 1 && ['quarter', 'cuarto'].includes(tail[0])) minutes = 15;
+    else if (tail.length) minutes = tail.reduce((sum, w) => sum + (number(w) ?? NaN), 0);
+  }
+  if (!Number.isInteger(hours) || !Number.isInteger(minutes) || hours > 23 || minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+  return { hours, minutes };
+}
+
+// Next time the clock shows hours:minutes, strictly after now
+export function nextClockTime({ hours, minutes }, now = Date.now()) {
+  const at = new Date(now);
+  at.setHours(hours, minutes, 0, 0);
+  if (at.getTime() <= now) at.setDate(at.getDate() + 1);
+  return at.getTime();
+}
+
+const UNIT_NAMES = {
+  en: { hour: ['hour', 'hours'], minute: ['minute', 'minutes'], second: ['second', 'seconds'], and: 'and' },
+  es: { hour: ['hora', 'horas'], minute: ['minuto', 'minutos'], second: ['segundo', 'segundos'], and: 'y' },
+  de: { hour: ['Stunde', 'Stunden'], minute: ['Minute', 'Minuten'], second: ['Sekunde', 'Sekunden'], and: 'und' },
+};
+
+// 5400000 → "1 hour and 30 minutes" (seconds only under ten minutes)
+export function sayDuration(ms, language = 'en') {
+  const names = UNIT_NAMES[language] || UNIT_NAMES.en;
+  const total = Math.max(1, Math.round(ms / 1000));
+  const parts = [
+    ['hour', Math.floor(total / 3600)],
+    ['minute', Math.floor((total % 3600) / 60)],
+    ['second', total < 600 ? total % 60 : 0],
+  ].filter(([, n]) => n > 0).map(([unit, n]) => `${n} ${names[unit][n === 1 ? 0 : 1]}`);
+  return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} ${names.and} ${parts.at(-1)}` : parts[0];
+}
@@ -1,121 +1,103 @@
-// STT — whisper.cpp or Python whisper integration
-import { execFile } from 'child_process';
-import { promisify } from 'util';
-import { readFile, unlink } from 'fs/promises';
-
-const execFileAsync = promisify(execFile);
-
-// Try whisper-cli (whisper.cpp) first, then whisper (Python), then fallback
-const WHISPER_PATH = process.env.WHISPER_PATH || null;
-const WHISPER_MODEL = process.env.WHISPER_MODEL || null;
-
-async function which(cmd) {
-  try {
-    const { stdout } = await execFileAsync('which', [cmd]);
-    return stdout.trim();
-  } catch { return null; }
-}
-
-let resolvedBin = null;
-let binType = null; // 'cpp' | 'python'
-
-async function resolveBin() {
-  if (resolvedBin) return;
-
-  if (WHISPER_PATH) {
-    resolvedBin = WHISPER_PATH;
-    binType = WHISPER_PATH.includes('whisper-cpp') || WHISPER_PATH.includes('main') ? 'cpp' : 'python';
-    return;
-  }
-
-  // Try whisper-cpp first (faster on Pi)
-  const cppBin = await which('whisper-cli') || await which('whisper-cpp');
-  if (cppBin) {
-    resolvedBin = cppBin;
-    binType = 'cpp';
-    return;
+// STT — pluggable speech-to-text backends, chosen by stt.backend
+//   whisper-server — long-lived whisper.cpp server, model loaded once (recommended on Pi)
+//   whisper-cli    — whisper.cpp CLI, one process per utterance
+//   whisper-python — openai-whisper CLI, one process per utterance
+//
+// A backend is { name, start(), transcribe(wav, { signal, language }) →
+// { text, language }, status(), stop?() }, where wav is a 16 kHz mono S16
+// WAV in a Buffer. Backends that need a file write it into a withTempDir()
+// scope. Changing any stt.* setting swaps in a freshly built backend.
+//
+// stt.language 'auto' lets whisper detect the language; stt.languages narrows
+// that to the ones spoken here, so a misdetection (short utterances often
+// are) is transcribed again in the first listed language.
+import { createWhisperServer } from './stt/whisper-server.js';
+import { createWhisperCli } from './stt/whisper-cli.js';
+import { createWhisperPython } from './stt/whisper-python.js';
+import { getConfig, watchConfig } from './config.js';
+import { normalizeLanguage } from './i18n.js';
+import { toWav } from './pcm.js';
+import { STT_RATE } from './audio.js';
+import { gauge, countError } from './metrics.js';
+
+const STT_KEYS = [
+  'stt.backend', 'stt.model', 'stt.language', 'stt.whisperPath',
+  'stt.serverPath', 'stt.serverUrl', 'stt.serverPort', 'stt.threads',
+];
+
+const backends = {
+  'whisper-server': (config) => createWhisperServer({
+    ...config,
+    bin: getConfig('stt.serverPath'),
+    url: getConfig('stt.serverUrl'),
+    port: getConfig('stt.serverPort'),
+    threads: getConfig('stt.threads'),
+  }),
+  'whisper-cli': (config) => createWhisperCli({ ...config, bin: getConfig('stt.whisperPath') }),
+  'whisper-python': (config) => createWhisperPython({ ...config, bin: getConfig('stt.whisperPath') }),
+};
+
+let backend = null;
+let starting = null;
+
+function getBackend() {
+  if (!backend) {
+    const name = getConfig('stt.backend');
+    const create = backends[name];
+    if (!create) throw new Error(`Unknown STT backend: ${name}`);
+    backend = create({ model: getConfig('stt.model'), language: getConfig('stt.language') });
   }
-
-  // Fall back to Python whisper
-  const pyBin = await which('whisper');
-  if (pyBin) {
-    resolvedBin = pyBin;
-    binType = 'python';
-    return;
-  }
-
-  throw new Error('No whisper binary found. Install whisper-cpp or openai-whisper.');
+  return backend;
 }
 
-export async function transcribe(wavPath) {
-  await resolveBin();
-
-  if (binType === 'cpp') {
-    return transcribeCpp(wavPath);
-  } else {
-    return transcribePython(wavPath);
+watchConfig(STT_KEYS, async () => {
+  const old = backend;
+  backend = null;
+  starting = null;
+  await old?.stop?.();
+  startStt().catch((err) => console.error('STT restart error:', err.message));
+});
+
+gauge('openclaw_pi_stt_ready', 'STT backend has its model loaded (1) or not (0)', {
+  collect: () => (backend?.status().ready ? 1 : 0),
+});
+
+// Called at boot so a long-lived backend loads its model before the first turn
+export function startStt() {
+  if (!starting) {
+    starting = Promise.resolve().then(() => getBackend().start()).catch((err) => {
+      starting = null;
+      throw err;
+    });
   }
+  return starting;
 }
 
-async function transcribeCpp(wavPath) {
-  const args = [
-    '-f', wavPath,
-    '--no-timestamps',
-    '-l', 'en',
-    '--output-txt',
-  ];
-  if (WHISPER_MODEL) {
-    args.push('-m', WHISPER_MODEL);
-  }
-
-  try {
-    const { stdout, stderr } = await execFileAsync(resolvedBin, args, {
-      timeout: 30000,
-      maxBuffer: 1024 * 1024,
-    });
-
-    // whisper.cpp outputs to stdout or creates a .txt file
-    const text = stdout.trim();
-    if (text) return text;
-
-    // Try reading the output txt file
-    try {
-      const txtPath = wavPath + '.txt';
-      const content = await readFile(txtPath, 'utf-8');
-      unlink(txtPath).catch(() => {});
-      return content.trim();
-    } catch {}
-
-    return '';
-  } catch (err) {
-    console.error('whisper-cpp error:', err.message);
-    throw new Error('Transcription failed');
+// samples: a recording at STT_RATE (see stopRecording()) →
+// { text, language } — language is an ISO 639-1 code, or null if unknown
+export async function transcribe(samples, { signal } = {}) {
+  await startStt();
+  const stt = getBackend();
+  const wav = toWav(samples, STT_RATE);
+  const result = await stt.transcribe(wav, { signal }).catch((err) => {
+    if (!signal?.aborted) countError('stt');
+    throw err;
+  });
+  const language = normalizeLanguage(result.language);
+  const allowed = getConfig('stt.languages');
+  if (getConfig('stt.language') === 'auto' && allowed.length && !allowed.includes(language)) {
+    console.log(`STT detected ${language || 'nothing'}, not one of ${allowed.join(', ')} — retrying as ${allowed[0]}`);
+    const retry = await stt.transcribe(wav, { signal, language: allowed[0] });
+    return { text: retry.text, language: allowed[0] };
   }
+  return { text: result.text, language };
 }
 
-async function transcribePython(wavPath) {
-  const args = [
-    wavPath,
-    '--model', WHISPER_MODEL || 'base',
-    '--language', 'en',
-    '--output_format', 'txt',
-    '--output_dir', '/tmp',
-  ];
-
-  try {
-    await execFileAsync(resolvedBin, args, {
-      timeout: 60000,
-      maxBuffer: 1024 * 1024,
-    });
+export function sttStatus() {
+  const languages = { language: getConfig('stt.language'), languages: getConfig('stt.languages') };
+  return backend ? { ...backend.status(), ...languages } : { backend: getConfig('stt.backend'), ready: false, ...languages };
+}
 
-    // Python whisper outputs to <basename>.txt
-    const basename = wavPath.split('/').pop().replace('.wav', '');
-    const txtPath = `/tmp/${basename}.txt`;
-    const content = await readFile(txtPath, 'utf-8');
-    unlink(txtPath).catch(() => {});
-    return content.trim();
-  } catch (err) {
-    console.error('whisper (python) error:', err.message);
-    throw new Error('Transcription failed');
-  }
+export async function stopStt() {
+  await backend?.stop?.();
 }
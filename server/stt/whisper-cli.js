@@ -0,0 +1,72 @@
+// STT backend: whisper.cpp CLI, one process per utterance (reloads the model each time)
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { which } from '../util.js';
+import { withTempDir } from '../temp.js';
+
+const execFileAsync = promisify(execFile);
+
+export function createWhisperCli({ bin, model, language }) {
+  let resolvedBin = bin;
+
+  return {
+    name: 'whisper-cli',
+
+    async start() {
+      if (!resolvedBin) resolvedBin = await which('whisper-cli') || await which('whisper-cpp');
+      if (!resolvedBin) throw new Error('whisper-cli not found. Build whisper.cpp or set WHISPER_PATH.');
+    },
+
+    // language overrides the configured one for this call; 'auto' detects it.
+    // The WAV, and the .txt whisper may write next to it, live in a scratch
+    // dir that goes however the run ends.
+    transcribe(wav, { signal, language: lang = language } = {}) {
+      return withTempDir('oc-stt-', async (dir) => {
+        const wavPath = join(dir, 'recording.wav');
+        await writeFile(wavPath, wav);
+        const args = [
+          '-f', wavPath,
+          '--no-timestamps',
+          '-l', lang,
+          '--output-txt',
+        ];
+        if (model) {
+          args.push('-m', model);
+        }
+
+        try {
+          const { stdout, stderr } = await execFileAsync(resolvedBin, args, {
+            timeout: 30000,
+            maxBuffer: 1024 * 1024,
+            signal,
+          });
+
+          // "whisper_full_with_state: auto-detected language: de (p = 0.97)"
+          const detected = lang === 'auto' ? stderr.match(/auto-detected language: (\w+)/)?.[1] || null : lang;
+
+          // whisper.cpp outputs to stdout or creates a .txt file
+          const text = stdout.trim();
+          if (text) return { text, language: detected };
+
+          // Try reading the output txt file
+          try {
+            const content = await readFile(wavPath + '.txt', 'utf-8');
+            return { text: content.trim(), language: detected };
+          } catch {}
+
+          return { text: '', language: detected };
+        } catch (err) {
+          if (signal?.aborted) throw signal.reason;
+          console.error('whisper-cpp error:', err.message);
+          throw new Error('Transcription failed');
+        }
+      });
+    },
+
+    status() {
+      return { backend: 'whisper-cli', ready: !!resolvedBin };
+    },
+  };
+}
@@ -0,0 +1,61 @@
+// STT backend: openai-whisper (Python) CLI, one process per utterance
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { which } from '../util.js';
+import { withTempDir } from '../temp.js';
+
+const execFileAsync = promisify(execFile);
+
+export function createWhisperPython({ bin, model, language }) {
+  let resolvedBin = bin;
+
+  return {
+    name: 'whisper-python',
+
+    async start() {
+      if (!resolvedBin) resolvedBin = await which('whisper');
+      if (!resolvedBin) throw new Error('whisper not found. pip install openai-whisper or set WHISPER_PATH.');
+    },
+
+    // language overrides the configured one for this call; 'auto' detects it.
+    // Input and output share a scratch dir of their own (never a shared
+    // /tmp) that goes however the run ends.
+    transcribe(wav, { signal, language: lang = language } = {}) {
+      return withTempDir('oc-stt-', async (dir) => {
+        const wavPath = join(dir, 'recording.wav');
+        await writeFile(wavPath, wav);
+        const args = [
+          wavPath,
+          '--model', model || 'base',
+          '--output_format', 'txt',
+          '--output_dir', dir,
+        ];
+        // Without --language it detects, and says so: "Detected language: German"
+        if (lang !== 'auto') args.push('--language', lang);
+
+        try {
+          const { stdout } = await execFileAsync(resolvedBin, args, {
+            timeout: 60000,
+            maxBuffer: 1024 * 1024,
+            signal,
+          });
+
+          // Python whisper outputs to <basename>.txt
+          const content = await readFile(join(dir, 'recording.txt'), 'utf-8');
+          const detected = lang === 'auto' ? stdout.match(/Detected language: (\w+)/)?.[1] || null : lang;
+          return { text: content.trim(), language: detected };
+        } catch (err) {
+          if (signal?.aborted) throw signal.reason;
+          console.error('whisper (python) error:', err.message);
+          throw new Error('Transcription failed');
+        }
+      });
+    },
+
+    status() {
+      return { backend: 'whisper-python', ready: !!resolvedBin };
+    },
+  };
+}
@@ -0,0 +1,197 @@
+// STT backend: long-lived whisper.cpp server — loads the model once
+// Spawns `whisper-server` on a loopback port (or talks to WHISPER_SERVER_URL),
+// posts each WAV (straight from memory) to /inference, health-checks it and restarts it if it dies
+// or stops answering.
+import { spawn } from 'child_process';
+import { which } from '../util.js';
+
+const HEALTH_FAILURES_BEFORE_RESTART = 3;
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Overridable per server (timing option) — tests shorten them
+const TIMING = {
+  healthIntervalMs: 15000,
+  healthTimeoutMs: 3000,
+  startupTimeoutMs: 120000, // model load on a Pi 5 — be patient
+  restartDelaysMs: [1000, 2000, 5000, 10000, 30000],
+};
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function createWhisperServer({ bin, model, language, url, port, threads, timing: overrides }) {
+  const timing = { ...TIMING, ...overrides };
+  const external = !!url;
+  const baseUrl = url ? url.replace(/\/$/, '') : `http://127.0.0.1:${port}`;
+  let resolvedBin = bin;
+  let proc = null;
+  let ready = false;
+  let readyPromise = null;
+  let stopping = false;
+  let starting = false; // a launch is loading the model — waitReady() watches it
+  let restarts = 0;
+  let failures = 0;
+  let healthTimer = null;
+  let lastError = null;
+  let stderrTail = '';
+
+  async function checkHealth() {
+    try {
+      const res = await fetch(`${baseUrl}/health`, { signal: AbortSignal.timeout(timing.healthTimeoutMs) });
+      return res.ok;
+    } catch { return false; }
+  }
+
+  async function waitReady(p) {
+    const deadline = Date.now() + timing.startupTimeoutMs;
+    while (Date.now() < deadline) {
+      if (p && (p.exitCode !== null || p.signalCode)) {
+        throw new Error('whisper-server exited during startup');
+      }
+      if (await checkHealth()) {
+        ready = true;
+        failures = 0;
+        lastError = null;
+        return;
+      }
+      await sleep(500);
+    }
+    // Don't leave it holding the model in memory; the exit handler retries
+    if (p) {
+      lastError = 'startup timeout';
+      p.kill('SIGKILL');
+    }
+    throw new Error('whisper-server startup timeout');
+  }
+
+  function launch() {
+    const args = ['-m', model, '--host', '127.0.0.1', '--port', String(port), '-l', language];
+    if (threads) args.push('-t', String(threads));
+
+    const p = spawn(resolvedBin, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    proc = p;
+    stderrTail = '';
+    p.stderr.on('data', (d) => { stderrTail = (stderrTail + d).slice(-2000); });
+    p.on('error', (err) => { lastError = err.message; });
+    p.on('exit', (code, sig) => {
+      if (proc === p) proc = null;
+      ready = false;
+      if (stopping) return;
+      lastError = lastError || `exited (${code ?? sig})`;
+      const lastLine = stderrTail.trim().split('\n').pop();
+      console.warn(`whisper-server ${lastError}${lastLine ? ': ' + lastLine : ''}`);
+      scheduleRestart();
+    });
+
+    console.log('whisper-server starting, model:', model);
+    starting = true;
+    failures = 0;
+    return waitReady(p).finally(() => {
+      if (proc === p || !proc) starting = false;
+    });
+  }
+
+  function scheduleRestart() {
+    const delays = timing.restartDelaysMs;
+    const delay = delays[Math.min(restarts, delays.length - 1)];
+    restarts++;
+    console.warn(`whisper-server restarting in ${delay}ms`);
+    setTimeout(() => {
+      if (stopping || proc) return;
+      lastError = null;
+      readyPromise = launch();
+      readyPromise.catch((err) => { lastError = lastError || err.message; });
+    }, delay);
+  }
+
+  async function healthTick() {
+    // Restart already pending, or still loading — startupTimeoutMs covers that
+    if (!external && (!proc || starting)) return;
+    if (await checkHealth()) {
+      ready = true;
+      failures = 0;
+      restarts = 0;
+      return;
+    }
+    failures++;
+    ready = false;
+    // Hung (not dead) server — kill it; the exit handler restarts it
+    if (!external && failures >= HEALTH_FAILURES_BEFORE_RESTART && proc) {
+      lastError = 'unresponsive';
+      proc.kill('SIGKILL');
+    }
+  }
+
+  return {
+    name: 'whisper-server',
+
+    async start() {
+      if (!readyPromise) {
+        if (external) {
+          readyPromise = waitReady(null);
+        } else {
+          if (!model) throw new Error('WHISPER_MODEL is required for whisper-server');
+          if (!resolvedBin) resolvedBin = await which('whisper-server');
+          if (!resolvedBin) throw new Error('whisper-server not found. Build whisper.cpp or set WHISPER_SERVER_PATH.');
+          readyPromise = launch();
+        }
+        readyPromise.catch((err) => { lastError = lastError || err.message; });
+        healthTimer = setInterval(healthTick, timing.healthIntervalMs);
+        healthTimer.unref();
+      }
+      return readyPromise;
+    },
+
+    // language overrides the configured one for this call; 'auto' detects it
+    async transcribe(wav, { signal, language: lang = language } = {}) {
+      if (!ready) {
+        try { await readyPromise; } catch (err) {
+          console.error('whisper-server not ready:', err.message);
+          throw new Error('Speech recognition not ready');
+        }
+      }
+
+      const form = new FormData();
+      form.append('file', new Blob([wav], { type: 'audio/wav' }), 'recording.wav');
+      // verbose_json carries the (detected) language
+      form.append('response_format', 'verbose_json');
+      form.append('language', lang);
+      form.append('temperature', '0');
+
+      const timeout = AbortSignal.timeout(REQUEST_TIMEOUT_MS);
+      try {
+        const res = await fetch(`${baseUrl}/inference`, {
+          method: 'POST',
+          body: form,
+          signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        return {
+          text: (data.text || '').trim(),
+          language: data.detected_language || data.language || (lang === 'auto' ? null : lang),
+        };
+      } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        console.error('whisper-server error:', err.message);
+        throw new Error('Transcription failed');
+      }
+    },
+
+    status() {
+      return {
+        backend: 'whisper-server',
+        ready,
+        url: baseUrl,
+        managed: !external,
+        restarts,
+        error: lastError,
+      };
+    },
+
+    async stop() {
+      stopping = true;
+      clearInterval(healthTimer);
+      proc?.kill('SIGTERM');
+    },
+  };
+}
@@ -0,0 +1,62 @@
+// Temp files — every artifact gets its own oc-* directory in the OS temp
+// dir, and is removed with it. withTempDir() scopes one to a piece of work
+// (cleaned up on success, failure and abort alike); clips that outlive the
+// call that made them (synthesized speech, agent audio) are removed with
+// removeTemp() once played or dropped. sweepTemp() clears what a crash left.
+import { mkdtemp, readdir, rm, stat, unlink } from 'fs/promises';
+import { tmpdir } from 'os';
+import { basename, dirname, join } from 'path';
+
+const PREFIXES = ['oc-audio-', 'oc-tts-', 'oc-stt-'];
+
+export function tempDir(prefix) {
+  return mkdtemp(join(tmpdir(), prefix));
+}
+
+function isOurs(dir) {
+  return dirname(dir) === tmpdir() && PREFIXES.some((p) => basename(dir).startsWith(p));
+}
+
+// Remove a clip and the oc-* directory it lives in. Anything else (a path
+// we didn't make) only loses the file itself.
+export async function removeTemp(path) {
+  if (!path) return;
+  const dir = isOurs(path) ? path : dirname(path);
+  try {
+    if (isOurs(dir)) await rm(dir, { recursive: true, force: true });
+    else await unlink(path);
+  } catch {}
+}
+
+// fn(dir) with a fresh oc-* directory that is gone once fn settles
+export async function withTempDir(prefix, fn) {
+  const dir = await tempDir(prefix);
+  try {
+    return await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+// Remove oc-* directories older than maxAgeMs — leftovers from a run that
+// died mid-turn. → how many went.
+export async function sweepTemp(maxAgeMs = 10 * 60 * 1000) {
+  let removed = 0;
+  let names;
+  try {
+    names = await readdir(tmpdir());
+  } catch {
+    return 0;
+  }
+  const cutoff = Date.now() - maxAgeMs;
+  for (const name of names) {
+    if (!PREFIXES.some((p) => name.startsWith(p))) continue;
+    const dir = join(tmpdir(), name);
+    try {
+      if ((await stat(dir)).mtimeMs > cutoff) continue;
+      await rm(dir, { recursive: true, force: true });
+      removed++;
+    } catch {}
+  }
+  return removed;
+}
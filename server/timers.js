@@ -0,0 +1,315 @@
+// Timers — timers, alarms and reminders that ring on the Pi itself
+// Kept in timers.file so they survive a restart, and rung locally — a
+// chime through playAudio every couple of seconds, the label spoken once —
+// whether or not the gateway is reachable. A ringing timer goes on until
+// it's dismissed or snoozed, or for timers.ringMinutes. The gateway sets
+// them with the timer.set / timer.list / timer.cancel commands, screens
+// over the WebSocket, scripts through /api/timers, people by voice
+// (intents.js) — all into this one store.
+//
+// A timer is { id, kind: timer | alarm | reminder, label, dueAt, createdAt,
+// durationMs (when set as a duration), repeat: null | 'daily' (alarms),
+// language, source, ringingSince }.
+//
+// timerEvents:
+// 'change' — listTimers() after anything was added, rung or removed
+// 'ring'   — timer, as it starts ringing
+import { EventEmitter } from 'events';
+import { readFile } from 'fs/promises';
+import crypto from 'crypto';
+import { playAudio } from './audio.js';
+import { synthesize } from './tts.js';
+import { speaker } from './locks.js';
+import { playChime } from './chime.js';
+import { getConfig } from './config.js';
+import { currentLanguage, t } from './i18n.js';
+import { registerCommand } from './openclaw.js';
+import { gauge } from './metrics.js';
+import { backgroundGain } from './volume.js';
+import { nextClockTime } from './spoken-time.js';
+import { createFileWriter } from './util.js';
+
+// Where is fixed at startup, like history.dir
+const TIMERS_FILE = getConfig('timers.file');
+
+const KINDS = ['timer', 'alarm', 'reminder'];
+const MAX_DURATION_MS = 24 * 3600000;
+const MAX_AHEAD_MS = 7 * 24 * 3600000;
+const MISSED_AFTER_MS = 3600000; // down longer than this past the due time: don't ring any more
+const MAX_WAIT_MS = 60000;       // re-read the clock at least this often (suspend, clock changes)
+const CHIME_GAP_MS = 1500;
+const MAX_LABEL = 100;
+
+// status: 400 bad request, 404 no such (or no ringing) timer
+export class TimerError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'TimerError';
+    this.status = status;
+  }
+}
+
+export const timerEvents = new EventEmitter();
+
+const timers = new Map(); // id → timer
+let wakeTimer = null;
+let ringing = null; // { controller, done } while the chime loop runs
+const write = createFileWriter('Timers');
+
+gauge('openclaw_pi_timers', 'Timers, alarms and reminders by state', {
+  collect: () => ['pending', 'ringing'].map((state) => ({
+    labels: { state },
+    value: [...timers.values()].filter((x) => !!x.ringingSince === (state === 'ringing')).length,
+  })),
+});
+
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const done = () => {
+    clearTimeout(timer);
+    signal.removeEventListener('abort', done);
+    resolve();
+  };
+  const timer = setTimeout(done, ms);
+  signal.addEventListener('abort', done, { once: true });
+});
+
+async function say(text, language, signal) {
+  const audio = await synthesize(text, { signal, language }).catch(() => null);
+  if (audio) await playAudio(audio.path, { signal });
+}
+
+function announcement(timer) {
+  const { kind, label, language } = timer;
+  if (kind === 'reminder') return t('reminder', language, { label });
+  if (kind === 'alarm') return label || null;
+  return label ? t('timerDoneLabel', language, { label }) : t('timerDone', language);
+}
+
+function copy(timer, now = Date.now()) {
+  return { ...timer, ringing: !!timer.ringingSince, remainingMs: Math.max(0, timer.dueAt - now) };
+}
+
+// Soonest first
+export function listTimers() {
+  const now = Date.now();
+  return [...timers.values()].sort((a, b) => a.dueAt - b.dueAt).map((timer) => copy(timer, now));
+}
+
+export function ringingTimers() {
+  return listTimers().filter((timer) => timer.ringing);
+}
+
+function save() {
+  return write(TIMERS_FILE, JSON.stringify({ timers: [...timers.values()] }, null, 2));
+}
+
+function changed() {
+  save();
+  schedule();
+  timerEvents.emit('change', listTimers());
+}
+
+// One wake-up for the next due timer
+function schedule() {
+  clearTimeout(wakeTimer);
+  const next = Math.min(...[...timers.values()].filter((x) => !x.ringingSince).map((x) => x.dueAt));
+  if (!Number.isFinite(next)) return;
+  wakeTimer = setTimeout(check, Math.max(0, Math.min(next - Date.now(), MAX_WAIT_MS)));
+  wakeTimer.unref();
+}
+
+function check() {
+  const now = Date.now();
+  const due = [...timers.values()].filter((x) => !x.ringingSince && x.dueAt <= now);
+  for (const timer of due) {
+    timer.ringingSince = now;
+    console.log(`Ringing ${timer.kind} ${timer.id}${timer.label ? ` (${timer.label})` : ''}`);
+    timerEvents.emit('ring', copy(timer, now));
+  }
+  if (!due.length) return schedule();
+  changed();
+  ring();
+}
+
+// A daily alarm comes back tomorrow; anything else is done
+function finish(timer) {
+  if (timer.repeat === 'daily') {
+    const at = new Date(timer.dueAt);
+    timer.dueAt = nextClockTime({ hours: at.getHours(), minutes: at.getMinutes() });
+    timer.ringingSince = null;
+  } else {
+    timers.delete(timer.id);
+  }
+}
+
+// Nobody came — stop after timers.ringMinutes
+function expire() {
+  const limit = Date.now() - getConfig('timers.ringMinutes') * 60000;
+  const stale = [...timers.values()].filter((x) => x.ringingSince && x.ringingSince < limit);
+  for (const timer of stale) {
+    console.log(`${timer.kind} ${timer.id} rang unanswered — stopping`);
+    finish(timer);
+  }
+  if (stale.length) changed();
+}
+
+// Chime until nothing is ringing; each label is spoken once, after the first
+// chime it rings with. Holds the speaker per chime, so a turn can get a word in.
+function ring() {
+  if (ringing && !ringing.controller.signal.aborted) return; // the loop picks new ones up
+  if (ringing) {
+    ringing.done.then(ring);
+    return;
+  }
+  const controller = new AbortController();
+  const { signal } = controller;
+  const current = { controller };
+  ringing = current;
+  current.done = (async () => {
+    const announced = new Set();
+    try {
+      while (ringingTimers().length) {
+        const release = await speaker.acquire('timer', { signal });
+        try {
+          // Quieter while a turn is going
+          await playChime('timer', { signal, gain: backgroundGain() });
+          for (const timer of ringingTimers()) {
+            if (announced.has(timer.id) || signal.aborted) continue;
+            announced.add(timer.id);
+            const text = announcement(timer);
+            if (text) await say(text, timer.language, signal);
+          }
+        } finally {
+          release();
+        }
+        expire();
+        await sleep(CHIME_GAP_MS, signal);
+      }
+    } catch (err) {
+      if (!signal.aborted) console.error('Timer chime failed:', err.message);
+    } finally {
+      if (ringing === current) ringing = null;
+    }
+  })();
+}
+
+function stopRingingIfDone() {
+  if (!ringingTimers().length) ringing?.controller.abort();
+}
+
+function dueAtFor({ seconds, at }) {
+  if (seconds !== undefined && seconds !== null) {
+    const ms = Number(seconds) * 1000;
+    if (!(ms > 0 && ms <= MAX_DURATION_MS)) throw new TimerError(400, 'seconds must be between 1 and 86400');
+    return { dueAt: Date.now() + Math.round(ms), durationMs: Math.round(ms) };
+  }
+  if (at !== undefined && at !== null) {
+    let dueAt;
+    const clock = typeof at === 'string' && /^(\d{1,2}):(\d{2})$/.exec(at);
+    if (clock && Number(clock[1]) < 24 && Number(clock[2]) < 60) {
+      dueAt = nextClockTime({ hours: Number(clock[1]), minutes: Number(clock[2]) });
+    } else {
+      dueAt = typeof at === 'number' ? at : Date.parse(at);
+    }
+    if (!Number.isFinite(dueAt)) throw new TimerError(400, 'at must be HH:MM, an ISO date or epoch ms');
+    if (dueAt <= Date.now() || dueAt - Date.now() > MAX_AHEAD_MS) throw new TimerError(400, 'at must be within the next 7 days');
+    return { dueAt, durationMs: null };
+  }
+  throw new TimerError(400, 'Give seconds or at');
+}
+
+// { kind, seconds | at (HH:MM, ISO or epoch ms), label, repeat } → timer
+export function addTimer({ kind = 'timer', seconds, at, label, repeat = null, language, source = 'api' } = {}) {
+  if (!KINDS.includes(kind)) throw new TimerError(400, `kind must be one of ${KINDS.join(', ')}`);
+  if (label !== undefined && label !== null && typeof label !== 'string') throw new TimerError(400, 'label must be text');
+  const text = label?.trim().slice(0, MAX_LABEL) || null;
+  if (kind === 'reminder' && !text) throw new TimerError(400, 'A reminder needs a label');
+  if (repeat !== null && !(repeat === 'daily' && kind === 'alarm')) throw new TimerError(400, "repeat can only be 'daily', on an alarm");
+
+  const timer = {
+    id: crypto.randomBytes(4).toString('hex'),
+    kind,
+    label: text,
+    ...dueAtFor({ seconds, at }),
+    createdAt: Date.now(),
+    repeat,
+    language: language || currentLanguage(),
+    source,
+    ringingSince: null,
+  };
+  timers.set(timer.id, timer);
+  console.log(`${kind} ${timer.id} set for ${new Date(timer.dueAt).toLocaleString()} (${source})`);
+  changed();
+  return copy(timer);
+}
+
+export function cancelTimer(id) {
+  const timer = timers.get(id);
+  if (!timer) throw new TimerError(404, 'No such timer');
+  timers.delete(id);
+  changed();
+  stopRingingIfDone();
+  return copy(timer);
+}
+
+function ringingOnes(id) {
+  const found = [...timers.values()].filter((x) => x.ringingSince && (!id || x.id === id));
+  if (!found.length) throw new TimerError(404, id ? 'That timer is not ringing' : 'Nothing is ringing');
+  return found;
+}
+
+// id, or every ringing one → the dismissed timers
+export function dismissTimer(id) {
+  const dismissed = ringingOnes(id);
+  for (const timer of dismissed) finish(timer);
+  changed();
+  stopRingingIfDone();
+  return dismissed.map((timer) => copy(timer));
+}
+
+// Ring again in minutes (timers.snoozeMinutes by default)
+export function snoozeTimer(id, minutes = getConfig('timers.snoozeMinutes')) {
+  if (!(minutes > 0 && minutes <= 60)) throw new TimerError(400, 'minutes must be between 1 and 60');
+  const snoozed = ringingOnes(id);
+  for (const timer of snoozed) {
+    timer.ringingSince = null;
+    timer.dueAt = Date.now() + minutes * 60000;
+  }
+  changed();
+  stopRingingIfDone();
+  return snoozed.map((timer) => copy(timer));
+}
+
+// Read what's on disk. Past-due timers ring now, unless we've been down so
+// long (MISSED_AFTER_MS) that they'd only confuse — daily alarms then
+// just wait for tomorrow.
+export async function loadTimers() {
+  let saved = [];
+  try {
+    saved = JSON.parse(await readFile(TIMERS_FILE, 'utf8')).timers || [];
+  } catch { /* first run */ }
+
+  const now = Date.now();
+  for (const timer of saved) {
+    if (!timer?.id || !KINDS.includes(timer.kind) || !Number.isFinite(timer.dueAt)) continue;
+    timer.ringingSince = null;
+    if (now - timer.dueAt > MISSED_AFTER_MS) {
+      if (timer.repeat !== 'daily') {
+        console.log(`Missed ${timer.kind} ${timer.id} while down — dropped`);
+        continue;
+      }
+      finish(timer);
+    }
+    timers.set(timer.id, timer);
+  }
+  console.log(`Timers: ${timers.size} pending`);
+  save();
+  schedule();
+}
+
+// The gateway's timers land here too, so they ring with it unreachable
+registerCommand('timer.set', ({ kind, seconds, at, label, repeat, language }) => (
+  addTimer({ kind, seconds, at, label, repeat, language, source: 'gateway' })
+));
+registerCommand('timer.list', () => ({ timers: listTimers() }));
+registerCommand('timer.cancel', ({ id }) => cancelTimer(id));
@@ -1,86 +1,162 @@
-// TTS — via OpenClaw gateway or platform fallback
-// On Pi: OpenClaw gateway handles TTS (ElevenLabs, etc)
-// Dev: macOS say as fallback
-import { execFile } from 'child_process';
-import { promisify } from 'util';
-import { mkdtemp, writeFile } from 'fs/promises';
-import { tmpdir } from 'os';
-import { join } from 'path';
-import http from 'http';
-
-const execFileAsync = promisify(execFile);
-
-const OPENCLAW_HOST = process.env.OPENCLAW_HOST || '127.0.0.1';
-const OPENCLAW_PORT = process.env.OPENCLAW_PORT || '18789';
-const OPENCLAW_TOKEN = process.env.OPENCLAW_GATEWAY_TOKEN || '';
-
-export async function synthesize(text) {
-  if (!text || !text.trim()) return null;
+// TTS — provider registry with configured order and voice settings
+// Providers are tried in tts.providers order. Failures come back as TtsError
+// (provider + code) and the voice actually in use is announced on ttsEvents,
+// so the UI can show when we've fallen back to a local voice. Each provider
+// can have a voice per language (tts.*Voices); espeak-ng takes the language
+// code itself as a voice when none is set.
+//
+// A provider is { name, format, capabilities, defaultVoice, available(voice),
+// synthesize(text, { voice, speed, pitch, signal }) → file path }.
+import { EventEmitter } from 'events';
+import { createOpenClawTts } from './tts/openclaw.js';
+import { createPiperTts } from './tts/piper.js';
+import { createSayTts } from './tts/say.js';
+import { createEspeakTts } from './tts/espeak.js';
+import { TtsError } from './tts/errors.js';
+import { getConfig, watchConfig } from './config.js';
+import { currentLanguage, defaultLanguage } from './i18n.js';
+import { counter, countError } from './metrics.js';
 
-  // Truncate long responses for TTS
-  const ttsText = text.length > 500 ? text.slice(0, 500) + '...' : text;
+const registry = {
+  openclaw: () => createOpenClawTts({
+    host: getConfig('gateway.host'),
+    port: getConfig('gateway.port'),
+    token: getConfig('gateway.token'),
+    voice: getConfig('tts.openclawVoice'),
+  }),
+  piper: () => createPiperTts({
+    bin: getConfig('tts.piperPath'),
+    voice: getConfig('tts.piperVoice'),
+  }),
+  say: () => createSayTts({ voice: getConfig('tts.sayVoice') }),
+  espeak: () => createEspeakTts({ voice: getConfig('tts.espeakVoice') }),
+};
 
-  // Try OpenClaw TTS first
-  try {
-    return await synthesizeOpenClaw(ttsText);
-  } catch (err) {
-    console.warn('OpenClaw TTS failed, using fallback:', err.message);
-  }
+const VOICE_MAPS = {
+  openclaw: 'tts.openclawVoices',
+  piper: 'tts.piperVoices',
+  say: 'tts.sayVoices',
+  espeak: 'tts.espeakVoices',
+};
 
-  // macOS fallback
-  if (process.platform === 'darwin') {
-    return await synthesizeMacOS(ttsText);
-  }
+function voiceFor(provider, language) {
+  const mapped = VOICE_MAPS[provider.name] && getConfig(VOICE_MAPS[provider.name])[language];
+  if (mapped) return mapped;
+  if (provider.name === 'espeak' && language && language !== defaultLanguage()) return language;
+  return provider.defaultVoice;
+}
+
+function buildProviders() {
+  return getConfig('tts.providers').flatMap((name) => {
+    if (registry[name]) return [registry[name]()];
+    console.error('Unknown TTS provider:', name);
+    return [];
+  });
+}
 
-  // espeak fallback (Pi without OpenClaw TTS)
-  try {
-    const dir = await mkdtemp(join(tmpdir(), 'oc-tts-'));
-    const outPath = join(dir, 'speech.wav');
-    await execFileAsync('espeak-ng', ['-w', outPath, ttsText], { timeout: 15000 });
-    return outPath;
-  } catch {}
+let providers = buildProviders();
 
-  console.warn('No TTS available');
-  return null;
+// Voice, paths, order or the gateway address changed — rebuild (speed and
+// pitch are read per sentence)
+watchConfig([
+  'tts.providers', 'tts.openclawVoice', 'tts.piperPath', 'tts.piperVoice',
+  'tts.sayVoice', 'tts.espeakVoice', 'gateway.host', 'gateway.port', 'gateway.token',
+], () => {
+  providers = buildProviders();
+});
+
+// 'voice' — { provider, voice, fallback, failures } whenever the voice in use changes
+export const ttsEvents = new EventEmitter();
+
+let current = null;
+let lastFailures = [];
+let lastOk = null; // did the last synthesis find a voice? null before the first
+
+const providerFailures = counter('openclaw_pi_tts_failures_total', 'TTS provider failures by provider and code');
+
+function report(result, failures) {
+  // "Not installed here" isn't worth surfacing (say on Linux, etc)
+  const failed = failures.filter((f) => f.code !== 'unavailable' || f.provider === providers[0]?.name);
+  const changed = result?.provider !== current?.provider || result?.voice !== current?.voice
+    || failed.map((f) => f.provider + f.code).join() !== lastFailures.map((f) => f.provider + f.code).join();
+
+  current = result && { provider: result.provider, voice: result.voice };
+  lastOk = !!result;
+  lastFailures = failed;
+  if (changed) ttsEvents.emit('voice', ttsVoice());
 }
 
-async function synthesizeOpenClaw(text) {
-  // OpenClaw /v1/audio/speech endpoint (OpenAI-compatible)
-  const body = JSON.stringify({ input: text, voice: 'alloy' });
-  const url = `http://${OPENCLAW_HOST}:${OPENCLAW_PORT}/v1/audio/speech`;
-
-  return new Promise((resolve, reject) => {
-    const req = http.request(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(body),
-        ...(OPENCLAW_TOKEN ? { 'Authorization': `Bearer ${OPENCLAW_TOKEN}` } : {}),
-      },
-    }, async (res) => {
-      if (res.statusCode !== 200) {
-        reject(new Error(`TTS ${res.statusCode}`));
-        return;
-      }
-      const chunks = [];
-      res.on('data', (c) => chunks.push(c));
-      res.on('end', async () => {
-        const dir = await mkdtemp(join(tmpdir(), 'oc-tts-'));
-        const outPath = join(dir, 'speech.mp3');
-        await writeFile(outPath, Buffer.concat(chunks));
-        resolve(outPath);
-      });
-      res.on('error', reject);
-    });
-    req.on('error', reject);
-    req.write(body);
-    req.end();
-  });
+export function ttsVoice() {
+  return {
+    provider: current?.provider || null,
+    voice: current?.voice || null,
+    fallback: !!current && current.provider !== providers[0]?.name,
+    failures: lastFailures.map((f) => f.toJSON()),
+  };
+}
+
+// For /health: ready when some provider is installed (with a voice for the
+// current language) and the last sentence (if any yet) found a voice
+export async function ttsHealth() {
+  const language = currentLanguage();
+  const available = await Promise.all(providers.map(async (p) => ({
+    name: p.name,
+    available: await p.available(voiceFor(p, language)).catch(() => false),
+  })));
+  return {
+    ready: available.some((p) => p.available) && lastOk !== false,
+    provider: current?.provider || null,
+    providers: available,
+    failures: lastFailures.map((f) => f.toJSON()),
+  };
+}
+
+export function ttsStatus() {
+  return {
+    providers: providers.map((p) => ({
+      name: p.name,
+      format: p.format,
+      capabilities: p.capabilities,
+      voice: p.defaultVoice,
+    })),
+    voices: Object.fromEntries(Object.entries(VOICE_MAPS).map(([name, key]) => [name, getConfig(key)])),
+    speed: getConfig('tts.speed'),
+    pitch: getConfig('tts.pitch'),
+    ...ttsVoice(),
+  };
 }
 
-async function synthesizeMacOS(text) {
-  const dir = await mkdtemp(join(tmpdir(), 'oc-tts-'));
-  const outPath = join(dir, 'speech.aiff');
-  await execFileAsync('say', ['-o', outPath, text], { timeout: 15000 });
-  return outPath;
+// Returns { path, provider, voice, format }, or null if no provider could speak.
+// signal aborts an in-flight synthesis (barge-in); rejects with its reason.
+// language picks the provider's voice for it (default voice otherwise).
+// The clip is the caller's: playAudio() removes it, or removeTemp() if unplayed.
+export async function synthesize(text, { signal, language } = {}) {
+  if (!text || !text.trim()) return null;
+  signal?.throwIfAborted();
+
+  const failures = [];
+  const speed = getConfig('tts.speed');
+  const pitch = getConfig('tts.pitch');
+  for (const provider of providers) {
+    const voice = voiceFor(provider, language);
+    if (!(await provider.available(voice))) {
+      failures.push(new TtsError(provider.name, 'unavailable', `${provider.name} is not installed or configured`));
+      continue;
+    }
+    try {
+      const path = await provider.synthesize(text, { voice, speed, pitch, signal });
+      const result = { path, provider: provider.name, voice, format: provider.format };
+      report(result, failures);
+      return result;
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason;
+      const failure = err instanceof TtsError ? err : new TtsError(provider.name, 'failed', err.message);
+      failures.push(failure);
+      providerFailures.inc({ provider: failure.provider, code: failure.code });
+      countError('tts');
+    }
+  }
+
+  report(null, failures);
+  return null;
 }
@@ -0,0 +1,14 @@
+// Structured TTS failure — provider + machine-readable code, so the server
+// can tell the UI which voice fell over and why
+export class TtsError extends Error {
+  constructor(provider, code, message) {
+    super(message);
+    this.name = 'TtsError';
+    this.provider = provider;
+    this.code = code; // unavailable | http | timeout | failed
+  }
+
+  toJSON() {
+    return { provider: this.provider, code: this.code, message: this.message };
+  }
+}
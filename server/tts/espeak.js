@@ -0,0 +1,49 @@
+// TTS provider: espeak-ng — robotic, but always there on the Pi
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { join } from 'path';
+import { which } from '../util.js';
+import { TtsError } from './errors.js';
+import { tempDir, removeTemp } from '../temp.js';
+
+const execFileAsync = promisify(execFile);
+
+export function createEspeakTts({ voice }) {
+  let resolvedBin = null;
+  let checked = false;
+
+  return {
+    name: 'espeak',
+    format: 'wav',
+    capabilities: { voice: true, speed: true, pitch: true, local: true },
+    defaultVoice: voice,
+
+    async available() {
+      if (!checked) {
+        resolvedBin = await which('espeak-ng');
+        checked = true;
+      }
+      return !!resolvedBin;
+    },
+
+    async synthesize(text, { voice: v, speed, pitch, signal }) {
+      const dir = await tempDir('oc-tts-');
+      const outPath = join(dir, 'speech.wav');
+      const args = [
+        '-w', outPath,
+        '-s', String(Math.round(175 * speed)),
+        '-p', String(Math.max(0, Math.min(99, Math.round(50 * pitch)))),
+      ];
+      if (v || voice) args.push('-v', v || voice);
+      args.push(text);
+      try {
+        await execFileAsync(resolvedBin || 'espeak-ng', args, { timeout: 15000, signal });
+        return outPath;
+      } catch (err) {
+        await removeTemp(dir);
+        if (signal?.aborted) throw signal.reason;
+        throw new TtsError('espeak', err.killed ? 'timeout' : 'failed', err.message);
+      }
+    },
+  };
+}
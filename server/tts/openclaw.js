@@ -0,0 +1,68 @@
+// TTS provider: OpenClaw gateway /v1/audio/speech (OpenAI-compatible)
+// Gateway picks the engine (ElevenLabs, OpenAI, ...); we pick voice and speed
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import http from 'http';
+import { TtsError } from './errors.js';
+import { tempDir, removeTemp } from '../temp.js';
+
+const TIMEOUT_MS = 15000;
+
+export function createOpenClawTts({ host, port, token, voice }) {
+  return {
+    name: 'openclaw',
+    format: 'mp3',
+    capabilities: { voice: true, speed: true, pitch: false, local: false },
+    defaultVoice: voice,
+
+    async available() {
+      return true; // Only a request can tell
+    },
+
+    synthesize(text, { voice: v, speed, signal }) {
+      const body = JSON.stringify({ input: text, voice: v || voice, speed });
+      const url = `http://${host}:${port}/v1/audio/speech`;
+      const timeout = AbortSignal.timeout(TIMEOUT_MS);
+
+      return new Promise((resolve, reject) => {
+        const req = http.request(url, {
+          method: 'POST',
+          signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+          headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+          },
+        }, (res) => {
+          if (res.statusCode !== 200) {
+            res.resume();
+            reject(new TtsError('openclaw', 'http', `Gateway TTS returned ${res.statusCode}`));
+            return;
+          }
+          const chunks = [];
+          res.on('data', (c) => chunks.push(c));
+          res.on('end', async () => {
+            let dir = null;
+            try {
+              dir = await tempDir('oc-tts-');
+              const outPath = join(dir, 'speech.mp3');
+              await writeFile(outPath, Buffer.concat(chunks));
+              resolve(outPath);
+            } catch (err) {
+              await removeTemp(dir);
+              reject(new TtsError('openclaw', 'failed', err.message));
+            }
+          });
+          res.on('error', (err) => reject(new TtsError('openclaw', 'failed', err.message)));
+        });
+        req.on('error', (err) => {
+          if (signal?.aborted) return reject(signal.reason);
+          if (timeout.aborted) return reject(new TtsError('openclaw', 'timeout', 'Gateway TTS timed out'));
+          reject(new TtsError('openclaw', 'unavailable', `Gateway TTS unreachable: ${err.message}`));
+        });
+        req.write(body);
+        req.end();
+      });
+    },
+  };
+}
@@ -0,0 +1,69 @@
+// TTS provider: Piper — local neural TTS, decent speech with no network
+// https://github.com/rhasspy/piper — needs the binary and a .onnx voice model
+import { spawn } from 'child_process';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { which } from '../util.js';
+import { TtsError } from './errors.js';
+import { tempDir, removeTemp } from '../temp.js';
+
+const TIMEOUT_MS = 20000;
+
+export function createPiperTts({ bin, voice }) {
+  let resolvedBin = bin;
+  let checked = !!bin;
+
+  return {
+    name: 'piper',
+    format: 'wav',
+    capabilities: { voice: true, speed: true, pitch: false, local: true },
+    defaultVoice: voice,
+
+    // v: the voice the registry picked for the language (a per-language one
+    // is enough without a default)
+    async available(v = voice) {
+      if (!checked) {
+        resolvedBin = await which('piper');
+        checked = true;
+      }
+      return !!resolvedBin && !!v && existsSync(v);
+    },
+
+    async synthesize(text, { voice: v, speed, signal }) {
+      const model = v || voice;
+      if (!resolvedBin || !model) {
+        throw new TtsError('piper', 'unavailable', 'Piper binary or voice model missing');
+      }
+      const dir = await tempDir('oc-tts-');
+      const outPath = join(dir, 'speech.wav');
+      const args = ['--model', model, '--output_file', outPath];
+      if (speed && speed !== 1) args.push('--length_scale', (1 / speed).toFixed(2));
+
+      const run = new Promise((resolve, reject) => {
+        const proc = spawn(resolvedBin, args, {
+          stdio: ['pipe', 'ignore', 'pipe'],
+          signal,
+          timeout: TIMEOUT_MS,
+        });
+        let stderr = '';
+        proc.stderr.on('data', (d) => { stderr = (stderr + d).slice(-500); });
+        proc.on('error', (err) => {
+          if (signal?.aborted) return reject(signal.reason);
+          reject(new TtsError('piper', 'failed', err.message));
+        });
+        proc.on('close', (code, sig) => {
+          if (signal?.aborted) return reject(signal.reason);
+          if (code === 0) return resolve(outPath);
+          const reason = sig === 'SIGTERM' ? 'timeout' : 'failed';
+          reject(new TtsError('piper', reason, stderr.trim().split('\n').pop() || `piper exited ${code ?? sig}`));
+        });
+        proc.stdin.on('error', () => {});
+        proc.stdin.end(text);
+      });
+      return run.catch(async (err) => {
+        await removeTemp(dir);
+        throw err;
+      });
+    },
+  };
+}
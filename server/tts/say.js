@@ -0,0 +1,37 @@
+// TTS provider: macOS `say` (dev machines)
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { join } from 'path';
+import { TtsError } from './errors.js';
+import { tempDir, removeTemp } from '../temp.js';
+
+const execFileAsync = promisify(execFile);
+
+export function createSayTts({ voice }) {
+  return {
+    name: 'say',
+    format: 'aiff',
+    capabilities: { voice: true, speed: true, pitch: false, local: true },
+    defaultVoice: voice,
+
+    async available() {
+      return process.platform === 'darwin';
+    },
+
+    async synthesize(text, { voice: v, speed, signal }) {
+      const dir = await tempDir('oc-tts-');
+      const outPath = join(dir, 'speech.aiff');
+      const args = ['-o', outPath, '-r', String(Math.round(175 * speed))];
+      if (v || voice) args.push('-v', v || voice);
+      args.push(text);
+      try {
+        await execFileAsync('say', args, { timeout: 15000, signal });
+        return outPath;
+      } catch (err) {
+        await removeTemp(dir);
+        if (signal?.aborted) throw signal.reason;
+        throw new TtsError('say', err.killed ? 'timeout' : 'failed', err.message);
+      }
+    },
+  };
+}
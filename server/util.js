@@ -0,0 +1,44 @@
+// Small shared helpers
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { mkdir, rename, statfs, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+const execFileAsync = promisify(execFile);
+
+export async function which(cmd) {
+  try {
+    const { stdout } = await execFileAsync('which', [cmd]);
+    return stdout.trim() || null;
+  } catch { return null; }
+}
+
+// Space on the filesystem holding path → { path, totalBytes, freeBytes,
+// usedPercent }, or null if it can't be read
+export async function diskUsage(path) {
+  try {
+    const { bsize, blocks, bavail } = await statfs(path);
+    const totalBytes = bsize * blocks;
+    const freeBytes = bsize * bavail;
+    return { path, totalBytes, freeBytes, usedPercent: totalBytes ? Math.round((1 - freeBytes / totalBytes) * 1000) / 10 : 0 };
+  } catch {
+    return null;
+  }
+}
+
+// write(file, data, after?) — atomic (tmp file, then rename), one at a time
+// so a slow write can't land after a newer one; after() runs in the same
+// turn of the queue. Failures are logged as "<label> write failed" and
+// never reject.
+export function createFileWriter(label) {
+  let writes = Promise.resolve();
+  return function write(file, data, after) {
+    writes = writes.then(async () => {
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(`${file}.tmp`, data);
+      await rename(`${file}.tmp`, file);
+      await after?.();
+    }).catch((err) => console.error(`${label} write failed:`, err.message));
+    return writes;
+  };
+}
@@ -0,0 +1,92 @@
+// VAD — energy-based end-of-speech detection on captured PCM
+// Tracks an adaptive noise floor so the same settings survive mic-to-mic
+// variation; per-device tuning is in the vad.* settings.
+import { dbfs } from './pcm.js';
+import { getConfig } from './config.js';
+
+const FRAME_MS = 30;
+
+// Per-device thresholds (SPH0645 noise floor varies between units), read
+// once per utterance so settings changes apply to the next one
+function settings() {
+  return {
+    enabled: getConfig('vad.enabled'),
+    thresholdDb: getConfig('vad.thresholdDb'), // absolute floor for "speech"
+    snrDb: getConfig('vad.snrDb'),             // speech must beat noise floor by this
+    silenceMs: getConfig('vad.silenceMs'),     // trailing silence that ends a turn
+    minSpeechMs: getConfig('vad.minSpeechMs'),
+    noSpeechMs: getConfig('vad.noSpeechMs'),   // give up if nobody talks
+    maxMs: getConfig('vad.maxMs'),             // hard utterance cap
+  };
+}
+
+// Frame RMS with the mean removed — the SPH0645 carries a large DC offset
+// that would otherwise swamp the speech energy
+function acRms(frame) {
+  let mean = 0;
+  for (let i = 0; i < frame.length; i++) mean += frame[i];
+  mean /= frame.length;
+  let sum = 0;
+  for (let i = 0; i < frame.length; i++) sum += (frame[i] - mean) ** 2;
+  return Math.sqrt(sum / frame.length);
+}
+
+export function createVad(rate) {
+  const cfg = settings();
+  const frameLen = Math.round(rate * FRAME_MS / 1000);
+  const frame = new Float32Array(frameLen);
+  let fill = 0;
+  let noiseDb = null;
+  let speechRunMs = 0;
+  let silenceMs = 0;
+  let totalMs = 0;
+  let speech = false;
+  let ended = null;
+
+  function processFrame() {
+    const level = dbfs(acRms(frame));
+    totalMs += FRAME_MS;
+
+    // Noise floor drops instantly and only creeps up on non-speech frames
+    if (noiseDb === null || level < noiseDb) noiseDb = level;
+    else if (level < noiseDb + cfg.snrDb) noiseDb += (level - noiseDb) * 0.05;
+
+    const threshold = Math.max(cfg.thresholdDb, noiseDb + cfg.snrDb);
+    if (level >= threshold) {
+      speechRunMs += FRAME_MS;
+      silenceMs = 0;
+      if (speechRunMs >= cfg.minSpeechMs) speech = true;
+    } else {
+      speechRunMs = 0;
+      silenceMs += FRAME_MS;
+    }
+
+    if (totalMs >= cfg.maxMs) return 'max_length';
+    if (speech && silenceMs >= cfg.silenceMs) return 'silence';
+    if (!speech && totalMs >= cfg.noSpeechMs) return 'no_speech';
+    return null;
+  }
+
+  return {
+    // Feed samples in [-1, 1]; returns why the utterance ended, or null
+    feed(samples) {
+      if (!cfg.enabled || ended) return ended;
+      for (let i = 0; i < samples.length; i++) {
+        frame[fill++] = samples[i];
+        if (fill === frameLen) {
+          fill = 0;
+          ended = processFrame();
+          if (ended) break;
+        }
+      }
+      return ended;
+    },
+    // With VAD off every recording counts as speech
+    hasSpeech() {
+      return !cfg.enabled || speech;
+    },
+    stats() {
+      return { speech, durationMs: totalMs, noiseDb: noiseDb === null ? null : Math.round(noiseDb) };
+    },
+  };
+}
@@ -0,0 +1,226 @@
+// Volume — speaker level through the ALSA mixer (amixer)
+// The mixer is the speaker's card (audio.speakerDevice plughw:0,0 → card 0)
+// unless audio.mixerCard says otherwise; audio.mixerControl names the
+// control. Levels are 0–100 on amixer's mapped (-M) scale, which follows
+// loudness better than raw steps, kept within volume.min–max or the card's
+// volume.limits entry. A control without a mute switch (softvol) is muted by
+// taking it to 0 and unmuted by putting the old level back.
+//
+// The level and mute last set are kept per card in volume.file and put back
+// on startup, so a reboot doesn't leave the speaker wherever ALSA left it.
+//
+// Ducking: while anyone holds duck() (a turn listening, thinking or
+// speaking), backgroundGain() drops to volume.duckPercent — timer chimes and
+// other background sounds scale themselves by it.
+//
+// volumeEvents 'change' — volumeStatus() after a change
+import { EventEmitter } from 'events';
+import { execFile } from 'child_process';
+import { readFileSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { promisify } from 'util';
+import { getConfig, watchConfig } from './config.js';
+import { createFileWriter } from './util.js';
+
+const execFileAsync = promisify(execFile);
+const VOLUME_FILE = getConfig('volume.file');
+
+export class VolumeError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'VolumeError';
+    this.status = status;
+  }
+}
+
+export const volumeEvents = new EventEmitter();
+
+let remembered = {};  // card → { level, muted } as last set
+let current = null;   // { card, level, muted, hasSwitch } last read from the mixer
+let lastError = null;
+const duckers = new Set();
+const write = createFileWriter('Volume');
+let restoring = Promise.resolve();
+
+// plughw:0,0 → '0', hw:CARD=sndrpihifiberry,DEV=0 → 'sndrpihifiberry'
+export function mixerCard() {
+  const configured = getConfig('audio.mixerCard');
+  if (configured) return configured;
+  const m = /^\w+:(?:CARD=)?([^,]+)/.exec(getConfig('audio.speakerDevice') || '');
+  return m ? m[1] : '0';
+}
+
+// A card by number is also found under its name in volume.limits
+function cardNames(card) {
+  if (!/^\d+$/.test(card)) return [card.toLowerCase()];
+  try {
+    return [card, readFileSync(`/proc/asound/card${card}/id`, 'utf8').trim().toLowerCase()];
+  } catch {
+    return [card];
+  }
+}
+
+export function volumeLimits(card = mixerCard()) {
+  const limits = getConfig('volume.limits');
+  const entry = cardNames(card).map((name) => limits[name]).find(Boolean);
+  const [a, b] = entry ? entry.split('-').map(Number) : [getConfig('volume.min'), getConfig('volume.max')];
+  return { min: Math.min(a, b, 100), max: Math.min(Math.max(a, b), 100) };
+}
+
+async function amixer(...args) {
+  try {
+    const { stdout } = await execFileAsync('amixer', ['-c', mixerCard(), '-M', ...args], { timeout: 3000 });
+    return stdout;
+  } catch (err) {
+    const message = err.code === 'ENOENT'
+      ? 'amixer not found'
+      : `amixer failed: ${String(err.stderr || err.message).trim().split('\n').pop()}`;
+    if (message !== lastError) {
+      lastError = message;
+      volumeEvents.emit('change', volumeStatus());
+    }
+    throw new VolumeError(503, message);
+  }
+}
+
+// "Front Left: Playback 52 [80%] [-12.00dB] [on]" → { level: 80, muted: false, hasSwitch: true }
+export function parseAmixer(text) {
+  const level = text.match(/\[(\d+)%\]/);
+  if (!level) return null;
+  const sw = text.match(/\[(on|off)\]/);
+  return { level: Number(level[1]), muted: sw ? sw[1] === 'off' : false, hasSwitch: !!sw };
+}
+
+function state(text) {
+  const parsed = parseAmixer(text);
+  if (!parsed) throw new VolumeError(503, `${getConfig('audio.mixerControl')} has no playback volume`);
+  const card = mixerCard();
+  if (!parsed.hasSwitch) parsed.muted = parsed.level === 0 && !!remembered[card]?.muted;
+  const before = current;
+  current = { card, ...parsed };
+  if (lastError || JSON.stringify(before) !== JSON.stringify(current)) {
+    lastError = null;
+    volumeEvents.emit('change', volumeStatus());
+  }
+  return parsed;
+}
+
+// What the screens show: level, mute, limits, whether there's a mixer at all
+export function volumeStatus() {
+  return {
+    available: !!current && !lastError,
+    card: mixerCard(),
+    control: getConfig('audio.mixerControl'),
+    level: current?.level ?? null,
+    muted: current?.muted ?? false,
+    ...volumeLimits(),
+    ducked: duckers.size > 0,
+    error: lastError,
+  };
+}
+
+function remember(card, values) {
+  remembered[card] = { ...remembered[card], ...values };
+  return write(VOLUME_FILE, JSON.stringify(remembered, null, 2));
+}
+
+// → { level, muted, hasSwitch }
+export async function getVolume() {
+  return state(await amixer('sget', getConfig('audio.mixerControl')));
+}
+
+// 42 or '42' → 42; null, '' or true are no number (Number() would make them 0 or 1)
+function percent(value, name) {
+  const n = typeof value === 'string' && value.trim() ? Number(value) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n)) throw new VolumeError(400, `${name} must be a number`);
+  return n;
+}
+
+// Clamped to the card's limits; a new level also unmutes
+export async function setVolume(level) {
+  const wanted = percent(level, 'level');
+  const card = mixerCard();
+  const { min, max } = volumeLimits(card);
+  const clamped = Math.max(min, Math.min(max, Math.round(wanted)));
+  if (current?.card !== card) await getVolume(); // has it a mute switch?
+  const unmute = current.hasSwitch ? ['unmute'] : [];
+  const result = state(await amixer('sset', getConfig('audio.mixerControl'), `${clamped}%`, ...unmute));
+  remember(card, { level: clamped, muted: false });
+  return result;
+}
+
+export async function changeVolume(delta) {
+  const step = percent(delta, 'delta');
+  const { level } = await getVolume();
+  return setVolume(level + step);
+}
+
+export async function setMuted(muted) {
+  const card = mixerCard();
+  const now = await getVolume();
+  if (now.hasSwitch) {
+    const result = state(await amixer('sset', getConfig('audio.mixerControl'), muted ? 'mute' : 'unmute'));
+    remember(card, { level: now.level, muted });
+    return result;
+  }
+  if (muted === now.muted) return now;
+  if (muted) {
+    remember(card, { level: now.level, muted: true });
+    return state(await amixer('sset', getConfig('audio.mixerControl'), '0%'));
+  }
+  return setVolume(remembered[card]?.level ?? 50);
+}
+
+// Held while the assistant listens or speaks → release()
+export function duck(owner) {
+  const entry = { owner };
+  duckers.add(entry);
+  if (duckers.size === 1) volumeEvents.emit('change', volumeStatus());
+  return () => {
+    if (duckers.delete(entry) && !duckers.size) volumeEvents.emit('change', volumeStatus());
+  };
+}
+
+// Gain for background sounds right now: 1, or volume.duckPercent while ducked
+export function backgroundGain() {
+  return duckers.size ? getConfig('volume.duckPercent') / 100 : 1;
+}
+
+// Put this card's remembered level back, or with nothing remembered keep
+// what the mixer has — either way within today's limits
+async function restore() {
+  const saved = remembered[mixerCard()];
+  try {
+    if (!saved) {
+      const { level, muted } = await getVolume();
+      const { min, max } = volumeLimits();
+      if (!muted && (level < min || level > max)) await setVolume(level);
+      return;
+    }
+    await setVolume(saved.level);
+    if (saved.muted) await setMuted(true);
+    console.log(`Volume: ${current.level}%${current.muted ? ' (muted)' : ''} on card ${current.card}`);
+  } catch (err) {
+    if (!(err instanceof VolumeError)) throw err;
+    console.warn('Volume:', err.message);
+  }
+}
+
+export async function loadVolume() {
+  try {
+    remembered = JSON.parse(await readFile(VOLUME_FILE, 'utf8'));
+  } catch { /* first run */ }
+  await restore();
+}
+
+// Settles once the level has been put back after the last mixer setting change
+export function volumeRestored() {
+  return restoring;
+}
+
+watchConfig(
+  ['audio.speakerDevice', 'audio.mixerCard', 'audio.mixerControl', 'volume.min', 'volume.max', 'volume.limits'],
+  () => {
+    restoring = restoring.then(restore).catch((err) => console.error('Volume error:', err.message));
+  },
+);
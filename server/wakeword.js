@@ -0,0 +1,180 @@
+// Wake word — always-listening mode
+// Keeps a continuous capture running and feeds it to a pluggable detector.
+// A detection starts a turn exactly like a tap; the capture is released
+// (paused) for the duration of the turn so arecord can open the mic.
+//
+// Detectors (wake.engine):
+//   command — local keyword spotter subprocess (openWakeWord, Porcupine, ...).
+//             Runs wake.command; gets 16kHz mono S16_LE PCM on stdin; every non-empty line it
+//             prints on stdout counts as a detection (line = keyword).
+//             The default — hands-free stays off until wake.command is set.
+//   energy  — test stand-in: fires on a loud burst (clap, "hey!") after quiet.
+//             Only when picked explicitly; any loud noise starts a turn
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { startCapture, CAPTURE_FORMAT } from './audio.js';
+import { createDecoder, downsample, rms, toS16 } from './pcm.js';
+import { getConfig, watchConfig } from './config.js';
+
+const DETECT_RATE = 16000;
+const COOLDOWN_MS = 2000;
+
+// 'detected' (keyword) and 'change' (status)
+export const wake = new EventEmitter();
+
+let enabled = false;
+let muted = false;
+let paused = 0; // nesting count — a turn and an approval prompt can overlap
+let capture = null;
+let detector = null;
+let decodeChunk = null;
+let lastDetect = 0;
+let sync = Promise.resolve();
+
+const detectors = {
+  command(onDetect) {
+    const cmd = getConfig('wake.command');
+    if (!cmd) throw new Error('Wake word command not set');
+    const proc = spawn(cmd, { shell: true, stdio: ['pipe', 'pipe', 'inherit'] });
+    let lineBuf = '';
+
+    proc.stdout.on('data', (data) => {
+      lineBuf += data.toString();
+      let nl;
+      while ((nl = lineBuf.indexOf('\n')) >= 0) {
+        const line = lineBuf.slice(0, nl).trim();
+        lineBuf = lineBuf.slice(nl + 1);
+        if (line) onDetect(line);
+      }
+    });
+    proc.stdin.on('error', () => {});
+    proc.on('error', (err) => {
+      console.error('Wake word process error:', err.message);
+    });
+    proc.on('exit', (code) => {
+      if (detector?.proc === proc) console.warn('Wake word process exited:', code);
+    });
+
+    return {
+      proc,
+      feed(samples) {
+        if (proc.stdin.writable) proc.stdin.write(toS16(samples));
+      },
+      close() {
+        proc.stdin.end();
+        proc.kill();
+      },
+    };
+  },
+
+  energy(onDetect) {
+    // Needs ≥1s of quiet before a burst so speech doesn't retrigger it
+    let quietMs = 0;
+    return {
+      feed(samples) {
+        const ms = samples.length / (DETECT_RATE / 1000);
+        if (rms(samples) >= getConfig('wake.threshold')) {
+          if (quietMs >= 1000) onDetect('energy');
+          quietMs = 0;
+        } else {
+          quietMs += ms;
+        }
+      },
+      close() {},
+    };
+  },
+};
+
+function onDetect(keyword) {
+  const now = Date.now();
+  if (now - lastDetect < COOLDOWN_MS) return;
+  lastDetect = now;
+  console.log('Wake word:', keyword);
+  wake.emit('detected', keyword);
+}
+
+function onData(chunk) {
+  if (!detector) return;
+  const samples = decodeChunk(chunk);
+  detector.feed(downsample(samples, CAPTURE_FORMAT.rate, DETECT_RATE));
+}
+
+async function stopCapture() {
+  const c = capture;
+  capture = null;
+  detector?.close();
+  detector = null;
+  await c?.stop();
+}
+
+async function apply() {
+  const want = enabled && !muted && !paused;
+  if (want && !capture) {
+    detector = detectors[getConfig('wake.engine')](onDetect);
+    decodeChunk = createDecoder(CAPTURE_FORMAT.bits);
+    const c = startCapture(onData);
+    capture = c;
+    // Capture died underneath us (device gone, sox missing) — drop it so
+    // the next toggle or resume starts a fresh one
+    c.proc.on('close', () => {
+      if (capture !== c) return;
+      console.warn('Wake word capture stopped unexpectedly');
+      capture = null;
+      detector?.close();
+      detector = null;
+    });
+  } else if (!want && capture) {
+    await stopCapture();
+  }
+}
+
+function update({ restart = false } = {}) {
+  sync = sync.then(async () => {
+    if (restart) await stopCapture();
+    await apply();
+  }).catch((err) => {
+    console.error('Wake word error:', err.message);
+    enabled = false;
+  }).then(() => {
+    wake.emit('change', wakeStatus());
+  });
+  return sync;
+}
+
+export function wakeStatus() {
+  return { enabled, muted, engine: getConfig('wake.engine') };
+}
+
+// New detector settings or mic — restart a running capture to pick them up
+watchConfig(['wake.engine', 'wake.command', 'audio.micDevice'], () => {
+  if (capture) update({ restart: true });
+});
+
+export function setWakeEnabled(on) {
+  const engine = getConfig('wake.engine');
+  if (on && !detectors[engine]) {
+    throw new Error(`Unknown wake word engine: ${engine}`);
+  }
+  if (on && engine === 'command' && !getConfig('wake.command')) {
+    throw new Error('Wake word command not set (WAKEWORD_CMD)');
+  }
+  enabled = !!on;
+  return update();
+}
+
+export function setWakeMuted(on) {
+  muted = !!on;
+  return update();
+}
+
+// Release the mic for a turn; resolves once the capture has exited.
+// Every pauseWake() needs a matching resumeWake().
+export function pauseWake() {
+  paused++;
+  return update();
+}
+
+export function resumeWake() {
+  paused = Math.max(0, paused - 1);
+  return update();
+}
@@ -0,0 +1,36 @@
+// Agent audio format sniffing and decoding
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, rm } from 'fs/promises';
+import { dirname } from 'path';
+import { detectFormat, loadAgentAudio } from '../server/agent-audio.js';
+import { wavHeader } from '../server/pcm.js';
+
+const wav = Buffer.concat([wavHeader(4, { rate: 16000, bits: 16 }), Buffer.alloc(4)]);
+
+test('detects wav, mp3 and ogg/opus from their bytes', () => {
+  assert.equal(detectFormat(wav), 'wav');
+  assert.equal(detectFormat(Buffer.from('ID3\x04\x00\x00\x00\x00\x00\x00\x00\x00', 'latin1')), 'mp3');
+  assert.equal(detectFormat(Buffer.from([0xff, 0xfb, 0x90, 0x64, 0, 0, 0, 0, 0, 0, 0, 0])), 'mp3');
+  assert.equal(detectFormat(Buffer.from('OggS\x00\x02\x00\x00\x00\x00\x00\x00', 'latin1')), 'opus');
+  assert.equal(detectFormat(Buffer.from('hello, not audio')), null);
+});
+
+test('base64 payload is written to a file named after its format', async () => {
+  const { path, format } = await loadAgentAudio({ base64: wav.toString('base64'), format: 'mp3' });
+  try {
+    assert.equal(format, 'wav'); // the bytes beat the hint
+    assert.ok(path.endsWith('.wav'));
+    assert.deepEqual(await readFile(path), wav);
+  } finally {
+    await rm(dirname(path), { recursive: true, force: true });
+  }
+});
+
+test('unknown bytes fall back to the format hint, or fail', async () => {
+  const raw = Buffer.alloc(16, 1).toString('base64');
+  const { path, format } = await loadAgentAudio({ base64: raw, mimeType: 'audio/ogg; codecs=opus' });
+  await rm(dirname(path), { recursive: true, force: true });
+  assert.equal(format, 'opus');
+  await assert.rejects(loadAgentAudio({ base64: raw }), /Unrecognized audio format/);
+});
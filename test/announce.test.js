@@ -0,0 +1,180 @@
+// Announcements: quiet hours, the priority queue, dedup, urgent ones cutting
+// in, expiry and dismissal. A fake player stands in for the pipeline — it
+// "reads out" each announcement for holdMs unless interrupted.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let dir;
+let announcements;
+let config;
+
+const played = [];
+let busy = false;   // a user turn is on
+let holdMs = 20;
+let stopPlaying = null;
+let interrupts = 0;
+let broken = false; // the player fails outright
+
+const player = {
+  busy: () => busy,
+  play(a) {
+    if (broken) return Promise.reject(new Error('no speaker'));
+    played.push(a.text);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(true), holdMs);
+      stopPlaying = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+    });
+  },
+  async interrupt() {
+    interrupts++;
+    busy = false;
+    stopPlaying?.();
+  },
+};
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+async function waitFor(cond, what = 'waitFor timed out') {
+  for (let i = 0; i < 200; i++) {
+    if (cond()) return;
+    await wait(20);
+  }
+  throw new Error(what);
+}
+
+const idle = () => waitFor(() => {
+  const { queued, speaking } = announcements.announcementsStatus();
+  return !queued && !speaking;
+}, 'queue never drained');
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'oc-test-announce-'));
+  Object.assign(process.env, {
+    CONFIG_FILE: join(dir, 'config.json'),
+    HISTORY_DIR: dir,
+  });
+  announcements = await import('../server/announce.js');
+  config = await import('../server/config.js');
+  announcements.startAnnouncements(player);
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+test('quiet hours, wrapping past midnight', () => {
+  const at = (h, m = 0) => new Date(2026, 0, 10, h, m);
+  assert.equal(announcements.inQuietHours('22:00-07:00', at(23)), true);
+  assert.equal(announcements.inQuietHours('22:00-07:00', at(6, 59)), true);
+  assert.equal(announcements.inQuietHours('22:00-07:00', at(7)), false);
+  assert.equal(announcements.inQuietHours('13:00-14:30', at(14, 15)), true);
+  assert.equal(announcements.inQuietHours('13:00-14:30', at(12)), false);
+  assert.equal(announcements.inQuietHours('', at(23)), false);
+});
+
+test('queued while a turn is on, then read out by priority', async () => {
+  busy = true;
+  for (const [text, priority] of [['low one', 'low'], ['normal one', 'normal'], ['high one', 'high']]) {
+    assert.equal(announcements.announce({ text, priority }).announcement.state, 'queued');
+  }
+  await wait(50);
+  assert.deepEqual(played, [], 'never over a turn');
+  busy = false;
+  await idle();
+  assert.deepEqual(played.splice(0), ['high one', 'normal one', 'low one']);
+  assert.ok(announcements.listAnnouncements().slice(0, 3).every((a) => a.state === 'spoken'));
+});
+
+test('the same text or key again is dropped', async () => {
+  const first = announcements.announce({ text: 'The laundry is done!' });
+  const again = announcements.announce({ text: '  the LAUNDRY is done ' });
+  assert.equal(again.duplicate, true);
+  assert.equal(again.announcement.id, first.announcement.id);
+  announcements.announce({ text: 'Washer: 5 minutes left', key: 'washer' });
+  assert.equal(announcements.announce({ text: 'Washer: 4 minutes left', key: 'washer' }).duplicate, true);
+  await idle();
+  assert.deepEqual(played.splice(0), ['The laundry is done!', 'Washer: 5 minutes left']);
+
+  await config.updateConfig({ 'announce.dedupSeconds': 0 });
+  announcements.announce({ text: 'Doorbell' });
+  assert.equal(announcements.announce({ text: 'Doorbell' }).duplicate, false);
+  await idle();
+  assert.deepEqual(played.splice(0), ['Doorbell', 'Doorbell']);
+});
+
+test('urgent ends a turn, and cuts in on a lesser announcement', async () => {
+  busy = true;
+  announcements.announce({ text: 'Smoke alarm in the kitchen', priority: 'urgent' });
+  await idle();
+  assert.equal(interrupts, 1);
+  assert.deepEqual(played.splice(0), ['Smoke alarm in the kitchen']);
+
+  holdMs = 300;
+  announcements.announce({ text: 'A long story about the weather' });
+  await wait(50);
+  holdMs = 20;
+  announcements.announce({ text: 'Front door left open', priority: 'urgent' });
+  await idle();
+  assert.deepEqual(played.splice(0), ['A long story about the weather', 'Front door left open', 'A long story about the weather']);
+});
+
+test('one that fails to play is shown instead, and the queue moves on', async () => {
+  broken = true;
+  const { announcement } = announcements.announce({ text: 'Oven preheated' });
+  await idle();
+  broken = false;
+  assert.equal(announcements.listAnnouncements().find((a) => a.id === announcement.id).state, 'shown');
+  assert.equal(announcements.announcementsStatus().speaking, null);
+
+  announcements.announce({ text: 'Kettle boiled' });
+  await idle();
+  assert.deepEqual(played.splice(0), ['Kettle boiled']);
+});
+
+test('quiet hours show all but urgent without a sound', async () => {
+  const night = new Date(2026, 0, 10, 23, 30).getTime();
+  announcements.setAnnounceClock(() => night);
+  await config.updateConfig({ 'announce.quietHours': '22:00-07:00' });
+  try {
+    const { announcement } = announcements.announce({ text: 'Dishwasher finished' });
+    assert.equal(announcement.state, 'shown');
+    announcements.announce({ text: 'Water leak under the sink', priority: 'urgent' });
+    await idle();
+    assert.deepEqual(played.splice(0), ['Water leak under the sink']);
+    assert.equal(announcements.announcementsStatus().quiet, true);
+  } finally {
+    announcements.setAnnounceClock();
+    await config.updateConfig({ 'announce.quietHours': '' });
+  }
+});
+
+test('stale ones are shown instead; bad ones are refused; dismissed ones go', async () => {
+  busy = true;
+  const { announcement } = announcements.announce({ text: 'Bus in 5 minutes', ttlSeconds: 1 });
+  announcements.setAnnounceClock(() => Date.now() + 2000);
+  busy = false;
+  const state = () => announcements.listAnnouncements().find((a) => a.id === announcement.id).state;
+  try {
+    await waitFor(() => state() !== 'queued'); // the next look at the queue
+  } finally {
+    announcements.setAnnounceClock();
+  }
+  assert.equal(state(), 'shown');
+  assert.deepEqual(played, []);
+
+  const refuse = (fields, message) => assert.throws(() => announcements.announce(fields), (err) => (
+    err.name === 'AnnounceError' && err.status === 400 && message.test(err.message)
+  ));
+  refuse({}, /text is required/);
+  refuse({ text: 'x'.repeat(501) }, /over 500/);
+  refuse({ text: 'hi', priority: 'shouty' }, /priority/);
+  refuse({ text: 'hi', ttlSeconds: 0 }, /ttlSeconds/);
+
+  announcements.dismissAnnouncement(announcement.id);
+  assert.ok(!announcements.listAnnouncements().some((a) => a.id === announcement.id));
+  assert.throws(() => announcements.dismissAnnouncement(announcement.id), { status: 404 });
+});
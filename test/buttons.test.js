@@ -0,0 +1,96 @@
+// Buttons: simulated short and long presses, the press → action map, and
+// gpiomon edges with contact bounce. A shell script stands in for gpiomon
+// (first on PATH): it logs its arguments and prints a bouncy press of A, then
+// holds Y down.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let dir;
+let buttons;
+let config;
+const fired = [];
+
+const FAKE_GPIOMON = `#!/bin/sh
+if [ "$1" = --version ]; then echo "gpiomon (libgpiod) v1.6.3"; exit 0; fi
+echo "$@" > "$FAKE_GPIO_LOG"
+printf '5 0\\n5 1\\n5 0\\n'
+sleep 0.2
+printf '5 1\\n5 0\\n5 1\\n'
+sleep 0.2
+echo "24 0"
+sleep 0.5
+echo "24 1"
+exec sleep 30
+`;
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+const actions = () => fired.splice(0).map(({ action, button, long }) => `${button}${long ? '-long' : ''}:${action}`);
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'oc-test-buttons-'));
+  await writeFile(join(dir, 'gpiomon'), FAKE_GPIOMON);
+  await chmod(join(dir, 'gpiomon'), 0o755);
+  Object.assign(process.env, {
+    PATH: `${dir}:${process.env.PATH}`,
+    FAKE_GPIO_LOG: join(dir, 'gpiomon.log'),
+    CONFIG_FILE: join(dir, 'config.json'),
+    HISTORY_DIR: dir,
+    BUTTONS_SOURCE: 'simulated',
+    BUTTONS_DEBOUNCE_MS: '20',
+    BUTTONS_LONG_PRESS_MS: '200',
+  });
+  buttons = await import('../server/buttons.js');
+  config = await import('../server/config.js');
+  buttons.buttonEvents.on('action', (a) => fired.push(a));
+  await buttons.startButtons();
+});
+
+after(async () => {
+  await config.updateConfig({ 'buttons.source': 'off' });
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('gpiomon lines', () => {
+  assert.deepEqual(buttons.parseGpiomon('5 0'), { line: 5, pressed: true });
+  assert.deepEqual(buttons.parseGpiomon(' 24 1\n'), { line: 24, pressed: false });
+  assert.deepEqual(buttons.parseGpiomon('16 2'), { line: 16, pressed: true }, 'libgpiod 2: 2 is falling');
+  assert.equal(buttons.parseGpiomon('event: FALLING EDGE'), null);
+});
+
+test('simulated presses: short on press, long once held', async () => {
+  assert.deepEqual(buttons.buttonsStatus().buttons.map((b) => `${b.name}@${b.line}`), ['a@5', 'b@6', 'x@16', 'y@24']);
+
+  await buttons.pressButton('a');
+  await buttons.pressButton('x');
+  await buttons.pressButton('y', 50);
+  await buttons.pressButton('y', 300);
+  assert.deepEqual(actions(), ['a:talk', 'x:volume_up', 'y:volume_down', 'y-long:mute']);
+
+  await assert.rejects(buttons.pressButton('z'), { name: 'ButtonError', status: 404 });
+  await assert.rejects(buttons.pressButton('a', -1), { status: 400 });
+});
+
+test('actions come from buttons.actions', async () => {
+  await config.updateConfig({ 'buttons.actions': 'a:talk,a-long:stop,b:none' });
+  await buttons.pressButton('a', 300);
+  await buttons.pressButton('b');
+  await buttons.pressButton('x');
+  assert.deepEqual(actions(), ['a-long:stop'], 'held past long: no short action on release');
+
+  await assert.rejects(config.updateConfig({ 'buttons.actions': 'a:explode' }), /not valid/);
+  await assert.rejects(config.updateConfig({ 'buttons.actions': 'a b:talk' }), /not a button name/);
+  await config.updateConfig({ 'buttons.actions': 'a:talk,y:volume_down,y-long:mute' });
+});
+
+test('gpio: bounce counts once, held lines fire long presses', async () => {
+  await config.updateConfig({ 'buttons.source': 'gpio' });
+  await assert.rejects(buttons.pressButton('a'), { status: 409 });
+  await wait(1300);
+
+  assert.equal((await readFile(join(dir, 'gpiomon.log'), 'utf8')).trim(), '--bias=pull-up --format=%o %e gpiochip0 5 6 16 24');
+  assert.deepEqual(actions(), ['a:talk', 'y-long:mute']);
+  assert.equal(buttons.buttonsStatus().error, null);
+});
@@ -0,0 +1,73 @@
+// Audio calibration: ALSA device parsing, test clip levels, capture gain
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let calibration;
+let pcm;
+
+before(async () => {
+  process.env.CONFIG_FILE = join(tmpdir(), 'oc-test-calibration-none.json');
+  calibration = await import('../server/calibration.js');
+  pcm = await import('../server/pcm.js');
+});
+
+const ARECORD_L = `**** List of CAPTURE Hardware Devices ****
+card 0: sndrpigooglevoi [snd_rpi_googlevoicehat_soundcar], device 0: Google voiceHAT SoundCard HiFi voicehat-hifi-0 [Google voiceHAT SoundCard HiFi voicehat-hifi-0]
+  Subdevices: 1/1
+  Subdevice #0: subdevice #0
+card 2: Device [USB PnP Sound Device], device 0: USB Audio [USB Audio]
+  Subdevices: 1/1
+  Subdevice #0: subdevice #0
+`;
+
+test('arecord -l / aplay -l output is parsed into devices', () => {
+  const devices = calibration.parseAlsaList(ARECORD_L);
+  assert.deepEqual(devices.map((d) => d.id), ['plughw:0,0', 'plughw:2,0']);
+  assert.equal(devices[1].name, 'USB PnP Sound Device: USB Audio');
+  assert.equal(devices[0].card, 0);
+  assert.deepEqual(calibration.parseAlsaList('aplay: device_list:274: no soundcards found...'), []);
+});
+
+test('clip stats report levels, DC offset and what is wrong', () => {
+  const quiet = new Float32Array(48000).map((_, i) => 0.02 + 0.01 * Math.sin(i / 10));
+  const stats = calibration.clipStats(quiet, 48000);
+  assert.equal(stats.seconds, 1);
+  assert.ok(stats.peakDb < -29 && stats.peakDb > -31);
+  assert.equal(stats.dcOffset, 0.02);
+  assert.deepEqual(stats.warnings, ['quiet', 'dc-offset']);
+  assert.equal(stats.suggestedGainDb, Math.round(-6 - stats.peakDb));
+
+  const loud = new Float32Array(48000).map((_, i) => (i % 2 ? 1 : -1));
+  assert.deepEqual(calibration.clipStats(loud, 48000, 10).warnings, ['clipping']);
+  assert.equal(calibration.clipStats(loud, 48000, 10).suggestedGainDb, 4);
+
+  assert.deepEqual(calibration.clipStats(new Float32Array(0), 48000).warnings, ['no-audio']);
+  assert.deepEqual(calibration.clipStats(new Float32Array(100), 48000).warnings, ['silent']);
+});
+
+test('capture gain scales split chunks and clips at full scale', () => {
+  const scale = pcm.createScaler(16);
+  const buf = Buffer.alloc(6);
+  buf.writeInt16LE(1000, 0);
+  buf.writeInt16LE(-20000, 2);
+  buf.writeInt16LE(30000, 4);
+  // Split mid-sample: the odd byte waits for the next chunk
+  const first = scale(buf.subarray(0, 3), 2);
+  const second = scale(buf.subarray(3), 2);
+  const out = Buffer.concat([first, second]);
+  assert.equal(first.length, 2);
+  assert.deepEqual([0, 2, 4].map((i) => out.readInt16LE(i)), [2000, -32768, 32767]);
+  const unity = buf.subarray(0, 4);
+  assert.equal(pcm.createScaler(32)(unity, 1), unity, 'no gain, no copy');
+});
+
+test('test tone is a 16-bit WAV of the right length', () => {
+  const wav = calibration.toneWav(440, 0.5);
+  assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(wav.length, 44 + 48000 * 0.5 * 2);
+  const samples = pcm.decode(wav.subarray(44), 16);
+  assert.ok(pcm.peak(samples) > 0.45 && pcm.peak(samples) <= 0.5);
+  assert.equal(samples[0], 0);
+});
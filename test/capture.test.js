@@ -0,0 +1,101 @@
+// Recording path: in-memory 48k → 16k conversion and scoped temp files
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, rm, stat, utimes, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { resample, rms, decode } from '../server/pcm.js';
+import { tempDir, removeTemp, withTempDir, sweepTemp } from '../server/temp.js';
+
+const exists = (path) => stat(path).then(() => true, () => false);
+
+function tone(frequency, rate, seconds = 0.5) {
+  return new Float32Array(rate * seconds).map((_, i) => 0.5 * Math.sin((2 * Math.PI * frequency * i) / rate));
+}
+
+test('48 kHz capture is resampled to 16 kHz without aliasing', () => {
+  const speech = resample(tone(1000, 48000), 48000, 16000);
+  assert.equal(speech.length, 8000);
+  const level = rms(speech.subarray(100, -100));
+  assert.ok(Math.abs(level - 0.5 / Math.SQRT2) < 0.01, `1 kHz passes (${level})`);
+
+  // 12 kHz can't exist at 16 kHz — a plain decimation would fold it to 4 kHz
+  const folded = rms(resample(tone(12000, 48000), 48000, 16000).subarray(100, -100));
+  assert.ok(folded < 0.01, `12 kHz is filtered out (${folded})`);
+
+  const same = tone(440, 16000);
+  assert.equal(resample(same, 16000, 16000), same);
+  // Non-integer ratios work too (USB mics at 44.1k)
+  assert.equal(resample(tone(440, 44100, 1), 44100, 16000).length, 16000);
+  // Too many phases to table — weights per sample, same result
+  const odd = resample(tone(1000, 48000), 48000, 16001);
+  assert.equal(odd.length, 8000);
+  assert.ok(Math.abs(rms(odd.subarray(100, -100)) - level) < 0.001);
+});
+
+test('S32 frames decode to the same scale as S16', () => {
+  const s32 = Buffer.alloc(8);
+  s32.writeInt32LE(1 << 30, 0);
+  s32.writeInt32LE(-(1 << 30), 4);
+  assert.deepEqual([...decode(s32, 32)], [0.5, -0.5]);
+});
+
+test('withTempDir removes its directory on success, failure and abort', async () => {
+  let kept;
+  const value = await withTempDir('oc-audio-', async (dir) => {
+    kept = dir;
+    await writeFile(join(dir, 'clip.wav'), 'x');
+    return 42;
+  });
+  assert.equal(value, 42);
+  assert.equal(await exists(kept), false);
+
+  await assert.rejects(withTempDir('oc-stt-', async (dir) => {
+    kept = dir;
+    throw new Error('whisper crashed');
+  }), /whisper crashed/);
+  assert.equal(await exists(kept), false);
+
+  // Barge-in mid-transcription: the run rejects with the abort reason
+  const controller = new AbortController();
+  await assert.rejects(withTempDir('oc-stt-', async (dir) => {
+    kept = dir;
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+    });
+    controller.abort();
+    await aborted;
+  }), { name: 'AbortError' });
+  assert.equal(await exists(kept), false);
+});
+
+test('removeTemp takes the clip and its directory, and only ours', async () => {
+  const dir = await tempDir('oc-tts-');
+  const clip = join(dir, 'speech.mp3');
+  await writeFile(clip, 'x');
+  await removeTemp(clip);
+  assert.equal(await exists(dir), false);
+
+  // A file somewhere else loses only itself
+  const other = join(tmpdir(), `oc-test-keep-${process.pid}`);
+  await mkdir(other, { recursive: true });
+  await writeFile(join(other, 'a.wav'), 'x');
+  await removeTemp(join(other, 'a.wav'));
+  assert.equal(await exists(other), true);
+  assert.equal(await exists(join(other, 'a.wav')), false);
+  await removeTemp(other); // not an oc-audio/tts/stt dir — left alone
+  assert.equal(await exists(other), true);
+  await rm(other, { recursive: true });
+});
+
+test('sweepTemp clears stale directories and leaves live ones', async () => {
+  const stale = await tempDir('oc-audio-');
+  const live = await tempDir('oc-tts-');
+  const old = new Date(Date.now() - 60 * 60 * 1000);
+  await utimes(stale, old, old);
+
+  assert.ok(await sweepTemp(10 * 60 * 1000) >= 1);
+  assert.equal(await exists(stale), false);
+  assert.equal(await exists(live), true);
+  await removeTemp(live);
+});
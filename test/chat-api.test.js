@@ -0,0 +1,182 @@
+// POST /api/chat over HTTP: the whole server (index.js) against the mock
+// gateway. The reply streams back as server-sent events and reaches the
+// screens too; a second message while one is on gets a 409; hanging up
+// cancels the turn, the last screen leaving doesn't. Playback is discarded
+// with AUDIO_PLAYER=true, and an amixer that finds no sound card (first on
+// PATH) keeps the host's volume alone.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, mkdtemp, rm, writeFile } from 'fs/promises';
+import net from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import WebSocket from 'ws';
+import { createMockGateway } from '../mock/gateway.js';
+
+let gateway;
+let dir;
+let base;
+
+const NO_MIXER = `#!/bin/sh
+echo "amixer: Mixer attach default error: No such file or directory" >&2
+exit 1
+`;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(cond, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!await cond()) {
+    if (Date.now() > deadline) throw new Error('waitFor timed out');
+    await new Promise((r) => setTimeout(r, 20));
+  }
+}
+
+const chat = (body, { signal } = {}) => fetch(`${base}/api/chat`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+  signal,
+});
+
+// Reads the event stream, calling onEvent({ event, data }) as each arrives;
+// resolves to all of them once the server ends it
+async function readEvents(res, onEvent = () => {}) {
+  const events = [];
+  const decoder = new TextDecoder();
+  let buf = '';
+  for await (const chunk of res.body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buf.indexOf('\n\n')) >= 0) {
+      const block = buf.slice(0, end);
+      buf = buf.slice(end + 2);
+      const event = /^event: (.*)$/m.exec(block)?.[1];
+      const data = JSON.parse(/^data: (.*)$/m.exec(block)?.[1] ?? 'null');
+      events.push({ event, data });
+      onEvent({ event, data });
+    }
+  }
+  return events;
+}
+
+const turnState = async () => (await (await fetch(`${base}/health`)).json()).turn.state;
+
+before(async () => {
+  gateway = await createMockGateway({ port: 0 });
+  dir = await mkdtemp(join(tmpdir(), 'oc-test-chat-'));
+  await writeFile(join(dir, 'amixer'), NO_MIXER);
+  await chmod(join(dir, 'amixer'), 0o755);
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  Object.assign(process.env, {
+    PATH: `${dir}:${process.env.PATH}`,
+    PORT: String(port),
+    OPENCLAW_HOST: '127.0.0.1',
+    OPENCLAW_PORT: String(gateway.port),
+    STT_BACKEND: 'whisper-server',
+    WHISPER_SERVER_URL: `http://127.0.0.1:${gateway.port}`,
+    TTS_PROVIDERS: 'openclaw',
+    AUDIO_PLAYER: 'true',
+    HISTORY_DIR: dir,
+    CONFIG_FILE: join(dir, 'config.json'),
+    INTENTS_FILE: join(dir, 'intents.json'),
+    TIMERS_FILE: join(dir, 'timers.json'),
+    VOLUME_FILE: join(dir, 'volume.json'),
+  });
+  await import('../server/index.js');
+  await waitFor(async () => {
+    try {
+      return (await (await fetch(`${base}/health`)).json()).gateway.reachable;
+    } catch {
+      return false;
+    }
+  });
+});
+
+after(async () => {
+  await gateway.close();
+  await rm(dir, { recursive: true, force: true });
+  // The server and the gateway client would keep the process alive
+  setImmediate(() => process.exit(0));
+});
+
+test('a typed message streams back as events and reaches the screens', async () => {
+  gateway.scenario = 'normal';
+  const screen = new WebSocket(`${base.replace('http', 'ws')}/`);
+  const shown = [];
+  screen.on('message', (raw) => shown.push(JSON.parse(raw)));
+  await new Promise((resolve) => screen.once('open', resolve));
+
+  try {
+    const res = await chat({ text: 'tell me a joke' });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'text/event-stream');
+    const events = await readEvents(res);
+
+    assert.deepEqual(events.find((e) => e.event === 'transcript').data, { text: 'tell me a joke', language: 'en', typed: true });
+    assert.ok(events.some((e) => e.event === 'response_chunk'));
+    assert.match(events.find((e) => e.event === 'response_done').data.text, /You said: tell me a joke\./);
+    assert.deepEqual(events.at(-1), { event: 'state', data: { state: 'idle' } });
+    assert.ok(!events.some((e) => e.event === 'level'), 'no level frames');
+    assert.ok(!events.some((e) => e.data.state === 'speaking'), 'not spoken unless asked');
+
+    await waitFor(() => shown.some((m) => m.type === 'response_done'));
+    assert.ok(shown.some((m) => m.type === 'transcript' && m.typed), 'the screens follow along');
+  } finally {
+    screen.close();
+  }
+
+  assert.equal((await chat({ text: '   ' })).status, 400);
+  assert.equal((await chat({})).status, 400);
+});
+
+test('a second message is refused while one is on; hanging up cancels it', async () => {
+  gateway.scenario = 'slow';
+  gateway.received.length = 0;
+  const hangUp = new AbortController();
+  const res = await chat({ text: 'take your time' }, { signal: hangUp.signal });
+  const reading = readEvents(res).catch((err) => err);
+
+  try {
+    await waitFor(() => gateway.received.includes('chat.send'));
+    const refused = await chat({ text: 'me too' });
+    assert.equal(refused.status, 409);
+    assert.deepEqual(await refused.json(), { error: 'Busy' });
+
+    hangUp.abort();
+    assert.equal((await reading).name, 'AbortError');
+    await waitFor(() => gateway.received.includes('chat.abort'));
+    await waitFor(async () => await turnState() === 'idle');
+  } finally {
+    gateway.scenario = 'normal';
+  }
+});
+
+test('the last screen leaving lets the turn finish', async () => {
+  gateway.scenario = 'slow';
+  gateway.received.length = 0;
+  const screen = new WebSocket(`${base.replace('http', 'ws')}/`);
+  await new Promise((resolve) => screen.once('open', resolve));
+
+  try {
+    const res = await chat({ text: 'nobody is watching' });
+    const reading = readEvents(res);
+    await waitFor(() => gateway.received.includes('chat.send'));
+    screen.close();
+    await waitFor(async () => (await (await fetch(`${base}/health`)).json()).connections === 0);
+
+    const events = await reading;
+    assert.match(events.find((e) => e.event === 'response_done')?.data.text ?? '', /You said: nobody is watching\./);
+    assert.ok(!gateway.received.includes('chat.abort'));
+  } finally {
+    gateway.scenario = 'normal';
+  }
+});
@@ -0,0 +1,118 @@
+// Config store: env parsing, validation, persistence
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let dir;
+let config;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'oc-test-config-'));
+  Object.assign(process.env, {
+    CONFIG_FILE: join(dir, 'config.json'),
+    VAD: 'off',
+    VAD_SILENCE_MS: '900',
+    WHISPER_THREADS: 'lots', // invalid — ignored with a warning
+  });
+  config = await import('../server/config.js');
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+test('environment overrides defaults, bad values fall back', () => {
+  assert.equal(config.getConfig('vad.enabled'), false);
+  assert.equal(config.getConfig('vad.silenceMs'), 900);
+  assert.equal(config.getConfig('stt.threads'), null);
+  assert.equal(config.getConfig('gateway.port'), 18789);
+  assert.throws(() => config.getConfig('no.such.key'), /Unknown setting/);
+});
+
+test('invalid patch is rejected as a whole', async () => {
+  await assert.rejects(
+    config.updateConfig({ 'tts.speed': 5, 'stt.backend': 'vosk', 'audio.micDevice': 'hw:1,0', bogus: 1 }),
+    (err) => {
+      assert.ok(err instanceof config.ConfigError);
+      assert.deepEqual(err.errors.map((e) => e.key).sort(), ['bogus', 'stt.backend', 'tts.speed']);
+      return true;
+    },
+  );
+  assert.equal(config.getConfig('audio.micDevice'), 'plughw:0,0');
+});
+
+test('update applies, saves, and reports live vs restart', async () => {
+  const seen = [];
+  config.watchConfig(['audio.micDevice'], (keys) => seen.push(keys));
+
+  const result = await config.updateConfig({ 'audio.micDevice': 'hw:1,0', 'server.port': '3002', 'tts.speed': 1.2 });
+  assert.deepEqual(result.live.sort(), ['audio.micDevice', 'tts.speed']);
+  assert.deepEqual(result.restart, ['server.port']);
+  assert.deepEqual(seen, [['audio.micDevice']]);
+  assert.deepEqual(config.pendingRestart(), ['server.port']);
+
+  const saved = JSON.parse(await readFile(join(dir, 'config.json'), 'utf8'));
+  assert.deepEqual(saved, { 'audio.micDevice': 'hw:1,0', 'server.port': 3002, 'tts.speed': 1.2 });
+
+  // null drops the override again
+  await config.updateConfig({ 'server.port': null });
+  assert.equal(config.getConfig('server.port'), 3001);
+  assert.deepEqual(config.pendingRestart(), []);
+});
+
+test('secrets are never read back', async () => {
+  await config.updateConfig({ 'gateway.token': 's3cret' });
+  assert.equal(config.getConfig('gateway.token'), 's3cret');
+  assert.deepEqual(config.configSnapshot()['gateway.token'], { set: true });
+  assert.equal(JSON.stringify(config.configSchema()).includes('s3cret'), false);
+});
+
+test('lists are validated against known values', async () => {
+  const { changed } = await config.updateConfig({ 'tts.providers': 'piper, espeak' });
+  assert.deepEqual(changed, ['tts.providers']);
+  assert.deepEqual(config.getConfig('tts.providers'), ['piper', 'espeak']);
+  await assert.rejects(config.updateConfig({ 'tts.providers': ['piper', 'festival'] }), /unknown: festival/);
+});
+
+test('per-language maps and language lists', async () => {
+  await config.updateConfig({ 'tts.piperVoices': 'es:/voices/es.onnx, DE:/voices/de.onnx', 'stt.languages': 'en,es' });
+  assert.deepEqual(config.getConfig('tts.piperVoices'), { es: '/voices/es.onnx', de: '/voices/de.onnx' });
+  assert.deepEqual(config.getConfig('stt.languages'), ['en', 'es']);
+
+  await config.updateConfig({ 'tts.piperVoices': { de: 'thorsten' } });
+  assert.deepEqual(config.getConfig('tts.piperVoices'), { de: 'thorsten' });
+
+  await assert.rejects(config.updateConfig({ 'tts.piperVoices': 'spanish' }), config.ConfigError);
+  await assert.rejects(config.updateConfig({ 'stt.languages': 'en,Spanish' }), config.ConfigError);
+  await config.updateConfig({ 'tts.piperVoices': null, 'stt.languages': null });
+  assert.deepEqual(config.getConfig('tts.piperVoices'), {});
+});
+
+test('nothing changes when the file can\'t be written', async () => {
+  const events = [];
+  config.configEvents.on('change', (changed) => events.push(changed));
+  await config.updateConfig({ 'tts.speed': 1.1 });
+  // A directory where the temp file goes makes the write fail
+  await mkdir(join(dir, 'config.json.tmp'));
+  try {
+    await assert.rejects(config.updateConfig({ 'tts.speed': 1.3 }), /EISDIR/);
+    assert.equal(config.getConfig('tts.speed'), 1.1);
+    assert.equal(JSON.parse(await readFile(join(dir, 'config.json'), 'utf8'))['tts.speed'], 1.1);
+  } finally {
+    await rm(join(dir, 'config.json.tmp'), { recursive: true });
+  }
+  await config.updateConfig({ 'tts.speed': 1.2 });
+  assert.equal(config.getConfig('tts.speed'), 1.2, 'the next update still goes through');
+  assert.deepEqual(events, [['tts.speed'], ['tts.speed']]);
+});
+
+test('commands, binaries and file paths are for the environment only', async () => {
+  for (const key of ['wake.command', 'audio.player', 'tts.piperPath', 'intents.file', 'history.dir']) {
+    await assert.rejects(config.updateConfig({ [key]: '/bin/sh -c "touch /tmp/pwned"' }), (err) => (
+      err instanceof config.ConfigError && err.errors[0].key === key && /environment/.test(err.errors[0].message)
+    ));
+    assert.equal(config.configSchema().find((s) => s.key === key).envOnly, true);
+  }
+  await assert.rejects(config.updateConfig({ 'tts.speed': 1, 'audio.player': null }), config.ConfigError, 'not even a reset');
+  assert.equal(config.getConfig('audio.player'), null);
+});
@@ -0,0 +1,639 @@
+// End-to-end: handleStopRecording against the mock gateway
+// STT and TTS go through the mock too (whisper-server /inference and
+// /v1/audio/speech); the player discards the audio, taking FAKE_PLAY_SECONDS
+// over it (none unless a test sets it). An amixer that finds no sound card
+// (first on PATH) keeps the host's volume alone.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, mkdtemp, readdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createMockGateway } from '../mock/gateway.js';
+
+let gateway;
+let pipeline;
+let approvals;
+let history;
+let metrics;
+let timers;
+let announce;
+const dirs = [];
+
+const NO_MIXER = `#!/bin/sh
+echo "amixer: Mixer attach default error: No such file or directory" >&2
+exit 1
+`;
+
+const PLAYER = `#!/bin/sh
+exec sleep "\${FAKE_PLAY_SECONDS:-0}"
+`;
+
+before(async () => {
+  gateway = await createMockGateway({ port: 0 });
+  const historyDir = await mkdtemp(join(tmpdir(), 'oc-test-history-'));
+  dirs.push(historyDir);
+  await writeFile(join(historyDir, 'amixer'), NO_MIXER);
+  await chmod(join(historyDir, 'amixer'), 0o755);
+  await writeFile(join(historyDir, 'player'), PLAYER);
+  await chmod(join(historyDir, 'player'), 0o755);
+  // Modules read their config at import time
+  Object.assign(process.env, {
+    PATH: `${historyDir}:${process.env.PATH}`,
+    OPENCLAW_HOST: '127.0.0.1',
+    OPENCLAW_PORT: String(gateway.port),
+    STT_BACKEND: 'whisper-server',
+    WHISPER_SERVER_URL: `http://127.0.0.1:${gateway.port}`,
+    TTS_PROVIDERS: 'openclaw',
+    AUDIO_PLAYER: join(historyDir, 'player'),
+    APPROVAL_VOICE: 'off',
+    APPROVAL_TIMEOUT_MS: '1000',
+    HISTORY_DIR: historyDir,
+    CONFIG_FILE: join(historyDir, 'config.json'),
+    INTENTS_FILE: join(historyDir, 'intents.json'),
+    TIMERS_FILE: join(historyDir, 'timers.json'),
+    VOLUME_FILE: join(historyDir, 'volume.json'),
+  });
+  pipeline = await import('../server/pipeline.js');
+  approvals = await import('../server/approvals.js');
+  history = await import('../server/history.js');
+  metrics = await import('../server/metrics.js');
+  timers = await import('../server/timers.js');
+  announce = await import('../server/announce.js');
+  await history.loadHistory();
+});
+
+after(async () => {
+  await gateway.close();
+  await Promise.all(dirs.map((d) => rm(d, { recursive: true, force: true })));
+  // Gateway client keeps reconnecting in the background
+  setImmediate(() => process.exit(0));
+});
+
+// Stand-in for a finished recording: half a second of silence that the
+// VAD has already judged to contain speech
+function fakeRecording() {
+  return {
+    capture: { stop: async () => {} },
+    samples: [new Float32Array(8000)],
+    rate: 16000,
+    vad: { hasSpeech: () => true, stats: () => ({ speech: true }) },
+  };
+}
+
+function fakeClient() {
+  const messages = [];
+  return {
+    messages,
+    ws: { readyState: 1, send: (data) => messages.push(JSON.parse(data)) },
+    types: () => messages.map((m) => m.type),
+  };
+}
+
+async function waitFor(cond, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!cond()) {
+    if (Date.now() > deadline) throw new Error('waitFor timed out');
+    await new Promise((r) => setTimeout(r, 20));
+  }
+}
+
+async function newSession() {
+  return { recording: fakeRecording(), busy: false };
+}
+
+// Recordings, synthesized clips and STT scratch dirs
+async function tempArtifacts() {
+  return (await readdir(tmpdir())).filter((name) => /^oc-(?:audio|tts|stt)-/.test(name));
+}
+
+const messages = () => history.currentConversation().messages;
+
+test('full turn: transcript, streamed response, speech', async () => {
+  gateway.scenario = 'normal';
+  const client = fakeClient();
+  const session = await newSession();
+  const before = messages().length;
+
+  await pipeline.handleStopRecording(client.ws, session);
+
+  const types = client.types();
+  assert.ok(types.includes('transcript'));
+  assert.ok(types.includes('response_chunk'));
+  assert.equal(types.at(-1), 'audio_done');
+  assert.ok(client.messages.some((m) => m.type === 'state' && m.state === 'speaking'));
+  assert.ok(client.messages.some((m) => m.type === 'level' && m.source === 'speaker'), 'playback level frames');
+
+  const done = client.messages.find((m) => m.type === 'response_done');
+  assert.match(done.text, /You said: What is the weather like today\?/);
+  assert.deepEqual(messages().slice(before).map((m) => m.role), ['user', 'assistant']);
+  assert.ok(gateway.received.includes('stt'));
+  assert.ok(gateway.received.includes('tts'));
+  assert.equal(session.busy, false);
+});
+
+test('a turn is timed per stage and counted on /metrics', async () => {
+  gateway.scenario = 'normal';
+  const count = (stage) => Number(metrics.renderMetrics()
+    .match(new RegExp(`^openclaw_pi_turn_stage_seconds_count\\{stage="${stage}"\\} (\\d+)$`, 'm'))?.[1] || 0);
+  const stages = ['recording', 'stt', 'gateway_first_chunk', 'gateway', 'first_audio', 'tts', 'playback'];
+  const before = stages.map(count);
+
+  await pipeline.handleStopRecording(fakeClient().ws, await newSession());
+
+  assert.deepEqual(stages.map(count), before.map((n) => n + 1));
+  assert.match(metrics.renderMetrics(), /^openclaw_pi_turns_total\{outcome="ok"\} \d+$/m);
+  assert.match(metrics.renderMetrics(), /^openclaw_pi_gateway_connected 1$/m);
+});
+
+test('gateway errors are counted by type', async () => {
+  gateway.scenario = 'error';
+  const before = metrics.errorCount('gateway');
+  await pipeline.handleStopRecording(fakeClient().ws, await newSession());
+  assert.equal(metrics.errorCount('gateway'), before + 1);
+  assert.match(metrics.renderMetrics(), /^openclaw_pi_turns_total\{outcome="error"\} \d+$/m);
+});
+
+test('gateway error is reported to the client', async () => {
+  gateway.scenario = 'error';
+  const client = fakeClient();
+  await pipeline.handleStopRecording(client.ws, await newSession());
+
+  const err = client.messages.find((m) => m.type === 'error');
+  assert.equal(err?.text, 'Mock gateway error');
+  assert.ok(!client.types().includes('audio_done'));
+});
+
+test('gateway disconnect mid-stream fails the turn', async () => {
+  gateway.scenario = 'disconnect';
+  const client = fakeClient();
+  await pipeline.handleStopRecording(client.ws, await newSession());
+
+  const err = client.messages.find((m) => m.type === 'error');
+  assert.equal(err?.text, 'Gateway disconnected');
+});
+
+test('barge-in aborts the run and keeps the partial answer', async () => {
+  gateway.scenario = 'slow';
+  const client = fakeClient();
+  const session = await newSession();
+  gateway.received.length = 0;
+
+  const turn = pipeline.handleStopRecording(client.ws, session);
+  await waitFor(() => client.types().includes('response_chunk'));
+  await pipeline.handleStopSpeaking(client.ws, session, false);
+  await turn;
+
+  await waitFor(() => gateway.received.includes('chat.abort'));
+  assert.ok(!client.types().includes('audio_done'));
+  assert.equal(client.messages.at(-1).state, 'idle');
+  const last = messages().at(-1);
+  assert.equal(last.role, 'assistant');
+  assert.equal(last.interrupted, true);
+});
+
+test('a tap while transcribing ends the turn before it reaches the gateway', async () => {
+  gateway.scenario = 'slow';
+  const client = fakeClient();
+  const session = await newSession();
+  const before = messages().length;
+  gateway.received.length = 0;
+
+  try {
+    const turn = pipeline.handleStopRecording(client.ws, session);
+    await waitFor(() => gateway.received.includes('stt'));
+    await pipeline.handleStopSpeaking(client.ws, session, false);
+    await turn;
+  } finally {
+    gateway.scenario = 'normal';
+  }
+
+  assert.ok(!client.types().includes('transcript'));
+  assert.ok(!gateway.received.includes('chat.send'), 'no run to abort');
+  assert.equal(messages().length, before, 'nothing said, nothing kept');
+  assert.equal(client.messages.at(-1).state, 'idle');
+  assert.equal(session.busy, false);
+});
+
+test('a tap while the gateway thinks aborts its run', async () => {
+  gateway.scenario = 'slow';
+  const client = fakeClient();
+  const session = await newSession();
+  gateway.received.length = 0;
+
+  try {
+    const turn = pipeline.handleStopRecording(client.ws, session);
+    await waitFor(() => gateway.received.includes('chat.send'));
+    await pipeline.handleStopSpeaking(client.ws, session, false);
+    await turn;
+    await waitFor(() => gateway.received.includes('chat.abort'));
+  } finally {
+    gateway.scenario = 'normal';
+  }
+
+  assert.ok(!client.types().includes('response_chunk'));
+  // The question stays; there's no answer to keep
+  assert.equal(messages().at(-1).role, 'user');
+  assert.equal(client.messages.at(-1).state, 'idle');
+});
+
+test('a tap while the answer is read out cuts it short and flags it', async () => {
+  gateway.scenario = 'normal';
+  process.env.FAKE_PLAY_SECONDS = '10';
+  const client = fakeClient();
+  const session = await newSession();
+  const artifacts = await tempArtifacts();
+  gateway.received.length = 0;
+
+  try {
+    const turn = pipeline.handleStopRecording(client.ws, session);
+    await waitFor(() => client.types().includes('response_done')
+      && client.messages.some((m) => m.type === 'state' && m.state === 'speaking'));
+    const started = Date.now();
+    await pipeline.handleStopSpeaking(client.ws, session, false);
+    await turn;
+    assert.ok(Date.now() - started < 2000, 'playback stopped');
+  } finally {
+    delete process.env.FAKE_PLAY_SECONDS;
+  }
+
+  assert.ok(!client.types().includes('audio_done'));
+  assert.ok(!gateway.received.includes('chat.abort'), 'the run had already ended');
+  const last = messages().at(-1);
+  assert.equal(last.role, 'assistant');
+  assert.match(last.content, /You said: What is the weather like today\?/);
+  assert.equal(last.interrupted, true);
+
+  // The cut-off clip is cleaned up behind the turn
+  const deadline = Date.now() + 2000;
+  while ((await tempArtifacts()).length > artifacts.length && Date.now() < deadline) {
+    await new Promise((r) => setTimeout(r, 20));
+  }
+  assert.deepEqual(await tempArtifacts(), artifacts);
+});
+
+test('finished and interrupted turns leave nothing in the temp dir', async () => {
+  const before = await tempArtifacts();
+
+  gateway.scenario = 'normal';
+  await pipeline.handleStopRecording(fakeClient().ws, await newSession());
+
+  gateway.scenario = 'slow';
+  const client = fakeClient();
+  const session = await newSession();
+  const turn = pipeline.handleStopRecording(client.ws, session);
+  await waitFor(() => client.types().includes('response_chunk'));
+  await pipeline.handleStopSpeaking(client.ws, session, false);
+  await turn;
+
+  assert.deepEqual(await tempArtifacts(), before);
+});
+
+test('approval answered on screen is sent back to the gateway', async () => {
+  gateway.scenario = 'approval';
+  const client = fakeClient();
+  const prompts = [];
+  const onPrompt = (prompt) => {
+    prompts.push(prompt);
+    approvals.resolveApproval(prompt.id, true, 'screen');
+  };
+  approvals.approvals.on('prompt', onPrompt);
+
+  try {
+    await pipeline.handleStopRecording(client.ws, await newSession());
+  } finally {
+    approvals.approvals.off('prompt', onPrompt);
+  }
+
+  assert.equal(prompts.length, 1);
+  assert.match(prompts[0].text, /rm -rf \/tmp\/mock-cache/);
+  assert.ok(gateway.received.includes('decision:allow-once'));
+  const done = client.messages.find((m) => m.type === 'response_done');
+  assert.equal(done.text, 'Done. I cleared the mock cache.');
+  assert.deepEqual(approvals.pendingApprovals(), []);
+});
+
+test('unanswered approval times out as a deny', async () => {
+  gateway.scenario = 'approval';
+  gateway.received.length = 0;
+  const client = fakeClient();
+  const resolved = [];
+  const onResolved = (result) => resolved.push(result);
+  approvals.approvals.on('resolved', onResolved);
+
+  try {
+    await pipeline.handleStopRecording(client.ws, await newSession());
+  } finally {
+    approvals.approvals.off('resolved', onResolved);
+  }
+
+  assert.deepEqual(resolved.map((r) => [r.approved, r.via]), [[false, 'timeout']]);
+  assert.ok(gateway.received.includes('decision:deny'));
+  const done = client.messages.find((m) => m.type === 'response_done');
+  assert.equal(done.text, 'Okay, I did not run the command.');
+});
+
+test('spoken answers are understood', () => {
+  assert.equal(approvals.parseAnswer('Yes, go ahead.'), true);
+  assert.equal(approvals.parseAnswer('Okay'), true);
+  assert.equal(approvals.parseAnswer("No, don't."), false);
+  assert.equal(approvals.parseAnswer('Yes... actually no'), false);
+  assert.equal(approvals.parseAnswer('What was that?'), null);
+  assert.equal(approvals.parseAnswer('Sí, adelante.'), true);
+  assert.equal(approvals.parseAnswer('Ja, mach das.'), true);
+  assert.equal(approvals.parseAnswer('Nein, lieber nicht.'), false);
+  assert.equal(approvals.parseAnswer('No, cancela.'), false);
+});
+
+test('agent audio is played instead of local TTS', async () => {
+  gateway.scenario = 'audio';
+  gateway.received.length = 0;
+  const client = fakeClient();
+  await pipeline.handleStopRecording(client.ws, await newSession());
+
+  assert.equal(client.types().at(-1), 'audio_done');
+  assert.ok(gateway.received.includes('audio'), 'url clip downloaded');
+  assert.ok(!gateway.received.includes('tts'), 'no local synthesis');
+});
+
+test('unplayable agent audio falls back to local TTS', async () => {
+  gateway.scenario = 'bad-audio';
+  gateway.received.length = 0;
+  const client = fakeClient();
+  await pipeline.handleStopRecording(client.ws, await newSession());
+
+  assert.equal(client.types().at(-1), 'audio_done');
+  assert.ok(gateway.received.includes('tts'));
+});
+
+test('conversation is saved to disk and reloads', async () => {
+  gateway.scenario = 'normal';
+  const { id, messages: saved } = history.currentConversation();
+  await pipeline.handleStopRecording(fakeClient().ws, await newSession());
+
+  // Let the write land, then read it back the way a restart would
+  await waitFor(() => history.listConversations().some((c) => c.id === id && c.count === saved.length));
+  const onDisk = await history.getConversation(id);
+  assert.equal(onDisk.messages.at(-1).role, 'assistant');
+  assert.equal(history.listConversations()[0].id, id);
+});
+
+test('gateway chat.history replaces the local copy', async () => {
+  const { sessionKey } = history.currentConversation();
+  gateway.sessions.set(sessionKey, [
+    { role: 'user', content: 'Asked from the phone app', timestamp: 1 },
+    { role: 'assistant', content: [{ type: 'text', text: 'Answered there too.' }], timestamp: 2 },
+  ]);
+  const changed = await history.syncHistory();
+
+  assert.equal(changed, true);
+  assert.deepEqual(messages().map((m) => m.content), ['Asked from the phone app', 'Answered there too.']);
+});
+
+test('"new conversation" by voice starts a fresh session', async () => {
+  gateway.scenario = 'normal';
+  const old = history.currentConversation();
+  const client = fakeClient();
+  gateway.received.length = 0;
+  gateway.transcript = 'New conversation.';
+
+  try {
+    await pipeline.handleStopRecording(client.ws, await newSession());
+  } finally {
+    gateway.transcript = 'What is the weather like today?';
+  }
+
+  assert.ok(!gateway.received.includes('chat.send'));
+  assert.equal(client.types().at(-1), 'audio_done');
+  const fresh = history.currentConversation();
+  assert.notEqual(fresh.id, old.id);
+  assert.notEqual(fresh.sessionKey, old.sessionKey);
+  assert.deepEqual(fresh.messages, []);
+});
+
+test('local intents are answered on the Pi without a gateway turn', async () => {
+  gateway.scenario = 'normal';
+  const client = fakeClient();
+  const before = messages().length;
+  const count = () => Number(metrics.renderMetrics().match(/^openclaw_pi_intents_total\{intent="time"\} (\d+)$/m)?.[1] || 0);
+  const counted = count();
+  gateway.received.length = 0;
+  gateway.transcript = 'What time is it?';
+
+  try {
+    await pipeline.handleStopRecording(client.ws, await newSession());
+  } finally {
+    gateway.transcript = 'What is the weather like today?';
+  }
+
+  assert.ok(!gateway.received.includes('chat.send'));
+  assert.ok(gateway.received.includes('tts'), 'spoken through the normal TTS path');
+  const done = client.messages.find((m) => m.type === 'response_done');
+  assert.match(done.text, /^It's \d/);
+  assert.equal(done.local, true);
+  assert.equal(client.types().at(-1), 'audio_done');
+  assert.equal(messages().length, before, 'kept out of the conversation');
+  assert.equal(count(), counted + 1);
+});
+
+test('volume without a mixer says so; cancel just goes idle', async () => {
+  gateway.scenario = 'normal';
+  const client = fakeClient();
+  gateway.received.length = 0;
+
+  try {
+    gateway.transcript = 'Louder, please.';
+    await pipeline.handleStopRecording(client.ws, await newSession());
+    gateway.transcript = 'Never mind.';
+    await pipeline.handleStopRecording(client.ws, await newSession());
+  } finally {
+    gateway.transcript = 'What is the weather like today?';
+  }
+
+  assert.ok(!gateway.received.includes('chat.send'));
+  const done = client.messages.find((m) => m.type === 'response_done');
+  assert.equal(done.text, "I can't change the volume on this device.");
+  assert.deepEqual(client.messages.at(-1), { type: 'state', state: 'idle' });
+});
+
+test('a timer set by voice lands in the local store', async () => {
+  gateway.scenario = 'normal';
+  const client = fakeClient();
+  gateway.received.length = 0;
+  gateway.transcript = 'Set a timer for 5 minutes.';
+
+  try {
+    await pipeline.handleStopRecording(client.ws, await newSession());
+  } finally {
+    gateway.transcript = 'What is the weather like today?';
+  }
+
+  assert.ok(!gateway.received.includes('chat.send'));
+  assert.equal(client.messages.find((m) => m.type === 'response_done').text, 'Timer set for 5 minutes.');
+  const timer = timers.listTimers().find((x) => x.source === 'voice');
+  assert.equal(timer.kind, 'timer');
+  assert.ok(timer.remainingMs > 290000 && timer.remainingMs <= 300000);
+  timers.cancelTimer(timer.id);
+});
+
+test('a timer the gateway asks for is set on the device', async () => {
+  gateway.scenario = 'timer';
+  const client = fakeClient();
+
+  await pipeline.handleStopRecording(client.ws, await newSession());
+
+  assert.ok(gateway.commands.includes('timer.set'), 'advertised on connect');
+  assert.equal(client.messages.find((m) => m.type === 'response_done').text, 'Pasta timer set for 5 minutes.');
+  const timer = timers.listTimers().find((x) => x.source === 'gateway');
+  assert.equal(timer.label, 'pasta');
+  timers.cancelTimer(timer.id);
+});
+
+test('detected language travels with the transcript, the gateway request and the voice', async () => {
+  const { updateConfig } = await import('../server/config.js');
+  await updateConfig({
+    'stt.language': 'auto',
+    'stt.languages': 'en,es,de',
+    'tts.openclawVoices': 'es:nova,de:onyx',
+  });
+  gateway.scenario = 'normal';
+  gateway.language = 'spanish';
+  gateway.transcript = '¿Qué tiempo hace hoy?';
+  for (const list of Object.values(gateway.requests)) list.length = 0;
+  const client = fakeClient();
+
+  try {
+    await pipeline.handleStopRecording(client.ws, await newSession());
+  } finally {
+    gateway.language = 'english';
+    gateway.transcript = 'What is the weather like today?';
+  }
+
+  try {
+    const transcript = client.messages.find((m) => m.type === 'transcript');
+    assert.equal(transcript.language, 'es');
+    assert.deepEqual(gateway.requests.stt, ['auto']);
+    assert.equal(gateway.requests.chat.at(-1).language, 'es');
+    assert.ok(gateway.requests.tts.length);
+    assert.ok(gateway.requests.tts.every((v) => v === 'nova'));
+    assert.equal(client.types().at(-1), 'audio_done');
+  } finally {
+    await updateConfig({ 'stt.language': null, 'stt.languages': null, 'tts.openclawVoices': null });
+  }
+});
+
+test('a language outside stt.languages is transcribed again in the first one', async () => {
+  const { updateConfig } = await import('../server/config.js');
+  await updateConfig({ 'stt.language': 'auto', 'stt.languages': 'de,en' });
+  gateway.language = 'french';
+  gateway.requests.stt.length = 0;
+  const client = fakeClient();
+
+  try {
+    await pipeline.handleStopRecording(client.ws, await newSession());
+  } finally {
+    gateway.language = 'english';
+    await updateConfig({ 'stt.language': null, 'stt.languages': null });
+  }
+
+  assert.deepEqual(gateway.requests.stt, ['auto', 'de']);
+  assert.equal(client.messages.find((m) => m.type === 'transcript').language, 'de');
+});
+
+test('typed text runs the same turn without STT, spoken only if asked', async () => {
+  gateway.scenario = 'normal';
+  const received = (what) => gateway.received.filter((x) => x === what).length;
+  const session = { recording: null, busy: false };
+  const before = messages().length;
+  const stt = received('stt');
+  const tts = received('tts');
+
+  const quiet = fakeClient();
+  assert.equal(await pipeline.handleText(quiet.ws, session, '  tell me a joke ', { spoken: false }), true);
+  assert.deepEqual(quiet.messages.find((m) => m.type === 'transcript'), { type: 'transcript', text: 'tell me a joke', language: 'en', typed: true });
+  assert.match(quiet.messages.find((m) => m.type === 'response_done').text, /You said: tell me a joke\./);
+  assert.deepEqual(quiet.messages.at(-1), { type: 'state', state: 'idle' });
+  assert.ok(!quiet.messages.some((m) => m.state === 'speaking'));
+  assert.equal(received('tts'), tts, 'nothing synthesized');
+
+  const spoken = fakeClient();
+  assert.equal(await pipeline.handleText(spoken.ws, session, 'and another'), true);
+  assert.equal(spoken.types().at(-1), 'audio_done');
+  assert.ok(received('tts') > tts);
+  assert.equal(received('stt'), stt, 'never transcribed');
+  assert.deepEqual(messages().slice(before).map((m) => m.content.slice(0, 14)), [
+    'tell me a joke', 'This is the mo', 'and another', 'This is the mo',
+  ]);
+
+  session.busy = true;
+  const refused = fakeClient();
+  assert.equal(await pipeline.handleText(refused.ws, session, 'hello?'), false);
+  assert.equal(await pipeline.handleText(refused.ws, { busy: false, starting: true }, 'hello?'), false, 'a recording starting up');
+  assert.equal(await pipeline.handleText(refused.ws, { busy: false }, '   '), false);
+  assert.deepEqual(refused.messages, []);
+});
+
+test('an announcement is read out between turns, stays out of history and a tap cuts it short', async () => {
+  gateway.scenario = 'normal';
+  const session = { recording: null, busy: false };
+  const before = messages().length;
+  const tts = gateway.received.filter((x) => x === 'tts').length;
+
+  const client = fakeClient();
+  assert.equal(await pipeline.handleAnnouncement(client.ws, session, { text: 'The laundry is done.', language: 'en' }), true);
+  assert.ok(client.messages.some((m) => m.type === 'state' && m.state === 'speaking'));
+  assert.deepEqual(client.messages.at(-1), { type: 'state', state: 'idle' });
+  assert.ok(gateway.received.filter((x) => x === 'tts').length > tts);
+  assert.equal(messages().length, before);
+
+  session.busy = true;
+  assert.equal(await pipeline.handleAnnouncement(fakeClient().ws, session, { text: 'Not now.' }), false);
+  session.busy = false;
+
+  const cut = fakeClient();
+  const done = pipeline.handleAnnouncement(cut.ws, session, { text: 'A very long announcement. '.repeat(5), chime: false });
+  await waitFor(() => session.turn);
+  await pipeline.handleStopSpeaking(cut.ws, session, false);
+  assert.equal(await done, true);
+  assert.equal(session.busy, false);
+});
+
+test('an announcement nobody could hear fails instead of counting as spoken', async () => {
+  const { updateConfig } = await import('../server/config.js');
+  const session = { recording: null, busy: false };
+  await updateConfig({ 'tts.providers': 'piper' }); // no piper voice set
+  try {
+    const client = fakeClient();
+    await assert.rejects(
+      pipeline.handleAnnouncement(client.ws, session, { text: 'The laundry is done.', chime: false }),
+      /No voice/,
+    );
+    assert.equal(session.busy, false);
+    assert.equal(session.turn, null);
+    assert.deepEqual(client.messages.at(-1), { type: 'state', state: 'idle' });
+  } finally {
+    await updateConfig({ 'tts.providers': null });
+  }
+});
+
+test('what the agent says unprompted is announced; our own runs never are', async () => {
+  const text = 'Your package has been delivered to the front porch.';
+  gateway.push(text, { priority: 'high' });
+  await waitFor(() => announce.listAnnouncements().some((a) => a.text === text));
+  const [pushed, ...others] = announce.listAnnouncements().filter((a) => a.source === 'gateway');
+  assert.equal(pushed.text, text);
+  assert.equal(pushed.priority, 'high');
+  assert.deepEqual(others, [], 'no replies, aborted runs or their tails');
+  assert.ok(gateway.commands.includes('announce'), 'the agent can announce on purpose too');
+});
+
+test('a second recording is refused while the mic is held', async () => {
+  const { mic } = await import('../server/locks.js');
+  const release = mic.tryAcquire('approval');
+  const client = fakeClient();
+  try {
+    await pipeline.handleStartRecording(client.ws, { recording: null, busy: false }, 'c2');
+  } finally {
+    release();
+  }
+  assert.deepEqual(client.messages, [{ type: 'error', text: 'Mic busy' }]);
+});
@@ -0,0 +1,124 @@
+// Local intents: phrase templates, normalization, slots, the custom intents file
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile, utimes } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let dir;
+let file;
+let intents;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'oc-test-intents-'));
+  file = join(dir, 'intents.json');
+  Object.assign(process.env, {
+    CONFIG_FILE: join(dir, 'config.json'),
+    HISTORY_DIR: dir,
+    INTENTS_FILE: file,
+    TIMERS_FILE: join(dir, 'timers.json'),
+    VOLUME_FILE: join(dir, 'volume.json'),
+  });
+  intents = await import('../server/intents.js');
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+const intentOf = async (text) => (await intents.matchIntent(text))?.intent || null;
+
+test('transcripts are compared without case, accents or punctuation', () => {
+  assert.equal(intents.normalize('¿Qué hora es?'), 'que hora es');
+  assert.equal(intents.normalize("  What's   the TIME?! "), "what's the time");
+  assert.equal(intents.normalize('Lautstärke auf 40%.'), 'lautstarke auf 40');
+  assert.equal(intents.normalize("'Quoted' words"), 'quoted words');
+});
+
+test('templates: optional words, alternatives and slots', () => {
+  const re = intents.compilePattern('[please] (turn|switch) on the {thing}');
+  assert.deepEqual({ ...re.exec(' turn on the kitchen light').groups }, { thing: 'kitchen light' });
+  assert.ok(re.test(' please switch on the fan'));
+  assert.ok(!re.test(' turn the fan on'));
+
+  const level = intents.compilePattern('volume [to] {level:number}');
+  assert.equal(level.exec(' volume to 35').groups.level, '35');
+  assert.ok(!level.test(' volume to loud'));
+
+  assert.throws(() => intents.compilePattern('turn [on'), /missing "\]"/);
+  assert.throws(() => intents.compilePattern('a | b'), /unexpected "\|"/);
+  assert.throws(() => intents.compilePattern('set {level:color}'), /unknown slot type/);
+  assert.throws(() => intents.compilePattern('[]'), /empty choice/);
+  assert.throws(() => intents.compilePattern('  '), /empty pattern/);
+});
+
+test('built-in intents in English, Spanish and German; anything else passes through', async () => {
+  assert.equal(await intentOf('What time is it?'), 'time');
+  assert.equal(await intentOf('¿Qué hora es?'), 'time');
+  assert.equal(await intentOf('Wie spät ist es?'), 'time');
+  assert.equal(await intentOf("What's the date today?"), 'date');
+  assert.equal(await intentOf('Turn it up, please.'), 'volume_up');
+  assert.equal(await intentOf('Leiser.'), 'volume_down');
+  assert.equal(await intentOf('Mute.'), 'mute');
+  assert.equal(await intentOf('Never mind.'), 'cancel');
+  assert.equal(await intentOf('Can you repeat that?'), 'repeat');
+  assert.equal(await intentOf('Status report.'), 'status');
+  assert.equal(await intentOf('Empecemos de nuevo.'), 'new_conversation');
+  assert.deepEqual((await intents.matchIntent('Pon el volumen al 30 por ciento')).slots, { level: '30' });
+
+  assert.equal(await intentOf('What time does the bakery open?'), null);
+  assert.equal(await intentOf('Stop the war in my kitchen'), null, 'whole transcript only');
+  assert.equal(await intentOf(''), null);
+});
+
+test('answers are spoken in the language asked', async () => {
+  assert.match((await intents.handleIntent('what time is it', { language: 'es' })).say, /^Son las \d/);
+  assert.match((await intents.handleIntent('what time is it', { language: 'de' })).say, /^Es ist \d/);
+  assert.deepEqual(await intents.handleIntent('never mind', { language: 'en' }), { intent: 'cancel', say: '' });
+
+  intents.rememberAnswer('It is sunny.');
+  assert.equal((await intents.handleIntent('say that again', { language: 'en' })).say, 'It is sunny.');
+});
+
+test('timers by voice: a duration or time slot never swallows the label', async () => {
+  assert.deepEqual((await intents.matchIntent('Remind me to put in the washing in 5 minutes.')).slots,
+    { label: 'put in the washing', duration: '5 minutes' });
+  assert.deepEqual((await intents.matchIntent('Remind me at 7 p.m. to take the bins out')).slots,
+    { time: '7 p m', label: 'take the bins out' });
+  assert.deepEqual((await intents.matchIntent('Set a pasta timer for 10 minutes')).slots,
+    { label: 'pasta', duration: '10 minutes' });
+  assert.equal(await intentOf('Pon una alarma a las 7 y media'), 'alarm_set');
+  assert.equal(await intentOf('Stell einen Wecker auf 6 Uhr'), 'alarm_set');
+
+  assert.equal((await intents.handleIntent('How long is left?', { language: 'en' })).say, 'There are no timers set.');
+  assert.equal((await intents.handleIntent('Set a timer for an hour and a half', { language: 'en' })).say,
+    'Timer set for 1 hour and 30 minutes.');
+  assert.equal((await intents.handleIntent('Wie lange noch?', { language: 'de' })).say, 'Noch 1 Stunde und 30 Minuten.');
+  assert.equal((await intents.handleIntent('Cancel the timer', { language: 'en' })).say, 'Okay, cancelled.');
+  assert.equal((await intents.handleIntent('Cancel the timer', { language: 'en' })).say, 'There are no timers set.');
+});
+
+test('custom intents: say, command, extra phrases for a built-in, bad entries skipped', async () => {
+  await writeFile(file, JSON.stringify([
+    { name: 'lights', patterns: ['[turn] [the] lights (on|off) in the {room}'], say: { en: 'Lights in the {room}.', es: 'Luces en {room}.' } },
+    { name: 'echo', patterns: ['echo {words}'], command: ['echo', 'you said {words}'] },
+    { intent: 'time', patterns: ['hora'] },
+    { name: 'broken', patterns: ['oops ['], say: 'never' },
+    { name: 'nothing to do', patterns: ['do nothing'] },
+    { intent: 'teleport', patterns: ['beam me up'] },
+  ]));
+
+  assert.deepEqual(await intents.handleIntent('Turn the lights on in the kitchen.', { language: 'en' }),
+    { intent: 'lights', say: 'Lights in the kitchen.' });
+  assert.equal((await intents.handleIntent('lights off in the hall', { language: 'es' })).say, 'Luces en hall.');
+  assert.equal((await intents.handleIntent('Echo hello there', { language: 'en' })).say, 'you said hello there');
+  assert.equal(await intentOf('Hora.'), 'time');
+  assert.equal(await intentOf('oops'), null);
+  assert.equal(await intentOf('do nothing'), null);
+  assert.equal(await intentOf('beam me up'), null);
+
+  // Edited file is picked up on the next transcript
+  await writeFile(file, JSON.stringify([{ name: 'fail', patterns: ['break it'], command: ['false'] }]));
+  const later = new Date(Date.now() + 5000);
+  await utimes(file, later, later);
+  assert.equal(await intentOf('echo hi'), null);
+  assert.deepEqual(await intents.handleIntent('break it', { language: 'en' }), { intent: 'fail', say: "Sorry, that didn't work." });
+});
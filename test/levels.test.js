@@ -0,0 +1,35 @@
+// Level frames: mic meter framing and playback envelopes
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLevelMeter, wavEnvelope, fileEnvelope } from '../server/levels.js';
+import { toS16, wavHeader } from '../server/pcm.js';
+
+test('the mic meter emits one frame per 50ms of audio, however it is chunked', () => {
+  const frames = [];
+  const meter = createLevelMeter(16000, (f) => frames.push(f));
+  const loud = new Float32Array(1000).fill(0.5);
+  for (let i = 0; i < 4; i++) meter.feed(loud); // 4000 samples = 250ms
+  assert.equal(frames.length, 5);
+  assert.ok(frames.every((f) => f.level === 0.9 && f.peak === 0.9)); // -6 dBFS
+
+  meter.feed(new Float32Array(800)); // silence, exactly one frame
+  assert.equal(frames.length, 6);
+  assert.equal(frames.at(-1).level, 0);
+});
+
+test('a WAV gives an envelope that follows its loudness', () => {
+  const samples = new Float32Array(16000);
+  samples.fill(0.25, 8000); // half silence, half -12 dBFS
+  const pcm = toS16(samples);
+  const wav = Buffer.concat([wavHeader(pcm.length, { rate: 16000, bits: 16 }), pcm]);
+
+  const frames = wavEnvelope(wav);
+  assert.equal(frames.length, 20);
+  assert.equal(frames[0].level, 0);
+  assert.equal(frames[19].level, 0.8);
+  assert.equal(wavEnvelope(Buffer.from('ID3 not a wav at all, just bytes')), null);
+});
+
+test('an unreadable clip has no envelope', async () => {
+  assert.equal(await fileEnvelope('/nonexistent/speech.mp3'), null);
+});
@@ -0,0 +1,39 @@
+// Mic / speaker locks
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mic, speaker, lockStatus } from '../server/locks.js';
+
+test('tryAcquire fails fast while the lock is held', () => {
+  const release = mic.tryAcquire('c1');
+  assert.ok(release);
+  assert.equal(mic.tryAcquire('c2'), null);
+  assert.equal(lockStatus().mic.holder, 'c1');
+  release();
+  release(); // idempotent
+  assert.equal(lockStatus().mic.holder, null);
+});
+
+test('acquire waits its turn, in order', async () => {
+  const order = [];
+  const first = await speaker.acquire('speech');
+  const second = speaker.acquire('approval').then((release) => { order.push('approval'); return release; });
+  const third = speaker.acquire('timer').then((release) => { order.push('timer'); return release; });
+  assert.deepEqual(speaker.status().waiting, ['approval', 'timer']);
+
+  first();
+  (await second)();
+  (await third)();
+  assert.deepEqual(order, ['approval', 'timer']);
+  assert.equal(speaker.status().holder, null);
+});
+
+test('aborting a waiter takes it out of the queue', async () => {
+  const release = await speaker.acquire('speech');
+  const controller = new AbortController();
+  const waiting = speaker.acquire('approval', { signal: controller.signal });
+  controller.abort(new Error('gone'));
+  await assert.rejects(waiting, /gone/);
+  assert.deepEqual(speaker.status().waiting, []);
+  release();
+  assert.equal(speaker.status().holder, null);
+});
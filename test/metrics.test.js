@@ -0,0 +1,48 @@
+// Prometheus text rendering: counters, collected gauges, histograms
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { counter, gauge, histogram, renderMetrics, countError, errorCount } from '../server/metrics.js';
+
+test('counters and gauges render with help, type and labels', () => {
+  const c = counter('test_requests_total', 'Requests');
+  c.inc({ route: '/a' });
+  c.inc({ route: '/a' }, 2);
+  c.inc({ route: 'say "hi"\n' });
+  let connected = 0;
+  gauge('test_connected', 'Connected', { collect: () => connected });
+  gauge('test_state', 'State', { collect: () => [{ labels: { state: 'connecting' }, value: 1 }] });
+  connected = 1;
+
+  const text = renderMetrics();
+  assert.match(text, /^# HELP test_requests_total Requests\n# TYPE test_requests_total counter$/m);
+  assert.match(text, /^test_requests_total\{route="\/a"\} 3$/m);
+  assert.match(text, /^test_requests_total\{route="say \\"hi\\"\\n"\} 1$/m);
+  assert.match(text, /^test_connected 1$/m, 'collected at scrape time');
+  assert.match(text, /^test_state\{state="connecting"\} 1$/m);
+  assert.equal(c.value({ route: '/a' }), 3);
+});
+
+test('histograms render cumulative buckets, sum and count per label set', () => {
+  const h = histogram('test_stage_seconds', 'Stage time', { buckets: [0.5, 1, 5] });
+  h.observe({ stage: 'stt' }, 0.3);
+  h.observe({ stage: 'stt' }, 0.8);
+  h.observe({ stage: 'stt' }, 12);
+  h.observe({ stage: 'tts' }, 1);
+
+  const text = renderMetrics();
+  assert.match(text, /^# TYPE test_stage_seconds histogram$/m);
+  assert.match(text, /^test_stage_seconds_bucket\{stage="stt",le="0.5"\} 1$/m);
+  assert.match(text, /^test_stage_seconds_bucket\{stage="stt",le="1"\} 2$/m);
+  assert.match(text, /^test_stage_seconds_bucket\{stage="stt",le="5"\} 2$/m);
+  assert.match(text, /^test_stage_seconds_bucket\{stage="stt",le="\+Inf"\} 3$/m);
+  assert.match(text, /^test_stage_seconds_sum\{stage="stt"\} 13.1$/m);
+  assert.match(text, /^test_stage_seconds_count\{stage="tts"\} 1$/m);
+  assert.equal(h.count({ stage: 'stt' }), 3);
+});
+
+test('errors are counted by type', () => {
+  const before = errorCount('stt');
+  countError('stt');
+  assert.equal(errorCount('stt'), before + 1);
+  assert.match(renderMetrics(), /^openclaw_pi_errors_total\{type="stt"\} \d+$/m);
+});
@@ -0,0 +1,145 @@
+// Gateway client against the mock gateway: replies routed to the run they
+// belong to, late events vs. unprompted ones, what a dropped socket does to
+// requests in flight, reconnect backoff and the heartbeat. Backoff and
+// heartbeat are cut to tens of milliseconds.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import net from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createMockGateway } from '../mock/gateway.js';
+
+let gateway;
+let dir;
+let openclaw;
+let config;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(cond, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!cond()) {
+    if (Date.now() > deadline) throw new Error('waitFor timed out');
+    await new Promise((r) => setTimeout(r, 20));
+  }
+}
+
+// 'state' events as they come, until stop()
+function watchStates() {
+  const states = [];
+  const onState = (s) => states.push(s);
+  openclaw.gatewayEvents.on('state', onState);
+  return { states, stop: () => openclaw.gatewayEvents.off('state', onState) };
+}
+
+before(async () => {
+  gateway = await createMockGateway({ port: 0 });
+  dir = await mkdtemp(join(tmpdir(), 'oc-test-gateway-'));
+  Object.assign(process.env, {
+    OPENCLAW_HOST: '127.0.0.1',
+    OPENCLAW_PORT: String(gateway.port),
+    CONFIG_FILE: join(dir, 'config.json'),
+  });
+  openclaw = await import('../server/openclaw.js');
+  config = await import('../server/config.js');
+  openclaw.setGatewayTiming({ reconnectBaseMs: 40, reconnectMaxMs: 160, heartbeatMs: 60, heartbeatTimeoutMs: 40 });
+  await openclaw.connect();
+});
+
+after(async () => {
+  await gateway.close();
+  await rm(dir, { recursive: true, force: true });
+  // The client would keep reconnecting
+  setImmediate(() => process.exit(0));
+});
+
+test('overlapping runs each get their own reply', async () => {
+  gateway.scenario = 'normal';
+  const chunks = { a: [], b: [] };
+  const [a, b] = await Promise.all([
+    openclaw.chat('first question', (text) => chunks.a.push(text)),
+    openclaw.chat('second question', (text) => chunks.b.push(text)),
+  ]);
+  assert.match(a, /You said: first question\./);
+  assert.match(b, /You said: second question\./);
+  assert.equal(chunks.a.join(''), a);
+  assert.equal(chunks.b.join(''), b);
+  assert.equal(openclaw.gatewayStatus().activeRuns, 0);
+});
+
+test('late events of a finished run are dropped, untagged text is news', async () => {
+  const messages = [];
+  const onMessage = (m) => messages.push(m);
+  openclaw.gatewayEvents.on('message', onMessage);
+  try {
+    const sent = gateway.requests.chat.length;
+    await openclaw.chat('hello', () => {});
+    const runId = gateway.requests.chat[sent].idempotencyKey;
+
+    gateway.emit('chat.chunk', { runId, text: 'a trailing chunk' });
+    gateway.emit('chat.done', { runId });
+    // Right after our run ended, from a gateway that doesn't tag events
+    gateway.emit('chat.chunk', { text: 'The oven is preheated.' });
+    gateway.emit('chat.done', {});
+
+    await waitFor(() => messages.length);
+    await new Promise((r) => setTimeout(r, 100));
+    assert.deepEqual(messages.map((m) => m.text), ['The oven is preheated.']);
+  } finally {
+    openclaw.gatewayEvents.off('message', onMessage);
+  }
+});
+
+test('a dropped socket fails the run in flight, then reconnects', async () => {
+  gateway.scenario = 'disconnect';
+  const watch = watchStates();
+  try {
+    await assert.rejects(openclaw.chat('tell me everything', () => {}), /Gateway disconnected/);
+    assert.equal(openclaw.gatewayStatus().activeRuns, 0);
+    await waitFor(() => openclaw.isConnected());
+    const retry = watch.states.find((s) => s.state === 'disconnected');
+    assert.ok(retry.retryInMs >= 20 && retry.retryInMs <= 40, `first retry after ${retry.retryInMs}ms`);
+  } finally {
+    watch.stop();
+    gateway.scenario = 'normal';
+  }
+});
+
+test('reconnects back off exponentially up to the cap', async () => {
+  const watch = watchStates();
+  await config.updateConfig({ 'gateway.port': await freePort() }); // nobody there
+  try {
+    await waitFor(() => watch.states.filter((s) => s.retryInMs).length >= 5);
+    const delays = watch.states.filter((s) => s.retryInMs).slice(0, 5).map((s) => s.retryInMs);
+    [40, 80, 160, 160, 160].forEach((ceiling, i) => {
+      assert.ok(delays[i] >= ceiling / 2 && delays[i] <= ceiling, `retry ${i + 1} after ${delays[i]}ms, cap ${ceiling}`);
+    });
+  } finally {
+    await config.updateConfig({ 'gateway.port': null });
+    watch.stop();
+  }
+  await waitFor(() => openclaw.isConnected());
+});
+
+test('a gateway that stops answering is dropped; requests in flight fail', async () => {
+  const watch = watchStates();
+  gateway.silent = true;
+  try {
+    const history = openclaw.fetchHistory('main');
+    await assert.rejects(history, /Gateway disconnected/);
+    assert.ok(gateway.received.includes('health'), 'probed first');
+    assert.ok(watch.states.some((s) => s.state === 'disconnected'));
+  } finally {
+    gateway.silent = false;
+    watch.stop();
+  }
+  await waitFor(() => openclaw.isConnected());
+});
@@ -0,0 +1,86 @@
+// STT preprocessing on a recorded-style fixture: test/fixtures/sph0645-quiet.wav
+// is 0.8s of 48 kHz S32 with 18 significant bits, a -0.09 DC offset, 50 Hz
+// hum, a noise floor and a quiet voiced syllable in the middle
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let pre;
+let pcm;
+let fixture;
+
+const OPTIONS = { enabled: true, highpassHz: 80, normalize: true, targetDb: -20, maxGainDb: 30, noise: 'off', gateDb: 6 };
+
+before(async () => {
+  process.env.CONFIG_FILE = join(tmpdir(), 'oc-test-preprocess-none.json');
+  pre = await import('../server/preprocess.js');
+  pcm = await import('../server/pcm.js');
+  const wav = pcm.readWav(await readFile(new URL('./fixtures/sph0645-quiet.wav', import.meta.url)));
+  fixture = pcm.resample(wav.samples, wav.rate, 16000);
+});
+
+function tone(frequency, seconds, amplitude, rate = 16000) {
+  return new Float32Array(rate * seconds).map((_, i) => amplitude * Math.sin((2 * Math.PI * frequency * i) / rate));
+}
+
+test('the fixture reads as a 48 kHz mic clip with a DC offset', async () => {
+  const wav = pcm.readWav(await readFile(new URL('./fixtures/sph0645-quiet.wav', import.meta.url)));
+  assert.equal(wav.rate, 48000);
+  assert.equal(wav.samples.length, 38400);
+  const stats = pre.levelStats(wav.samples, wav.rate);
+  assert.equal(stats.dcOffset, -0.09);
+  assert.ok(stats.speechDb < -35, `quiet speech (${stats.speechDb})`);
+});
+
+test('DC, rumble and a quiet speaker come out centred and at the target level', () => {
+  const { samples, stats } = pre.preprocess(fixture, 16000, OPTIONS);
+  assert.deepEqual(stats.steps, ['dc', 'highpass 80 Hz', 'normalize']);
+  assert.equal(stats.before.dcOffset, -0.09);
+  assert.equal(stats.after.dcOffset, 0);
+  assert.ok(Math.abs(stats.after.speechDb - -20) < 0.5, `speech at target (${stats.after.speechDb})`);
+  assert.ok(stats.gainDb > 15 && stats.gainDb <= 30);
+  assert.ok(stats.after.peakDb <= -1);
+  assert.equal(samples.length, fixture.length);
+});
+
+test('the high-pass takes out hum and leaves speech frequencies alone', () => {
+  const hum = pre.highpass(tone(50, 1, 0.5), 16000, 80);
+  const voice = pre.highpass(tone(1000, 1, 0.5), 16000, 80);
+  assert.ok(pcm.rms(hum.subarray(4000)) < 0.5 / Math.SQRT2 / 2, 'hum at least 6 dB down');
+  assert.ok(Math.abs(pcm.rms(voice.subarray(4000)) - 0.5 / Math.SQRT2) < 0.01);
+});
+
+test('normalization is capped by max gain and by the peak ceiling', () => {
+  const faint = tone(300, 1, 0.0001);
+  assert.equal(pre.preprocess(faint, 16000, { ...OPTIONS, highpassHz: 0, maxGainDb: 12 }).stats.gainDb, 12);
+
+  // A spike next to quiet speech: bringing speech up would clip it
+  const spiky = tone(300, 1, 0.01);
+  spiky[8000] = 0.5;
+  const { stats } = pre.preprocess(spiky, 16000, { ...OPTIONS, highpassHz: 0 });
+  assert.ok(stats.after.peakDb <= -1 && stats.after.peakDb > -1.2, `peak held at the ceiling (${stats.after.peakDb})`);
+
+  const silence = new Float32Array(16000);
+  assert.equal(pre.preprocess(silence, 16000, OPTIONS).stats.gainDb, 0);
+});
+
+test('the noise gate and spectral subtraction both lower the noise floor', () => {
+  const plain = pre.preprocess(fixture, 16000, OPTIONS).stats.after;
+  const gated = pre.preprocess(fixture, 16000, { ...OPTIONS, noise: 'gate' }).stats;
+  const spectral = pre.preprocess(fixture, 16000, { ...OPTIONS, noise: 'spectral' }).stats;
+  assert.ok(gated.steps.includes('gate') && spectral.steps.includes('spectral'));
+  assert.ok(gated.after.noiseDb < plain.noiseDb - 10, `gate: ${gated.after.noiseDb} vs ${plain.noiseDb}`);
+  assert.ok(spectral.after.noiseDb < plain.noiseDb - 10, `spectral: ${spectral.after.noiseDb} vs ${plain.noiseDb}`);
+  // Speech survives either way
+  assert.ok(Math.abs(gated.after.speechDb - -20) < 1);
+  assert.ok(Math.abs(spectral.after.speechDb - -20) < 1);
+});
+
+test('switched off, the recording goes through untouched', () => {
+  const { samples, stats } = pre.preprocess(fixture, 16000, { ...OPTIONS, enabled: false });
+  assert.equal(samples, fixture);
+  assert.deepEqual(stats.steps, []);
+  assert.deepEqual(stats.after, stats.before);
+});
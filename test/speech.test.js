@@ -0,0 +1,54 @@
+// Sentence splitting for streamed TTS: sentence ends, abbreviations,
+// decimals, short fragments glued on and long runs broken up
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let splitSentences;
+
+before(async () => {
+  process.env.CONFIG_FILE = join(tmpdir(), 'oc-test-speech-config.json');
+  ({ splitSentences } = await import('../server/speech.js'));
+});
+
+test('complete sentences come off the front, the rest waits', () => {
+  assert.deepEqual(splitSentences('The weather is sunny today. Tomorrow brings rain! And the wee'), {
+    sentences: ['The weather is sunny today.', 'Tomorrow brings rain!'],
+    rest: 'And the wee',
+  });
+  assert.deepEqual(splitSentences('Is it going to rain later?\nProbably not this afternoon, no. Enjoy the sun.'), {
+    sentences: ['Is it going to rain later?', 'Probably not this afternoon, no.'],
+    rest: 'Enjoy the sun.',
+  });
+  assert.deepEqual(splitSentences('He said "that is all there is to it." Then he left.').sentences,
+    ['He said "that is all there is to it."']);
+});
+
+test('abbreviations and decimals are no sentence end', () => {
+  assert.deepEqual(splitSentences('I spoke with Dr. Smith about it, e.g. the dosage. Next up').sentences,
+    ['I spoke with Dr. Smith about it, e.g. the dosage.']);
+  assert.deepEqual(splitSentences('The temperature is 21.5 degrees right now. It will ').sentences,
+    ['The temperature is 21.5 degrees right now.']);
+  assert.deepEqual(splitSentences('Your order is No. 42 in the queue today. Thanks').sentences,
+    ['Your order is No. 42 in the queue today.']);
+});
+
+test('"No." ends a sentence unless a number follows', () => {
+  assert.deepEqual(splitSentences('After all that thinking, the answer is No. Sorry about that').sentences,
+    ['After all that thinking, the answer is No.']);
+  // Streaming: what comes after isn't here yet
+  assert.deepEqual(splitSentences('After all that thinking, the answer is No. '), {
+    sentences: [],
+    rest: 'After all that thinking, the answer is No. ',
+  });
+});
+
+test('short fragments are glued on, long runs broken up', () => {
+  assert.deepEqual(splitSentences('Sure. Here is what I found for you. And').sentences,
+    ['Sure. Here is what I found for you.']);
+  const { sentences, rest } = splitSentences(`${'word, '.repeat(70)}end`);
+  assert.ok(sentences.length >= 1);
+  assert.ok(sentences.every((s) => s.length <= 300));
+  assert.ok(rest.length <= 300);
+});
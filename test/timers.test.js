@@ -0,0 +1,161 @@
+// Timers: spoken durations and times, the store, ringing, dismiss / snooze,
+// and what survives a restart. Playback is discarded with AUDIO_PLAYER=true.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { once } from 'events';
+import {
+  parseDuration, parseClock, nextClockTime, sayDuration,
+} from '../server/spoken-time.js';
+
+let dir;
+let file;
+let timers;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'oc-test-timers-'));
+  file = join(dir, 'timers.json');
+  Object.assign(process.env, {
+    CONFIG_FILE: join(dir, 'config.json'),
+    HISTORY_DIR: dir,
+    TIMERS_FILE: file,
+    VOLUME_FILE: join(dir, 'volume.json'),
+    AUDIO_PLAYER: 'true',
+    TTS_PROVIDERS: 'piper',
+    PIPER_PATH: join(dir, 'no-piper'),
+  });
+  timers = await import('../server/timers.js');
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+// The store's wake-up timer is unref'd (the server keeps the loop alive)
+async function nextRing() {
+  const keepAlive = setTimeout(() => {}, 5000);
+  try {
+    return (await once(timers.timerEvents, 'ring'))[0];
+  } finally {
+    clearTimeout(keepAlive);
+  }
+}
+
+const saved = async () => {
+  await new Promise((r) => setTimeout(r, 50));
+  return JSON.parse(await readFile(file, 'utf8')).timers;
+};
+
+test('spoken durations', () => {
+  assert.equal(parseDuration('5 minutes'), 300000);
+  assert.equal(parseDuration('an hour and a half'), 5400000);
+  assert.equal(parseDuration('1 hour 20 minutes'), 4800000);
+  assert.equal(parseDuration('twenty five seconds'), 25000);
+  assert.equal(parseDuration('media hora'), 1800000);
+  assert.equal(parseDuration('eine halbe stunde'), 1800000);
+  assert.equal(parseDuration('2 stunden und 5 minuten'), 7500000);
+  assert.equal(parseDuration('5'), null, 'a number needs a unit');
+  assert.equal(parseDuration('5 bananas'), null);
+
+  assert.equal(sayDuration(5400000, 'en'), '1 hour and 30 minutes');
+  assert.equal(sayDuration(65000, 'de'), '1 Minute und 5 Sekunden');
+  assert.equal(sayDuration(3723000, 'es'), '1 hora y 2 minutos', 'no seconds past ten minutes');
+});
+
+test('spoken clock times', () => {
+  assert.deepEqual(parseClock('7 30 a m'), { hours: 7, minutes: 30 });
+  assert.deepEqual(parseClock('7 pm'), { hours: 19, minutes: 0 });
+  assert.deepEqual(parseClock('12 am'), { hours: 0, minutes: 0 });
+  assert.deepEqual(parseClock('seven thirty'), { hours: 7, minutes: 30 });
+  assert.deepEqual(parseClock('las 8 de la tarde'), { hours: 20, minutes: 0 });
+  assert.deepEqual(parseClock('7 y media'), { hours: 7, minutes: 30 });
+  assert.deepEqual(parseClock('19 uhr'), { hours: 19, minutes: 0 });
+  assert.deepEqual(parseClock('730'), { hours: 7, minutes: 30 });
+  assert.equal(parseClock('13 pm'), null);
+  assert.equal(parseClock('25'), null);
+
+  const now = new Date(2026, 0, 10, 8, 0).getTime();
+  assert.equal(nextClockTime({ hours: 9, minutes: 15 }, now), new Date(2026, 0, 10, 9, 15).getTime());
+  assert.equal(nextClockTime({ hours: 8, minutes: 0 }, now), new Date(2026, 0, 11, 8, 0).getTime(), 'not now — tomorrow');
+});
+
+test('timers are added, listed soonest first, saved and cancelled', async () => {
+  const tea = timers.addTimer({ seconds: 180, label: 'tea' });
+  const alarm = timers.addTimer({ kind: 'alarm', at: '07:00', repeat: 'daily' });
+  const bins = timers.addTimer({ kind: 'reminder', at: Date.now() + 60000, label: '  the bins  ' });
+
+  assert.equal(bins.label, 'the bins');
+  assert.deepEqual(timers.listTimers().map((x) => x.id).slice(0, 2), [bins.id, tea.id]);
+  assert.ok(timers.listTimers().some((x) => x.id === alarm.id && x.remainingMs > 0));
+  assert.deepEqual((await saved()).map((x) => x.id).sort(), [tea.id, alarm.id, bins.id].sort());
+
+  for (const x of [tea, alarm, bins]) timers.cancelTimer(x.id);
+  assert.deepEqual(timers.listTimers(), []);
+  assert.deepEqual(await saved(), []);
+});
+
+test('bad requests are rejected with a status', () => {
+  const rejects = (fields, status, message) => assert.throws(() => timers.addTimer(fields), (err) => (
+    err instanceof timers.TimerError && err.status === status && message.test(err.message)
+  ));
+  rejects({}, 400, /seconds or at/);
+  rejects({ seconds: 0 }, 400, /between 1 and 86400/);
+  rejects({ seconds: 90000 }, 400, /between 1 and 86400/);
+  rejects({ at: 'teatime' }, 400, /HH:MM/);
+  rejects({ at: Date.now() - 1000 }, 400, /next 7 days/);
+  rejects({ kind: 'egg', seconds: 5 }, 400, /kind/);
+  rejects({ kind: 'reminder', seconds: 5 }, 400, /needs a label/);
+  rejects({ seconds: 5, repeat: 'daily' }, 400, /on an alarm/);
+  assert.throws(() => timers.cancelTimer('nope'), { status: 404 });
+  assert.throws(() => timers.dismissTimer(), { status: 404, message: 'Nothing is ringing' });
+  assert.deepEqual(timers.listTimers(), []);
+});
+
+test('a due timer rings until dismissed', async () => {
+  const egg = timers.addTimer({ seconds: 1, label: 'egg' });
+  const rang = await nextRing();
+  assert.equal(rang.id, egg.id);
+  assert.deepEqual(timers.ringingTimers().map((x) => x.id), [egg.id]);
+
+  const [dismissed] = timers.dismissTimer();
+  assert.equal(dismissed.id, egg.id);
+  assert.deepEqual(timers.listTimers(), []);
+});
+
+test('snooze rings again later; a dismissed daily alarm comes back tomorrow', async () => {
+  const nap = timers.addTimer({ seconds: 1 });
+  await nextRing();
+  const [snoozed] = timers.snoozeTimer(nap.id, 2);
+  assert.equal(snoozed.ringing, false);
+  assert.ok(snoozed.remainingMs > 119000 && snoozed.remainingMs <= 120000);
+  assert.throws(() => timers.snoozeTimer(nap.id, 0), { status: 400 });
+  timers.cancelTimer(nap.id);
+
+  const alarm = timers.addTimer({ kind: 'alarm', at: Date.now() + 1000, repeat: 'daily' });
+  await nextRing();
+  timers.dismissTimer(alarm.id);
+  const [again] = timers.listTimers();
+  assert.equal(again.id, alarm.id);
+  assert.ok(again.remainingMs > 23 * 3600000, 'same time tomorrow');
+  timers.cancelTimer(alarm.id);
+});
+
+test('on load, long-missed timers are dropped and daily alarms move on', async () => {
+  await saved();
+  const now = Date.now();
+  await writeFile(file, JSON.stringify({
+    timers: [
+      { id: 'soon', kind: 'timer', label: null, dueAt: now + 600000, repeat: null },
+      { id: 'missed', kind: 'timer', label: null, dueAt: now - 2 * 3600000, repeat: null },
+      { id: 'daily', kind: 'alarm', label: null, dueAt: now - 2 * 3600000, repeat: 'daily' },
+      { id: 'junk', kind: 'egg', dueAt: now + 1000 },
+    ],
+  }));
+
+  await timers.loadTimers();
+  const loaded = timers.listTimers();
+  assert.deepEqual(loaded.map((x) => x.id), ['soon', 'daily']);
+  assert.ok(loaded[1].remainingMs > 21 * 3600000);
+  for (const x of loaded) timers.cancelTimer(x.id);
+  assert.deepEqual(await saved(), []);
+});
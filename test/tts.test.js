@@ -0,0 +1,53 @@
+// TTS: a Piper voice per language is enough without a default one. A shell
+// script stands in for piper, writing the model it was given as the "clip".
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let dir;
+let tts;
+let temp;
+
+const FAKE_PIPER = `#!/bin/sh
+while [ $# -gt 0 ]; do
+  case "$1" in
+    --model) model="$2"; shift ;;
+    --output_file) out="$2"; shift ;;
+  esac
+  shift
+done
+cat > /dev/null
+echo "$model" > "$out"
+`;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'oc-test-tts-'));
+  await writeFile(join(dir, 'piper'), FAKE_PIPER);
+  await chmod(join(dir, 'piper'), 0o755);
+  await writeFile(join(dir, 'es.onnx'), '');
+  delete process.env.PIPER_VOICE;
+  Object.assign(process.env, {
+    CONFIG_FILE: join(dir, 'config.json'),
+    HISTORY_DIR: dir,
+    TTS_PROVIDERS: 'piper',
+    PIPER_PATH: join(dir, 'piper'),
+    PIPER_VOICES: `es:${join(dir, 'es.onnx')}`,
+  });
+  tts = await import('../server/tts.js');
+  temp = await import('../server/temp.js');
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+test('piper speaks a language it has a voice for, with no default voice', async () => {
+  const clip = await tts.synthesize('¿Qué tal el día?', { language: 'es' });
+  assert.equal(clip.provider, 'piper');
+  assert.equal(clip.voice, join(dir, 'es.onnx'));
+  assert.equal((await readFile(clip.path, 'utf8')).trim(), join(dir, 'es.onnx'));
+  await temp.removeTemp(clip.path);
+
+  assert.equal(await tts.synthesize('How is your day?', { language: 'en' }), null, 'no English voice');
+  assert.deepEqual(tts.ttsVoice().failures.map((f) => f.code), ['unavailable']);
+});
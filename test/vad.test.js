@@ -0,0 +1,95 @@
+// VAD: why an utterance ends — trailing silence, the length cap, nobody
+// talking — on synthetic frames: a quiet hum for the room, a louder tone
+// for speech
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const RATE = 16000;
+const CHUNK_MS = 10;
+
+let dir;
+let vad;
+let config;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'oc-test-vad-'));
+  Object.assign(process.env, {
+    CONFIG_FILE: join(dir, 'config.json'),
+    VAD: 'on',
+    VAD_THRESHOLD_DB: '-50',
+    VAD_SNR_DB: '10',
+    VAD_SILENCE_MS: '600',
+    VAD_MIN_SPEECH_MS: '200',
+    VAD_NO_SPEECH_MS: '2000',
+    VAD_MAX_MS: '3000',
+  });
+  vad = await import('../server/vad.js');
+  config = await import('../server/config.js');
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+// ms of a sine at amplitude, offset by a DC bias like the SPH0645's
+function tone(ms, amplitude, frequency = 220) {
+  const samples = new Float32Array(Math.round(RATE * ms / 1000));
+  for (let i = 0; i < samples.length; i++) samples[i] = 0.2 + amplitude * Math.sin(2 * Math.PI * frequency * i / RATE);
+  return samples;
+}
+
+const room = (ms) => tone(ms, 0.0005, 50);  // about -69 dBFS
+const voice = (ms) => tone(ms, 0.1);        // about -23 dBFS
+
+// Feeds parts in 10ms chunks → { reason, atMs } once the VAD ends it
+function run(detector, parts) {
+  let atMs = 0;
+  for (const samples of parts) {
+    const step = RATE * CHUNK_MS / 1000;
+    for (let i = 0; i < samples.length; i += step) {
+      atMs += CHUNK_MS;
+      const reason = detector.feed(samples.subarray(i, i + step));
+      if (reason) return { reason, atMs };
+    }
+  }
+  return { reason: null, atMs };
+}
+
+test('trailing silence after speech ends the utterance', () => {
+  const detector = vad.createVad(RATE);
+  const { reason, atMs } = run(detector, [room(300), voice(1000), room(2000)]);
+  assert.equal(reason, 'silence');
+  assert.ok(atMs >= 1900 && atMs <= 1950, `ended ${atMs - 1300}ms after speech`);
+  assert.equal(detector.hasSpeech(), true);
+  assert.equal(detector.feed(room(30)), 'silence', 'stays ended');
+  assert.ok(detector.stats().noiseDb < -60);
+});
+
+test('speech that goes on is cut at the maximum length', () => {
+  const detector = vad.createVad(RATE);
+  const { reason, atMs } = run(detector, [room(300), voice(5000)]);
+  assert.equal(reason, 'max_length');
+  assert.ok(atMs >= 3000 && atMs <= 3030, `cut at ${atMs}ms`);
+  assert.equal(detector.stats().durationMs, 3000);
+});
+
+test('nobody talking, or only a blip, gives up as no speech', () => {
+  const quiet = vad.createVad(RATE);
+  assert.equal(run(quiet, [room(3000)]).reason, 'no_speech');
+  assert.equal(quiet.hasSpeech(), false);
+
+  const blip = vad.createVad(RATE);
+  assert.equal(run(blip, [room(300), voice(100), room(3000)]).reason, 'no_speech', 'under vad.minSpeechMs');
+});
+
+test('with vad.enabled off it never ends and everything is speech', async () => {
+  await config.updateConfig({ 'vad.enabled': false });
+  try {
+    const detector = vad.createVad(RATE);
+    assert.equal(run(detector, [room(4000)]).reason, null);
+    assert.equal(detector.hasSpeech(), true);
+  } finally {
+    await config.updateConfig({ 'vad.enabled': null });
+  }
+});
@@ -0,0 +1,148 @@
+// Volume: amixer parsing, limits per card, mute with and without a switch,
+// the level remembered across restarts, ducking. A shell script stands in
+// for amixer (first on PATH), keeping "level switch" in a state file.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let dir;
+let mixer;
+let volume;
+let config;
+
+const FAKE_AMIXER = `#!/bin/sh
+echo "$@" >> "$FAKE_MIXER.log"
+read level sw < "$FAKE_MIXER"
+shift 3
+shift 2
+for v in "$@"; do
+  case "$v" in
+    mute) [ "$sw" = none ] || sw=off ;;
+    unmute) [ "$sw" = none ] || sw=on ;;
+    *%) level=\${v%\\%} ;;
+  esac
+done
+echo "$level $sw" > "$FAKE_MIXER"
+echo "Simple mixer control 'PCM',0"
+if [ "$sw" = none ]; then echo "  Mono: Playback $level [$level%]"; else echo "  Mono: Playback $level [$level%] [$sw]"; fi
+`;
+
+const mixerState = async () => (await readFile(mixer, 'utf8')).trim();
+const setMixer = (text) => writeFile(mixer, `${text}\n`);
+const saved = async () => {
+  await new Promise((r) => setTimeout(r, 50));
+  return JSON.parse(await readFile(join(dir, 'volume.json'), 'utf8'));
+};
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'oc-test-volume-'));
+  mixer = join(dir, 'mixer');
+  await writeFile(join(dir, 'amixer'), FAKE_AMIXER);
+  await chmod(join(dir, 'amixer'), 0o755);
+  await setMixer('40 on');
+  Object.assign(process.env, {
+    PATH: `${dir}:${process.env.PATH}`,
+    FAKE_MIXER: mixer,
+    CONFIG_FILE: join(dir, 'config.json'),
+    HISTORY_DIR: dir,
+    VOLUME_FILE: join(dir, 'volume.json'),
+    SPEAKER_DEVICE: 'hw:CARD=sndrpihifiberry,DEV=0',
+  });
+  volume = await import('../server/volume.js');
+  config = await import('../server/config.js');
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+test('amixer output and the speaker\'s card', async () => {
+  assert.deepEqual(volume.parseAmixer('Front Left: Playback 52 [80%] [-12.00dB] [on]'), { level: 80, muted: false, hasSwitch: true });
+  assert.deepEqual(volume.parseAmixer('Mono: Playback 0 [0%] [off]'), { level: 0, muted: true, hasSwitch: true });
+  assert.deepEqual(volume.parseAmixer('Mono: Playback 255 [100%]'), { level: 100, muted: false, hasSwitch: false });
+  assert.equal(volume.parseAmixer('Capture channels: Mono'), null);
+
+  assert.equal(volume.mixerCard(), 'sndrpihifiberry');
+  await config.updateConfig({ 'audio.speakerDevice': 'plughw:1,0' });
+  assert.equal(volume.mixerCard(), '1');
+  await config.updateConfig({ 'audio.mixerCard': 'Headphones' });
+  assert.equal(volume.mixerCard(), 'Headphones');
+  await config.updateConfig({ 'audio.mixerCard': null, 'audio.speakerDevice': 'hw:CARD=sndrpihifiberry,DEV=0' });
+  await volume.volumeRestored();
+  assert.match((await readFile(`${mixer}.log`, 'utf8')).trim().split('\n').at(-1), /^-c sndrpihifiberry -M sget PCM$/);
+});
+
+test('levels stay within the card\'s limits and are remembered', async () => {
+  await config.updateConfig({ 'volume.limits': 'sndrpihifiberry:20-85' });
+  await volume.volumeRestored();
+  assert.deepEqual(volume.volumeLimits(), { min: 20, max: 85 });
+  assert.deepEqual(volume.volumeLimits('0'), { min: 0, max: 100 });
+
+  assert.equal((await volume.setVolume(95)).level, 85);
+  assert.equal((await volume.setVolume(5)).level, 20);
+  assert.equal((await volume.changeVolume(10)).level, 30);
+  await assert.rejects(volume.setVolume('loud'), { status: 400 });
+  for (const level of [null, '', ' ', true, [], {}]) {
+    await assert.rejects(volume.setVolume(level), { status: 400 }, `${JSON.stringify(level)} is no level`);
+  }
+  await assert.rejects(volume.changeVolume(null), { status: 400 });
+  assert.equal((await volume.setVolume('40')).level, 40);
+  assert.equal((await volume.changeVolume(-10)).level, 30);
+  assert.deepEqual((await saved()).sndrpihifiberry, { level: 30, muted: false });
+
+  await assert.rejects(config.updateConfig({ 'volume.limits': 'card 1:10-20' }), /not a sound card/);
+  await assert.rejects(config.updateConfig({ 'volume.limits': 'sndrpihifiberry:loud' }), /not valid/);
+});
+
+test('mute and unmute, with a switch and without one', async () => {
+  await volume.setMuted(true);
+  assert.equal(await mixerState(), '30 off');
+  assert.equal(volume.volumeStatus().muted, true);
+  await volume.setVolume(50);
+  assert.equal(await mixerState(), '50 on', 'a new level unmutes');
+
+  // softvol: muted is level 0, unmuted puts the old level back
+  await setMixer('50 none');
+  await volume.getVolume();
+  await volume.setMuted(true);
+  assert.equal(await mixerState(), '0 none');
+  assert.equal(volume.volumeStatus().muted, true);
+  assert.deepEqual((await saved()).sndrpihifiberry, { level: 50, muted: true });
+  await volume.setMuted(false);
+  assert.equal(await mixerState(), '50 none');
+  assert.equal(volume.volumeStatus().muted, false);
+});
+
+test('the remembered level is put back on startup', async () => {
+  await volume.setVolume(60);
+  await volume.setMuted(true);
+  await saved();
+  await setMixer('100 none'); // what ALSA came up with after a reboot
+  await volume.loadVolume();
+  assert.equal(await mixerState(), '0 none');
+  await volume.setMuted(false);
+  assert.equal(await mixerState(), '60 none');
+  assert.equal(volume.volumeStatus().available, true);
+});
+
+test('background sounds are ducked while anyone holds duck()', async () => {
+  await config.updateConfig({ 'volume.duckPercent': 25 });
+  assert.equal(volume.backgroundGain(), 1);
+  const turn = volume.duck('turn');
+  const listen = volume.duck('listen');
+  assert.equal(volume.backgroundGain(), 0.25);
+  assert.equal(volume.volumeStatus().ducked, true);
+  turn();
+  turn();
+  assert.equal(volume.backgroundGain(), 0.25, 'still held by listen');
+  listen();
+  assert.equal(volume.backgroundGain(), 1);
+});
+
+test('no mixer: a 503 and the status says so', async () => {
+  await config.updateConfig({ 'audio.mixerControl': 'Nope' });
+  await volume.volumeRestored();
+  await rm(join(dir, 'amixer'));
+  await assert.rejects(volume.getVolume(), { name: 'VolumeError', status: 503, message: 'amixer not found' });
+  assert.equal(volume.volumeStatus().available, false);
+});
@@ -0,0 +1,188 @@
+// Wake word: both detectors on a scripted mic, and the capture letting go
+// of the mic while a turn or a prompt has it. Shell scripts stand in (first
+// on PATH) for sox / arecord — it plays a second of quiet and a loud burst
+// over and over and marks itself live in a file while it runs — for
+// espeak-ng and the player, which notes how many captures are live, and for
+// an amixer that finds no sound card. The spotter prints a keyword for every
+// second of audio it's fed.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let dir;
+let wakeword;
+let config;
+let pipeline;
+
+const FAKE_CAPTURE = `#!/bin/sh
+trap 'rm -f "$FAKE_MIC_DIR/live.$$"; exit 0' INT TERM
+touch "$FAKE_MIC_DIR/live.$$"
+while :; do
+  cat "$FAKE_MIC_DIR/quiet.raw"
+  sleep 0.05 & wait $!
+  cat "$FAKE_MIC_DIR/loud.raw"
+  sleep 0.05 & wait $!
+done
+`;
+
+const FAKE_SPOTTER = `#!/bin/sh
+while [ "$(head -c 32000 | wc -c)" -gt 0 ]; do echo hey_pi; done
+`;
+
+const FAKE_ESPEAK = `#!/bin/sh
+while [ $# -gt 0 ]; do
+  if [ "$1" = -w ]; then cp "$FAKE_MIC_DIR/speech.wav" "$2"; fi
+  shift
+done
+`;
+
+const FAKE_PLAYER = `#!/bin/sh
+ls "$FAKE_MIC_DIR" | grep -c '^live' >> "$FAKE_MIC_DIR/played"
+`;
+
+const NO_MIXER = `#!/bin/sh
+echo "amixer: Mixer attach default error: No such file or directory" >&2
+exit 1
+`;
+
+// How many captures are running
+const captures = async () => (await readdir(dir)).filter((name) => name.startsWith('live.')).length;
+const live = async () => await captures() > 0;
+
+async function waitFor(cond, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!await cond()) {
+    if (Date.now() > deadline) throw new Error('waitFor timed out');
+    await new Promise((r) => setTimeout(r, 20));
+  }
+}
+
+const detected = () => new Promise((resolve) => wakeword.wake.once('detected', resolve));
+
+// seconds of silence, or of a half-scale level, in the capture's own format
+function micAudio(seconds, { rate, bits }, loud = false) {
+  const bytes = bits / 8;
+  const pcm = Buffer.alloc(Math.round(rate * seconds) * bytes);
+  for (let i = 0; loud && i < pcm.length; i += bytes) {
+    if (bits === 32) pcm.writeInt32LE(0x40000000, i);
+    else pcm.writeInt16LE(0x4000, i);
+  }
+  return pcm;
+}
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'oc-test-wake-'));
+  const scripts = {
+    sox: FAKE_CAPTURE, arecord: FAKE_CAPTURE, spotter: FAKE_SPOTTER,
+    'espeak-ng': FAKE_ESPEAK, player: FAKE_PLAYER, amixer: NO_MIXER,
+  };
+  for (const [name, script] of Object.entries(scripts)) {
+    await writeFile(join(dir, name), script);
+    await chmod(join(dir, name), 0o755);
+  }
+  Object.assign(process.env, {
+    PATH: `${dir}:${process.env.PATH}`,
+    FAKE_MIC_DIR: dir,
+    CONFIG_FILE: join(dir, 'config.json'),
+    WAKEWORD_CMD: join(dir, 'spotter'),
+    TTS_PROVIDERS: 'espeak',
+    AUDIO_PLAYER: join(dir, 'player'),
+    HISTORY_DIR: dir,
+    INTENTS_FILE: join(dir, 'intents.json'),
+    TIMERS_FILE: join(dir, 'timers.json'),
+    VOLUME_FILE: join(dir, 'volume.json'),
+  });
+  const { CAPTURE_FORMAT } = await import('../server/audio.js');
+  const { toWav } = await import('../server/pcm.js');
+  await writeFile(join(dir, 'quiet.raw'), micAudio(1.2, CAPTURE_FORMAT));
+  await writeFile(join(dir, 'loud.raw'), micAudio(0.3, CAPTURE_FORMAT, true));
+  await writeFile(join(dir, 'speech.wav'), toWav(new Float32Array(1600), 16000));
+  wakeword = await import('../server/wakeword.js');
+  config = await import('../server/config.js');
+  pipeline = await import('../server/pipeline.js');
+});
+
+after(async () => {
+  await wakeword.setWakeEnabled(false);
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('a keyword spotter is the default; each line it prints is a detection', async () => {
+  assert.equal(wakeword.wakeStatus().engine, 'command');
+  const heard = detected();
+  await wakeword.setWakeEnabled(true);
+  await waitFor(live);
+  assert.equal(await heard, 'hey_pi');
+  assert.deepEqual(wakeword.wakeStatus(), { enabled: true, muted: false, engine: 'command' });
+});
+
+test('the energy stand-in fires on a burst after quiet', async () => {
+  const heard = detected();
+  await config.updateConfig({ 'wake.engine': 'energy' });
+  try {
+    assert.equal(await heard, 'energy');
+  } finally {
+    await config.updateConfig({ 'wake.engine': null });
+  }
+});
+
+test('the mic is let go while anyone has it paused, and muted', async () => {
+  await wakeword.setWakeEnabled(true);
+  await waitFor(live);
+
+  // A turn, and an approval prompt inside it
+  await wakeword.pauseWake();
+  assert.equal(await live(), false);
+  await wakeword.pauseWake();
+  await wakeword.resumeWake();
+  assert.equal(await live(), false, 'the turn still has it');
+  await wakeword.resumeWake();
+  await waitFor(live);
+
+  // One resume too many doesn't leave the next pause without effect
+  await wakeword.resumeWake();
+  await wakeword.pauseWake();
+  assert.equal(await live(), false);
+  await wakeword.resumeWake();
+  await waitFor(live);
+
+  await wakeword.setWakeMuted(true);
+  assert.equal(await live(), false);
+  await wakeword.pauseWake();
+  await wakeword.setWakeMuted(false);
+  assert.equal(await live(), false, 'unmuted, but still paused');
+  await wakeword.resumeWake();
+  await waitFor(live);
+
+  await wakeword.setWakeEnabled(false);
+  assert.equal(await live(), false);
+});
+
+test('a turn has the mic from the tap until its answer has been spoken', async () => {
+  await wakeword.setWakeEnabled(true);
+  await waitFor(live);
+  const session = { recording: null, starting: false, busy: false, turn: null, driver: null };
+  const messages = [];
+  const ws = { readyState: 1, send: (data) => messages.push(JSON.parse(data)) };
+
+  // Tap: the recording's capture takes over from the wake word's
+  await pipeline.handleStartRecording(ws, session, 'tap');
+  try {
+    assert.ok(session.recording);
+    await waitFor(async () => await captures() === 1);
+  } finally {
+    await pipeline.cancelRecording(session);
+  }
+  await waitFor(async () => await captures() === 1);
+
+  // Answered and spoken out loud with nothing capturing, then armed again
+  assert.equal(await pipeline.handleText(ws, session, 'what time is it'), true);
+  assert.ok(messages.some((m) => m.type === 'state' && m.state === 'speaking'));
+  assert.equal((await readFile(join(dir, 'played'), 'utf8')).trim(), '0');
+  await waitFor(live);
+
+  await wakeword.setWakeEnabled(false);
+  assert.equal(await live(), false);
+});
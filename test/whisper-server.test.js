@@ -0,0 +1,128 @@
+// whisper-server supervision: a stand-in server (a node script) that notes
+// its pid and answers /health and /inference — or, as the mode file says,
+// keeps reporting it's still loading, or stops answering at all. Health
+// checks, startup timeout and restart delays are cut to milliseconds.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import net from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createWhisperServer } from '../server/stt/whisper-server.js';
+
+let dir;
+
+const FAKE_SERVER = `#!/usr/bin/env node
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const dir = process.env.FAKE_WHISPER_DIR;
+const mode = () => { try { return fs.readFileSync(path.join(dir, 'mode'), 'utf8').trim(); } catch { return 'ok'; } };
+fs.appendFileSync(path.join(dir, 'pids'), process.pid + '\\n');
+const port = Number(process.argv[process.argv.indexOf('--port') + 1]);
+http.createServer((req, res) => {
+  if (mode() === 'hung') return;
+  if (req.url === '/health') {
+    res.statusCode = mode() === 'loading' ? 503 : 200;
+    res.end('{}');
+    return;
+  }
+  req.resume();
+  req.on('end', () => res.end(JSON.stringify({ text: ' hello there ', language: 'en' })));
+}).listen(port, '127.0.0.1');
+`;
+
+const TIMING = { healthIntervalMs: 50, healthTimeoutMs: 50, startupTimeoutMs: 1500, restartDelaysMs: [20, 40] };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(cond, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!await cond()) {
+    if (Date.now() > deadline) throw new Error('waitFor timed out');
+    await new Promise((r) => setTimeout(r, 20));
+  }
+}
+
+const setMode = (mode) => writeFile(join(dir, 'mode'), mode);
+const pids = async () => (await readFile(join(dir, 'pids'), 'utf8').catch(() => '')).split('\n').filter(Boolean).map(Number);
+const alive = (pid) => {
+  try { return process.kill(pid, 0); } catch { return false; }
+};
+
+async function startServer() {
+  return createWhisperServer({
+    bin: join(dir, 'whisper-server'), model: 'ggml-test.bin', language: 'en', port: await freePort(), timing: TIMING,
+  });
+}
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'oc-test-whisper-'));
+  await writeFile(join(dir, 'whisper-server'), FAKE_SERVER);
+  await chmod(join(dir, 'whisper-server'), 0o755);
+  process.env.FAKE_WHISPER_DIR = dir;
+});
+
+after(async () => {
+  for (const pid of await pids()) if (alive(pid)) process.kill(pid, 'SIGKILL');
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('a server that dies is started again', async () => {
+  await setMode('ok');
+  const server = await startServer();
+  try {
+    await server.start();
+    assert.deepEqual(await server.transcribe(Buffer.alloc(44)), { text: 'hello there', language: 'en' });
+    const [first] = await pids();
+
+    process.kill(first, 'SIGKILL');
+    await waitFor(async () => (await pids()).length === 2 && server.status().ready);
+    assert.ok(alive((await pids())[1]));
+    assert.equal((await server.transcribe(Buffer.alloc(44))).text, 'hello there');
+  } finally {
+    await server.stop();
+  }
+});
+
+test('a server that stops answering health checks is killed and restarted', async () => {
+  await setMode('ok');
+  const server = await startServer();
+  try {
+    await server.start();
+    const before = await pids();
+
+    await setMode('hung');
+    await waitFor(() => !alive(before.at(-1)));
+    await setMode('ok');
+    await waitFor(async () => (await pids()).length > before.length && server.status().ready);
+    assert.ok(alive((await pids()).at(-1)));
+  } finally {
+    await server.stop();
+  }
+});
+
+test('a server that never gets ready is killed at the startup timeout', async () => {
+  await setMode('loading');
+  const server = await startServer();
+  try {
+    const started = Date.now();
+    await assert.rejects(server.start(), /startup timeout/);
+    // Health checks leave a loading server alone — only the timeout ends it
+    assert.ok(Date.now() - started >= TIMING.startupTimeoutMs);
+    const launched = (await pids()).at(-1);
+    await waitFor(() => !alive(launched));
+    assert.equal(server.status().ready, false);
+    assert.equal(server.status().error, 'startup timeout');
+    await assert.rejects(server.transcribe(Buffer.alloc(44)), /not ready/);
+  } finally {
+    await server.stop();
+  }
+});
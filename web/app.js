@@ -3,10 +3,12 @@
   'use strict';
 
   // ── State ──
-  let state = 'idle'; // idle | listening | thinking | speaking | error
+  let state = 'idle'; // idle | armed | listening | thinking | speaking | error
   let ws = null;
+  let wake = { enabled: false, muted: false };
   let reconnectTimer = null;
   const WS_URL = `ws://${location.host}`;
+  const { t } = window.i18n;
 
   // ── DOM ──
   const $ = (s) => document.querySelector(s);
@@ -22,14 +24,60 @@
   const confirmMsg = $('#confirm-msg');
   const btnYes = $('#btn-yes');
   const btnNo = $('#btn-no');
+  const btnWake = $('#btn-wake');
+  const btnMute = $('#btn-mute');
+  const btnVolume = $('#btn-volume');
+  const volumePanel = $('#volume-panel');
+  const volumeSlider = $('#volume-slider');
+  const volumeValue = $('#volume-value');
+  const btnVolumeMute = $('#btn-volume-mute');
+  const voiceBadge = $('#voice-badge');
+  const gwDot = $('#gw-dot');
+  const remoteBadge = $('#remote-badge');
+  const btnHistory = $('#btn-history');
+  const btnKeyboard = $('#btn-keyboard');
+  const keyboardView = $('#keyboard-view');
+  const kbInput = $('#kb-input');
+  const kbKeys = $('#kb-keys');
+  const btnKbSpeak = $('#btn-kb-speak');
+  const btnKbClose = $('#btn-kb-close');
+  const historyView = $('#history-view');
+  const historyList = $('#history-list');
+  const btnNewConv = $('#btn-new-conv');
+  const btnHistoryClose = $('#btn-history-close');
+  const btnSettings = $('#btn-settings');
+  const settingsView = $('#settings-view');
+  const settingsForm = $('#settings-form');
+  const settingsRestart = $('#settings-restart');
+  const btnSettingsSave = $('#btn-settings-save');
+  const btnSettingsClose = $('#btn-settings-close');
+  const btnCalibrate = $('#btn-calibrate');
+  const calibrationView = $('#calibration-view');
+  const calMic = $('#cal-mic');
+  const calSpeaker = $('#cal-speaker');
+  const calGain = $('#cal-gain');
+  const calGainValue = $('#cal-gain-value');
+  const btnCalRecord = $('#btn-cal-record');
+  const btnCalPlay = $('#btn-cal-play');
+  const btnCalTone = $('#btn-cal-tone');
+  const calAdvice = $('#cal-advice');
+  const orbContainer = $('#orb-container');
+  const orb = $('#orb');
+  const orbGlow = $('#orb-glow');
+  const mouth = $('#mouth');
+  const levelCanvas = $('#orb-level');
+  const timersStrip = $('#timers');
+  const ringOverlay = $('#ring-overlay');
+  const ringLabel = $('#ring-label');
+  const announcementsStack = $('#announcements');
 
   // ── Clock ──
   function updateClock() {
     const now = new Date();
-    clock.textContent = now.toLocaleTimeString('en-US', {
+    // 12-hour in English, 24-hour where that's what people read
+    clock.textContent = now.toLocaleTimeString(window.i18n.locale(), {
       hour: 'numeric',
       minute: '2-digit',
-      hour12: true
     });
   }
   updateClock();
@@ -37,15 +85,18 @@
 
   // ── State Machine ──
   function setState(newState, opts = {}) {
+    // Idle while hands-free mode is live shows as "armed"
+    if (newState === 'idle' && wake.enabled && !wake.muted) newState = 'armed';
     state = newState;
     app.className = `state-${state}`;
 
     const statusMap = {
-      idle: ['🐾', 'Tap to talk'],
-      listening: ['🎙️', 'Listening...'],
-      thinking: ['🧠', 'Thinking...'],
-      speaking: ['🔊', 'Speaking...'],
-      error: ['⚠️', opts.error || 'Oops'],
+      idle: ['🐾', t('Tap to talk')],
+      armed: ['👂', t('Say the wake word or tap')],
+      listening: ['🎙️', t('Listening...')],
+      thinking: ['🧠', t('Thinking...')],
+      speaking: ['🔊', t('Speaking...')],
+      error: ['⚠️', t(opts.error || 'Oops')],
     };
 
     const [icon, text] = statusMap[state] || ['🐾', '...'];
@@ -55,11 +106,145 @@
     if (state === 'idle') {
       // Gentle greeting after speaking
       if (opts.afterSpeak) {
-        statusText.textContent = 'Done! Tap to talk again';
+        statusText.textContent = t('Done! Tap to talk again');
       }
     }
   }
 
+  // ── Hands-free (wake word) ──
+  function updateWake(status) {
+    wake = { enabled: status.enabled, muted: status.muted };
+    btnWake.classList.toggle('on', wake.enabled);
+    btnMute.classList.toggle('hidden', !wake.enabled);
+    btnMute.classList.toggle('on', wake.muted);
+    btnMute.textContent = wake.muted ? '🔕' : '🔔';
+    if (state === 'idle' || state === 'armed') setState('idle');
+  }
+
+  btnWake.addEventListener('pointerdown', (e) => {
+    e.stopPropagation();
+    const enabled = !wake.enabled;
+    localStorage.setItem('wakeEnabled', enabled ? '1' : '');
+    wsSend({ type: 'set_wake', enabled });
+  });
+
+  btnMute.addEventListener('pointerdown', (e) => {
+    e.stopPropagation();
+    wsSend({ type: 'set_wake_muted', muted: !wake.muted });
+  });
+
+  // ── Speaker volume ──
+  // The slider sends as it moves (a few times a second at most); the
+  // server's 'volume' echo is what the panel shows, unless we're dragging.
+  let volume = { available: false, level: null, muted: false };
+  let volumeDragging = false;
+  let volumeSent = 0;
+  let volumeTimer = null;
+
+  function updateVolume(status) {
+    volume = status;
+    btnVolume.classList.toggle('hidden', !status.available);
+    btnVolume.textContent = status.muted ? '🔇' : status.level < 40 ? '🔉' : '🔊';
+    if (!status.available) volumePanel.classList.add('hidden');
+    volumeSlider.min = status.min;
+    volumeSlider.max = status.max;
+    if (!volumeDragging && status.level !== null) volumeSlider.value = status.level;
+    volumeValue.textContent = status.muted ? t('Muted') : `${volumeSlider.value}%`;
+    volumePanel.classList.toggle('muted', status.muted);
+    btnVolumeMute.textContent = status.muted ? '🔈' : '🔇';
+  }
+
+  function sendVolume() {
+    clearTimeout(volumeTimer);
+    volumeTimer = null;
+    volumeSent = Date.now();
+    wsSend({ type: 'set_volume', level: Number(volumeSlider.value) });
+  }
+
+  btnVolume.addEventListener('pointerdown', (e) => {
+    e.stopPropagation();
+    volumePanel.classList.toggle('hidden');
+  });
+  volumePanel.addEventListener('pointerdown', (e) => e.stopPropagation());
+  volumeSlider.addEventListener('input', () => {
+    volumeDragging = true;
+    volumeValue.textContent = `${volumeSlider.value}%`;
+    if (Date.now() - volumeSent > 150) sendVolume();
+    else if (!volumeTimer) volumeTimer = setTimeout(sendVolume, 150);
+  });
+  volumeSlider.addEventListener('change', () => {
+    volumeDragging = false;
+    sendVolume();
+  });
+  btnVolumeMute.addEventListener('click', () => {
+    wsSend({ type: 'set_volume_muted', muted: !volume.muted });
+  });
+
+  // ── Live level ring ──
+  // 'level' frames (mic while listening, speaker while a WAV plays) arrive
+  // every 50ms; the ring eases toward them and falls back to the CSS
+  // animation once they stop (compressed clips send none).
+  const LEVEL_COLORS = { listening: '255, 68, 85', speaking: '68, 221, 170' };
+  const levelCtx = levelCanvas.getContext('2d');
+  let levelTarget = 0;
+  let levelShown = 0;
+  let levelPeak = 0;
+  let levelAt = 0;
+  let levelFrame = null;
+
+  function onLevel(msg) {
+    if ((msg.source === 'mic') !== (state === 'listening')) return;
+    levelTarget = msg.level;
+    levelPeak = Math.max(levelPeak * 0.9, msg.peak);
+    levelAt = performance.now();
+    orbContainer.classList.add('live-level');
+    if (!levelFrame) levelFrame = requestAnimationFrame(drawLevel);
+  }
+
+  function drawLevel(now) {
+    const live = now - levelAt < 300;
+    if (!live) levelTarget = 0;
+    // Fast attack, slow release
+    levelShown += (levelTarget - levelShown) * (levelTarget > levelShown ? 0.6 : 0.15);
+
+    const { width, height } = levelCanvas;
+    const c = width / 2;
+    levelCtx.clearRect(0, 0, width, height);
+    const rgb = LEVEL_COLORS[state] || '108, 158, 255';
+    const radius = 88 + levelShown * 26;
+    levelCtx.lineWidth = 3 + levelShown * 10;
+    levelCtx.strokeStyle = `rgba(${rgb}, ${0.25 + levelShown * 0.6})`;
+    levelCtx.shadowColor = `rgba(${rgb}, 0.8)`;
+    levelCtx.shadowBlur = 8 + levelShown * 16;
+    levelCtx.beginPath();
+    levelCtx.arc(c, c, radius, 0, Math.PI * 2);
+    levelCtx.stroke();
+    // Peak tick: a thin outer ring that lingers
+    levelCtx.lineWidth = 2;
+    levelCtx.shadowBlur = 0;
+    levelCtx.strokeStyle = `rgba(${rgb}, ${levelPeak * 0.5})`;
+    levelCtx.beginPath();
+    levelCtx.arc(c, c, 90 + levelPeak * 28, 0, Math.PI * 2);
+    levelCtx.stroke();
+
+    orb.style.transform = `scale(${1 + levelShown * 0.1})`;
+    orbGlow.style.opacity = 0.2 + levelShown * 0.6;
+    if (state === 'speaking') mouth.style.transform = `translateX(-50%) scaleY(${0.5 + levelShown * 1.2})`;
+
+    if (live || levelShown > 0.01) {
+      levelFrame = requestAnimationFrame(drawLevel);
+      return;
+    }
+    levelFrame = null;
+    levelShown = 0;
+    levelPeak = 0;
+    levelCtx.clearRect(0, 0, width, height);
+    orbContainer.classList.remove('live-level');
+    orb.style.transform = '';
+    orbGlow.style.opacity = '';
+    mouth.style.transform = '';
+  }
+
   // ── Text Display ──
   function showUserText(text) {
     userText.textContent = `"${text}"`;
@@ -127,6 +312,9 @@
   }
 
   // ── Confirm Dialog ──
+  // Resolves true/false when tapped, or null if closed from elsewhere
+  let closeConfirm = null;
+
   function confirm(msg) {
     return new Promise((resolve) => {
       confirmMsg.textContent = msg;
@@ -134,12 +322,14 @@
       tapZone.style.pointerEvents = 'none';
 
       function cleanup(result) {
+        closeConfirm = null;
         confirmOverlay.classList.add('hidden');
         tapZone.style.pointerEvents = '';
         btnYes.removeEventListener('click', onYes);
         btnNo.removeEventListener('click', onNo);
         resolve(result);
       }
+      closeConfirm = () => cleanup(null);
 
       function onYes(e) { e.stopPropagation(); cleanup(true); }
       function onNo(e) { e.stopPropagation(); cleanup(false); }
@@ -152,6 +342,603 @@
   // Expose for server-triggered confirms
   window.appConfirm = confirm;
 
+  // ── Approvals (gateway asks before running a command/tool) ──
+  // One dialog at a time; answered on this screen, by voice, on another
+  // client or by timeout — the server tells us with confirm_resolved.
+  const approvalQueue = [];
+  let approvalShown = null;
+
+  function showNextApproval() {
+    if (approvalShown || !approvalQueue.length) return;
+    const prompt = approvalQueue.shift();
+    approvalShown = prompt.id;
+    confirm(prompt.text).then((yes) => {
+      approvalShown = null;
+      if (yes !== null) wsSend({ type: 'confirm_response', id: prompt.id, confirmed: yes });
+      showNextApproval();
+    });
+  }
+
+  function addApproval(msg) {
+    if (msg.id === approvalShown || approvalQueue.some((p) => p.id === msg.id)) return;
+    approvalQueue.push(msg);
+    showNextApproval();
+  }
+
+  function approvalResolved(msg) {
+    const i = approvalQueue.findIndex((p) => p.id === msg.id);
+    if (i >= 0) approvalQueue.splice(i, 1);
+    if (msg.id === approvalShown) closeConfirm?.();
+    if (msg.via === 'timeout') showToast(t('Approval timed out — denied'));
+    else if (msg.via === 'voice') showToast(t(msg.approved ? 'Approved' : 'Denied'));
+  }
+
+  // ── Conversation history ──
+  let conversation = { id: null, messages: [] };
+
+  function renderHistory() {
+    historyList.textContent = '';
+    if (!conversation.messages.length) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = t('No messages yet');
+      historyList.appendChild(empty);
+      return;
+    }
+    for (const m of conversation.messages) {
+      const el = document.createElement('div');
+      el.className = `history-msg ${m.role}${m.interrupted ? ' interrupted' : ''}`;
+      el.textContent = m.content;
+      historyList.appendChild(el);
+    }
+    historyList.scrollTop = historyList.scrollHeight;
+  }
+
+  function setHistory(conv) {
+    const fresh = conversation.id && conv.id !== conversation.id;
+    conversation = conv;
+    if (fresh) {
+      clearText();
+      showToast(t('New conversation'));
+    }
+    if (!historyView.classList.contains('hidden')) renderHistory();
+  }
+
+  function historyMessage(msg) {
+    if (msg.conversationId !== conversation.id) return;
+    const i = conversation.messages.findIndex((m) => m.ts === msg.message.ts && m.role === msg.message.role);
+    if (i >= 0) conversation.messages[i] = msg.message;
+    else conversation.messages.push(msg.message);
+    if (!historyView.classList.contains('hidden')) renderHistory();
+  }
+
+  btnHistory.addEventListener('pointerdown', (e) => {
+    e.stopPropagation();
+    renderHistory();
+    historyView.classList.remove('hidden');
+  });
+
+  btnHistoryClose.addEventListener('click', () => historyView.classList.add('hidden'));
+
+  btnNewConv.addEventListener('click', () => {
+    wsSend({ type: 'new_conversation' });
+    historyView.classList.add('hidden');
+  });
+
+  // ── On-screen keyboard ──
+  // Typed instead of said (send_text) — for a noisy room or a word whisper
+  // keeps getting wrong. A plugged-in keyboard types into the same box;
+  // inputmode=none keeps any system keyboard out of the way.
+  const KEY_LAYERS = {
+    abc: ['qwertyuiop', 'asdfghjkl', '⇧zxcvbnm⌫', ['123', 'áé', ',', ' ', '.', '⏎']],
+    123: ['1234567890', '-/:;()&@"', "?!'#%+=*⌫", ['abc', 'áé', ',', ' ', '.', '⏎']],
+    'áé': ['áéíóúñü', 'àèìòùäöß', '¿¡çâêô€⌫', ['abc', '123', ',', ' ', '.', '⏎']],
+  };
+  const KEY_CLASSES = { ' ': 'space', '⏎': 'fn send', '⇧': 'fn', '⌫': 'fn', abc: 'fn', 123: 'fn', 'áé': 'fn' };
+  let kbLayer = 'abc';
+  let kbShift = false;
+  let kbSpeak = localStorage.getItem('typedSpeak') !== '';
+
+  function renderKeys() {
+    kbKeys.textContent = '';
+    for (const row of KEY_LAYERS[kbLayer]) {
+      const rowEl = document.createElement('div');
+      rowEl.className = 'kb-row';
+      for (const key of typeof row === 'string' ? [...row] : row) {
+        const el = document.createElement('button');
+        el.className = `kb-key ${KEY_CLASSES[key] || ''}`;
+        el.classList.toggle('on', key === '⇧' && kbShift);
+        el.dataset.key = key;
+        el.textContent = kbShift && !KEY_CLASSES[key] ? key.toUpperCase() : key;
+        rowEl.appendChild(el);
+      }
+      kbKeys.appendChild(rowEl);
+    }
+  }
+
+  // At the caret, so a plugged-in keyboard's arrows still make sense
+  function typeText(text) {
+    const { selectionStart: start, selectionEnd: end } = kbInput;
+    kbInput.setRangeText(text, start, end, 'end');
+  }
+
+  function backspace() {
+    const { selectionStart: start, selectionEnd: end } = kbInput;
+    if (start !== end) kbInput.setRangeText('', start, end, 'end');
+    else if (start > 0) kbInput.setRangeText('', start - 1, start, 'end');
+  }
+
+  function pressKey(key) {
+    if (key === '⏎') return sendTyped();
+    if (key === '⌫') backspace();
+    else if (key === '⇧') kbShift = !kbShift;
+    else if (KEY_LAYERS[key]) {
+      kbLayer = key;
+      kbShift = false;
+    } else {
+      typeText(kbShift ? key.toUpperCase() : key);
+      kbShift = false;
+    }
+    renderKeys();
+  }
+
+  function updateKbSpeak() {
+    btnKbSpeak.classList.toggle('on', kbSpeak);
+    btnKbSpeak.textContent = kbSpeak ? '🔊' : '🔇';
+  }
+
+  function openKeyboard() {
+    kbLayer = 'abc';
+    kbShift = false;
+    kbInput.placeholder = t('Type a message');
+    updateKbSpeak();
+    renderKeys();
+    keyboardView.classList.remove('hidden');
+    kbInput.focus();
+  }
+
+  function closeKeyboard() {
+    keyboardView.classList.add('hidden');
+    kbInput.blur();
+  }
+
+  function sendTyped() {
+    const text = kbInput.value.trim();
+    if (!text) return;
+    wsSend({ type: 'send_text', text, speak: kbSpeak });
+    kbInput.value = '';
+    closeKeyboard();
+    clearText();
+  }
+
+  btnKeyboard.addEventListener('pointerdown', (e) => {
+    e.stopPropagation();
+    openKeyboard();
+  });
+
+  // pointerdown (not click) so typing fast doesn't drop keys, and
+  // preventDefault so the input keeps its focus and caret
+  kbKeys.addEventListener('pointerdown', (e) => {
+    const key = e.target.closest('.kb-key')?.dataset.key;
+    e.preventDefault();
+    if (key) pressKey(key);
+  });
+
+  kbInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') sendTyped();
+    else if (e.key === 'Escape') closeKeyboard();
+  });
+
+  btnKbSpeak.addEventListener('click', () => {
+    kbSpeak = !kbSpeak;
+    localStorage.setItem('typedSpeak', kbSpeak ? '1' : '');
+    updateKbSpeak();
+    kbInput.focus();
+  });
+
+  btnKbClose.addEventListener('click', closeKeyboard);
+
+  // ── Settings ──
+  // The fields worth touching on the device; the rest stay in .env / the API
+  const SETTINGS_FIELDS = [
+    'audio.micDevice', 'audio.speakerDevice',
+    'stt.model', 'stt.language', 'stt.languages',
+    'tts.openclawVoice', 'tts.piperVoice',
+    'gateway.host', 'gateway.port', 'gateway.token',
+  ];
+  const SETTINGS_CHOICES = {
+    'stt.language': ['auto', 'en', 'es', 'de', 'fr', 'it', 'pt', 'nl'],
+    'tts.openclawVoice': ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'],
+  };
+  let settings = null; // { values, schema, pendingRestart } from GET /api/config
+
+  function showRestartNotice(keys) {
+    const labels = keys.map((k) => settings?.schema.find((s) => s.key === k)?.label || k);
+    settingsRestart.textContent = `Restart to apply: ${labels.join(', ')}`;
+    settingsRestart.classList.toggle('hidden', !keys.length);
+  }
+
+  function settingsInput(spec, value) {
+    const choices = spec.values || SETTINGS_CHOICES[spec.key];
+    let input;
+    if (choices) {
+      input = document.createElement('select');
+      const options = choices.includes(value) || value == null ? choices : [value, ...choices];
+      for (const choice of options) {
+        const opt = document.createElement('option');
+        opt.value = choice;
+        opt.textContent = choice;
+        input.appendChild(opt);
+      }
+      input.value = value ?? '';
+    } else {
+      input = document.createElement('input');
+      input.type = spec.secret ? 'password' : spec.type === 'int' || spec.type === 'number' ? 'number' : 'text';
+      if (spec.secret) input.placeholder = value?.set ? '•••••• (unchanged)' : 'not set';
+      else input.value = value ?? '';
+    }
+    input.name = spec.key;
+    return input;
+  }
+
+  function renderSettings() {
+    settingsForm.textContent = '';
+    let group = null;
+    for (const key of SETTINGS_FIELDS) {
+      const spec = settings.schema.find((s) => s.key === key);
+      if (!spec) continue;
+      if (spec.group !== group) {
+        group = spec.group;
+        const heading = document.createElement('div');
+        heading.className = 'settings-group';
+        heading.textContent = group;
+        settingsForm.appendChild(heading);
+      }
+      const field = document.createElement('div');
+      field.className = 'settings-field';
+      const label = document.createElement('label');
+      label.textContent = spec.label;
+      field.append(label, settingsInput(spec, settings.values[key]));
+      const hint = document.createElement('div');
+      hint.className = 'settings-hint';
+      hint.dataset.key = key;
+      hint.textContent = spec.restart ? 'Needs a restart' : '';
+      settingsForm.append(field, hint);
+    }
+    showRestartNotice(settings.pendingRestart);
+  }
+
+  async function openSettings() {
+    settingsView.classList.remove('hidden');
+    try {
+      const res = await fetch('/api/config');
+      settings = await res.json();
+      renderSettings();
+    } catch {
+      showToast('Could not load settings', 3000);
+    }
+  }
+
+  // Only what changed goes out; an empty secret field means "leave it"
+  function settingsPatch() {
+    const patch = {};
+    for (const input of settingsForm.querySelectorAll('input, select')) {
+      const spec = settings.schema.find((s) => s.key === input.name);
+      const before = settings.values[input.name];
+      if (spec.secret) {
+        if (input.value) patch[input.name] = input.value;
+      } else if (String(before ?? '') !== input.value) {
+        patch[input.name] = input.value === '' ? null : input.value;
+      }
+    }
+    return patch;
+  }
+
+  async function saveSettings() {
+    if (!settings) return;
+    const patch = settingsPatch();
+    if (!Object.keys(patch).length) {
+      settingsView.classList.add('hidden');
+      return;
+    }
+    for (const el of settingsForm.querySelectorAll('.invalid')) el.classList.remove('invalid');
+
+    const res = await fetch('/api/config', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(patch),
+    }).catch(() => null);
+    const body = await res?.json().catch(() => null);
+    if (!res || !body) {
+      showToast('Could not save settings', 3000);
+      return;
+    }
+    if (!res.ok) {
+      for (const { key, message } of body.errors || []) {
+        const hint = settingsForm.querySelector(`.settings-hint[data-key="${key}"]`);
+        if (!hint) continue;
+        hint.previousElementSibling.classList.add('invalid');
+        hint.textContent = message;
+      }
+      showToast('Check the highlighted settings', 3000);
+      return;
+    }
+
+    settings.values = body.values;
+    settings.pendingRestart = body.pendingRestart;
+    if (body.restart.length) {
+      renderSettings();
+      showToast('Saved — restart needed for some settings', 3500);
+    } else {
+      settingsView.classList.add('hidden');
+      showToast('Settings applied');
+    }
+  }
+
+  btnSettings.addEventListener('pointerdown', (e) => {
+    e.stopPropagation();
+    openSettings();
+  });
+  btnSettingsSave.addEventListener('click', saveSettings);
+  btnSettingsClose.addEventListener('click', () => settingsView.classList.add('hidden'));
+
+  // ── Audio calibration ──
+  // Devices and gain are tried out unsaved — the test endpoints take them —
+  // and only stick once saved
+  const CAL_ADVICE = {
+    'no-audio': 'No audio came through — wrong device, or the mic is not wired/enabled.',
+    silent: 'Only silence — check the mic wiring or pick another device.',
+    quiet: 'Quite quiet — speak up close, or raise the gain.',
+    clipping: 'Clipping — lower the gain.',
+    'dc-offset': 'The mic has a DC offset (normal for the SPH0645).',
+  };
+
+  function fillDevices(select, devices, current) {
+    select.textContent = '';
+    const list = devices.some((d) => d.id === current) ? devices : [{ id: current, name: current }, ...devices];
+    for (const d of list) {
+      const opt = document.createElement('option');
+      opt.value = d.id;
+      opt.textContent = d.name === d.id ? d.id : `${d.name} (${d.id})`;
+      select.appendChild(opt);
+    }
+    select.value = current;
+  }
+
+  function showGain(db) {
+    calGain.value = db;
+    calGainValue.textContent = `${db > 0 ? '+' : ''}${db} dB`;
+  }
+
+  function showMeter(id, db) {
+    const bar = $(`#cal-${id}`);
+    bar.style.width = `${Math.max(0, Math.min(100, ((db + 60) / 60) * 100))}%`;
+    bar.classList.toggle('hot', db > -1);
+    $(`#cal-${id}-db`).textContent = `${db} dB`;
+  }
+
+  function showClip(stats) {
+    showMeter('peak', stats.peakDb);
+    showMeter('rms', stats.rmsDb);
+    $('#cal-dc').textContent = `${(stats.dcOffset * 100).toFixed(2)}%`;
+    const advice = stats.warnings.map((w) => t(CAL_ADVICE[w] || w));
+    if (stats.suggestedGainDb !== undefined && stats.suggestedGainDb !== stats.gainDb) {
+      showGain(stats.suggestedGainDb);
+      advice.push(t('Gain set to {db} dB — record again to check.', { db: stats.suggestedGainDb }));
+    }
+    calAdvice.textContent = advice.join(' ');
+    btnCalPlay.disabled = false;
+  }
+
+  async function calRequest(path, body) {
+    const res = await fetch(path, {
+      method: body ? 'POST' : 'GET',
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    }).catch(() => null);
+    const data = await res?.json().catch(() => null);
+    if (!res?.ok) {
+      showToast(t(data?.error || 'Audio test failed'), 3000);
+      return null;
+    }
+    return data;
+  }
+
+  async function openCalibration() {
+    const devices = await calRequest('/api/audio/devices');
+    if (!devices) return;
+    fillDevices(calMic, devices.capture, devices.current.mic);
+    fillDevices(calSpeaker, devices.playback, devices.current.speaker);
+    showGain(devices.inputGain);
+    calAdvice.textContent = devices.available ? '' : t('ALSA tools not found — only the default devices can be tested.');
+    calibrationView.classList.remove('hidden');
+  }
+
+  async function withBusy(btn, fn) {
+    if (btn.classList.contains('busy')) return;
+    btn.classList.add('busy');
+    try { await fn(); } finally { btn.classList.remove('busy'); }
+  }
+
+  btnCalRecord.addEventListener('click', () => withBusy(btnCalRecord, async () => {
+    const stats = await calRequest('/api/audio/test/record', {
+      device: calMic.value,
+      seconds: 3,
+      gainDb: Number(calGain.value),
+    });
+    if (stats) showClip(stats);
+  }));
+  btnCalPlay.addEventListener('click', () => withBusy(btnCalPlay, () => calRequest('/api/audio/test/playback', { device: calSpeaker.value })));
+  btnCalTone.addEventListener('click', () => withBusy(btnCalTone, () => calRequest('/api/audio/test/tone', { device: calSpeaker.value })));
+  calGain.addEventListener('input', () => showGain(Number(calGain.value)));
+
+  async function saveCalibration() {
+    const res = await fetch('/api/config', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        'audio.micDevice': calMic.value,
+        'audio.speakerDevice': calSpeaker.value,
+        'audio.inputGain': Number(calGain.value),
+      }),
+    }).catch(() => null);
+    if (!res?.ok) {
+      showToast(t('Could not save settings'), 3000);
+      return;
+    }
+    showToast(t('Settings applied'));
+    // Settings behind us shows the old devices otherwise
+    if (!settingsView.classList.contains('hidden')) openSettings();
+    calibrationView.classList.add('hidden');
+  }
+
+  btnCalibrate.addEventListener('click', openCalibration);
+  $('#btn-calibration-save').addEventListener('click', saveCalibration);
+  $('#btn-calibration-close').addEventListener('click', () => calibrationView.classList.add('hidden'));
+
+  // ── Timers, alarms and reminders ──
+  // The server owns them; we count down from dueAt, shifted by how far our
+  // clock is from the Pi's (a phone's may well be off).
+  const TIMER_ICONS = { timer: '⏱', alarm: '⏰', reminder: '📝' };
+  let timers = [];
+  let clockOffset = 0;
+
+  function formatLeft(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  function timerText(timer) {
+    // Alarms show when they go off, timers and reminders how long is left
+    const when = timer.kind === 'alarm'
+      ? new Date(timer.dueAt).toLocaleTimeString(window.i18n.locale(), { hour: 'numeric', minute: '2-digit' })
+      : formatLeft(timer.dueAt - (Date.now() + clockOffset));
+    return `${TIMER_ICONS[timer.kind]} ${timer.label ? `${timer.label} ` : ''}${timer.ringing ? '🔔' : when}`;
+  }
+
+  function renderTimers() {
+    timersStrip.textContent = '';
+    for (const timer of timers) {
+      const pill = document.createElement('div');
+      pill.className = `timer-pill${timer.ringing ? ' ringing' : ''}`;
+      const text = document.createElement('span');
+      text.textContent = timerText(timer);
+      const cancel = document.createElement('button');
+      cancel.textContent = '✕';
+      cancel.addEventListener('click', (e) => {
+        e.stopPropagation();
+        wsSend({ type: 'timer_cancel', id: timer.id });
+      });
+      pill.append(text, cancel);
+      timersStrip.appendChild(pill);
+    }
+
+    const ringing = timers.filter((timer) => timer.ringing);
+    ringLabel.textContent = ringing.map((timer) => timer.label || t(timer.kind === 'alarm' ? 'Alarm' : 'Timer')).join(' · ');
+    ringOverlay.classList.toggle('hidden', !ringing.length);
+  }
+
+  function setTimers(msg) {
+    timers = msg.timers;
+    clockOffset = msg.now - Date.now();
+    renderTimers();
+  }
+
+  setInterval(() => {
+    if (timers.length) renderTimers();
+  }, 1000);
+
+  $('#btn-dismiss').addEventListener('click', (e) => {
+    e.stopPropagation();
+    wsSend({ type: 'timer_dismiss' });
+  });
+  $('#btn-snooze').addEventListener('click', (e) => {
+    e.stopPropagation();
+    wsSend({ type: 'timer_snooze' });
+  });
+
+  // ── Announcements ──
+  // What home automation, scripts or the agent had to say, as cards: the
+  // one being read out is highlighted, quiet-hours ones just sit here.
+  const ANNOUNCE_ICONS = { low: 'ℹ️', normal: '🔔', high: '⚠️', urgent: '🚨' };
+  const MAX_CARDS = 3;
+  let announcements = [];
+
+  function renderAnnouncements(list = announcements) {
+    announcements = list;
+    announcementsStack.textContent = '';
+    for (const a of list.slice(0, MAX_CARDS)) {
+      const card = document.createElement('div');
+      card.className = `announce-card ${a.priority}${a.state === 'speaking' ? ' speaking' : ''}`;
+      const icon = document.createElement('span');
+      icon.className = 'announce-icon';
+      icon.textContent = ANNOUNCE_ICONS[a.priority];
+      const body = document.createElement('div');
+      body.className = 'announce-body';
+      const head = document.createElement('div');
+      head.className = 'announce-head';
+      const when = new Date(a.createdAt).toLocaleTimeString(window.i18n.locale(), { hour: 'numeric', minute: '2-digit' });
+      head.textContent = `${a.title || t(a.source === 'gateway' ? 'Assistant' : 'Announcement')} · ${when}`;
+      const text = document.createElement('div');
+      text.className = 'announce-text';
+      text.textContent = a.text;
+      body.append(head, text);
+      const close = document.createElement('button');
+      close.textContent = '✕';
+      close.addEventListener('click', (e) => {
+        e.stopPropagation();
+        wsSend({ type: 'announcement_dismiss', id: a.id });
+      });
+      card.append(icon, body, close);
+      card.addEventListener('pointerdown', (e) => e.stopPropagation());
+      announcementsStack.appendChild(card);
+    }
+    if (list.length > MAX_CARDS) {
+      const more = document.createElement('div');
+      more.className = 'announce-more';
+      more.textContent = `+${list.length - MAX_CARDS}`;
+      announcementsStack.appendChild(more);
+    }
+  }
+
+  // ── Voice (TTS provider in use) ──
+  let voiceFallback = false;
+
+  function updateVoice(msg) {
+    // Only worth showing when we've fallen back off the primary voice
+    voiceBadge.textContent = `🗣 ${msg.provider}`;
+    voiceBadge.title = msg.failures.map((f) => `${f.provider}: ${f.message}`).join('\n');
+    voiceBadge.classList.toggle('hidden', !msg.fallback);
+
+    if (msg.fallback && !voiceFallback) showToast(t('Using {provider} voice', { provider: msg.provider }));
+    else if (!msg.fallback && voiceFallback && msg.provider) showToast(t('Voice restored'));
+    else if (!msg.provider && msg.failures.length) showToast(t('No voice available'), 3000);
+    voiceFallback = msg.fallback;
+  }
+
+  // ── Gateway connection ──
+  let gatewayState = null;
+
+  function updateGateway(msg) {
+    gwDot.className = msg.state;
+    gwDot.title = msg.retryInMs
+      ? `Gateway offline — retrying in ${Math.ceil(msg.retryInMs / 1000)}s`
+      : `Gateway ${msg.state}`;
+    if (msg.state === 'connected' && gatewayState === 'disconnected') showToast(t('Gateway back online'));
+    if (msg.state === 'disconnected' && gatewayState === 'connected') showToast(t('Gateway offline'), 3000);
+    gatewayState = msg.state;
+  }
+
+  // ── Remote controls (phones driving the same session) ──
+  function updateRemotes(clients) {
+    const remotes = clients.filter((c) => c.kind === 'remote').length;
+    remoteBadge.textContent = `📱 ${remotes}`;
+    remoteBadge.classList.toggle('hidden', !remotes);
+  }
+
   // ── Ripple Effect ──
   function ripple(x, y) {
     const el = document.createElement('div');
@@ -166,9 +953,14 @@
 
   // ── Tap Handler ──
   tapZone.addEventListener('pointerdown', async (e) => {
+    // A tap beside the open volume panel just closes it
+    if (!volumePanel.classList.contains('hidden')) {
+      volumePanel.classList.add('hidden');
+      return;
+    }
     ripple(e.clientX, e.clientY);
 
-    if (state === 'idle' || state === 'error') {
+    if (state === 'idle' || state === 'armed' || state === 'error') {
       // Start recording
       clearText();
       setState('listening');
@@ -177,10 +969,16 @@
       // Stop recording
       setState('thinking');
       wsSend({ type: 'stop_recording' });
-    } else if (state === 'speaking') {
-      // Interrupt
+    } else if (state === 'thinking') {
+      // Cancel
       wsSend({ type: 'stop_speaking' });
       setState('idle');
+    } else if (state === 'speaking') {
+      // Interrupt and go straight back to listening
+      finishStreamText();
+      clearText();
+      setState('listening');
+      wsSend({ type: 'stop_speaking', listen: true });
     }
   });
 
@@ -192,8 +990,13 @@
 
     ws.onopen = () => {
       console.log('WS connected');
-      showToast('Connected ✓');
+      showToast(t('Connected ✓'));
       setState('idle');
+      wsSend({ type: 'hello', kind: 'kiosk' });
+      // Re-arm hands-free mode after a reload or server restart
+      if (localStorage.getItem('wakeEnabled')) {
+        wsSend({ type: 'set_wake', enabled: true });
+      }
     };
 
     ws.onmessage = (ev) => {
@@ -207,7 +1010,7 @@
 
     ws.onclose = () => {
       console.log('WS closed');
-      showToast('Reconnecting...');
+      showToast(t('Reconnecting...'));
       scheduleReconnect();
     };
 
@@ -238,6 +1041,7 @@
         break;
 
       case 'transcript':
+        window.i18n.setLanguage(msg.language);
         showUserText(msg.text);
         setState('thinking');
         break;
@@ -261,18 +1065,76 @@
         break;
 
       case 'confirm':
-        confirm(msg.text).then((yes) => {
-          wsSend({ type: 'confirm_response', id: msg.id, confirmed: yes });
-        });
+        addApproval(msg);
+        break;
+
+      case 'confirm_resolved':
+        approvalResolved(msg);
+        break;
+
+      case 'history':
+        setHistory(msg.conversation);
+        break;
+
+      case 'history_message':
+        historyMessage(msg);
+        break;
+
+      case 'hello':
+        break;
+
+      case 'language':
+        window.i18n.setLanguage(msg.language);
+        break;
+
+      case 'config':
+        if (settings) settings.pendingRestart = msg.pendingRestart;
+        if (!settingsView.classList.contains('hidden')) showRestartNotice(msg.pendingRestart);
+        break;
+
+      case 'clients':
+        updateRemotes(msg.clients);
+        break;
+
+      case 'wake':
+        updateWake(msg);
+        break;
+
+      case 'wake_detected':
+        clearText();
+        break;
+
+      case 'gateway':
+        updateGateway(msg);
+        break;
+
+      case 'voice':
+        updateVoice(msg);
+        break;
+
+      case 'level':
+        onLevel(msg);
+        break;
+
+      case 'volume':
+        updateVolume(msg);
+        break;
+
+      case 'timers':
+        setTimers(msg);
+        break;
+
+      case 'announcements':
+        renderAnnouncements(msg.announcements);
         break;
 
       case 'toast':
-        showToast(msg.text, msg.duration);
+        showToast(t(msg.text), msg.duration);
         break;
 
       case 'error':
         setState('error', { error: msg.text || 'Something went wrong' });
-        showToast(msg.text || 'Error', 3000);
+        showToast(t(msg.text || 'Error'), 3000);
         setTimeout(() => {
           if (state === 'error') setState('idle');
         }, 4000);
@@ -284,11 +1146,20 @@
   }
 
   // ── Init ──
+  window.i18n.onChange(() => {
+    updateClock();
+    renderTimers();
+    kbInput.placeholder = t('Type a message');
+    renderAnnouncements();
+    setState(state);
+  });
   setState('idle');
   wsConnect();
 
-  // Prevent zoom/scroll on touch
-  document.addEventListener('touchmove', (e) => e.preventDefault(), { passive: false });
+  // Prevent zoom/scroll on touch (history and settings lists still scroll)
+  document.addEventListener('touchmove', (e) => {
+    if (!e.target.closest('.scrollable')) e.preventDefault();
+  }, { passive: false });
 
   // Wake lock (keep screen on)
   async function requestWakeLock() {
@@ -0,0 +1,191 @@
+// OpenClaw Pi Assistant — UI strings in the language last spoken
+// Keyed by the English text, so untranslated strings (and server messages
+// we don't know) fall through as-is. Elements with data-i18n get their text
+// swapped when the language changes; the server says which one via the
+// 'language' message.
+(() => {
+  'use strict';
+
+  const STRINGS = {
+    es: {
+      'Hey there': 'Hola',
+      'Tap to talk': 'Toca para hablar',
+      'Say the wake word or tap': 'Di la palabra de activación o toca',
+      'Listening...': 'Escuchando...',
+      'Thinking...': 'Pensando...',
+      'Speaking...': 'Hablando...',
+      'Oops': 'Vaya',
+      'Done! Tap to talk again': '¡Listo! Toca para volver a hablar',
+      'Connected ✓': 'Conectado ✓',
+      'Connecting...': 'Conectando...',
+      'Reconnecting...': 'Reconectando...',
+      'Something went wrong': 'Algo salió mal',
+      'Error': 'Error',
+      'Could not hear you': 'No te he oído',
+      'Mic busy': 'Micrófono ocupado',
+      'Busy': 'Ocupado, un momento',
+      'Type a message': 'Escribe un mensaje',
+      'Announcement': 'Aviso',
+      'Assistant': 'Asistente',
+      'Approval timed out — denied': 'Sin respuesta — denegado',
+      'Approved': 'Aprobado',
+      'Denied': 'Denegado',
+      'No messages yet': 'Aún no hay mensajes',
+      'New conversation': 'Conversación nueva',
+      'Conversation': 'Conversación',
+      '＋ New': '＋ Nueva',
+      '＋ New conversation': '＋ Conversación nueva',
+      'Settings': 'Ajustes',
+      'Save': 'Guardar',
+      '✓ Yes': '✓ Sí',
+      '✗ No': '✗ No',
+      'Using {provider} voice': 'Usando la voz de {provider}',
+      'Voice restored': 'Voz restablecida',
+      'No voice available': 'No hay voz disponible',
+      'Gateway back online': 'Gateway conectado de nuevo',
+      'Gateway offline': 'Gateway desconectado',
+      'Talk': 'Hablar',
+      'Stop': 'Parar',
+      'Cancel': 'Cancelar',
+      'Interrupt': 'Interrumpir',
+      'Ready': 'Listo',
+      'Listening for the wake word': 'Esperando la palabra de activación',
+      '👂 Hands-free': '👂 Manos libres',
+      '(wake word)': '(palabra de activación)',
+      '(another screen)': '(otra pantalla)',
+      'Audio': 'Audio',
+      'Microphone': 'Micrófono',
+      'Speaker': 'Altavoz',
+      'Input gain': 'Ganancia',
+      '🎙 Record 3s': '🎙 Grabar 3 s',
+      '▶ Play back': '▶ Reproducir',
+      '🔊 Test tone': '🔊 Tono de prueba',
+      'No audio came through — wrong device, or the mic is not wired/enabled.': 'No llega audio: dispositivo equivocado o micrófono sin conectar/activar.',
+      'Only silence — check the mic wiring or pick another device.': 'Solo silencio: revisa el cableado del micrófono o elige otro dispositivo.',
+      'Quite quiet — speak up close, or raise the gain.': 'Bastante bajo: habla más cerca o sube la ganancia.',
+      'Clipping — lower the gain.': 'Satura: baja la ganancia.',
+      'The mic has a DC offset (normal for the SPH0645).': 'El micrófono tiene desplazamiento DC (normal en el SPH0645).',
+      'Gain set to {db} dB — record again to check.': 'Ganancia ajustada a {db} dB: graba otra vez para comprobar.',
+      'ALSA tools not found — only the default devices can be tested.': 'No se encontraron las herramientas ALSA: solo se pueden probar los dispositivos por defecto.',
+      'Audio test failed': 'La prueba de audio falló',
+      'Speaker busy': 'Altavoz ocupado',
+      'Record a test clip first': 'Graba primero un clip de prueba',
+      'Could not save settings': 'No se pudieron guardar los ajustes',
+      'Settings applied': 'Ajustes aplicados',
+      '💤 Snooze': '💤 Posponer',
+      '✓ Dismiss': '✓ Apagar',
+      'Alarm': 'Alarma',
+      'Timer': 'Temporizador',
+      'No such timer': 'Ese temporizador no existe',
+      'Nothing is ringing': 'No suena nada',
+      'Muted': 'Silencio',
+      'Volume unavailable': 'Volumen no disponible',
+    },
+    de: {
+      'Hey there': 'Hallo',
+      'Tap to talk': 'Tippen zum Sprechen',
+      'Say the wake word or tap': 'Aktivierungswort sagen oder tippen',
+      'Listening...': 'Ich höre zu...',
+      'Thinking...': 'Denke nach...',
+      'Speaking...': 'Spreche...',
+      'Oops': 'Hoppla',
+      'Done! Tap to talk again': 'Fertig! Zum Weitersprechen tippen',
+      'Connected ✓': 'Verbunden ✓',
+      'Connecting...': 'Verbinde...',
+      'Reconnecting...': 'Verbinde neu...',
+      'Something went wrong': 'Etwas ist schiefgelaufen',
+      'Error': 'Fehler',
+      'Could not hear you': 'Ich habe dich nicht verstanden',
+      'Mic busy': 'Mikrofon belegt',
+      'Busy': 'Beschäftigt, einen Moment',
+      'Type a message': 'Nachricht eingeben',
+      'Announcement': 'Durchsage',
+      'Assistant': 'Assistent',
+      'Approval timed out — denied': 'Keine Antwort — abgelehnt',
+      'Approved': 'Erlaubt',
+      'Denied': 'Abgelehnt',
+      'No messages yet': 'Noch keine Nachrichten',
+      'New conversation': 'Neues Gespräch',
+      'Conversation': 'Gespräch',
+      '＋ New': '＋ Neu',
+      '＋ New conversation': '＋ Neues Gespräch',
+      'Settings': 'Einstellungen',
+      'Save': 'Speichern',
+      '✓ Yes': '✓ Ja',
+      '✗ No': '✗ Nein',
+      'Using {provider} voice': 'Stimme: {provider}',
+      'Voice restored': 'Stimme wiederhergestellt',
+      'No voice available': 'Keine Stimme verfügbar',
+      'Gateway back online': 'Gateway wieder verbunden',
+      'Gateway offline': 'Gateway nicht erreichbar',
+      'Talk': 'Sprechen',
+      'Stop': 'Stopp',
+      'Cancel': 'Abbrechen',
+      'Interrupt': 'Unterbrechen',
+      'Ready': 'Bereit',
+      'Listening for the wake word': 'Warte auf das Aktivierungswort',
+      '👂 Hands-free': '👂 Freihändig',
+      '(wake word)': '(Aktivierungswort)',
+      '(another screen)': '(anderer Bildschirm)',
+      'Audio': 'Audio',
+      'Microphone': 'Mikrofon',
+      'Speaker': 'Lautsprecher',
+      'Input gain': 'Eingangspegel',
+      '🎙 Record 3s': '🎙 3 s aufnehmen',
+      '▶ Play back': '▶ Abspielen',
+      '🔊 Test tone': '🔊 Testton',
+      'No audio came through — wrong device, or the mic is not wired/enabled.': 'Kein Ton — falsches Gerät oder Mikrofon nicht angeschlossen/aktiviert.',
+      'Only silence — check the mic wiring or pick another device.': 'Nur Stille — Verkabelung prüfen oder anderes Gerät wählen.',
+      'Quite quiet — speak up close, or raise the gain.': 'Recht leise — näher heran sprechen oder Pegel erhöhen.',
+      'Clipping — lower the gain.': 'Übersteuert — Pegel senken.',
+      'The mic has a DC offset (normal for the SPH0645).': 'Das Mikrofon hat einen DC-Offset (beim SPH0645 normal).',
+      'Gain set to {db} dB — record again to check.': 'Pegel auf {db} dB gesetzt — zur Kontrolle nochmal aufnehmen.',
+      'ALSA tools not found — only the default devices can be tested.': 'ALSA-Werkzeuge nicht gefunden — nur Standardgeräte testbar.',
+      'Audio test failed': 'Audiotest fehlgeschlagen',
+      'Speaker busy': 'Lautsprecher belegt',
+      'Record a test clip first': 'Erst einen Testclip aufnehmen',
+      'Could not save settings': 'Einstellungen konnten nicht gespeichert werden',
+      'Settings applied': 'Einstellungen übernommen',
+      '💤 Snooze': '💤 Schlummern',
+      '✓ Dismiss': '✓ Aus',
+      'Alarm': 'Wecker',
+      'Timer': 'Timer',
+      'No such timer': 'Diesen Timer gibt es nicht',
+      'Nothing is ringing': 'Es klingelt nichts',
+      'Muted': 'Stumm',
+      'Volume unavailable': 'Lautstärke nicht verfügbar',
+    },
+  };
+
+  const LOCALES = { en: 'en-US', es: 'es-ES', de: 'de-DE' };
+
+  let language = 'en';
+  const listeners = [];
+
+  function t(text, vars = {}) {
+    const out = STRINGS[language]?.[text] || text;
+    return out.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? vars[k] : m));
+  }
+
+  function translatePage() {
+    for (const el of document.querySelectorAll('[data-i18n]')) {
+      el.textContent = t(el.dataset.i18n);
+    }
+  }
+
+  function setLanguage(lang) {
+    if (!lang || lang === language) return;
+    language = lang;
+    document.documentElement.lang = lang;
+    translatePage();
+    for (const fn of listeners) fn(lang);
+  }
+
+  window.i18n = {
+    t,
+    setLanguage,
+    language: () => language,
+    locale: () => LOCALES[language] || language,
+    onChange: (fn) => listeners.push(fn),
+  };
+})();
@@ -0,0 +1,193 @@
+// OpenClaw Pi Assistant — Remote control (phone)
+// Drives the Pi's own mic and speaker: the same session the kiosk shows,
+// one big button instead of the tap zone.
+(() => {
+  'use strict';
+
+  let state = 'idle';
+  let ws = null;
+  let wake = { enabled: false, muted: false };
+  let myId = null;
+  let reconnectTimer = null;
+  const WS_URL = `ws://${location.host}`;
+  const { t } = window.i18n;
+
+  const $ = (s) => document.querySelector(s);
+  const root = $('#remote');
+  const statusText = $('#remote-status');
+  const driverText = $('#remote-driver');
+  const gwDot = $('#gw-dot');
+  const userText = $('#user-text');
+  const botText = $('#bot-text');
+  const btnTalk = $('#btn-talk');
+  const btnWake = $('#btn-wake');
+  const btnNewConv = $('#btn-new-conv');
+  const confirmOverlay = $('#confirm-overlay');
+  const confirmMsg = $('#confirm-msg');
+  const btnYes = $('#btn-yes');
+  const btnNo = $('#btn-no');
+
+  const labels = {
+    idle: ['Ready', 'Talk'],
+    armed: ['Listening for the wake word', 'Talk'],
+    listening: ['Listening...', 'Stop'],
+    thinking: ['Thinking...', 'Cancel'],
+    speaking: ['Speaking...', 'Interrupt'],
+    error: ['Oops', 'Talk'],
+  };
+
+  function setState(next, opts = {}) {
+    if (next === 'idle' && wake.enabled && !wake.muted) next = 'armed';
+    state = next;
+    root.className = `state-${state}`;
+    const [status, button] = labels[state] || labels.idle;
+    statusText.textContent = t(opts.error || status);
+    btnTalk.textContent = t(button);
+    if (next === 'listening') {
+      driverText.textContent = opts.driver && opts.driver !== myId ? t(opts.driver === 'wake' ? '(wake word)' : '(another screen)') : '';
+    } else if (next !== 'thinking' && next !== 'speaking') {
+      driverText.textContent = '';
+    }
+  }
+
+  btnTalk.addEventListener('click', () => {
+    if (state === 'idle' || state === 'armed' || state === 'error') {
+      wsSend({ type: 'start_recording' });
+    } else if (state === 'listening') {
+      wsSend({ type: 'stop_recording' });
+    } else if (state === 'thinking') {
+      wsSend({ type: 'stop_speaking' });
+    } else if (state === 'speaking') {
+      wsSend({ type: 'stop_speaking', listen: true });
+    }
+  });
+
+  btnWake.addEventListener('click', () => {
+    wsSend({ type: 'set_wake', enabled: !wake.enabled });
+  });
+
+  btnNewConv.addEventListener('click', () => {
+    wsSend({ type: 'new_conversation' });
+  });
+
+  // ── Approvals — first answer from any screen wins ──
+  let approvalShown = null;
+  const approvalQueue = [];
+
+  function showNextApproval() {
+    if (approvalShown || !approvalQueue.length) return;
+    approvalShown = approvalQueue.shift();
+    confirmMsg.textContent = approvalShown.text;
+    confirmOverlay.classList.remove('hidden');
+  }
+
+  function closeApproval() {
+    approvalShown = null;
+    confirmOverlay.classList.add('hidden');
+    showNextApproval();
+  }
+
+  function answer(confirmed) {
+    if (!approvalShown) return;
+    wsSend({ type: 'confirm_response', id: approvalShown.id, confirmed });
+    closeApproval();
+  }
+
+  btnYes.addEventListener('click', () => answer(true));
+  btnNo.addEventListener('click', () => answer(false));
+
+  // ── WebSocket ──
+  function wsConnect() {
+    if (ws && ws.readyState <= 1) return;
+    ws = new WebSocket(WS_URL);
+    ws.onopen = () => wsSend({ type: 'hello', kind: 'remote' });
+    ws.onmessage = (ev) => {
+      try {
+        handleMessage(JSON.parse(ev.data));
+      } catch (err) {
+        console.warn('Bad WS message', err);
+      }
+    };
+    ws.onclose = () => {
+      statusText.textContent = t('Reconnecting...');
+      if (!reconnectTimer) {
+        reconnectTimer = setTimeout(() => {
+          reconnectTimer = null;
+          wsConnect();
+        }, 2000);
+      }
+    };
+    ws.onerror = () => ws.close();
+  }
+
+  function wsSend(data) {
+    if (ws && ws.readyState === 1) ws.send(JSON.stringify(data));
+  }
+
+  function handleMessage(msg) {
+    switch (msg.type) {
+      case 'hello':
+        myId = msg.client;
+        break;
+      case 'state':
+        setState(msg.state, msg);
+        break;
+      case 'language':
+        window.i18n.setLanguage(msg.language);
+        break;
+      case 'transcript':
+        window.i18n.setLanguage(msg.language);
+        userText.textContent = `"${msg.text}"`;
+        botText.textContent = '';
+        setState('thinking');
+        break;
+      case 'response_start':
+        botText.textContent = '';
+        setState('speaking');
+        break;
+      case 'response_chunk':
+        botText.textContent += msg.text;
+        break;
+      case 'response_done':
+        botText.textContent = msg.text;
+        break;
+      case 'audio_done':
+        setState('idle');
+        break;
+      case 'wake':
+        wake = { enabled: msg.enabled, muted: msg.muted };
+        btnWake.classList.toggle('on', wake.enabled);
+        if (state === 'idle' || state === 'armed') setState('idle');
+        break;
+      case 'gateway':
+        gwDot.className = msg.state;
+        break;
+      case 'history':
+        userText.textContent = '';
+        botText.textContent = '';
+        break;
+      case 'confirm':
+        if (approvalShown?.id !== msg.id && !approvalQueue.some((p) => p.id === msg.id)) {
+          approvalQueue.push(msg);
+          showNextApproval();
+        }
+        break;
+      case 'confirm_resolved': {
+        const i = approvalQueue.findIndex((p) => p.id === msg.id);
+        if (i >= 0) approvalQueue.splice(i, 1);
+        if (approvalShown?.id === msg.id) closeApproval();
+        break;
+      }
+      case 'error':
+        setState('error', { error: msg.text || 'Something went wrong' });
+        setTimeout(() => {
+          if (state === 'error') setState('idle');
+        }, 4000);
+        break;
+    }
+  }
+
+  window.i18n.onChange(() => setState(state));
+  setState('idle');
+  wsConnect();
+})();